@@ -0,0 +1,30 @@
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Admin Endpoint Guard
+ *
+ * Express middleware for /api/admin/* routes. When ADMIN_TOKEN is set the
+ * request must send it as `Authorization: Bearer <token>` (or `X-Admin-Token`);
+ * without ADMIN_TOKEN the routes stay open, which is meant for local use only.
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return next();
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Admin-Token') || '';
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !timingSafeEqual(a, b)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Admin endpoints need "Authorization: Bearer <ADMIN_TOKEN>"'
+    });
+  }
+  next();
+}
+
+export { requireAdmin };
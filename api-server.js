@@ -1,16 +1,7 @@
 /**
  * Express API Server for E-commerce Product Scraper
  * 
- * Product Data Structure:
- * {
- *   name: string,
- *   mrp: number | null,
- *   price: number | null,
- *   discount: number | null,
- *   discountAmount: number | null,
- *   isOutOfStock: boolean,
- *   imageUrl: string | null  // Product image URL (absolute)
- * }
+ * Product data structure: see product-schema.js (ProductSchema)
  */
 
 import express from 'express';
@@ -19,6 +10,9 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { extractDataFromAllFiles } from './html-data-selector.js';
 import { selectLocationAndSearchOnAllWebsites, extractDataFromHtml } from './location-selector-orchestrator.js';
+import { getStoreIds, parseStoreSelection } from './store-registry.js';
+import { PriceHistory, parseHistoryFilters } from './price-history.js';
+import { describeProduct } from './product-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,6 +21,9 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const OUTPUT_DIR = join(__dirname, 'output');
 
+// Every extracted product, queried by /api/history (PRICE_HISTORY_FILE)
+const priceHistory = new PriceHistory();
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -86,15 +83,7 @@ app.get('/', (req, res) => {
   res.json({
     message: 'Product Search API Server',
     version: '1.0.0',
-    productStructure: {
-      name: 'string',
-      mrp: 'number | null',
-      price: 'number | null',
-      discount: 'number | null',
-      discountAmount: 'number | null',
-      isOutOfStock: 'boolean',
-      imageUrl: 'string | null (Product image URL - absolute)'
-    },
+    productStructure: describeProduct(),
     endpoints: {
       'POST /api/scrape': 'Scrape products from all websites (requires product and location)',
       'GET /api/data': 'Get latest extracted data',
@@ -103,6 +92,7 @@ app.get('/', (req, res) => {
       'GET /api/data/search': 'Search data by product name or location',
       'GET /api/websites': 'Get list of all websites in data',
       'GET /api/stats': 'Get statistics about extracted data',
+      'GET /api/history': 'Price time series (query: product, store, location, from, to)',
       'POST /api/refresh': 'Refresh data from HTML files'
     }
   });
@@ -368,15 +358,27 @@ app.get('/api/stats', (req, res) => {
 });
 
 /**
- * POST /api/scrape - Scrape products from all websites
- * Body: { "product": "lays", "location": "RT Nagar" }
- * Query: ?product=lays&location=RT%20Nagar
+ * 400 response body for a `sites` selection naming unsupported stores
+ */
+function invalidSitesBody(unknown) {
+  return {
+    error: 'Invalid sites',
+    message: `Unsupported website(s): ${unknown.join(', ')}`,
+    supportedWebsites: getStoreIds()
+  };
+}
+
+/**
+ * POST /api/scrape - Scrape products from all websites (or the `sites` subset)
+ * Body: { "product": "lays", "location": "RT Nagar", "sites": ["zepto", "swiggy"] }
+ * Query: ?product=lays&location=RT%20Nagar&sites=zepto,swiggy
  */
 app.post('/api/scrape', async (req, res) => {
   try {
     // Get product and location from body or query params
     const product = req.body.product || req.query.product;
     const location = req.body.location || req.query.location;
+    const sites = req.body.sites || req.query.sites;
     
     if (!product || !location) {
       return res.status(400).json({
@@ -388,8 +390,13 @@ app.post('/api/scrape', async (req, res) => {
         }
       });
     }
+
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+      return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
     
-    const result = await performScraping(product, location);
+    const result = await performScraping(product, location, selection.ids);
     res.json(result);
     
   } catch (error) {
@@ -404,8 +411,9 @@ app.post('/api/scrape', async (req, res) => {
 
 /**
  * Shared scraping function
+ * @param {string[]|null} sites - Store ids to run (null for every store)
  */
-async function performScraping(product, location) {
+async function performScraping(product, location, sites = null) {
   console.log(`\n${'='.repeat(60)}`);
   console.log(`🌐 API Scrape Request`);
   console.log(`${'='.repeat(60)}`);
@@ -413,29 +421,34 @@ async function performScraping(product, location) {
   console.log(`Location: ${location}`);
   console.log(`${'='.repeat(60)}\n`);
   
-  // Trigger scraping on all websites
-  const results = await selectLocationAndSearchOnAllWebsites(product, location);
+  // Trigger scraping on the selected websites
+  const results = await selectLocationAndSearchOnAllWebsites(product, location, { sites: sites || undefined });
   
-  // Extract data directly from HTML strings (no file I/O)
+  // Store adapters return JSON; only HTML results are extracted here (no file I/O)
   const extractedData = [];
+  const freshData = [];
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   
   for (const result of results) {
-    if (result.success && result.html) {
-      console.log(`Processing ${result.website} HTML...`);
-      const extracted = extractDataFromHtml(
+    if (result.success && (result.jsonData || result.html)) {
+      console.log(`Processing ${result.website} ${result.jsonData ? 'JSON data' : 'HTML'}...`);
+      const extracted = result.jsonData || extractDataFromHtml(
         result.html, 
         result.website, 
         `${result.website}-${location.toLowerCase().replace(/\s+/g, '-')}-${product.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.html`
       );
       if (extracted) {
         extractedData.push(extracted);
+        if (!result.cached) freshData.push(extracted);
         console.log(`  ✅ Extracted ${extracted.products.length} product(s), Location: ${extracted.location || 'Not found'}`);
       } else {
         console.log(`  ⚠️  Failed to extract data`);
       }
     }
   }
+
+  // Cached results were already recorded when they were scraped
+  priceHistory.record({ query: product, location, timestamp, websites: freshData, source: `api-server:${timestamp}` });
   
   return {
     success: true,
@@ -455,7 +468,7 @@ async function performScraping(product, location) {
 
 /**
  * GET /api/scrape - Scrape products from all websites (GET method)
- * Query: ?product=lays&location=RT%20Nagar
+ * Query: ?product=lays&location=RT%20Nagar&sites=zepto,swiggy
  */
 app.get('/api/scrape', async (req, res) => {
   try {
@@ -469,8 +482,13 @@ app.get('/api/scrape', async (req, res) => {
         example: '/api/scrape?product=lays&location=RT%20Nagar'
       });
     }
+
+    const selection = parseStoreSelection(req.query.sites);
+    if (selection.unknown.length > 0) {
+      return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
     
-    const result = await performScraping(product, location);
+    const result = await performScraping(product, location, selection.ids);
     res.json(result);
   } catch (error) {
     console.error('Error during scraping:', error);
@@ -482,6 +500,23 @@ app.get('/api/scrape', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/history - Price time series of recorded observations
+ * Query: ?product=lays&store=zepto&location=RT%20Nagar&from=2025-01-01&to=2025-02-01
+ */
+app.get('/api/history', (req, res) => {
+  const { filters, error } = parseHistoryFilters(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid history filters',
+      message: error
+    });
+  }
+
+  const series = priceHistory.query(filters);
+  res.json({ filters, series, total: series.length });
+});
+
 /**
  * POST /api/refresh - Trigger data extraction from HTML files
  */
@@ -551,6 +586,7 @@ app.listen(PORT, () => {
   console.log(`  GET  /api/data/search?q=... - Search data`);
   console.log(`  GET  /api/websites        - Get all websites`);
   console.log(`  GET  /api/stats           - Get statistics`);
+  console.log(`  GET  /api/history?product=... - Price history`);
   console.log(`  POST /api/refresh         - Refresh data from HTML files`);
   console.log(`${'='.repeat(60)}\n`);
 });
@@ -0,0 +1,114 @@
+/**
+ * Batch Search
+ *
+ * A store selector that receives `options.products` selects the location once
+ * and then runs every search in the same browser session. This helper loops
+ * through the products and collects one result per product, so a single bad
+ * search does not throw away the rest of the batch.
+ *
+ * Batch result shape (returned by the selector instead of a single search):
+ * {
+ *   website: string,
+ *   location: string,
+ *   timestamp: string,
+ *   batch: true,
+ *   parserVersion: string|null,   // extraction.js version the searches reported
+ *   searches: [{ product, products: [...], error: string|null }],
+ *   products: [...]      // Every product found, for code that only reads `products`
+ * }
+ *
+ * Configuration (environment):
+ *   MAX_BATCH_PRODUCTS - products accepted in one batch request (default 10)
+ */
+
+import { parseLimit } from './job-queue.js';
+
+const MAX_BATCH_PRODUCTS = parseLimit(process.env.MAX_BATCH_PRODUCTS, 10);
+
+/**
+ * Read the product list of a batch request
+ * Accepts an array or a comma-separated string; blanks and repeats are dropped
+ * @returns {{ products: string[], error: string|null }}
+ */
+function parseProductList(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const products = [...new Set(list.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))];
+
+  if (products.length === 0) {
+    return { products, error: '"products" must be a non-empty list of product names' };
+  }
+  if (products.length > MAX_BATCH_PRODUCTS) {
+    return { products, error: `A batch takes at most ${MAX_BATCH_PRODUCTS} products (got ${products.length})` };
+  }
+  return { products, error: null };
+}
+
+/**
+ * Run `searchOne(product)` for each product in order
+ * @param {string[]} products - Products to search for
+ * @param {Function} searchOne - Called as searchOne(product, index) in the open session, returns { products, parserVersion }
+ * @param {Object} options
+ * @param {string} options.website - Display name of the store
+ * @param {string} options.location - Location selected for the session
+ * @param {AbortSignal} options.signal - Stops the batch when aborted
+ * @returns {Promise<Object>} - Batch result; rejects when every search failed
+ */
+async function searchProductsInSession(products, searchOne, { website, location, signal } = {}) {
+  const searches = [];
+  let parserVersion = null;
+
+  for (let i = 0; i < products.length; i++) {
+    const product = products[i];
+    if (signal?.aborted) {
+      break;
+    }
+    console.log(`\n🔎 ${website}: batch search ${i + 1}/${products.length} - "${product}"`);
+    try {
+      const result = await searchOne(product, i);
+      searches.push({ product, products: result?.products || [], error: null });
+      parserVersion = parserVersion || result?.parserVersion || null;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`❌ ${website}: search for "${product}" failed: ${error.message}`);
+      searches.push({ product, products: [], error: error.message });
+    }
+  }
+
+  const failed = searches.filter(search => search.error);
+  if (searches.length > 0 && failed.length === searches.length) {
+    throw new Error(`Every batch search failed on ${website}: ${failed[0].error}`);
+  }
+
+  return {
+    website,
+    location,
+    timestamp: new Date().toISOString(),
+    batch: true,
+    parserVersion,
+    searches,
+    products: searches.flatMap(search => search.products)
+  };
+}
+
+/**
+ * Regroup orchestrator results of a batch run by product, then by store
+ * @returns {Array<{ product, stores: Object }>} - `stores` is keyed by store id
+ */
+function groupResultsByProduct(products, results) {
+  return products.map(product => ({
+    product,
+    stores: Object.fromEntries(results.map(result => {
+      const search = result.jsonData?.searches?.find(entry => entry.product === product);
+      return [result.website, {
+        success: Boolean(search && !search.error),
+        products: search?.products || [],
+        totalProducts: search?.products?.length || 0,
+        error: search ? search.error : result.error || null
+      }];
+    }))
+  }));
+}
+
+export { MAX_BATCH_PRODUCTS, parseProductList, searchProductsInSession, groupResultsByProduct };
@@ -0,0 +1,193 @@
+import { normalizeCacheText } from './result-cache.js';
+import { parsePackSize } from './pack-size.js';
+
+/**
+ * Brand and Variant Extraction
+ *
+ * Gives every product a brand and a variant so listings can be filtered by
+ * brand and related SKUs (flavours and sizes of one product line) grouped.
+ *
+ * The brand comes from structured data on the results page when it has any:
+ *   - JSON-LD blocks (<script type="application/ld+json">, schema.org Product / ItemList)
+ *   - Next.js __NEXT_DATA__ blobs
+ *   - window.___INITIAL_STATE___ (Swiggy Instamart)
+ * and otherwise from a dictionary of brands sold by the supported stores,
+ * matched against the product name (longest match, earliest in the name).
+ *
+ * Product fields added by the store parsers:
+ * {
+ *   brand: string | null,    // e.g. "Amul", "Tata Sampann"
+ *   variant: string | null   // Flavour and/or pack size, e.g. "Magic Masala, 52 g"
+ * }
+ */
+
+// Multi-word brands must come with their full name so "Tata Sampann" wins over "Tata"
+const BRANDS = [
+  '24 Mantra', 'Aashirvaad', 'Act II', 'Amul', 'Annapurna', 'Ariel', 'Bambino', 'Bikaji', 'Bingo', 'Bisleri',
+  'Boost', 'Bournvita', 'Britannia', 'Brooke Bond', 'Bru', 'Cadbury', 'Catch', 'Chings', 'Closeup', 'Coca-Cola',
+  'Colgate', 'Comfort', 'Complan', 'Cornitos', 'Dabur', 'Daawat', 'Dettol', 'Dove', 'DMart Premia', 'Epigamia',
+  'Everest', 'Ferrero', 'Fortune', 'Gemini', 'Good Life', 'Gowardhan', 'Haldirams', 'Harpic', 'Heritage', 'Hershey',
+  'Horlicks', 'India Gate', 'Jivo', 'Kelloggs', 'Kissan', 'Kinley', 'KitKat', 'Kurkure', 'Lays', 'Lifebuoy',
+  'Lipton', 'Lux', 'Maggi', 'Mapro', 'McCain', 'MDH', 'Milky Mist', 'Mother Dairy', 'MTR', 'Nandini',
+  'Nescafe', 'Nestle', 'Nivea', 'Organic Tattva', 'Paper Boat', 'Parachute', 'Parle', 'Patanjali', 'Pepsi', 'Pepsodent',
+  'Pillsbury', 'Priyagold', 'Pro Nature', 'Quaker', 'Real', 'Red Label', 'Rin', 'Saffola', 'Santoor', 'Sprite',
+  'Sundrop', 'Sunfeast', 'Surf Excel', 'Taj Mahal', 'Tang', 'Tata', 'Tata Sampann', 'Tata Tea', 'Tata Salt', 'Tide',
+  'Too Yumm', 'Tropicana', 'Uncle Chipps', 'Unibic', 'Vadilal', 'Veeba', 'Vim', 'Wagh Bakri', 'Wai Wai', 'Yippee'
+];
+
+// Flavour words that tell SKUs of one product line apart, longest first
+const FLAVOURS = [
+  'american style cream and onion', 'sour cream and onion', 'cream and onion', 'classic salted', 'magic masala',
+  'spanish tomato tango', 'tangy tomato', 'hot and sweet', 'peri peri', 'masala chai', 'green tea', 'mixed fruit',
+  'black pepper', 'chilli lemon', 'salt and pepper', 'mint', 'masala', 'salted', 'tomato', 'chilli', 'cheese',
+  'chocolate', 'vanilla', 'strawberry', 'mango', 'orange', 'lemon', 'lime', 'elaichi', 'kesar', 'rose', 'pineapple',
+  'litchi', 'guava', 'plain', 'original', 'honey', 'garlic', 'onion', 'pudina', 'jeera', 'cola', 'coffee',
+  'caramel', 'butterscotch', 'pista', 'almond', 'coconut', 'ginger', 'tulsi', 'barbeque', 'bbq', 'cheddar'
+].sort((a, b) => b.length - a.length);
+
+const MAX_STRUCTURED_NODES = 200000;
+
+/**
+ * Lowercase words of a text, with "&" read as "and" and apostrophes dropped
+ */
+function words(text) {
+  return normalizeCacheText(text).replace(/&/g, ' and ').replace(/['’]/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+const BRAND_WORDS = BRANDS
+  .map(brand => ({ brand, words: words(brand) }))
+  .sort((a, b) => b.words.length - a.words.length);
+
+/**
+ * Index of `needle` as a word sequence in `haystack`, or -1
+ */
+function indexOfWords(haystack, needle) {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((word, k) => haystack[i + k] === word)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Brand from the dictionary: the earliest match in the name, the longest at that position
+ */
+function lookupBrand(name) {
+  const nameWords = words(name);
+  let best = null;
+  for (const entry of BRAND_WORDS) {
+    const index = indexOfWords(nameWords, entry.words);
+    if (index >= 0 && (!best || index < best.index)) {
+      best = { brand: entry.brand, index };
+    }
+  }
+  return best?.brand || null;
+}
+
+/**
+ * Flavour and pack size of a product, e.g. "Magic Masala, 52 g"
+ */
+function extractVariant(name, brand = null) {
+  let nameWords = words(name);
+  // A brand named after a flavour ("Real", "Tang") is not the variant
+  const brandWords = brand ? words(brand) : [];
+  const brandIndex = brandWords.length > 0 ? indexOfWords(nameWords, brandWords) : -1;
+  if (brandIndex >= 0) {
+    nameWords = [...nameWords.slice(0, brandIndex), ...nameWords.slice(brandIndex + brandWords.length)];
+  }
+
+  const flavour = FLAVOURS.find(candidate => indexOfWords(nameWords, candidate.split(' ')) >= 0);
+  const size = parsePackSize(name)?.text.replace(/\s+/g, ' ').trim();
+  const parts = [
+    flavour ? flavour.replace(/\b\w/g, letter => letter.toUpperCase()).replace(/\bAnd\b/g, '&') : null,
+    size || null
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Text of a structured brand value (a string or { name })
+ */
+function brandText(value) {
+  const text = typeof value === 'string' ? value : value?.name;
+  return typeof text === 'string' && text.trim() ? text.trim() : null;
+}
+
+/**
+ * Brands (and variants, when given) of the products described by structured data in a page
+ * @param {string} html - Results page HTML
+ * @returns {Map<string, { brand: string, variant: string|null }>} - Keyed by normalized product name
+ */
+function extractStructuredBrands(html) {
+  const found = new Map();
+  if (typeof html !== 'string' || !html) return found;
+
+  const blobs = [];
+  for (const match of html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    blobs.push(match[1]);
+  }
+  const nextData = html.match(/<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i);
+  if (nextData) blobs.push(nextData[1]);
+  const initialState = html.match(/window\.___INITIAL_STATE___\s*=\s*({[\s\S]+?});\s*(?:<\/script>|window\.)/);
+  if (initialState) blobs.push(initialState[1]);
+
+  for (const blob of blobs) {
+    let data;
+    try {
+      data = JSON.parse(blob);
+    } catch (error) {
+      continue;
+    }
+
+    // Walk the whole blob: products sit at different depths on every store
+    const stack = [data];
+    let visited = 0;
+    while (stack.length > 0 && visited++ < MAX_STRUCTURED_NODES) {
+      const node = stack.pop();
+      if (!node || typeof node !== 'object') continue;
+      if (Array.isArray(node)) {
+        stack.push(...node);
+        continue;
+      }
+
+      const name = node.name || node.productName || node.display_name || node.displayName;
+      const brand = brandText(node.brand) || brandText(node.brandName) || brandText(node.brand_name);
+      if (typeof name === 'string' && brand) {
+        const variant = [node.variant, node.variantName, node.flavour, node.flavor]
+          .find(value => typeof value === 'string' && value.trim());
+        found.set(normalizeCacheText(name), { brand, variant: variant?.trim() || null });
+      }
+      for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') stack.push(value);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Brand fields for one product
+ * @param {string} name - Product name
+ * @param {Object} structured - Entry from extractStructuredBrands, or a brand the parser read itself
+ * @returns {{ brand: string|null, variant: string|null }}
+ */
+function brandFields(name, structured = null) {
+  const brand = brandText(structured?.brand ?? structured) || lookupBrand(name || '');
+  return {
+    brand,
+    variant: structured?.variant || extractVariant(name || '', brand)
+  };
+}
+
+/**
+ * Fill brand and variant on products a parser returned without them
+ * @param {Array} products
+ * @param {string} html - Page the products came from, read for structured data
+ */
+function addBrands(products, html = null) {
+  const structured = extractStructuredBrands(html);
+  return (products || []).map(product => (product && product.brand === undefined
+    ? { ...product, ...brandFields(product.name, structured.get(normalizeCacheText(product.name))) }
+    : product));
+}
+
+export { BRANDS, lookupBrand, extractVariant, extractStructuredBrands, brandFields, addBrands };
@@ -0,0 +1,99 @@
+/**
+ * Cancellation helpers
+ *
+ * A scrape job owns an AbortController. Its signal is passed down through the
+ * orchestrator (`options.signal`) into every store selector, which closes its
+ * Playwright browser or Selenium driver when the signal fires.
+ */
+
+/**
+ * Error thrown when work is stopped by an abort signal
+ */
+function createAbortError(message = 'Cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Run `close` when the signal aborts (immediately if it already has)
+ * @returns {Function} - Call once the resource is closed normally to drop the listener
+ */
+function closeOnAbort(signal, close) {
+  if (!signal) {
+    return () => {};
+  }
+
+  const onAbort = () => {
+    console.log('🛑 Cancellation requested - closing browser...');
+    Promise.resolve()
+      .then(close)
+      .catch(error => console.log(`Browser close after cancellation failed: ${error.message}`));
+  };
+
+  if (signal.aborted) {
+    onAbort();
+    return () => {};
+  }
+
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * Signal that aborts when any of the given signals does (missing ones are ignored)
+ * @returns {AbortSignal|undefined}
+ */
+function anySignal(...signals) {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) {
+    return present[0];
+  }
+  return AbortSignal.any(present);
+}
+
+/**
+ * Settle with `promise`, or reject with an AbortError as soon as the signal aborts
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Wait for `promise` to settle, giving up after `ms`
+ * @returns {Promise<boolean>} - true if it settled in time (resolved or rejected)
+ */
+function settledWithin(promise, ms) {
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  const settled = promise.then(() => true, () => true);
+  return Promise.race([settled, expired]).finally(() => clearTimeout(timer));
+}
+
+export { createAbortError, isAbortError, closeOnAbort, anySignal, abortable, settledWithin };
@@ -0,0 +1,122 @@
+import { fileURLToPath } from 'url';
+import { startMockStores } from './mock-store-server.js';
+import { getStore, getStoreIds } from './store-registry.js';
+import { abortable } from './cancellation.js';
+import { parseLimit } from './job-queue.js';
+
+/**
+ * Offline Store Flows
+ *
+ * Runs every store adapter's search() - the real browser flow: location modal,
+ * suggestion click, search, results page - against the mock storefronts
+ * (mock-store-server.js), so the flows can be checked in CI without network
+ * access. The mock is started on MOCK_STORES_PORT and the flows are pointed at
+ * it with MOCK_STORES_HOST (see store-urls.js); it is shut down afterwards.
+ *
+ * A store passes when:
+ *   - search() resolves within E2E_TIMEOUT_MS,
+ *   - its search reached the mock with the selected location (the mock's
+ *     location cookie, not just the location the result echoes),
+ *   - the result reports a location and a parserVersion and lists products.
+ *
+ *   node e2e-runner.js [store ...]        (npm run test:e2e)
+ *
+ * Exits 1 when any store fails. Needs the browsers the flows drive (Chrome,
+ * for Playwright and Selenium), but no network access.
+ *
+ * Configuration (environment):
+ *   E2E_LOCATION     - location to select (default "RT Nagar")
+ *   E2E_PRODUCT      - product to search for (default "milk")
+ *   E2E_TIMEOUT_MS   - time allowed per store (default 180000)
+ *   MOCK_STORES_HOST - host the mock listens on and the flows open (default localhost)
+ *   MOCK_STORES_PORT - first mock port (default 3901)
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+
+const E2E_LOCATION = process.env.E2E_LOCATION || 'RT Nagar';
+const E2E_PRODUCT = process.env.E2E_PRODUCT || 'milk';
+const E2E_TIMEOUT_MS = parseLimit(process.env.E2E_TIMEOUT_MS, 180000);
+
+const compact = text => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Problems with one store's run against its mock (empty when it passed)
+ * @param {Object} result - What search() returned
+ * @param {Array<{ term, location }>} searches - Searches the store's mock served
+ */
+function checkRun(result, searches, { location, product }) {
+  const problems = [];
+  const searched = searches.filter(search => compact(search.term) === compact(product));
+  if (searched.length === 0) {
+    problems.push(`the mock served no search for "${product}"`);
+  } else if (!searched.some(search => compact(search.location).includes(compact(location)))) {
+    problems.push(`searched with location ${JSON.stringify(searched[searched.length - 1].location)}, expected "${location}"`);
+  }
+  if (!result?.location) problems.push('result has no location');
+  if (!result?.parserVersion) problems.push('result has no parserVersion');
+  if (!Array.isArray(result?.products) || result.products.length === 0) problems.push('result has no products');
+  return problems;
+}
+
+/**
+ * Run each store's flow against its mock storefront, one store at a time
+ * @param {string[]} storeIds - Stores to run (default every registered store)
+ * @returns {Promise<Array<{ id, passed, products, duration, problems }>>}
+ */
+async function runStoreFlows(storeIds = getStoreIds(), { location = E2E_LOCATION, product = E2E_PRODUCT, timeoutMs = E2E_TIMEOUT_MS } = {}) {
+  process.env.MOCK_STORES_HOST = process.env.MOCK_STORES_HOST || 'localhost';
+  const stores = storeIds.map(id => getStore(id));
+  const mocks = await startMockStores({ host: process.env.MOCK_STORES_HOST, stores: stores.map(store => store.id) });
+
+  const results = [];
+  try {
+    for (const store of stores) {
+      const { app } = mocks.find(mock => mock.storeId === store.id);
+      app.locals.searches.length = 0;
+      const startTime = Date.now();
+      const signal = AbortSignal.timeout(timeoutMs);
+      console.log(`\n▶️  ${store.displayName}: "${product}" in ${location}`);
+
+      let problems;
+      let result = null;
+      try {
+        result = await abortable(store.search(location, product, { signal }), signal);
+        problems = checkRun(result, app.locals.searches, { location, product });
+      } catch (error) {
+        problems = [signal.aborted ? `timed out after ${timeoutMs / 1000}s` : `search failed: ${error.message}`];
+      }
+      results.push({
+        id: store.id,
+        passed: problems.length === 0,
+        products: result?.products?.length || 0,
+        duration: Date.now() - startTime,
+        problems
+      });
+    }
+  } finally {
+    await Promise.all(mocks.map(({ server }) => new Promise(resolve => server.close(resolve))));
+  }
+  return results;
+}
+
+// CLI: node e2e-runner.js [store ...]
+if (process.argv[1] === __filename) {
+  const storeIds = process.argv.slice(2);
+  runStoreFlows(storeIds.length > 0 ? storeIds : undefined).then(results => {
+    console.log('');
+    for (const { id, passed, products, duration, problems } of results) {
+      console.log(`${passed ? '✅' : '❌'} ${id}: ${products} products in ${(duration / 1000).toFixed(1)}s`);
+      problems.forEach(problem => console.log(`     ${problem}`));
+    }
+    const failed = results.filter(result => !result.passed).length;
+    console.log(`\n${failed === 0 ? '✅' : '❌'} ${results.length - failed}/${results.length} store flows passed against the mock storefronts`);
+    // Browsers a flow left behind must not keep the run alive
+    process.exit(failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error(`❌ Could not run the store flows: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export { runStoreFlows, checkRun };
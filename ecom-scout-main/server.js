@@ -11,6 +11,16 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync, writeFileSync, mkdirSync } from 'fs';
 import cors from 'cors';
+import { listStores, resolveStore, getDisplayName, describeStore, getStoreIds, parseStoreSelection } from '../store-registry.js';
+import { JobStore } from '../job-store.js';
+import { JobQueue } from '../job-queue.js';
+import { JobEventBus, JOB_EVENTS, FINISHED_STATUSES, streamJobEvents, readEventStream } from '../job-events.js';
+import { parseProductList } from '../batch-search.js';
+import { PriceHistory, parseHistoryFilters } from '../price-history.js';
+import { WatchStore, parseWatchDefinition } from '../watches.js';
+import { matchProducts } from '../product-matcher.js';
+import { sortProducts, PRODUCT_SORTS } from '../pack-size.js';
+import { normalizeProduct, validateProducts } from '../product-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,7 +31,7 @@ const PORT = process.env.PORT || 8080;
 // CORS middleware
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -32,10 +42,80 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from dist (built React app)
 app.use(express.static(join(__dirname, 'dist')));
 
-// In-memory job store (for production, use Redis or a proper queue)
-const jobs = new Map();
+// Durable job store - survives restarts, unfinished jobs come back as 'interrupted'
+const jobs = new JobStore(process.env.JOB_STORE_FILE || join(__dirname, '..', 'data', 'ecom-scout-jobs.jsonl'));
 let jobCounter = 0;
 
+// Bounded queue in front of QuickAPI (MAX_CONCURRENT_JOBS); QuickAPI enforces the browser budget
+const jobQueue = new JobQueue();
+
+// Live progress events per job, relayed from QuickAPI's event stream
+const jobEvents = new JobEventBus();
+
+// Abort controllers of queued and running scrape jobs, used by DELETE /api/job/:jobId
+const jobControllers = new Map();
+
+// Every extracted product, queried by /api/history (PRICE_HISTORY_FILE)
+const priceHistory = new PriceHistory(process.env.PRICE_HISTORY_FILE || join(__dirname, '..', 'data', 'price-history.jsonl'));
+
+// Price-drop and back-in-stock watches, checked against every recorded scrape
+const watches = new WatchStore(process.env.WATCH_FILE || join(__dirname, '..', 'data', 'ecom-scout-watches.jsonl'));
+priceHistory.subscribe(observations => {
+    watches.evaluate(observations).catch(error => console.error(`🔔 Watch evaluation failed: ${error.message}`));
+});
+
+/**
+ * Record a job's final state and tell event stream subscribers it is done
+ */
+function finishJob(jobId, changes) {
+    const job = jobs.update(jobId, { ...changes, finishedAt: new Date().toISOString() });
+    if (job) {
+        jobEvents.publish(jobId, JOB_EVENTS.JOB_COMPLETED, {
+            status: job.status,
+            error: job.error || null,
+            summary: job.result?.summary || null
+        });
+    }
+    return job;
+}
+
+/**
+ * Parse a job priority (higher runs first, default 0)
+ */
+function parsePriority(value) {
+    const priority = parseInt(value, 10);
+    return Number.isInteger(priority) ? priority : 0;
+}
+
+/**
+ * 400 response body for a `sites` selection naming unsupported stores
+ */
+function invalidSitesBody(unknown) {
+    return {
+        success: false,
+        error: 'Invalid sites',
+        message: `Unsupported website(s): ${unknown.join(', ')}`,
+        supportedWebsites: getStoreIds()
+    };
+}
+
+/**
+ * Queue a scrape job - it stays 'queued' until the queue admits it
+ */
+function enqueueScrapeJob(job) {
+    const controller = new AbortController();
+    jobControllers.set(job.id, controller);
+
+    jobQueue.enqueue(job.id, () => scrapeInBackground(job.id, job.product, job.location, controller.signal), {
+        priority: job.priority
+    }).catch(err => {
+        console.error(`Job ${job.id} failed:`, err);
+        finishJob(job.id, { status: 'failed', error: err.message });
+    }).finally(() => {
+        jobControllers.delete(job.id);
+    });
+}
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -50,12 +130,24 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+/**
+ * GET /api/websites
+ * Supported websites from the shared store registry
+ */
+app.get('/api/websites', (req, res) => {
+    const stores = listStores();
+    res.json({
+        websites: stores.map(describeStore),
+        total: stores.length
+    });
+});
+
 /**
  * GET /api/scrape - Start scraping job (non-blocking)
  * Returns immediately with job ID, scraping happens in background
  */
 app.get('/api/scrape', async (req, res) => {
-    const { product, location } = req.query;
+    const { product, location, priority, sites, fresh } = req.query;
 
     // Validate immediately
     if (!product || !location) {
@@ -63,16 +155,26 @@ app.get('/api/scrape', async (req, res) => {
             success: false,
             error: 'Missing required parameters',
             message: 'Both "product" and "location" query parameters are required',
-            example: '/api/scrape?product=lays&location=RT%20Nagar'
+            example: '/api/scrape?product=lays&location=RT%20Nagar&sites=zepto,swiggy'
         });
     }
 
+    // Optional subset of stores, e.g. sites=zepto,swiggy
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+        return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
+
     // Create job immediately
     const jobId = `job-${Date.now()}-${++jobCounter}`;
     const job = {
         id: jobId,
         product,
         location,
+        priority: parsePriority(priority),
+        sites: selection.ids,
+        // Skip QuickAPI's result cache
+        fresh: fresh === true || fresh === 'true' || fresh === '1',
         status: 'queued',
         createdAt: new Date().toISOString(),
         result: null,
@@ -81,25 +183,21 @@ app.get('/api/scrape', async (req, res) => {
     
     jobs.set(jobId, job);
 
-    // Start scraping in background (don't await)
-    scrapeInBackground(jobId, product, location).catch(err => {
-        console.error(`Job ${jobId} failed:`, err);
-        const job = jobs.get(jobId);
-        if (job) {
-            job.status = 'failed';
-            job.error = err.message;
-        }
-    });
+    // Queue scraping in background (don't await)
+    enqueueScrapeJob(job);
 
     // Return immediately with job ID
     res.status(202).json({
         success: true,
-        message: 'Scraping job started',
+        message: 'Scraping job queued',
         jobId: jobId,
         status: 'queued',
+        queuePosition: jobQueue.getPosition(jobId),
         checkStatus: `/api/job/${jobId}`,
+        events: `/api/job/${jobId}/events`,
         product,
         location,
+        sites: job.sites,
         timestamp: job.createdAt
     });
 });
@@ -108,7 +206,7 @@ app.get('/api/scrape', async (req, res) => {
  * POST /api/scrape - Start scraping job (non-blocking)
  */
 app.post('/api/scrape', async (req, res) => {
-    const { product, location } = req.body;
+    const { product, location, priority, sites, fresh } = req.body;
 
     // Validate immediately
     if (!product || !location) {
@@ -116,16 +214,26 @@ app.post('/api/scrape', async (req, res) => {
             success: false,
             error: 'Missing required parameters',
             message: 'Both "product" and "location" in request body are required',
-            example: { product: 'lays', location: 'RT Nagar' }
+            example: { product: 'lays', location: 'RT Nagar', sites: ['zepto', 'swiggy'] }
         });
     }
 
+    // Optional subset of stores, e.g. ["zepto", "swiggy"] or "zepto,swiggy"
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+        return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
+
     // Create job immediately
     const jobId = `job-${Date.now()}-${++jobCounter}`;
     const job = {
         id: jobId,
         product,
         location,
+        priority: parsePriority(priority),
+        sites: selection.ids,
+        // Skip QuickAPI's result cache
+        fresh: fresh === true || fresh === 'true' || fresh === '1',
         status: 'queued',
         createdAt: new Date().toISOString(),
         result: null,
@@ -134,25 +242,82 @@ app.post('/api/scrape', async (req, res) => {
     
     jobs.set(jobId, job);
 
-    // Start scraping in background (don't await)
-    scrapeInBackground(jobId, product, location).catch(err => {
-        console.error(`Job ${jobId} failed:`, err);
-        const job = jobs.get(jobId);
-        if (job) {
-            job.status = 'failed';
-            job.error = err.message;
-        }
-    });
+    // Queue scraping in background (don't await)
+    enqueueScrapeJob(job);
 
     // Return immediately with job ID
     res.status(202).json({
         success: true,
-        message: 'Scraping job started',
+        message: 'Scraping job queued',
         jobId: jobId,
         status: 'queued',
+        queuePosition: jobQueue.getPosition(jobId),
         checkStatus: `/api/job/${jobId}`,
+        events: `/api/job/${jobId}/events`,
         product,
         location,
+        sites: job.sites,
+        timestamp: job.createdAt
+    });
+});
+
+/**
+ * POST /api/scrape/batch - Start one job that searches several products (non-blocking)
+ * QuickAPI selects the location once per store and runs every search in that
+ * session; the result is grouped by product, then by store.
+ */
+app.post('/api/scrape/batch', async (req, res) => {
+    const { location, priority, sites } = req.body;
+    const { products, error } = parseProductList(req.body.products);
+
+    // Validate immediately
+    if (error || !location) {
+        return res.status(400).json({
+            success: false,
+            error: error ? 'Invalid products' : 'Missing required parameters',
+            message: error || '"location" in request body is required',
+            example: { products: ['lays', 'milk', 'bread'], location: 'RT Nagar', sites: ['zepto', 'swiggy'] }
+        });
+    }
+
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+        return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
+
+    // Create job immediately
+    const jobId = `job-${Date.now()}-${++jobCounter}`;
+    const job = {
+        id: jobId,
+        type: 'batch',
+        product: products.join(', '),
+        products,
+        location,
+        priority: parsePriority(priority),
+        sites: selection.ids,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        result: null,
+        error: null
+    };
+
+    jobs.set(jobId, job);
+
+    // Queue scraping in background (don't await)
+    enqueueScrapeJob(job);
+
+    // Return immediately with job ID
+    res.status(202).json({
+        success: true,
+        message: `Batch job queued (${products.length} products)`,
+        jobId: jobId,
+        status: 'queued',
+        queuePosition: jobQueue.getPosition(jobId),
+        checkStatus: `/api/job/${jobId}`,
+        events: `/api/job/${jobId}/events`,
+        products,
+        location,
+        sites: job.sites,
         timestamp: job.createdAt
     });
 });
@@ -177,19 +342,224 @@ app.get('/api/job/:jobId', (req, res) => {
         success: true,
         jobId: job.id,
         status: job.status,
+        queuePosition: job.status === 'queued' ? jobQueue.getPosition(jobId) : null,
+        type: job.type || 'single',
         product: job.product,
+        products: job.products || null,
         location: job.location,
+        sites: job.sites || null,
         createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null,
         result: job.result,
         error: job.error
     });
 });
 
+/**
+ * DELETE /api/job/:jobId - Cancel a queued or running scrape job
+ * Running jobs cancel their QuickAPI search, which closes the browsers and
+ * returns the stores that already finished.
+ */
+app.delete('/api/job/:jobId', (req, res) => {
+    const { jobId } = req.params;
+    const job = jobs.get(jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found',
+            jobId
+        });
+    }
+
+    const controller = jobControllers.get(jobId);
+    if (!controller || FINISHED_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+            success: false,
+            error: `Job already ${job.status}`,
+            jobId,
+            status: job.status
+        });
+    }
+
+    if (jobQueue.remove(jobId)) {
+        console.log(`Job ${jobId}: 🛑 Cancelled while queued`);
+        finishJob(jobId, { status: 'cancelled', error: 'Cancelled before it started' });
+        return res.status(200).json({
+            success: true,
+            jobId,
+            status: 'cancelled'
+        });
+    }
+
+    console.log(`Job ${jobId}: 🛑 Cancellation requested`);
+    controller.abort();
+    res.status(202).json({
+        success: true,
+        jobId,
+        status: 'cancelling'
+    });
+});
+
+/**
+ * GET /api/job/:jobId/events - Live job progress as Server-Sent Events
+ */
+app.get('/api/job/:jobId/events', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found',
+            jobId: req.params.jobId
+        });
+    }
+
+    streamJobEvents(req, res, jobEvents, job);
+});
+
+/**
+ * GET /api/queue - Job queue usage
+ */
+app.get('/api/queue', (req, res) => {
+    res.json(jobQueue.getStats());
+});
+
+/**
+ * GET /api/history - Price time series of recorded observations
+ * Query filters: product, store, location, from, to (at least one of product, store, location)
+ */
+app.get('/api/history', (req, res) => {
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid history filters',
+            message: error
+        });
+    }
+
+    const series = priceHistory.query(filters);
+    res.json({
+        success: true,
+        filters,
+        series,
+        total: series.length
+    });
+});
+
+/**
+  * 400 response for a watch definition that does not parse
+  */
+function invalidWatchResponse(res, { error, unknownSites }) {
+    if (unknownSites.length > 0) {
+        return res.status(400).json(invalidSitesBody(unknownSites));
+    }
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid watch',
+        message: error,
+        example: { product: 'amul taaza milk 500ml', store: 'zepto', location: 'RT Nagar', belowPrice: 25, dropPercent: 10, backInStock: true, channels: [{ type: 'log' }] }
+    });
+}
+
+/**
+  * 404 response for an unknown watch id
+  */
+function watchNotFound(res, id) {
+    return res.status(404).json({
+        success: false,
+        error: 'Watch not found',
+        watchId: id
+    });
+}
+
+/**
+  * GET /api/watches - Every watch with its last observation and notifications
+  */
+app.get('/api/watches', (req, res) => {
+    const list = watches.list();
+    res.status(200).json({
+        success: true,
+        watches: list,
+        total: list.length
+    });
+});
+
+/**
+  * POST /api/watches - Watch a product at a store and location
+  * Body: { product, store, location, belowPrice?, dropPercent?, backInStock?, referencePrice?, channels? }
+  */
+app.post('/api/watches', async (req, res) => {
+    const parsed = await parseWatchDefinition(req.body);
+    if (parsed.error) {
+        return invalidWatchResponse(res, parsed);
+    }
+
+    const watch = watches.create(parsed.definition);
+    console.log(`🔔 Watch ${watch.id} created: "${watch.product}" at ${watch.store} (${watch.location})`);
+    res.status(201).json({
+        success: true,
+        watch
+    });
+});
+
+/**
+  * GET /api/watches/:watchId - One watch and its notifications
+  */
+app.get('/api/watches/:watchId', (req, res) => {
+    const watch = watches.get(req.params.watchId);
+    if (!watch) {
+        return watchNotFound(res, req.params.watchId);
+    }
+    res.status(200).json({
+        success: true,
+        watch
+    });
+});
+
+/**
+  * PATCH /api/watches/:watchId - Change some fields of a watch (same body as POST)
+  */
+app.patch('/api/watches/:watchId', async (req, res) => {
+    const current = watches.get(req.params.watchId);
+    if (!current) {
+        return watchNotFound(res, req.params.watchId);
+    }
+
+    const parsed = await parseWatchDefinition(req.body, current);
+    if (parsed.error) {
+        return invalidWatchResponse(res, parsed);
+    }
+    res.status(200).json({
+        success: true,
+        watch: watches.update(current.id, parsed.definition)
+    });
+});
+
+/**
+  * DELETE /api/watches/:watchId - Stop watching
+  */
+app.delete('/api/watches/:watchId', (req, res) => {
+    if (!watches.delete(req.params.watchId)) {
+        return watchNotFound(res, req.params.watchId);
+    }
+    res.status(200).json({
+        success: true,
+        deleted: true,
+        watchId: req.params.watchId
+    });
+});
+
 /**
  * GET /api/json/:jobId - Get job results as JSON
+ * { results: { [storeId]: Product[] }, groups: [...] } - groups come from product-matcher.js
+ * Query: sort=price|unit-price|discount orders each store's products and the groups
  */
 app.get('/api/json/:jobId', (req, res) => {
     const { jobId } = req.params;
+    const { sort } = req.query;
     const job = jobs.get(jobId);
 
     if (!job) {
@@ -200,7 +570,18 @@ app.get('/api/json/:jobId', (req, res) => {
         });
     }
 
-    if (job.status !== 'completed') {
+    if (sort !== undefined && !PRODUCT_SORTS.includes(sort)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid sort',
+            message: `"sort" must be one of: ${PRODUCT_SORTS.join(', ')}`
+        });
+    }
+    const sortGroups = groups => sortProducts(groups, sort, group => group.listings.map(listing => listing.product));
+
+    // Cancelled jobs still return the stores that finished before cancellation
+    const hasPartialResult = job.status === 'cancelled' && job.result?.data;
+    if (job.status !== 'completed' && !hasPartialResult) {
         return res.status(400).json({
             success: false,
             error: 'Job not completed',
@@ -209,15 +590,25 @@ app.get('/api/json/:jobId', (req, res) => {
         });
     }
 
-    // Return results in format expected by frontend
+    // Batch jobs: one product list per store id for every searched product
+    if (job.result?.byProduct) {
+        return res.status(200).json({
+            products: job.products,
+            results: Object.fromEntries(job.result.byProduct.map(({ product, stores }) => [
+                product,
+                Object.fromEntries(Object.entries(stores).map(([storeId, store]) => [storeId, sortProducts(store.products, sort)]))
+            ])),
+            groups: Object.fromEntries(job.result.byProduct.map(({ product, stores }) => [
+                product,
+                sortGroups(matchProducts(Object.entries(stores).map(([storeId, store]) => ({ store: storeId, products: store.products }))))
+            ]))
+        });
+    }
+
+    // Return results in format expected by frontend: one product list per searched store id
     const results = job.result?.data || [];
-    const formattedResults = {
-        dmart: [],
-        jiomart: [],
-        naturesbasket: [],
-        zepto: [],
-        swiggy: []
-    };
+    const searchedStores = job.sites ? listStores().filter(store => job.sites.includes(store.id)) : listStores();
+    const formattedResults = Object.fromEntries(searchedStores.map(store => [store.id, []]));
 
     console.log(`📤 Returning results for job ${jobId}:`, {
         dataType: Array.isArray(results) ? 'array' : typeof results,
@@ -228,34 +619,25 @@ app.get('/api/json/:jobId', (req, res) => {
     // Transform extracted data to match frontend format
     if (Array.isArray(results)) {
         results.forEach(siteData => {
-            const website = siteData.website?.toLowerCase();
-            let products = siteData.products || [];
+            const store = resolveStore(siteData.website);
+            const products = siteData.products || [];
             
-            console.log(`  Processing ${website}: ${products.length} products`);
+            console.log(`  Processing ${siteData.website}: ${products.length} products`);
             
-            if (website === 'swiggy instamart' || website === 'swiggy') {
-                formattedResults.swiggy = products;
-            } else if (website === 'dmart' || website === 'd-mart') {
-                formattedResults.dmart = products;
-            } else if (website === 'jiomart' || website === 'jio mart') {
-                formattedResults.jiomart = products;
-            } else if (website === "nature's basket" || website === 'naturesbasket') {
-                formattedResults.naturesbasket = products;
-            } else if (website === 'zepto') {
-                formattedResults.zepto = products;
+            if (store && store.id in formattedResults) {
+                formattedResults[store.id] = sortProducts(products, sort);
             }
         });
     }
 
-    console.log(`📊 Final formatted results:`, {
-        dmart: formattedResults.dmart.length,
-        jiomart: formattedResults.jiomart.length,
-        naturesbasket: formattedResults.naturesbasket.length,
-        zepto: formattedResults.zepto.length,
-        swiggy: formattedResults.swiggy.length,
-    });
+    console.log(`📊 Final formatted results:`, Object.fromEntries(
+        Object.entries(formattedResults).map(([storeId, products]) => [storeId, products.length])
+    ));
+
+    // Listings matched across stores into canonical products for side-by-side rows
+    const groups = sortGroups(matchProducts(Object.entries(formattedResults).map(([store, products]) => ({ store, products }))));
 
-    res.status(200).json(formattedResults);
+    res.status(200).json({ results: formattedResults, groups });
 });
 
 /**
@@ -263,39 +645,79 @@ app.get('/api/json/:jobId', (req, res) => {
  * This does NOT block the request handler
  * Uses QuickAPI backend for scraping
  */
-async function scrapeInBackground(jobId, product, location) {
+async function scrapeInBackground(jobId, product, location, signal) {
     const job = jobs.get(jobId);
     if (!job) return;
 
+    // On cancellation, ask QuickAPI to stop the search so its partial result still
+    // arrives; before the search id is known, drop the connection instead
+    const QUICKAPI_URL = process.env.QUICKAPI_URL || 'http://localhost:3001';
+    const fetchController = new AbortController();
+    let searchId = null;
+    const cancelSearch = () => {
+        if (!searchId) {
+            fetchController.abort();
+            return;
+        }
+        fetch(`${QUICKAPI_URL}/api/search/${searchId}`, { method: 'DELETE' }).catch(error => {
+            console.error(`Job ${jobId}: ⚠️  Could not cancel QuickAPI search: ${error.message}`);
+            fetchController.abort();
+        });
+    };
+    signal?.addEventListener('abort', cancelSearch, { once: true });
+
     try {
-        job.status = 'processing';
+        jobs.update(jobId, { status: 'processing', startedAt: new Date().toISOString() });
+        jobEvents.publish(jobId, JOB_EVENTS.JOB_STARTED, { product, location });
         console.log(`\n${'='.repeat(60)}`);
         console.log(`Job ${jobId}: Scraping "${product}" in "${location}"`);
         console.log(`Using QuickAPI backend...`);
         console.log(`${'='.repeat(60)}\n`);
 
         // Use QuickAPI backend instead of direct orchestrator call
-        const QUICKAPI_URL = process.env.QUICKAPI_URL || 'http://localhost:3001';
-        
         console.log(`Job ${jobId}: Calling QuickAPI at ${QUICKAPI_URL}/api/search`);
         
-        // Call QuickAPI
+        // Call QuickAPI - ask for its event stream so per-store progress reaches our clients
         const response = await fetch(`${QUICKAPI_URL}/api/search`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': 'text/event-stream, application/json'
             },
+            // Batch jobs send the whole product list so QuickAPI reuses one session per store
             body: JSON.stringify({
-                product,
-                location
-            })
+                ...(job.products ? { products: job.products } : { product }),
+                location,
+                sites: job.sites || undefined,
+                fresh: job.fresh || undefined
+            }),
+            signal: fetchController.signal
         });
 
         if (!response.ok) {
             throw new Error(`QuickAPI request failed: ${response.status} ${response.statusText}`);
         }
 
-        const quickApiResult = await response.json();
+        let quickApiResult = null;
+        if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+            await readEventStream(response, ({ id, timestamp, type, ...details }) => {
+                if (type === 'search-started') {
+                    searchId = details.searchId;
+                } else if (type === 'result') {
+                    quickApiResult = details;
+                } else if (type === 'error') {
+                    quickApiResult = { success: false, ...details };
+                } else {
+                    jobEvents.publish(jobId, type, details);
+                }
+            });
+            if (!quickApiResult) {
+                throw new Error('QuickAPI stream ended without a result');
+            }
+        } else {
+            quickApiResult = await response.json();
+        }
+        signal?.removeEventListener('abort', cancelSearch);
         
         if (!quickApiResult.success) {
             throw new Error(quickApiResult.error || quickApiResult.message || 'QuickAPI request failed');
@@ -314,99 +736,79 @@ async function scrapeInBackground(jobId, product, location) {
         
         for (const result of results) {
             if (result.success) {
-                // Swiggy Instamart returns JSON data directly, not HTML
-                if (result.website === 'swiggy' && result.jsonData) {
+                // QuickAPI returns product JSON for every store
+                const products = result.products || result.jsonData?.products;
+                if (Array.isArray(products)) {
                     console.log(`Job ${jobId}: Processing ${result.website} JSON data...`);
-                    // Swiggy's JSON data is already in the correct format
-                    const swiggyData = {
-                        website: 'Swiggy Instamart',
-                        location: result.jsonData.location || location,
-                        products: (result.jsonData.products || []).map(p => ({
-                            name: p.name,
-                            price: p.price,
-                            mrp: p.mrp,
-                            discount: p.discount || null,
-                            discountAmount: p.discountAmount || null,
-                            isOutOfStock: p.isOutOfStock || false,
-                            imageUrl: p.imageUrl || p.image_url || null,
-                            productUrl: p.productUrl || p.product_url || p.url || null
-                        }))
-                    };
-                    if (swiggyData.products && swiggyData.products.length > 0) {
-                        console.log(`Job ${jobId}: ✅ Extracted ${swiggyData.products.length} product(s) from ${result.website}`);
-                        extractedData.push(swiggyData);
+                    // QuickAPI output is checked against the shared schema like adapter output
+                    const checked = validateProducts(products);
+                    if (checked.invalid.length > 0) {
+                        console.warn(`Job ${jobId}: ⚠️  ${checked.invalid.length} product(s) from ${result.website} failed validation`);
                     }
-                } else if (result.html && typeof result.html === 'string') {
-                    // Other websites return HTML, extract data from HTML
-                    console.log(`Job ${jobId}: Processing ${result.website} HTML...`);
-                    const extracted = await extractDataFromHtml(
-                        result.html, 
-                        result.website, 
-                        `${result.website}-${location.toLowerCase().replace(/\s+/g, '-')}-${product.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.html`
-                    );
-                    if (extracted && extracted.products && extracted.products.length > 0) {
-                        console.log(`Job ${jobId}: ✅ Extracted ${extracted.products.length} product(s) from ${result.website}`);
-                        extractedData.push(extracted);
-                    } else if (extracted) {
-                        extractedData.push(extracted);
+                    const siteData = {
+                        website: getDisplayName(result.website),
+                        location: result.location || result.jsonData?.location || location,
+                        products: checked.products,
+                        invalidProducts: [...(result.invalidProducts || result.jsonData?.invalidProducts || []), ...checked.invalid]
+                    };
+                    if (siteData.products.length > 0) {
+                        console.log(`Job ${jobId}: ✅ Extracted ${siteData.products.length} product(s) from ${result.website}`);
+                        extractedData.push(siteData);
                     }
                 }
             }
         }
 
-        // Update job with result
-        job.status = 'completed';
-        
         // Map extracted data to website results for frontend compatibility
         const websitesWithData = results.map(r => {
-            // Find matching extracted data
-            let extracted = null;
-            if (r.website === 'swiggy') {
-                extracted = extractedData.find(d => d.website?.toLowerCase().includes('swiggy'));
-            } else {
-                extracted = extractedData.find(d => 
-                    d.website?.toLowerCase() === r.website?.toLowerCase()
-                );
-            }
-            
-            // Normalize website names for frontend
-            let websiteName = r.website;
-            if (r.website === 'swiggy') {
-                websiteName = 'Swiggy Instamart';
-            } else if (r.website === 'jiomart') {
-                websiteName = 'JioMart';
-            } else if (r.website === 'naturesbasket') {
-                websiteName = "Nature's Basket";
-            } else if (r.website === 'dmart') {
-                websiteName = 'D-Mart';
-            }
+            // Find matching extracted data (extracted website names are display names)
+            const storeId = resolveStore(r.website)?.id;
+            const extracted = extractedData.find(d => resolveStore(d.website)?.id === storeId);
             
             return {
-                website: websiteName,
+                website: getDisplayName(r.website),
                 success: r.success,
+                status: r.status || (r.success ? 'success' : 'failed'),
                 error: r.error || null,
                 productCount: extracted?.products?.length || 0,
+                duration: r.duration ?? null,
+                attempts: r.attempts || [],
+                cached: r.cached || false,
+                cachedAt: r.cachedAt || null,
+                cacheAgeMs: r.cacheAgeMs ?? null,
+                invalidProducts: extracted?.invalidProducts || [],
                 data: extracted || null
             };
         });
         
-        job.result = {
+        const jobResult = {
             success: true,
             timestamp: timestamp,
             product: product,
             location: location,
             websites: websitesWithData,
             data: extractedData,
+            ...(job.products && { products: job.products, byProduct: quickApiResult.byProduct || [] }),
             summary: {
                 totalWebsites: results.length,
                 successful: results.filter(r => r.success).length,
                 failed: results.filter(r => !r.success).length,
+                timedOut: results.filter(r => r.status === 'timeout').length,
+                fromCache: results.filter(r => r.cached).length,
                 successCount: results.filter(r => r.success).length,
                 totalProducts: extractedData.reduce((sum, site) => sum + (site.products?.length || 0), 0),
+                invalidProducts: websitesWithData.reduce((sum, site) => sum + site.invalidProducts.length, 0),
                 totalDuration: ((Date.now() - new Date(job.createdAt).getTime()) / 1000).toFixed(2) + 's'
             }
         };
 
+        // Update job with result (a cancelled job keeps the stores that finished)
+        if (signal?.aborted) {
+            finishJob(jobId, { status: 'cancelled', error: 'Cancelled', result: jobResult });
+        } else {
+            finishJob(jobId, { status: 'completed', result: jobResult });
+        }
+
         // Save JSON output to file
         const jsonOutput = {
             product: product,
@@ -415,16 +817,7 @@ async function scrapeInBackground(jobId, product, location) {
             websites: extractedData.map(site => ({
                 website: site.website,
                 location: site.location,
-                products: (site.products || []).map(p => ({
-                    name: p.name,
-                    price: p.price,
-                    mrp: p.mrp,
-                    discount: p.discount || null,
-                    discountAmount: p.discountAmount || null,
-                    isOutOfStock: p.isOutOfStock || false,
-                    imageUrl: p.imageUrl || null,
-                    productUrl: p.productUrl || null
-                }))
+                products: (site.products || []).map(normalizeProduct)
             })),
             summary: job.result.summary
         };
@@ -436,16 +829,31 @@ async function scrapeInBackground(jobId, product, location) {
         }
 
         // Save JSON file
-        const jsonFilename = `${product.toLowerCase().replace(/\s+/g, '-')}-${location.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.json`;
+        const jsonFilename = `${product.toLowerCase().replace(/[\s,]+/g, '-')}-${location.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.json`;
         const jsonPath = join(outputDir, jsonFilename);
         writeFileSync(jsonPath, JSON.stringify(jsonOutput, null, 2), 'utf8');
         console.log(`Job ${jobId}: 📄 JSON saved to: ${jsonFilename}`);
 
-        console.log(`Job ${jobId}: ✅ Completed successfully`);
+        // Batch searches name their own product; cached stores were recorded when scraped
+        const recorded = priceHistory.recordResults({
+            query: job.products ? null : product,
+            location,
+            results,
+            timestamp,
+            source: jsonFilename
+        });
+        console.log(`Job ${jobId}: 📈 Recorded ${recorded} price observation(s)`);
+
+        console.log(`Job ${jobId}: ${signal?.aborted ? '🛑 Cancelled' : '✅ Completed successfully'}`);
     } catch (error) {
+        signal?.removeEventListener('abort', cancelSearch);
+        if (signal?.aborted) {
+            console.log(`Job ${jobId}: 🛑 Cancelled`);
+            finishJob(jobId, { status: 'cancelled', error: 'Cancelled' });
+            return;
+        }
         console.error(`Job ${jobId}: ❌ Error:`, error);
-        job.status = 'failed';
-        job.error = error.message;
+        finishJob(jobId, { status: 'failed', error: error.message });
     }
 }
 
@@ -457,6 +865,14 @@ app.get('*', (req, res) => {
     res.sendFile(join(__dirname, 'dist', 'index.html'));
 });
 
+// Clean up old jobs (keep last 100 finished jobs)
+setInterval(() => {
+    const removed = jobs.prune();
+    if (removed > 0) {
+        console.log(`Cleaned up ${removed} old jobs`);
+    }
+}, 60000);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
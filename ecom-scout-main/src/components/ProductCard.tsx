@@ -2,18 +2,23 @@ import { Plus, Check, ShoppingCart } from 'lucide-react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { Product, StoreName, STORES } from '@/types/product';
+import { Product, StoreName, formatUnitPrice, getStoreInfo } from '@/types/product';
 import { useShoppingList } from '@/context/ShoppingListContext';
+import { useStores } from '@/hooks/useStores';
+import { WatchButton } from '@/components/WatchButton';
 import { cn } from '@/lib/utils';
 
 interface ProductCardProps {
   productName: string;
   imageUrl: string | null;
   prices: Record<StoreName, Product | null>;
+  // Location the prices were found in; enables the watch button
+  location?: string;
 }
 
-export function ProductCard({ productName, imageUrl, prices }: ProductCardProps) {
+export function ProductCard({ productName, imageUrl, prices, location }: ProductCardProps) {
   const { addItem, isInList } = useShoppingList();
+  const stores = useStores();
   const inList = isInList(productName);
 
   // Find the cheapest available price
@@ -26,13 +31,12 @@ export function ProductCard({ productName, imageUrl, prices }: ProductCardProps)
     : null;
 
   const handleAddToList = () => {
-    const pricesMap: Record<StoreName, { price: number | null; isOutOfStock: boolean }> = {
-      dmart: { price: prices.dmart?.price ?? null, isOutOfStock: prices.dmart?.isOutOfStock ?? true },
-      jiomart: { price: prices.jiomart?.price ?? null, isOutOfStock: prices.jiomart?.isOutOfStock ?? true },
-      naturesbasket: { price: prices.naturesbasket?.price ?? null, isOutOfStock: prices.naturesbasket?.isOutOfStock ?? true },
-      zepto: { price: prices.zepto?.price ?? null, isOutOfStock: prices.zepto?.isOutOfStock ?? true },
-      swiggy: { price: prices.swiggy?.price ?? null, isOutOfStock: prices.swiggy?.isOutOfStock ?? true },
-    };
+    const pricesMap: Record<StoreName, { price: number | null; isOutOfStock: boolean }> = Object.fromEntries(
+      stores.map((store) => [
+        store.name,
+        { price: prices[store.name]?.price ?? null, isOutOfStock: prices[store.name]?.isOutOfStock ?? true },
+      ])
+    );
     
     addItem({
       productName,
@@ -59,7 +63,7 @@ export function ProductCard({ productName, imageUrl, prices }: ProductCardProps)
           </div>
         )}
         {cheapestPrice && (
-          <Badge className={cn("absolute top-2 right-2", STORES[cheapestPrice.store].bgClass)}>
+          <Badge className={cn("absolute top-2 right-2", getStoreInfo(cheapestPrice.store).bgClass)}>
             Best: ₹{cheapestPrice.price}
           </Badge>
         )}
@@ -71,20 +75,20 @@ export function ProductCard({ productName, imageUrl, prices }: ProductCardProps)
         
         {/* Price comparison grid */}
         <div className="space-y-1.5 mb-4">
-          {(Object.keys(STORES) as StoreName[]).map((store) => {
-            const product = prices[store];
-            const isCheapest = cheapestPrice?.store === store;
+          {stores.filter((store) => store.name in prices).map((store) => {
+            const product = prices[store.name];
+            const isCheapest = cheapestPrice?.store === store.name;
             
             return (
               <div 
-                key={store}
+                key={store.name}
                 className={cn(
                   "flex items-center justify-between text-xs py-1 px-2 rounded",
                   isCheapest ? "bg-primary/10" : "bg-muted/50"
                 )}
               >
                 <span className="font-medium text-muted-foreground">
-                  {STORES[store].displayName}
+                  {store.displayName}
                 </span>
                 <span className={cn(
                   "font-semibold",
@@ -92,31 +96,37 @@ export function ProductCard({ productName, imageUrl, prices }: ProductCardProps)
                   isCheapest ? "text-primary" : "text-foreground"
                 )}>
                   {product?.isOutOfStock ? 'Out of Stock' :
-                   product?.price !== null ? `₹${product.price}` : '—'}
+                   product?.price != null ? `₹${product.price}` : '—'}
+                  {product && !product.isOutOfStock && formatUnitPrice(product) && (
+                    <span className="ml-1 font-normal text-muted-foreground">({formatUnitPrice(product)})</span>
+                  )}
                 </span>
               </div>
             );
           })}
         </div>
 
-        <Button
-          onClick={handleAddToList}
-          variant={inList ? "secondary" : "default"}
-          className="w-full"
-          disabled={inList}
-        >
-          {inList ? (
-            <>
-              <Check className="h-4 w-4 mr-2" />
-              In List
-            </>
-          ) : (
-            <>
-              <Plus className="h-4 w-4 mr-2" />
-              Add to List
-            </>
-          )}
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            onClick={handleAddToList}
+            variant={inList ? "secondary" : "default"}
+            className="flex-1"
+            disabled={inList}
+          >
+            {inList ? (
+              <>
+                <Check className="h-4 w-4 mr-2" />
+                In List
+              </>
+            ) : (
+              <>
+                <Plus className="h-4 w-4 mr-2" />
+                Add to List
+              </>
+            )}
+          </Button>
+          {location && <WatchButton productName={productName} location={location} prices={prices} />}
+        </div>
       </CardContent>
     </Card>
   );
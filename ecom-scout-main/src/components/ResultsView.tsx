@@ -11,6 +11,8 @@ interface Product {
   imageUrl: string;
   productUrl: string;
   isOutOfStock: boolean;
+  // Price per kg, litre or piece (null when the pack size is unknown)
+  unitPrice?: number | null;
 }
 
 interface WebsiteResult {
@@ -38,6 +40,8 @@ interface ResultsData {
   websites: WebsiteResult[];
 }
 
+type SortOption = 'price' | 'unit-price' | 'discount';
+
 interface ResultsViewProps {
   results: ResultsData;
   onBack: () => void;
@@ -54,13 +58,14 @@ const ResultsView = ({ results, onBack }: ResultsViewProps) => {
   const [activeWebsite, setActiveWebsite] = useState<string | null>(
     results.websites.find((w) => w.success && w.data?.products?.length)?.website || null
   );
-  const [sortBy, setSortBy] = useState<'price' | 'discount'>('price');
+  const [sortBy, setSortBy] = useState<SortOption>('price');
 
   const activeData = results.websites.find((w) => w.website === activeWebsite);
   
   const sortedProducts = activeData?.data?.products
     ? [...activeData.data.products].sort((a, b) => {
         if (sortBy === 'price') return a.price - b.price;
+        if (sortBy === 'unit-price') return (a.unitPrice ?? Infinity) - (b.unitPrice ?? Infinity) || 0;
         return b.discount - a.discount;
       })
     : [];
@@ -194,10 +199,11 @@ const ResultsView = ({ results, onBack }: ResultsViewProps) => {
                   <span className="text-sm text-muted-foreground">Sort by:</span>
                   <select
                     value={sortBy}
-                    onChange={(e) => setSortBy(e.target.value as 'price' | 'discount')}
+                    onChange={(e) => setSortBy(e.target.value as SortOption)}
                     className="bg-secondary text-foreground text-sm px-3 py-1.5 rounded-lg border border-border focus:outline-none focus:ring-2 focus:ring-primary/50"
                   >
                     <option value="price">Price: Low to High</option>
+                    <option value="unit-price">Unit Price: Low to High</option>
                     <option value="discount">Discount: High to Low</option>
                   </select>
                 </div>
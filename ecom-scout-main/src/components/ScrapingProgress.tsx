@@ -1,15 +1,29 @@
-import { Check, Loader2, Clock } from 'lucide-react';
-import { STORES, StoreName } from '@/types/product';
+import { Check, Loader2, Clock, X } from 'lucide-react';
+import { useStores } from '@/hooks/useStores';
+import { StoreName, StoreProgress } from '@/types/product';
 import { cn } from '@/lib/utils';
 
 interface ScrapingProgressProps {
   status: 'queued' | 'processing' | 'completed' | 'failed';
+  queuePosition?: number | null;
+  storeProgress?: Record<StoreName, StoreProgress>;
+  // Stores being searched; undefined means every store
+  sites?: StoreName[];
 }
 
-export function ScrapingProgress({ status }: ScrapingProgressProps) {
-  const stores = Object.keys(STORES) as StoreName[];
+const STEP_LABELS: Record<NonNullable<StoreProgress['step']>, string> = {
+  'started': 'Opening store...',
+  'location-selected': 'Location set',
+  'search-submitted': 'Searching...',
+  'retrying': 'Retrying...',
+};
+
+export function ScrapingProgress({ status, queuePosition, storeProgress, sites }: ScrapingProgressProps) {
+  const allStores = useStores();
+  const stores = sites ? allStores.filter((store) => sites.includes(store.name)) : allStores;
   const isProcessing = status === 'processing';
   const isCompleted = status === 'completed';
+  const isQueued = status === 'queued' && !!queuePosition;
 
   return (
     <div className="w-full max-w-md mx-auto p-6 bg-card rounded-lg border animate-fade-in">
@@ -24,43 +38,63 @@ export function ScrapingProgress({ status }: ScrapingProgressProps) {
           </div>
         )}
         <h3 className="font-display font-semibold text-lg">
-          {isCompleted ? 'Search Complete!' : 'Searching stores...'}
+          {isCompleted ? 'Search Complete!' : isQueued ? 'Waiting in queue...' : 'Searching stores...'}
         </h3>
         <p className="text-sm text-muted-foreground mt-1">
           {isCompleted 
             ? 'Found the best prices for you'
-            : 'Comparing prices across 5 stores'}
+            : isQueued
+              ? `Position ${queuePosition} in line — your search starts when a slot frees up`
+              : `Comparing prices across ${stores.length} stores`}
         </p>
       </div>
 
       <div className="space-y-2">
-        {stores.map((store, index) => (
-          <div
-            key={store}
-            className={cn(
-              "flex items-center gap-3 p-3 rounded-lg transition-all duration-300",
-              isCompleted ? "bg-primary/5" : "bg-muted/50"
-            )}
-            style={{ animationDelay: `${index * 100}ms` }}
-          >
-            <div className={cn(
-              "w-8 h-8 rounded-full flex items-center justify-center text-xs font-bold text-white",
-              STORES[store].bgClass
-            )}>
-              {STORES[store].displayName.charAt(0)}
+        {stores.map((store, index) => {
+          const progress = storeProgress?.[store.name];
+          const storeDone = isCompleted || progress?.status === 'done';
+          const storeFailed = progress?.status === 'failed';
+          const storeRunning = progress ? progress.status === 'running' : isProcessing;
+
+          return (
+            <div
+              key={store.name}
+              className={cn(
+                "flex items-center gap-3 p-3 rounded-lg transition-all duration-300",
+                isCompleted ? "bg-primary/5" : "bg-muted/50"
+              )}
+              style={{ animationDelay: `${index * 100}ms` }}
+            >
+              <div className={cn(
+                "w-8 h-8 rounded-full flex items-center justify-center text-xs font-bold text-white",
+                store.bgClass
+              )}>
+                {store.displayName.charAt(0)}
+              </div>
+              <span className="flex-1 font-medium text-sm">
+                {store.displayName}
+              </span>
+              {progress && (
+                <span className="text-xs text-muted-foreground">
+                  {progress.status === 'done'
+                    ? `${progress.productCount ?? 0} products`
+                    : progress.status === 'failed'
+                      ? progress.timedOut ? 'Timed out' : 'Failed'
+                      : progress.step && STEP_LABELS[progress.step]}
+                </span>
+              )}
+              {storeFailed ? (
+                <X className="h-5 w-5 text-destructive" />
+              ) : storeDone ? (
+                <Check className="h-5 w-5 text-primary" />
+              ) : storeRunning ? (
+                <Loader2 className="h-5 w-5 text-primary animate-spin" />
+              ) : (
+                <Clock className="h-5 w-5 text-muted-foreground" />
+              )}
             </div>
-            <span className="flex-1 font-medium text-sm">
-              {STORES[store].displayName}
-            </span>
-            {isCompleted ? (
-              <Check className="h-5 w-5 text-primary" />
-            ) : isProcessing ? (
-              <Loader2 className="h-5 w-5 text-primary animate-spin" />
-            ) : (
-              <Clock className="h-5 w-5 text-muted-foreground" />
-            )}
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
@@ -2,53 +2,86 @@ import { useState } from 'react';
 import { Search } from 'lucide-react';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { useStores } from '@/hooks/useStores';
+import { StoreName } from '@/types/product';
 
 interface SearchBarProps {
-  onSearch: (query: string) => void;
+  // sites is undefined when every store is selected
+  onSearch: (query: string, sites?: StoreName[]) => void;
   isLoading?: boolean;
   placeholder?: string;
   defaultValue?: string;
+  defaultSites?: StoreName[];
 }
 
-export function SearchBar({ onSearch, isLoading, placeholder = "Search for groceries...", defaultValue = "" }: SearchBarProps) {
+export function SearchBar({ onSearch, isLoading, placeholder = "Search for groceries...", defaultValue = "", defaultSites }: SearchBarProps) {
   const [query, setQuery] = useState(defaultValue);
+  // null until the user toggles a store, so stores loaded from the API start selected
+  const [selectedSites, setSelectedSites] = useState<StoreName[] | null>(defaultSites?.length ? defaultSites : null);
+  const stores = useStores();
+
+  const activeSites = selectedSites ?? stores.map((store) => store.name);
+  const allSelected = stores.every((store) => activeSites.includes(store.name));
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    if (query.trim()) {
-      onSearch(query.trim());
+    if (query.trim() && activeSites.length > 0) {
+      onSearch(query.trim(), allSelected ? undefined : activeSites);
     }
   };
 
   return (
-    <form onSubmit={handleSubmit} className="flex gap-2 w-full">
-      <div className="relative flex-1">
-        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
-        <Input
-          type="text"
-          value={query}
-          onChange={(e) => setQuery(e.target.value)}
-          placeholder={placeholder}
-          className="pl-10 h-12 text-base bg-card border-border"
-          disabled={isLoading}
-        />
+    <form onSubmit={handleSubmit} className="w-full space-y-2">
+      <div className="flex gap-2 w-full">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+          <Input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={placeholder}
+            className="pl-10 h-12 text-base bg-card border-border"
+            disabled={isLoading}
+          />
+        </div>
+        <Button
+          type="submit"
+          size="lg"
+          disabled={!query.trim() || activeSites.length === 0 || isLoading}
+          className="h-12 px-6 font-semibold"
+        >
+          {isLoading ? (
+            <span className="flex items-center gap-2">
+              <span className="h-4 w-4 border-2 border-primary-foreground border-t-transparent rounded-full animate-spin" />
+              Searching
+            </span>
+          ) : (
+            'Search'
+          )}
+        </Button>
       </div>
-      <Button 
-        type="submit" 
-        size="lg" 
-        disabled={!query.trim() || isLoading}
-        className="h-12 px-6 font-semibold"
+
+      <ToggleGroup
+        type="multiple"
+        value={activeSites}
+        onValueChange={(sites) => setSelectedSites(sites)}
+        className="flex-wrap justify-start"
+        aria-label="Stores to search"
       >
-        {isLoading ? (
-          <span className="flex items-center gap-2">
-            <span className="h-4 w-4 border-2 border-primary-foreground border-t-transparent rounded-full animate-spin" />
-            Searching
-          </span>
-        ) : (
-          'Search'
-        )}
-      </Button>
+        {stores.map((store) => (
+          <ToggleGroupItem
+            key={store.name}
+            value={store.name}
+            size="sm"
+            variant="outline"
+            disabled={isLoading}
+            className="text-xs data-[state=on]:bg-primary/10 data-[state=on]:text-primary"
+          >
+            {store.displayName}
+          </ToggleGroupItem>
+        ))}
+      </ToggleGroup>
     </form>
   );
 }
-
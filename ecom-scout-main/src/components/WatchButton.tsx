@@ -0,0 +1,155 @@
+import { FormEvent, useId, useState } from 'react';
+import { Bell, BellRing } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useCreateWatch } from '@/hooks/useWatches';
+import { useStores } from '@/hooks/useStores';
+import { toast } from '@/hooks/use-toast';
+import { Product, StoreName } from '@/types/product';
+
+interface WatchButtonProps {
+  productName: string;
+  location: string;
+  prices: Record<StoreName, Product | null>;
+}
+
+export function WatchButton({ productName, location, prices }: WatchButtonProps) {
+  const stores = useStores().filter((store) => prices[store.name]);
+  const createWatch = useCreateWatch();
+  const [open, setOpen] = useState(false);
+  const [watched, setWatched] = useState<StoreName[]>([]);
+  const id = useId();
+
+  // Default to the store with the cheapest in-stock price, else the first listing
+  const cheapest = stores
+    .filter((store) => prices[store.name]?.price != null && !prices[store.name]?.isOutOfStock)
+    .sort((a, b) => prices[a.name]!.price! - prices[b.name]!.price!)[0];
+  const [store, setStore] = useState<StoreName | undefined>((cheapest ?? stores[0])?.name);
+  const product = store ? prices[store] : null;
+
+  const [belowPrice, setBelowPrice] = useState('');
+  const [dropPercent, setDropPercent] = useState('');
+  const [backInStock, setBackInStock] = useState(Boolean(product?.isOutOfStock));
+
+  if (stores.length === 0 || !store) {
+    return null;
+  }
+
+  const handleSubmit = (event: FormEvent) => {
+    event.preventDefault();
+    createWatch.mutate(
+      {
+        product: productName,
+        store,
+        location,
+        belowPrice: belowPrice ? Number(belowPrice) : undefined,
+        dropPercent: dropPercent ? Number(dropPercent) : undefined,
+        backInStock,
+        referencePrice: product && !product.isOutOfStock ? product.price ?? undefined : undefined,
+      },
+      {
+        onSuccess: () => {
+          setWatched((current) => [...current, store]);
+          setOpen(false);
+          toast({
+            title: 'Watching product',
+            description: `We'll let you know when ${productName} changes at ${stores.find((s) => s.name === store)?.displayName}`,
+          });
+        },
+        onError: (error) => {
+          toast({
+            title: "Couldn't create watch",
+            description: error.message,
+            variant: 'destructive',
+          });
+        },
+      }
+    );
+  };
+
+  const isWatching = watched.length > 0;
+  const hasCondition = Boolean(belowPrice || dropPercent || backInStock);
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="icon" aria-label="Watch price">
+          {isWatching ? <BellRing className="h-4 w-4 text-primary" /> : <Bell className="h-4 w-4" />}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div>
+            <h4 className="font-semibold text-sm">Watch this product</h4>
+            <p className="text-xs text-muted-foreground">Checked after every search in {location}</p>
+          </div>
+
+          <div className="space-y-1.5">
+            <Label htmlFor={`${id}-store`}>Store</Label>
+            <Select value={store} onValueChange={setStore}>
+              <SelectTrigger id={`${id}-store`}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {stores.map((option) => (
+                  <SelectItem key={option.name} value={option.name}>
+                    {option.displayName}
+                    {prices[option.name]?.price != null && ` (₹${prices[option.name]!.price})`}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1.5">
+              <Label htmlFor={`${id}-below`}>Below ₹</Label>
+              <Input
+                id={`${id}-below`}
+                type="number"
+                min="0"
+                step="any"
+                value={belowPrice}
+                onChange={(e) => setBelowPrice(e.target.value)}
+              />
+            </div>
+            <div className="space-y-1.5">
+              <Label htmlFor={`${id}-drop`}>Drops by %</Label>
+              <Input
+                id={`${id}-drop`}
+                type="number"
+                min="1"
+                max="99"
+                value={dropPercent}
+                onChange={(e) => setDropPercent(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id={`${id}-stock`}
+              checked={backInStock}
+              onCheckedChange={(checked) => setBackInStock(checked === true)}
+            />
+            <Label htmlFor={`${id}-stock`}>Back in stock</Label>
+          </div>
+
+          <Button type="submit" className="w-full" disabled={!hasCondition || createWatch.isPending}>
+            {createWatch.isPending ? 'Saving...' : watched.includes(store) ? 'Add another watch' : 'Watch'}
+          </Button>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -8,7 +8,7 @@ interface ShoppingListContextType {
   updateQuantity: (id: string, quantity: number) => void;
   clearList: () => void;
   isInList: (productName: string) => boolean;
-  getTotalByStore: () => Record<StoreName, { total: number; outOfStockCount: number }>;
+  getTotalByStore: (stores: StoreName[]) => Record<StoreName, { total: number; outOfStockCount: number }>;
 }
 
 const ShoppingListContext = createContext<ShoppingListContextType | undefined>(undefined);
@@ -62,8 +62,7 @@ export function ShoppingListProvider({ children }: { children: ReactNode }) {
     return items.some(item => item.productName.toLowerCase() === productName.toLowerCase());
   };
 
-  const getTotalByStore = (): Record<StoreName, { total: number; outOfStockCount: number }> => {
-    const stores: StoreName[] = ['dmart', 'jiomart', 'naturesbasket', 'zepto', 'swiggy'];
+  const getTotalByStore = (stores: StoreName[]): Record<StoreName, { total: number; outOfStockCount: number }> => {
     const totals = {} as Record<StoreName, { total: number; outOfStockCount: number }>;
     
     stores.forEach(store => {
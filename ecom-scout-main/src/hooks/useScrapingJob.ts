@@ -1,21 +1,62 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { ScrapingJob, StoreName, Product } from '@/types/product';
-
-const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:8080/api';
+import { API_BASE } from '@/config/api';
+import { ScrapingJob, StoreName, StoreProgress, Product, ProductGroup } from '@/types/product';
 
 interface UseScrapingJobReturn {
-  startScraping: (product: string, location: string) => Promise<void>;
+  startScraping: (product: string, location: string, sites?: StoreName[]) => Promise<void>;
   job: ScrapingJob | null;
   isLoading: boolean;
   error: string | null;
   reset: () => void;
 }
 
+interface JobEvent {
+  type: string;
+  website?: StoreName;
+  productCount?: number;
+  status?: string;
+  error?: string | null;
+  timeout?: boolean;
+}
+
+const STORE_EVENTS = ['site-started', 'location-selected', 'search-submitted', 'site-retry', 'products-extracted', 'site-failed'];
+
+function applyStoreEvent(progress: Record<StoreName, StoreProgress> = {}, event: JobEvent): Record<StoreName, StoreProgress> {
+  if (!event.website) return progress;
+  const current = progress[event.website] || { status: 'pending' };
+  let next: StoreProgress;
+
+  switch (event.type) {
+    case 'site-started':
+      next = { status: 'running', step: 'started' };
+      break;
+    case 'location-selected':
+    case 'search-submitted':
+      next = { ...current, status: 'running', step: event.type };
+      break;
+    case 'site-retry':
+      next = { ...current, status: 'running', step: 'retrying' };
+      break;
+    case 'products-extracted':
+      next = { status: 'done', productCount: event.productCount ?? 0 };
+      break;
+    case 'site-failed':
+      next = { status: 'failed', error: event.error || 'Failed', timedOut: event.timeout };
+      break;
+    default:
+      return progress;
+  }
+  return { ...progress, [event.website]: next };
+}
+
 export function useScrapingJob(): UseScrapingJobReturn {
   const [job, setJob] = useState<ScrapingJob | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const pollingRef = useRef<NodeJS.Timeout | null>(null);
+  const eventSourceRef = useRef<EventSource | null>(null);
+  // Job that is still queued or running on the server
+  const activeJobIdRef = useRef<string | null>(null);
 
   const stopPolling = useCallback(() => {
     if (pollingRef.current) {
@@ -24,110 +65,207 @@ export function useScrapingJob(): UseScrapingJobReturn {
     }
   }, []);
 
-  const reset = useCallback(() => {
+  const closeEvents = useCallback(() => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+  }, []);
+
+  const stopTracking = useCallback(() => {
     stopPolling();
+    closeEvents();
+  }, [stopPolling, closeEvents]);
+
+  // Cancel the unfinished job so the server closes its browsers
+  const cancelActiveJob = useCallback(() => {
+    const jobId = activeJobIdRef.current;
+    if (!jobId) return;
+    activeJobIdRef.current = null;
+    // keepalive lets the request finish while the page is unloading
+    fetch(`${API_BASE}/job/${jobId}`, { method: 'DELETE', keepalive: true }).catch(err => {
+      console.warn('Failed to cancel scraping job:', err);
+    });
+  }, []);
+
+  const reset = useCallback(() => {
+    stopTracking();
+    cancelActiveJob();
     setJob(null);
     setIsLoading(false);
     setError(null);
-  }, [stopPolling]);
+  }, [stopTracking, cancelActiveJob]);
+
+  const fetchResults = useCallback(async (jobId: string) => {
+    activeJobIdRef.current = null;
+    const resultsResponse = await fetch(`${API_BASE}/json/${jobId}`);
+    if (!resultsResponse.ok) {
+      throw new Error(`Failed to fetch results: ${resultsResponse.statusText}`);
+    }
+    const { results, groups } = await resultsResponse.json() as {
+      results: Record<StoreName, Product[] | null>;
+      groups: ProductGroup[];
+    };
+
+    console.log('📦 Fetched results from API:', results);
+
+    // Results are keyed by store id, one product list per registered store
+    const transformedResults: Record<StoreName, Product[]> = Object.fromEntries(
+      Object.entries(results).map(([store, products]) => [store, products || []])
+    );
+
+    console.log('✅ Transformed results:', transformedResults);
+    console.log('📊 Product counts:', Object.fromEntries(
+      Object.entries(transformedResults).map(([store, products]) => [store, products.length])
+    ));
+
+    setJob(prev => ({
+      ...prev,
+      jobId,
+      status: 'completed',
+      results: transformedResults,
+      groups,
+    }));
+    setIsLoading(false);
+  }, []);
+
+  const failJob = useCallback((jobId: string, message: string) => {
+    activeJobIdRef.current = null;
+    setJob(prev => ({
+      ...prev,
+      jobId,
+      status: 'failed',
+      error: message,
+    }));
+    setError(message);
+    setIsLoading(false);
+  }, []);
 
   const checkJobStatus = useCallback(async (jobId: string) => {
     try {
       const response = await fetch(`${API_BASE}/job/${jobId}`);
       const data = await response.json();
-      
+
       if (data.status === 'completed') {
         stopPolling();
-        // Fetch the results
-        const resultsResponse = await fetch(`${API_BASE}/json/${jobId}`);
-        if (!resultsResponse.ok) {
-          throw new Error(`Failed to fetch results: ${resultsResponse.statusText}`);
-        }
-        const results = await resultsResponse.json();
-        
-        console.log('📦 Fetched results from API:', results);
-        
-        // Transform results into our format
-        const transformedResults: Record<StoreName, Product[]> = {
-          dmart: results.dmart || [],
-          jiomart: results.jiomart || [],
-          naturesbasket: results.naturesbasket || [],
-          zepto: results.zepto || [],
-          swiggy: results.swiggy || [],
-        };
-        
-        console.log('✅ Transformed results:', transformedResults);
-        console.log('📊 Product counts:', {
-          dmart: transformedResults.dmart.length,
-          jiomart: transformedResults.jiomart.length,
-          naturesbasket: transformedResults.naturesbasket.length,
-          zepto: transformedResults.zepto.length,
-          swiggy: transformedResults.swiggy.length,
-        });
-        
-        setJob({
-          jobId,
-          status: 'completed',
-          results: transformedResults,
-        });
-        setIsLoading(false);
-      } else if (data.status === 'failed') {
+        await fetchResults(jobId);
+      } else if (data.status === 'failed' || data.status === 'interrupted' || data.status === 'cancelled') {
+        // Interrupted jobs were cut off by a server restart and will not resume
         stopPolling();
-        setJob({
-          jobId,
-          status: 'failed',
-          error: data.error || 'Scraping failed',
-        });
-        setError(data.error || 'Scraping failed');
-        setIsLoading(false);
+        failJob(jobId, data.error || 'Scraping failed');
       } else {
         setJob(prev => ({
           ...(prev || { jobId }),
           jobId,
           status: data.status,
+          queuePosition: data.queuePosition ?? null,
         }));
       }
     } catch (err) {
       console.error('Error checking job status:', err);
     }
-  }, [stopPolling]);
+  }, [stopPolling, fetchResults, failJob]);
+
+  const startPolling = useCallback((jobId: string) => {
+    stopPolling();
+    pollingRef.current = setInterval(() => {
+      checkJobStatus(jobId);
+    }, 2000);
+  }, [stopPolling, checkJobStatus]);
+
+  // Live progress over SSE, falling back to polling if the stream is unavailable
+  const subscribeToEvents = useCallback((jobId: string) => {
+    if (typeof EventSource === 'undefined') {
+      startPolling(jobId);
+      return;
+    }
+
+    const source = new EventSource(`${API_BASE}/job/${jobId}/events`);
+    eventSourceRef.current = source;
+
+    const onStoreEvent = (message: MessageEvent) => {
+      const event: JobEvent = JSON.parse(message.data);
+      setJob(prev => ({
+        ...(prev || { jobId }),
+        jobId,
+        status: 'processing',
+        queuePosition: null,
+        storeProgress: applyStoreEvent(prev?.storeProgress, event),
+      }));
+    };
+    STORE_EVENTS.forEach(type => source.addEventListener(type, onStoreEvent));
+
+    source.addEventListener('job-started', () => {
+      setJob(prev => ({ ...(prev || { jobId }), jobId, status: 'processing', queuePosition: null }));
+    });
 
-  const startScraping = useCallback(async (product: string, location: string) => {
+    source.addEventListener('job-completed', (message: MessageEvent) => {
+      const event: JobEvent = JSON.parse(message.data);
+      closeEvents();
+      if (event.status === 'completed') {
+        fetchResults(jobId).catch(err => {
+          failJob(jobId, err instanceof Error ? err.message : 'Failed to fetch results');
+        });
+      } else {
+        failJob(jobId, event.error || 'Scraping failed');
+      }
+    });
+
+    source.onerror = () => {
+      // Stream dropped before the job finished - keep tracking by polling
+      if (eventSourceRef.current === source) {
+        console.warn('Job event stream unavailable, falling back to polling');
+        closeEvents();
+        startPolling(jobId);
+      }
+    };
+  }, [startPolling, closeEvents, fetchResults, failJob]);
+
+  const startScraping = useCallback(async (product: string, location: string, sites?: StoreName[]) => {
     reset();
     setIsLoading(true);
     setError(null);
 
     try {
       const params = new URLSearchParams({ product, location });
+      if (sites?.length) {
+        params.set('sites', sites.join(','));
+      }
       const response = await fetch(`${API_BASE}/scrape?${params}`);
-      
+
       if (!response.ok) {
         throw new Error('Failed to start scraping job');
       }
-      
+
       const data = await response.json();
       const jobId = data.jobId;
-      
+      activeJobIdRef.current = jobId;
+
       setJob({
         jobId,
         status: 'queued',
+        queuePosition: data.queuePosition ?? null,
       });
-      
-      // Start polling for status
-      pollingRef.current = setInterval(() => {
-        checkJobStatus(jobId);
-      }, 2000);
-      
+
+      // Follow progress on the event stream (polls if streaming fails)
+      subscribeToEvents(jobId);
+
     } catch (err) {
       const message = err instanceof Error ? err.message : 'Failed to start scraping';
       setError(message);
       setIsLoading(false);
     }
-  }, [reset, checkJobStatus]);
+  }, [reset, subscribeToEvents]);
 
+  // Leaving the page abandons the search - stop it instead of letting it run on
   useEffect(() => {
-    return () => stopPolling();
-  }, [stopPolling]);
+    window.addEventListener('pagehide', cancelActiveJob);
+    return () => {
+      window.removeEventListener('pagehide', cancelActiveJob);
+      stopTracking();
+      cancelActiveJob();
+    };
+  }, [stopTracking, cancelActiveJob]);
 
   return {
     startScraping,
@@ -137,4 +275,3 @@ export function useScrapingJob(): UseScrapingJobReturn {
     reset,
   };
 }
-
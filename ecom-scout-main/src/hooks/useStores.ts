@@ -0,0 +1,31 @@
+import { useQuery } from '@tanstack/react-query';
+import { API_BASE } from '@/config/api';
+import { DEFAULT_STORES, StoreInfo, getStoreInfo } from '@/types/product';
+
+interface RegistryStore {
+  id: string;
+  displayName: string;
+}
+
+async function fetchStores(): Promise<StoreInfo[]> {
+  const response = await fetch(`${API_BASE}/websites`);
+  if (!response.ok) {
+    throw new Error(`Failed to load stores: ${response.statusText}`);
+  }
+  const data: { websites: RegistryStore[] } = await response.json();
+  return data.websites.map((store) => getStoreInfo(store.id, store.displayName));
+}
+
+/**
+ * Stores supported by the backend's store registry.
+ * Falls back to the built-in list while loading or when the API is unreachable.
+ */
+export function useStores(): StoreInfo[] {
+  const { data } = useQuery({
+    queryKey: ['stores'],
+    queryFn: fetchStores,
+    staleTime: Infinity,
+  });
+
+  return data ?? DEFAULT_STORES;
+}
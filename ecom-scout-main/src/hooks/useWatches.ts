@@ -0,0 +1,24 @@
+import { useMutation } from '@tanstack/react-query';
+import { API_BASE } from '@/config/api';
+import { Watch, WatchRequest } from '@/types/product';
+
+async function createWatch(request: WatchRequest): Promise<Watch> {
+  const response = await fetch(`${API_BASE}/watches`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || data.error || `Failed to create watch: ${response.statusText}`);
+  }
+  return data.watch;
+}
+
+/**
+ * Create a price/stock watch. Notifications go to the backend's log sink
+ * unless the watch is given other channels through the API.
+ */
+export function useCreateWatch() {
+  return useMutation({ mutationFn: createWatch });
+}
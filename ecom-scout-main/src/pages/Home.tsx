@@ -4,13 +4,19 @@ import { ShoppingBag, TrendingDown, Clock, Store } from 'lucide-react';
 import { SearchBar } from '@/components/SearchBar';
 import { LocationSelector } from '@/components/LocationSelector';
 import { CategoryChips } from '@/components/CategoryChips';
+import { useStores } from '@/hooks/useStores';
+import { StoreName } from '@/types/product';
 
 export default function Home() {
   const navigate = useNavigate();
   const [location, setLocation] = useState('RT Nagar');
+  const stores = useStores();
 
-  const handleSearch = (query: string) => {
+  const handleSearch = (query: string, sites?: StoreName[]) => {
     const params = new URLSearchParams({ q: query, loc: location });
+    if (sites) {
+      params.set('sites', sites.join(','));
+    }
     navigate(`/search?${params}`);
   };
 
@@ -95,18 +101,12 @@ export default function Home() {
             Comparing prices from
           </p>
           <div className="flex flex-wrap items-center justify-center gap-6">
-            {[
-              { name: 'DMart', class: 'bg-orange-500' },
-              { name: 'JioMart', class: 'bg-blue-500' },
-              { name: "Nature's Basket", class: 'bg-green-600' },
-              { name: 'Zepto', class: 'bg-purple-500' },
-              { name: 'Swiggy', class: 'bg-orange-600' },
-            ].map((store) => (
+            {stores.map((store) => (
               <div
                 key={store.name}
-                className={`${store.class} text-white px-4 py-2 rounded-lg font-semibold text-sm`}
+                className={`${store.bgClass} text-white px-4 py-2 rounded-lg font-semibold text-sm`}
               >
-                {store.name}
+                {store.displayName}
               </div>
             ))}
           </div>
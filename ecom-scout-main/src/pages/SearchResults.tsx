@@ -15,11 +15,13 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { useScrapingJob } from '@/hooks/useScrapingJob';
-import { Product, StoreName, STORES } from '@/types/product';
+import { useStores } from '@/hooks/useStores';
+import { Product, StoreName } from '@/types/product';
 
-type SortOption = 'price-asc' | 'price-desc' | 'discount';
+type SortOption = 'price-asc' | 'price-desc' | 'unit-price' | 'discount';
 
 interface AggregatedProduct {
+  id: string;
   name: string;
   imageUrl: string | null;
   prices: Record<StoreName, Product | null>;
@@ -30,73 +32,78 @@ export default function SearchResults() {
   const navigate = useNavigate();
   const query = searchParams.get('q') || '';
   const locationParam = searchParams.get('loc') || 'RT Nagar';
+  // Comma-separated store ids; absent means every store
+  const sitesParam = searchParams.get('sites') || '';
+  const sites = useMemo<StoreName[] | undefined>(
+    () => (sitesParam ? sitesParam.split(',') : undefined),
+    [sitesParam]
+  );
   
   const [location, setLocation] = useState(locationParam);
   const [sortBy, setSortBy] = useState<SortOption>('price-asc');
   const [showInStockOnly, setShowInStockOnly] = useState(false);
   
   const { startScraping, job, isLoading, error } = useScrapingJob();
+  const allStores = useStores();
+  const stores = useMemo(
+    () => (sites ? allStores.filter((store) => sites.includes(store.name)) : allStores),
+    [allStores, sites]
+  );
 
   useEffect(() => {
     if (query) {
-      startScraping(query, location);
+      startScraping(query, location, sites);
+    }
+  }, [query, location, sites]);
+
+  const searchUrl = (newQuery: string, newLocation: string, newSites?: StoreName[]) => {
+    const params = new URLSearchParams({ q: newQuery, loc: newLocation });
+    if (newSites) {
+      params.set('sites', newSites.join(','));
     }
-  }, [query, location]);
+    return `/search?${params}`;
+  };
 
-  const handleSearch = (newQuery: string) => {
-    const params = new URLSearchParams({ q: newQuery, loc: location });
-    navigate(`/search?${params}`);
+  const handleSearch = (newQuery: string, newSites?: StoreName[]) => {
+    navigate(searchUrl(newQuery, location, newSites));
   };
 
   const handleLocationChange = (newLocation: string) => {
     setLocation(newLocation);
     if (query) {
-      const params = new URLSearchParams({ q: query, loc: newLocation });
-      navigate(`/search?${params}`);
+      navigate(searchUrl(query, newLocation, sites));
     }
   };
 
-  // Aggregate products from all stores
+  // One row per canonical product, matched across stores by the backend
   const aggregatedProducts = useMemo<AggregatedProduct[]>(() => {
-    if (!job?.results) {
+    if (!job?.groups) {
       console.log('⚠️ No job results available');
       return [];
     }
 
-    console.log('🔄 Aggregating products from job results:', job.results);
-    const productMap = new Map<string, AggregatedProduct>();
-
-    (Object.keys(STORES) as StoreName[]).forEach((store) => {
-      const products = job.results![store] || [];
-      products.forEach((product) => {
-        const normalizedName = product.name.toLowerCase().trim();
-        
-        if (!productMap.has(normalizedName)) {
-          productMap.set(normalizedName, {
-            name: product.name,
-            imageUrl: product.imageUrl,
-            prices: {
-              dmart: null,
-              jiomart: null,
-              naturesbasket: null,
-              zepto: null,
-              swiggy: null,
-            },
-          });
-        }
-        
-        const existing = productMap.get(normalizedName)!;
-        existing.prices[store] = product;
-        if (!existing.imageUrl && product.imageUrl) {
-          existing.imageUrl = product.imageUrl;
-        }
-      });
-    });
+    console.log('🔄 Aggregating products from matched groups:', job.groups);
+    const storeNames = stores.map((s) => s.name);
+
+    const aggregated = job.groups
+      .map((group) => ({
+        ...group,
+        listings: group.listings.filter((listing) => storeNames.includes(listing.store)),
+      }))
+      .filter((group) => group.listings.length > 0)
+      .map((group) => ({
+        id: group.id,
+        name: group.name,
+        imageUrl: group.imageUrl,
+        prices: {
+          ...Object.fromEntries(storeNames.map((store) => [store, null])),
+          ...Object.fromEntries(group.listings.map((listing) => [listing.store, listing.product])),
+        },
+      }));
 
-    const aggregated = Array.from(productMap.values());
     console.log(`✅ Aggregated ${aggregated.length} unique products`);
     return aggregated;
-  }, [job?.results]);
+  }, [job?.groups, stores]);
 
   // Filter and sort products
   const filteredProducts = useMemo(() => {
@@ -116,6 +123,14 @@ export default function SearchResults() {
         return prices.length > 0 ? Math.min(...prices) : Infinity;
       };
 
+      // Cheapest price per kg / litre / piece; products without a pack size go last
+      const getMinUnitPrice = (p: AggregatedProduct) => {
+        const unitPrices = Object.values(p.prices)
+          .filter((price) => price && !price.isOutOfStock && price.unitPrice != null)
+          .map((price) => price!.unitPrice!);
+        return unitPrices.length > 0 ? Math.min(...unitPrices) : Infinity;
+      };
+
       const getMaxDiscount = (p: AggregatedProduct) => {
         const discounts = Object.values(p.prices)
           .filter((price) => price && price.discount !== null)
@@ -128,6 +143,10 @@ export default function SearchResults() {
           return getMinPrice(a) - getMinPrice(b);
         case 'price-desc':
           return getMinPrice(b) - getMinPrice(a);
+        case 'unit-price': {
+          const [unitA, unitB] = [getMinUnitPrice(a), getMinUnitPrice(b)];
+          return unitA === unitB ? 0 : unitA - unitB;
+        }
         case 'discount':
           return getMaxDiscount(b) - getMaxDiscount(a);
         default:
@@ -152,6 +171,7 @@ export default function SearchResults() {
                 onSearch={handleSearch} 
                 isLoading={isSearching}
                 defaultValue={query}
+                defaultSites={sites}
               />
             </div>
           </div>
@@ -162,7 +182,7 @@ export default function SearchResults() {
         {/* Loading State */}
         {isSearching && job && (
           <div className="flex items-center justify-center py-12">
-            <ScrapingProgress status={job.status} />
+            <ScrapingProgress status={job.status} queuePosition={job.queuePosition} storeProgress={job.storeProgress} sites={sites} />
           </div>
         )}
 
@@ -170,7 +190,7 @@ export default function SearchResults() {
         {error && (
           <div className="text-center py-12">
             <p className="text-destructive mb-4">{error}</p>
-            <Button onClick={() => startScraping(query, location)}>Try Again</Button>
+            <Button onClick={() => startScraping(query, location, sites)}>Try Again</Button>
           </div>
         )}
 
@@ -201,6 +221,7 @@ export default function SearchResults() {
                   <SelectContent className="bg-popover">
                     <SelectItem value="price-asc">Price: Low to High</SelectItem>
                     <SelectItem value="price-desc">Price: High to Low</SelectItem>
+                    <SelectItem value="unit-price">Unit Price: Low to High</SelectItem>
                     <SelectItem value="discount">Best Discount</SelectItem>
                   </SelectContent>
                 </Select>
@@ -210,12 +231,13 @@ export default function SearchResults() {
             {/* Product Grid */}
             {filteredProducts.length > 0 ? (
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-                {filteredProducts.map((product, index) => (
+                {filteredProducts.map((product) => (
                   <ProductCard
-                    key={`${product.name}-${index}`}
+                    key={product.id}
                     productName={product.name}
                     imageUrl={product.imageUrl}
                     prices={product.prices}
+                    location={location}
                   />
                 ))}
               </div>
@@ -4,13 +4,15 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { useShoppingList } from '@/context/ShoppingListContext';
-import { STORES, StoreName } from '@/types/product';
+import { getStoreInfo } from '@/types/product';
+import { useStores } from '@/hooks/useStores';
 import { cn } from '@/lib/utils';
 import { toast } from '@/hooks/use-toast';
 
 export default function ShoppingList() {
   const { items, removeItem, updateQuantity, clearList, getTotalByStore } = useShoppingList();
-  const storeTotals = getTotalByStore();
+  const stores = useStores();
+  const storeTotals = getTotalByStore(stores.map((store) => store.name));
 
   // Find the cheapest store
   const cheapestStore = Object.entries(storeTotals)
@@ -115,18 +117,18 @@ export default function ShoppingList() {
                       
                       {/* Price comparison inline */}
                       <div className="flex flex-wrap gap-1">
-                        {(Object.keys(STORES) as StoreName[]).map((store) => {
-                          const price = item.prices[store];
+                        {stores.map((store) => {
+                          const price = item.prices[store.name];
                           return (
                             <Badge
-                              key={store}
+                              key={store.name}
                               variant="secondary"
                               className={cn(
                                 "text-xs",
                                 price?.isOutOfStock && "opacity-50"
                               )}
                             >
-                              {STORES[store].displayName.split(' ')[0]}: {
+                              {store.displayName.split(' ')[0]}: {
                                 price?.isOutOfStock ? 'N/A' :
                                 price?.price !== null ? `₹${price.price}` : '—'
                               }
@@ -181,13 +183,13 @@ export default function ShoppingList() {
                 <CardTitle className="text-lg">Store Comparison</CardTitle>
               </CardHeader>
               <CardContent className="space-y-3">
-                {(Object.keys(STORES) as StoreName[]).map((store) => {
-                  const data = storeTotals[store];
-                  const isCheapest = cheapestStore?.[0] === store;
+                {stores.map((store) => {
+                  const data = storeTotals[store.name];
+                  const isCheapest = cheapestStore?.[0] === store.name;
                   
                   return (
                     <div
-                      key={store}
+                      key={store.name}
                       className={cn(
                         "p-3 rounded-lg border transition-all",
                         isCheapest ? "border-primary bg-primary/5" : "border-border"
@@ -197,12 +199,12 @@ export default function ShoppingList() {
                         <div className="flex items-center gap-2">
                           <div className={cn(
                             "w-6 h-6 rounded flex items-center justify-center text-xs font-bold text-white",
-                            STORES[store].bgClass
+                            store.bgClass
                           )}>
-                            {STORES[store].displayName.charAt(0)}
+                            {store.displayName.charAt(0)}
                           </div>
                           <span className="font-medium text-sm">
-                            {STORES[store].displayName}
+                            {store.displayName}
                           </span>
                         </div>
                         {isCheapest && (
@@ -238,7 +240,7 @@ export default function ShoppingList() {
                     You save the most at
                   </p>
                   <p className="font-display font-bold text-xl text-primary">
-                    {STORES[cheapestStore[0] as StoreName].displayName}
+                    {getStoreInfo(cheapestStore[0]).displayName}
                   </p>
                   <p className="text-2xl font-bold mt-2">
                     ₹{cheapestStore[1].total.toFixed(0)}
@@ -1,12 +1,12 @@
-export interface Product {
-  name: string;
-  price: number | null;
-  mrp: number | null;
-  discount: number | null;
-  discountAmount: number | null;
-  isOutOfStock: boolean;
-  imageUrl: string | null;
-  productUrl: string | null;
+// Product, PackUnit and ProductGroup come from the backend schema (product-schema.js)
+import type { Product, ProductGroup } from './schema.generated';
+
+export type { Product, PackUnit, ProductGroup, InvalidProduct, JobResult } from './schema.generated';
+
+// "₹54/l" - null when the pack size is unknown
+export function formatUnitPrice(product: Pick<Product, 'unit' | 'unitPrice'>): string | null {
+  if (product.unitPrice == null || !product.unit) return null;
+  return `₹${product.unitPrice}/${product.unit === 'pcs' ? 'pc' : product.unit}`;
 }
 
 export interface StoreProducts {
@@ -16,7 +16,8 @@ export interface StoreProducts {
   error?: string;
 }
 
-export type StoreName = 'dmart' | 'jiomart' | 'naturesbasket' | 'zepto' | 'swiggy';
+// Store ids come from the backend's store registry (GET /api/websites)
+export type StoreName = string;
 
 export interface StoreInfo {
   name: StoreName;
@@ -25,6 +26,7 @@ export interface StoreInfo {
   bgClass: string;
 }
 
+// Styling for known stores, also used as the store list until the registry has loaded
 export const STORES: Record<StoreName, StoreInfo> = {
   dmart: { name: 'dmart', displayName: 'DMart', color: 'store-dmart', bgClass: 'store-badge-dmart' },
   jiomart: { name: 'jiomart', displayName: 'JioMart', color: 'store-jiomart', bgClass: 'store-badge-jiomart' },
@@ -33,6 +35,16 @@ export const STORES: Record<StoreName, StoreInfo> = {
   swiggy: { name: 'swiggy', displayName: 'Swiggy Instamart', color: 'store-swiggy', bgClass: 'store-badge-swiggy' },
 };
 
+export const DEFAULT_STORES: StoreInfo[] = Object.values(STORES);
+
+export function getStoreInfo(name: StoreName, displayName?: string): StoreInfo {
+  const known = STORES[name];
+  if (known) {
+    return displayName ? { ...known, displayName } : known;
+  }
+  return { name, displayName: displayName || name, color: 'primary', bgClass: 'bg-primary' };
+}
+
 export interface ShoppingListItem {
   id: string;
   productName: string;
@@ -41,10 +53,43 @@ export interface ShoppingListItem {
   prices: Record<StoreName, { price: number | null; isOutOfStock: boolean }>;
 }
 
+// Per-store progress reported by the job event stream
+export interface StoreProgress {
+  status: 'pending' | 'running' | 'done' | 'failed';
+  step?: 'started' | 'location-selected' | 'search-submitted' | 'retrying';
+  productCount?: number;
+  error?: string;
+  timedOut?: boolean;
+}
+
 export interface ScrapingJob {
   jobId: string;
   status: 'queued' | 'processing' | 'completed' | 'failed';
+  queuePosition?: number | null;
+  storeProgress?: Record<StoreName, StoreProgress>;
   results?: Record<StoreName, Product[]>;
+  groups?: ProductGroup[];
   error?: string;
 }
 
+
+// Price-drop / back-in-stock watch, created with POST /api/watches
+export interface WatchRequest {
+  product: string;
+  store: StoreName;
+  location: string;
+  belowPrice?: number;
+  dropPercent?: number;
+  backInStock?: boolean;
+  referencePrice?: number;
+}
+
+export interface Watch extends Required<Pick<WatchRequest, 'product' | 'store' | 'location'>> {
+  id: string;
+  belowPrice: number | null;
+  dropPercent: number | null;
+  backInStock: boolean;
+  enabled: boolean;
+  referencePrice: number | null;
+  createdAt: string;
+}
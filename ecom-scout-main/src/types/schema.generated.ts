@@ -0,0 +1,67 @@
+// Generated from product-schema.js - do not edit by hand.
+// Regenerate with: npm run schema:types
+
+export type PackUnit = 'kg' | 'l' | 'pcs';
+
+export interface Product {
+  name: string;
+  price: number | null;
+  mrp: number | null;
+  discount: number | null;
+  discountAmount: number | null;
+  isOutOfStock: boolean;
+  // Product image URL (absolute)
+  imageUrl: string | null;
+  // Product page URL (absolute)
+  productUrl: string | null;
+  // Pack size in `unit` (see pack-size.js)
+  quantity: number | null;
+  unit: PackUnit | null;
+  // Price per kg, litre or piece
+  unitPrice: number | null;
+  // See brand-extractor.js
+  brand: string | null;
+  // Flavour and/or pack size, e.g. "Magic Masala, 52 g"
+  variant: string | null;
+}
+
+export interface InvalidProduct {
+  index: number;
+  name: string | null;
+  // Search the record came from (batch jobs)
+  product?: string;
+  issues: string[];
+}
+
+export interface ProductGroup {
+  id: string;
+  name: string;
+  brand: string | null;
+  quantity: number | null;
+  unit: PackUnit | null;
+  imageUrl: string | null;
+  // Lowest match score between two listings (null when only one store lists it)
+  confidence: number | null;
+  listings: {
+    store: string;
+    score: number | null;
+    product: Product;
+  }[];
+}
+
+export interface WebsiteProducts {
+  website: string;
+  location?: string | null;
+  // extraction.js version that parsed the page
+  parserVersion: string;
+  products: Product[];
+}
+
+export interface JobResult {
+  product: string;
+  location: string;
+  timestamp: string;
+  websites: WebsiteProducts[];
+  groups: ProductGroup[];
+  summary?: Record<string, unknown>;
+}
@@ -0,0 +1,425 @@
+import * as cheerio from 'cheerio';
+import { extractProducts, extractLocation, absoluteUrl } from './selector-engine.js';
+import { addPackSizes } from './pack-size.js';
+import { addBrands } from './brand-extractor.js';
+import { validateProducts } from './product-schema.js';
+import { storeBaseUrl } from './store-urls.js';
+
+/**
+ * Product Extraction
+ *
+ * The one parser for search results pages, live or saved. The live parsers
+ * (parseDmartProducts, parseJioMartProducts, parseNaturesBasketProducts,
+ * parseZeptoProducts, parseInstamartProducts), the saved-page tools
+ * (html-data-selector.js, unified-html-parser.js) and the orchestrator's
+ * extractDataFromHtml are thin wrappers around extract():
+ *
+ *   extract(html, store, context) -> {
+ *     store: string,              // dmart, jiomart, naturesbasket, zepto or swiggy
+ *     website: string,            // Display name
+ *     location: string | null,    // context.location, else read from the page, else from the filename
+ *     products: Product[],        // Canonical products (product-schema.js), unique by name
+ *     invalidProducts: Array,     // Extracted records that failed validation
+ *     totalProducts: number,
+ *     parserVersion: string,      // PARSER_VERSION
+ *     filename?: string
+ *   }
+ *
+ *   context: {
+ *     filename?: string,          // Saved page name (also read for the city)
+ *     location?: string,          // Location the page was loaded for, when the caller knows it
+ *     productUrlsMap?: Object     // Product name -> URL collected in the browser, for cards without a link
+ *   }
+ *
+ * extractJson(data, store, context) reads the page data of D-Mart (Next.js)
+ * and Swiggy Instamart (initial state) on its own, e.g. from a JSON snapshot.
+ *
+ * Product cards and the page's location are read with each store's selector
+ * config (selectors/<store>.json); D-Mart and Swiggy Instamart pages are read
+ * from their embedded JSON first. Bump PARSER_VERSION whenever a change here
+ * alters what a page extracts to.
+ */
+
+const PARSER_VERSION = '2.0.0';
+
+// Product records in embedded JSON (Next.js data, Swiggy's initial state)
+const JSON_NAME_KEYS = ['name', 'title', 'productName', 'displayName', 'display_name', 'itemName', 'productTitle', 'product_name'];
+const JSON_PRICE_KEYS = ['price', 'sellingPrice', 'finalPrice', 'dmartPrice', 'offerPrice'];
+const JSON_MRP_KEYS = ['mrp', 'listPrice', 'originalPrice'];
+const JSON_IMAGE_KEYS = ['image', 'imageUrl', 'img', 'photo', 'picture', 'productImage', 'productImageUrl', 'thumbnail', 'thumbnailUrl', 'images', 'media'];
+const JSON_URL_KEYS = ['productUrl', 'url', 'link', 'href', 'productLink'];
+const JSON_CONTAINER_KEYS = /product|item|search|listing|result|data|props/i;
+const LABEL_NAMES = /^(MRP|DMart|Price|₹|Rs|INR|Rupees|Add to Cart|Buy Now|View Details|Out of Stock|In Stock|Available|Unavailable)$/i;
+
+const CITIES = /(mumbai|delhi|chennai|bangalore|bengaluru|hyderabad|pune|kolkata|ahmedabad|rt\s*nagar|rtnagar)/i;
+
+function toAmount(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const amount = parseFloat(value.replace(/[^\d.]/g, ''));
+  return isNaN(amount) ? null : amount;
+}
+
+function firstValue(item, keys) {
+  const key = keys.find(candidate => item[candidate] !== undefined && item[candidate] !== null && item[candidate] !== '');
+  return key ? item[key] : null;
+}
+
+/**
+ * URL of an image value: a string, a list of images or { url | src | image | original }
+ */
+function imageOf(value) {
+  if (Array.isArray(value)) return imageOf(value[0]);
+  if (value && typeof value === 'object') {
+    return imageOf(value.url || value.src || value.image || value.original || value.secure_url || null);
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Product from a JSON record, or null when it does not look like one
+ */
+function jsonProduct(item, baseUrl) {
+  const rawName = firstValue(item, JSON_NAME_KEYS);
+  if (typeof rawName !== 'string') return null;
+  const name = rawName.trim();
+  if (name.length < 5 || LABEL_NAMES.test(name) || /^[\d\s₹\-.,]+$/.test(name)) return null;
+
+  const price = toAmount(firstValue(item, JSON_PRICE_KEYS));
+  const mrp = toAmount(firstValue(item, JSON_MRP_KEYS));
+  if (price === null && mrp === null) return null;
+
+  const discountAmount = mrp && price ? mrp - price : null;
+  const url = firstValue(item, JSON_URL_KEYS) || (typeof item.slug === 'string' ? `/${item.slug}` : null);
+  return {
+    name,
+    price,
+    mrp,
+    discount: discountAmount,
+    discountAmount,
+    isOutOfStock: Boolean(item.isOutOfStock || item.outOfStock || item.inStock === false),
+    imageUrl: absoluteUrl(imageOf(firstValue(item, JSON_IMAGE_KEYS) ?? item.product?.image ?? null), baseUrl),
+    productUrl: typeof url === 'string' ? absoluteUrl(url, baseUrl) : null
+  };
+}
+
+/**
+ * Products listed anywhere in embedded JSON, following product/listing/data keys
+ */
+function findJsonProducts(root, baseUrl, maxDepth = 15) {
+  const products = [];
+  const visit = (node, depth) => {
+    if (depth > maxDepth || !node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const product = item && typeof item === 'object' && !Array.isArray(item) ? jsonProduct(item, baseUrl) : null;
+        if (product) {
+          products.push(product);
+        } else {
+          visit(item, depth + 1);
+        }
+      }
+      return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (JSON_CONTAINER_KEYS.test(key)) visit(value, depth + 1);
+    }
+  };
+  visit(root, 0);
+  return products;
+}
+
+function nextData($) {
+  try {
+    const script = $('script#__NEXT_DATA__').html();
+    return script ? JSON.parse(script) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Object literal assigned to a global in an inline script (`window.X = {...};`)
+ * Read by matching braces, since the state is too large and nested for a regex.
+ */
+function readAssignedJson(html, variable) {
+  const start = html.indexOf(variable);
+  if (start === -1) return null;
+  const open = html.indexOf('{', start + variable.length);
+  if (open === -1 || !/^\s*=\s*$/.test(html.slice(start + variable.length, open))) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escapeNext = false;
+  for (let i = open; i < html.length; i++) {
+    const char = html[i];
+    if (escapeNext) {
+      escapeNext = false;
+    } else if (char === '\\') {
+      escapeNext = true;
+    } else if (char === '"') {
+      inString = !inString;
+    } else if (!inString && char === '{') {
+      depth++;
+    } else if (!inString && char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(html.slice(open, i + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// ---- D-Mart ----
+
+function dmartProducts($) {
+  const data = nextData($);
+  const fromJson = data ? findJsonProducts(data, storeBaseUrl('dmart')) : [];
+  return fromJson.length > 0 ? fromJson : extractProducts($, 'dmart').products;
+}
+
+/**
+ * "400053Mumbai" -> "Mumbai (400053)", "560001" -> "Bengaluru (560001)"
+ */
+function formatPincodeLocation(text) {
+  const pincodeCity = text.match(/^(\d{6})\s*([A-Za-z][A-Za-z ]*)$/);
+  if (pincodeCity) return `${pincodeCity[2].trim()} (${pincodeCity[1]})`;
+  if (/^\d{6}$/.test(text)) {
+    const city = { 400: 'Mumbai', 560: 'Bengaluru', 600: 'Chennai', 110: 'Delhi', 700: 'Kolkata' }[text.slice(0, 3)];
+    return city ? `${city} (${text})` : text;
+  }
+  return text;
+}
+
+function dmartLocation($) {
+  const header = extractLocation($, 'dmart');
+  if (header) return formatPincodeLocation(header);
+
+  // Pincode in the Next.js data
+  const findPincode = (node, depth = 0) => {
+    if (depth > 15 || !node) return null;
+    if (typeof node === 'string') return /^\d{6}([A-Za-z ]+)?$/.test(node) ? node : null;
+    if (typeof node !== 'object') return null;
+    for (const [key, value] of Object.entries(node)) {
+      if (Array.isArray(node) || /pincode|location|city|area/i.test(key)) {
+        const found = findPincode(value, depth + 1);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+  const pincode = findPincode(nextData($));
+  return pincode ? formatPincodeLocation(pincode) : null;
+}
+
+// ---- Swiggy Instamart ----
+
+/**
+ * Swiggy's page state: window.___INITIAL_STATE___, or the Next.js page props
+ */
+function swiggyState($, html) {
+  return readAssignedJson(html, 'window.___INITIAL_STATE___') || nextData($)?.props?.pageProps || null;
+}
+
+/**
+ * Products in the page state (search, category and campaign listings), else the cards
+ */
+function swiggyProducts($, html) {
+  const state = swiggyState($, html);
+  const fromJson = state ? findJsonProducts(state, storeBaseUrl('swiggy'), 10).filter(product => product.price > 0) : [];
+  return fromJson.length > 0 ? fromJson : extractProducts($, 'swiggy').products;
+}
+
+function swiggyStateLocation(state) {
+  return state?.userLocation?.address || state?.userLocation?.annotation || null;
+}
+
+function swiggyLocation($, html) {
+  const stateLocation = swiggyStateLocation(swiggyState($, html));
+  if (stateLocation) return stateLocation;
+
+  // App.userLocation in an inline script
+  const appLocation = html.match(/userLocation:\s*({[^}]+})/);
+  if (appLocation) {
+    try {
+      const location = JSON.parse(appLocation[1]);
+      if (location.address || location.annotation) return location.address || location.annotation;
+    } catch (error) {
+      // Not JSON (e.g. unquoted keys), read the DOM instead
+    }
+  }
+
+  return extractLocation($, 'swiggy');
+}
+
+// ---- Location ----
+
+/**
+ * City named in a saved page's filename ("dmart-mumbai-chips.html" -> "Mumbai")
+ */
+function locationFromFilename(filename) {
+  const match = (filename || '').match(CITIES);
+  if (!match) return null;
+  if (/^rt/i.test(match[1])) return 'RT Nagar';
+  return match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+}
+
+// ---- Extraction ----
+
+const STORES = {
+  dmart: {
+    website: 'D-Mart',
+    products: dmartProducts,
+    location: dmartLocation,
+    json: { products: data => findJsonProducts(data, storeBaseUrl('dmart')), location: () => null }
+  },
+  jiomart: {
+    website: 'JioMart',
+    products: $ => extractProducts($, 'jiomart').products,
+    location: $ => extractLocation($, 'jiomart')
+  },
+  naturesbasket: {
+    website: "Nature's Basket",
+    products: $ => extractProducts($, 'naturesbasket').products,
+    location: $ => extractLocation($, 'naturesbasket')
+  },
+  zepto: {
+    website: 'Zepto',
+    products: $ => extractProducts($, 'zepto').products,
+    location: $ => extractLocation($, 'zepto')
+  },
+  swiggy: {
+    website: 'Swiggy Instamart',
+    products: swiggyProducts,
+    location: swiggyLocation,
+    json: { products: data => findJsonProducts(data, storeBaseUrl('swiggy'), 10), location: swiggyStateLocation }
+  }
+};
+
+// Store ids extract() accepts (besides the aliases below)
+const EXTRACTOR_STORES = Object.keys(STORES);
+
+const STORE_ALIASES = { 'd-mart': 'dmart', instamart: 'swiggy', 'swiggy-instamart': 'swiggy', 'natures-basket': 'naturesbasket' };
+
+// Domain of each store, as found in its pages
+const STORE_DOMAINS = {
+  dmart: 'dmart.in',
+  jiomart: 'jiomart.com',
+  naturesbasket: 'naturesbasket.co.in',
+  zepto: 'zepto.com',
+  swiggy: 'swiggy.com'
+};
+
+/**
+ * Store a page belongs to: the store named in its filename, else the store domain in its HTML
+ * @returns {string|null} - Store id, null when unknown
+ */
+function detectStore(html, filename = '') {
+  const name = (filename || '').toLowerCase();
+  const fromName = EXTRACTOR_STORES.find(id => name.includes(id)) || (name.includes('instamart') ? 'swiggy' : null);
+  if (fromName) return fromName;
+  const page = (html || '').toLowerCase();
+  return EXTRACTOR_STORES.find(id => page.includes(STORE_DOMAINS[id])) || null;
+}
+
+/**
+ * Product URL collected in the browser for a product name: the exact name, then
+ * its first five words, then the first name sharing two key words
+ */
+function findMappedProductUrl(name, productUrlsMap, baseUrl) {
+  const firstWords = name.split(' ').slice(0, 5).join(' ');
+  let url = productUrlsMap[name] || (firstWords.length > 10 ? productUrlsMap[firstWords] : null);
+  if (!url) {
+    const nameWords = name.toLowerCase().split(' ').filter(word => word.length > 3);
+    url = Object.entries(productUrlsMap)
+      .find(([mapName]) => nameWords.filter(word => mapName.toLowerCase().includes(word)).length >= 2)?.[1];
+  }
+  return url ? absoluteUrl(url, baseUrl) : null;
+}
+
+/**
+ * @throws {Error} - For a store without an extractor
+ */
+function storeDefinition(store) {
+  const id = STORE_ALIASES[store] || store;
+  const definition = STORES[id];
+  if (!definition) {
+    throw new Error(`No extractor for store "${store}" (available: ${EXTRACTOR_STORES.join(', ')})`);
+  }
+  return { id, definition };
+}
+
+/**
+ * Location a store's page was loaded for, read from the page or else its filename
+ * @returns {string|null}
+ */
+function detectLocation(html, store, filename = null) {
+  const { definition } = storeDefinition(store);
+  const page = typeof html === 'string' ? html : '';
+  return definition.location(cheerio.load(page), page) || locationFromFilename(filename);
+}
+
+/**
+ * Result of an extraction: the store's products, unique by name, made canonical
+ * @param {string} page - HTML the products came from (read for structured brand data)
+ */
+function extractionResult(id, definition, rawProducts, location, context, page = null) {
+  const products = [];
+  const seenNames = new Set();
+  for (const product of rawProducts) {
+    const normalizedName = product.name.toLowerCase().trim();
+    if (seenNames.has(normalizedName) || normalizedName.length <= 3) continue;
+    seenNames.add(normalizedName);
+    products.push(product.productUrl || !context.productUrlsMap
+      ? product
+      : { ...product, productUrl: findMappedProductUrl(product.name, context.productUrlsMap, storeBaseUrl(id)) });
+  }
+
+  const checked = validateProducts(addBrands(addPackSizes(products), page));
+  return {
+    store: id,
+    website: definition.website,
+    location: context.location || location || locationFromFilename(context.filename),
+    products: checked.products,
+    invalidProducts: checked.invalid,
+    totalProducts: checked.products.length,
+    parserVersion: PARSER_VERSION,
+    ...(context.filename ? { filename: context.filename } : {})
+  };
+}
+
+/**
+ * Extract the products and location of a store's search results page
+ * @param {string} html - Page HTML
+ * @param {string} store - Store id (see STORES; "instamart" etc. are accepted as aliases)
+ * @param {Object} context - { filename, location, productUrlsMap }
+ * @returns {Object} - See the module header
+ * @throws {Error} - For a store without an extractor
+ */
+function extract(html, store, context = {}) {
+  const { id, definition } = storeDefinition(store);
+  const page = typeof html === 'string' ? html : '';
+  const $ = cheerio.load(page);
+  const location = context.location ? null : definition.location($, page);
+  return extractionResult(id, definition, definition.products($, page), location, context, page);
+}
+
+/**
+ * Extract the products of a store's page data on its own (the Next.js data of
+ * D-Mart, the initial state of Swiggy Instamart), e.g. a saved JSON snapshot
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - Same shape as extract()
+ * @throws {Error} - For a store whose pages carry no product data
+ */
+function extractJson(data, store, context = {}) {
+  const { id, definition } = storeDefinition(store);
+  if (!definition.json) {
+    throw new Error(`${definition.website} pages carry no product data to extract from JSON`);
+  }
+  const location = context.location ? null : definition.json.location(data);
+  return extractionResult(id, definition, definition.json.products(data), location, context);
+}
+
+export { PARSER_VERSION, EXTRACTOR_STORES, extract, extractJson, detectStore, detectLocation };
@@ -2,7 +2,7 @@
  * Final API - Express.js API for Sequential Location Selector
  * 
  * This API wraps the sequential-location-selector.js functionality
- * to run all location selectors (Zepto, Nature's Basket, JioMart, D-Mart) sequentially
+ * to run the location selector of every registered store sequentially
  * 
  * Endpoints:
  *   GET/POST /api/scrape - Run sequential location selector for all websites
@@ -10,11 +10,13 @@
  * 
  * Usage:
  *   GET /api/scrape?location=Mumbai&product=Chaas
- *   POST /api/scrape { "location": "Mumbai", "product": "Chaas" }
+ *   GET /api/scrape?location=Mumbai&product=Chaas&sites=zepto,swiggy
+ *   POST /api/scrape { "location": "Mumbai", "product": "Chaas", "sites": ["zepto", "swiggy"] }
  */
 
 import express from 'express';
 import { runAllSelectors } from './sequential-location-selector.js';
+import { listStores, describeStore, getStoreIds, parseStoreSelection } from './store-registry.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -42,6 +44,18 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files (if you have a frontend)
 app.use(express.static(join(__dirname, 'public')));
 
+/**
+ * 400 response body for a `sites` selection naming unsupported stores
+ */
+function invalidSitesBody(unknown) {
+  return {
+    success: false,
+    error: 'Invalid sites',
+    message: `Unsupported website(s): ${unknown.join(', ')}`,
+    supportedWebsites: getStoreIds()
+  };
+}
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -55,6 +69,18 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * GET /api/websites
+ * Supported websites from the store registry
+ */
+app.get('/api/websites', (req, res) => {
+  const stores = listStores();
+  res.json({
+    websites: stores.map(describeStore),
+    total: stores.length
+  });
+});
+
 /**
  * GET /api/scrape
  * Run sequential location selector for all websites
@@ -62,13 +88,14 @@ app.get('/api/health', (req, res) => {
  * Query Parameters:
  *   - location: Location name to select (required)
  *   - product: Product name to search (required)
+ *   - sites: Comma-separated store ids to run (optional, defaults to all)
  * 
  * Example:
  *   GET /api/scrape?location=Mumbai&product=Chaas
  */
 app.get('/api/scrape', async (req, res) => {
   try {
-    const { location, product } = req.query;
+    const { location, product, sites } = req.query;
 
     if (!location || !product) {
       return res.status(400).json({
@@ -79,6 +106,11 @@ app.get('/api/scrape', async (req, res) => {
       });
     }
 
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+      return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
+
     console.log(`\n${'='.repeat(80)}`);
     console.log(`API Request: Sequential scraping "${product}" in "${location}"`);
     console.log(`${'='.repeat(80)}\n`);
@@ -86,7 +118,7 @@ app.get('/api/scrape', async (req, res) => {
     const startTime = Date.now();
     
     // Run all selectors sequentially
-    const summary = await runAllSelectors(location, product);
+    const summary = await runAllSelectors(location, product, { sites: selection.ids || undefined });
     
     const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -146,12 +178,13 @@ app.get('/api/scrape', async (req, res) => {
  * Request Body:
  *   {
  *     "location": "Mumbai",
- *     "product": "Chaas"
+ *     "product": "Chaas",
+ *     "sites": ["zepto", "swiggy"]   // optional, defaults to all
  *   }
  */
 app.post('/api/scrape', async (req, res) => {
   try {
-    const { location, product } = req.body;
+    const { location, product, sites } = req.body;
 
     if (!location || !product) {
       return res.status(400).json({
@@ -162,6 +195,11 @@ app.post('/api/scrape', async (req, res) => {
       });
     }
 
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+      return res.status(400).json(invalidSitesBody(selection.unknown));
+    }
+
     console.log(`\n${'='.repeat(80)}`);
     console.log(`API Request (POST): Sequential scraping "${product}" in "${location}"`);
     console.log(`${'='.repeat(80)}\n`);
@@ -169,7 +207,7 @@ app.post('/api/scrape', async (req, res) => {
     const startTime = Date.now();
     
     // Run all selectors sequentially
-    const summary = await runAllSelectors(location, product);
+    const summary = await runAllSelectors(location, product, { sites: selection.ids || undefined });
     
     const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -233,12 +271,13 @@ app.get('/', (req, res) => {
     description: 'API for running sequential location selectors across multiple e-commerce websites',
     endpoints: {
       health: 'GET /api/health',
+      websites: 'GET /api/websites',
       scrape: {
         get: 'GET /api/scrape?location=<location>&product=<product>',
         post: 'POST /api/scrape { "location": "<location>", "product": "<product>" }'
       }
     },
-    websites: ['Zepto', "Nature's Basket", 'JioMart', 'D-Mart'],
+    websites: listStores().map(store => store.displayName),
     example: {
       get: '/api/scrape?location=Mumbai&product=Chaas',
       post: {
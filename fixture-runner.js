@@ -0,0 +1,306 @@
+import { existsSync, mkdirSync, readFileSync, readdirSync, statSync, writeFileSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { PARSER_VERSION, extract, extractJson } from './extraction.js';
+import { extractProducts } from './selector-engine.js';
+
+/**
+ * Offline Parser Fixtures
+ *
+ * Saved search results pages replayed through extraction.js, so the parsers
+ * can be changed and checked without network access. Each snapshot sits next
+ * to the output it is expected to extract to:
+ *
+ *   fixtures/<store>/<case>.html            Saved page, read with extract()
+ *   fixtures/<store>/<case>.json            Page data, read with extractJson()
+ *   fixtures/<store>/<case>.expected.json   {
+ *     context: Object,            // Passed to the extractor (default { filename: <snapshot name> })
+ *     parserVersion: string,      // PARSER_VERSION when recorded (informational, not compared)
+ *     location: string | null,
+ *     products: Product[],
+ *     invalidProducts: Array
+ *   }
+ *
+ * Replay (exits 1 on any difference or missing expectation):
+ *   node fixture-runner.js [store | store/case]          (npm test)
+ *
+ * Re-record expectations after an intended parser change, then review the diff:
+ *   node fixture-runner.js record [store | store/case]   (npm run test:record)
+ *
+ * Add a fixture from a page saved in the browser (or its page data as .json),
+ * trimmed to the first few products, and record its expectation:
+ *   node fixture-runner.js capture <store/case> <saved-file> [products]   (npm run test:capture)
+ *
+ * Configuration (environment):
+ *   FIXTURES_DIR - directory of the fixtures (default ./fixtures)
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const FIXTURES_DIR = process.env.FIXTURES_DIR || join(__dirname, 'fixtures');
+
+const SNAPSHOT_EXTENSIONS = ['.html', '.json'];
+const EXPECTED_SUFFIX = '.expected.json';
+
+/**
+ * Fixtures under the fixtures directory, optionally only a store's or one case
+ * @param {string} filter - "store" or "store/case"
+ * @returns {Array<{ id, store, snapshot, expectedFile }>}
+ */
+function findFixtures(filter = null, dir = FIXTURES_DIR) {
+  if (!existsSync(dir)) return [];
+  const [storeFilter, caseFilter] = (filter || '').split('/');
+  const fixtures = [];
+  for (const store of readdirSync(dir).sort()) {
+    if (storeFilter && store !== storeFilter) continue;
+    const storeDir = join(dir, store);
+    if (!statSync(storeDir).isDirectory()) continue;
+
+    for (const file of readdirSync(storeDir).sort()) {
+      const extension = extname(file);
+      if (!SNAPSHOT_EXTENSIONS.includes(extension) || file.endsWith(EXPECTED_SUFFIX)) continue;
+      const name = basename(file, extension);
+      if (caseFilter && name !== caseFilter && file !== caseFilter) continue;
+      fixtures.push({
+        id: `${store}/${file}`,
+        store,
+        snapshot: join(storeDir, file),
+        expectedFile: join(storeDir, `${name}${EXPECTED_SUFFIX}`)
+      });
+    }
+  }
+  return fixtures;
+}
+
+function readExpected(fixture) {
+  return existsSync(fixture.expectedFile) ? JSON.parse(readFileSync(fixture.expectedFile, 'utf8')) : null;
+}
+
+/**
+ * Run a fixture's snapshot through the extractor
+ * @returns {{ location, products, invalidProducts, parserVersion }}
+ */
+function replay(fixture, context) {
+  const content = readFileSync(fixture.snapshot, 'utf8');
+  const result = extname(fixture.snapshot) === '.json'
+    ? extractJson(JSON.parse(content), fixture.store, context)
+    : extract(content, fixture.store, context);
+  return {
+    location: result.location,
+    products: result.products,
+    invalidProducts: result.invalidProducts,
+    parserVersion: result.parserVersion
+  };
+}
+
+const show = value => (value === undefined ? 'nothing' : JSON.stringify(value));
+
+/**
+ * Differences between two JSON values, one line per differing leaf
+ */
+function diffValues(expected, actual, path) {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+  const bothObjects = [expected, actual].every(value => value && typeof value === 'object') &&
+    Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    return [`${path}: expected ${show(expected)}, got ${show(actual)}`];
+  }
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys.flatMap(key => diffValues(expected[key], actual[key], Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`));
+}
+
+/**
+ * Differences between two product lists, matched by name (order is not compared)
+ */
+function diffProducts(expected = [], actual = []) {
+  const actualByName = new Map(actual.map(product => [product.name, product]));
+  const expectedNames = new Set(expected.map(product => product.name));
+  const differences = [];
+  for (const product of expected) {
+    const label = `products[${JSON.stringify(product.name)}]`;
+    if (!actualByName.has(product.name)) {
+      differences.push(`${label}: missing`);
+    } else {
+      differences.push(...diffValues(product, actualByName.get(product.name), label));
+    }
+  }
+  for (const product of actual) {
+    if (!expectedNames.has(product.name)) {
+      differences.push(`products[${JSON.stringify(product.name)}]: unexpected (${show(product)})`);
+    }
+  }
+  return differences;
+}
+
+/**
+ * Differences between a replay and its expectation
+ */
+function compareFixture(expected, actual) {
+  return [
+    ...diffValues(expected.location, actual.location, 'location'),
+    ...diffProducts(expected.products, actual.products),
+    ...diffValues(expected.invalidProducts || [], actual.invalidProducts, 'invalidProducts')
+  ];
+}
+
+/**
+ * Replay fixtures and compare them with their expectations
+ * @returns {Array<{ id, passed, differences }>}
+ */
+function runFixtures(fixtures) {
+  return fixtures.map(fixture => {
+    const expected = readExpected(fixture);
+    if (!expected) {
+      return { id: fixture.id, passed: false, differences: [`no expectation (${basename(fixture.expectedFile)}), record one first`] };
+    }
+    try {
+      const context = expected.context || { filename: basename(fixture.snapshot) };
+      const differences = compareFixture(expected, replay(fixture, context));
+      return { id: fixture.id, passed: differences.length === 0, differences };
+    } catch (error) {
+      return { id: fixture.id, passed: false, differences: [`extraction failed: ${error.message}`] };
+    }
+  });
+}
+
+/**
+ * Write each fixture's current output as its expectation (an existing context is kept)
+ * @returns {Array<{ id, products }>}
+ */
+function recordFixtures(fixtures) {
+  return fixtures.map(fixture => {
+    const context = readExpected(fixture)?.context || { filename: basename(fixture.snapshot) };
+    const actual = replay(fixture, context);
+    const expectation = {
+      context,
+      parserVersion: actual.parserVersion,
+      location: actual.location,
+      products: actual.products,
+      invalidProducts: actual.invalidProducts
+    };
+    writeFileSync(fixture.expectedFile, `${JSON.stringify(expectation, null, 2)}\n`, 'utf8');
+    return { id: fixture.id, products: actual.products.length };
+  });
+}
+
+const CAPTURE_PRODUCTS = 5;
+
+/**
+ * Cut every array of objects in page data down to its first `limit` entries
+ */
+function trimData(value, limit) {
+  if (Array.isArray(value)) {
+    const kept = value.length > limit && value.every(item => item && typeof item === 'object') ? value.slice(0, limit) : value;
+    return kept.map(item => trimData(item, limit));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, trimData(item, limit)]));
+  }
+  return value;
+}
+
+/**
+ * Trim a saved page for a fixture: scripts other than the page state, styles,
+ * SVG and comments are dropped, and only the first `limit` product cards and
+ * page-state list entries are kept
+ */
+function trimPage(html, store, limit) {
+  const $ = cheerio.load(html);
+  $('style, link, noscript, svg, iframe, template').remove();
+  $('*').contents().filter((index, node) => node.type === 'comment').remove();
+
+  $('script').each((index, element) => {
+    const $script = $(element);
+    const source = $script.html() || '';
+    if ($script.attr('id') === '__NEXT_DATA__') {
+      $script.text(JSON.stringify(trimData(JSON.parse(source), limit)));
+      return;
+    }
+    const state = source.match(/^\s*(window\.___INITIAL_STATE___\s*=\s*)([\s\S]*?);?\s*$/);
+    if (state) {
+      $script.text(`${state[1]}${JSON.stringify(trimData(JSON.parse(state[2]), limit))};`);
+      return;
+    }
+    $script.remove();
+  });
+
+  extractProducts($, store).cards.slice(limit).forEach($card => $card.remove());
+  return $.html();
+}
+
+/**
+ * Trim a saved page (or page data) into fixtures/<store>/<case> and record its expectation
+ * @returns {{ fixture, savedBytes, fixtureBytes, products }}
+ */
+function captureFixture(id, savedFile, limit = CAPTURE_PRODUCTS, dir = FIXTURES_DIR) {
+  const [store, name] = id.split('/');
+  if (!store || !name) {
+    throw new Error(`Fixture id must be "store/case", got "${id}"`);
+  }
+  const extension = extname(savedFile) === '.json' ? '.json' : '.html';
+  const saved = readFileSync(savedFile, 'utf8');
+  const content = extension === '.json'
+    ? `${JSON.stringify(trimData(JSON.parse(saved), limit), null, 2)}\n`
+    : trimPage(saved, store, limit);
+
+  mkdirSync(join(dir, store), { recursive: true });
+  const fixture = {
+    id: `${store}/${name}${extension}`,
+    store,
+    snapshot: join(dir, store, `${name}${extension}`),
+    expectedFile: join(dir, store, `${name}${EXPECTED_SUFFIX}`)
+  };
+  writeFileSync(fixture.snapshot, content, 'utf8');
+  const [{ products }] = recordFixtures([fixture]);
+  return { fixture, savedBytes: Buffer.byteLength(saved), fixtureBytes: Buffer.byteLength(content), products };
+}
+
+// CLI: node fixture-runner.js [record] [store | store/case]
+//      node fixture-runner.js capture <store/case> <saved-file> [products]
+if (process.argv[1] === __filename && process.argv[2] === 'capture') {
+  const [id, savedFile, limit] = process.argv.slice(3);
+  if (!id || !savedFile) {
+    console.error('Usage: node fixture-runner.js capture <store/case> <saved-file> [products]');
+    process.exit(1);
+  }
+  try {
+    const { fixture, savedBytes, fixtureBytes, products } = captureFixture(id, savedFile, Number(limit) || CAPTURE_PRODUCTS);
+    console.log(`📝 ${fixture.id}: ${products} products (${Math.round(savedBytes / 1024)} KB saved, ${Math.round(fixtureBytes / 1024)} KB kept)`);
+    console.log(`\n📝 Check ${basename(fixture.expectedFile)} by hand before committing it`);
+  } catch (error) {
+    console.error(`❌ Capture failed: ${error.message}`);
+    process.exit(1);
+  }
+} else if (process.argv[1] === __filename) {
+  const args = process.argv.slice(2);
+  const recording = args[0] === 'record';
+  const filter = (recording ? args[1] : args[0]) || null;
+  const fixtures = findFixtures(filter);
+
+  if (fixtures.length === 0) {
+    console.error(`❌ No fixtures${filter ? ` matching "${filter}"` : ''} in ${FIXTURES_DIR}`);
+    process.exit(1);
+  }
+
+  if (recording) {
+    for (const { id, products } of recordFixtures(fixtures)) {
+      console.log(`📝 ${id}: ${products} products`);
+    }
+    console.log(`\n📝 Recorded ${fixtures.length} expectations with parser ${PARSER_VERSION}; review them with git diff`);
+  } else {
+    const results = runFixtures(fixtures);
+    for (const { id, passed, differences } of results) {
+      console.log(`${passed ? '✅' : '❌'} ${id}`);
+      differences.forEach(difference => console.log(`     ${difference}`));
+    }
+    const failed = results.filter(result => !result.passed).length;
+    console.log(`\n${failed === 0 ? '✅' : '❌'} ${results.length - failed}/${results.length} fixtures match (parser ${PARSER_VERSION})`);
+    if (failed > 0) {
+      console.log('   Intended change? Re-record with: npm run test:record');
+      process.exitCode = 1;
+    }
+  }
+}
+
+export { FIXTURES_DIR, findFixtures, replay, diffProducts, compareFixture, runFixtures, recordFixtures, trimPage, captureFixture };
@@ -1,4 +1,9 @@
 import { Builder, By, Key, until } from 'selenium-webdriver';
+import { JOB_EVENTS } from './job-events.js';
+import { closeOnAbort } from './cancellation.js';
+import { searchProductsInSession } from './batch-search.js';
+import { storeUrl, storeBaseUrl } from './store-urls.js';
+import { extract } from './extraction.js';
 import chrome from 'selenium-webdriver/chrome.js';
 import fs from 'fs';
 import path from 'path';
@@ -9,427 +14,10 @@ import { fileURLToPath } from 'url';
  * 1. Open Instamart
  * 2. Set location (default: Mumbai) via "Search for an area or address" dialog
  * 3. Open search and search for a product (default: "lays")
- * 4. Collect products from HTML plus card clicks to get clean product URLs
+ * 4. Parse the results page with extraction.js, plus card clicks for missing product URLs
  * 5. Save results to JSON/HTML and return a structured object
  */
 
-const INSTAMART_URL = 'https://www.swiggy.com/instamart';
-
-/**
- * Enhanced extraction using multiple HTML/JSON strategies.
- * Returns array of { name, price, url, image_url }.
- */
-function extractProductsEnhanced(htmlContent) {
-  const products = [];
-
-  const excludedTexts = [
-    'Careers',
-    'Swiggy One',
-    'Swiggy Instamart',
-    'Home',
-    'Cart',
-    'Search',
-    'Menu',
-    'Login',
-    'Sign',
-    'Add',
-    'Remove',
-    'Quantity',
-    'View Cart',
-    'Checkout',
-    'Delivery',
-    'Pickup',
-    'Filters',
-    'Sort',
-    'Categories',
-    'View All',
-    'See All',
-    'More',
-    'Less',
-    'Close',
-    'Back',
-    'Next',
-    'Previous',
-    'Try Again'
-  ];
-
-  // Strategy 1: window.___INITIAL_STATE___ JSON
-  try {
-    const jsonMatch = htmlContent.match(
-      /window\.___INITIAL_STATE___\s*=\s*(\{[\s\S]*?\});/
-    );
-    if (jsonMatch) {
-      try {
-        const data = JSON.parse(jsonMatch[1]);
-
-        function findProducts(obj) {
-          let list = [];
-          if (!obj || typeof obj !== 'object') return list;
-
-          if (Array.isArray(obj)) {
-            for (const item of obj) {
-              list = list.concat(findProducts(item));
-            }
-            return list;
-          }
-
-          const hasId =
-            obj.id ||
-            obj.productId ||
-            obj.itemId ||
-            obj.product_id ||
-            obj.item_id;
-          const hasName =
-            obj.name ||
-            obj.title ||
-            obj.productName ||
-            obj.itemName ||
-            obj.displayName ||
-            obj.product_name;
-
-          if (hasId && hasName) {
-            list.push(obj);
-          }
-
-          for (const [key, value] of Object.entries(obj)) {
-            if (
-              ['product', 'item', 'catalog', 'search'].some((term) =>
-                key.toLowerCase().includes(term)
-              )
-            ) {
-              if (Array.isArray(value)) {
-                for (const v of value) {
-                  if (typeof v === 'object') list.push(v);
-                }
-              } else if (value && typeof value === 'object') {
-                list.push(value);
-              }
-            }
-            list = list.concat(findProducts(value));
-          }
-          return list;
-        }
-
-        const found = findProducts(data);
-        for (const p of found) {
-          if (typeof p !== 'object' || !p) continue;
-
-          const product = {};
-
-          const name =
-            p.name ||
-            p.title ||
-            p.productName ||
-            p.itemName ||
-            p.displayName ||
-            p.product_name;
-          if (name && typeof name === 'string' && name.trim().length > 2) {
-            product.name = name.trim();
-          }
-
-          const priceVal =
-            p.price || p.sellingPrice || p.finalPrice || p.mrp || p.actualPrice;
-          if (priceVal) {
-            if (typeof priceVal === 'number') {
-              product.price = `₹${Math.round(priceVal)}`;
-            } else if (typeof priceVal === 'string') {
-              const m = priceVal.match(/(\d+)/);
-              if (m) product.price = `₹${m[1]}`;
-            }
-          }
-
-          const id =
-            p.id ||
-            p.productId ||
-            p.itemId ||
-            p.product_id ||
-            p.item_id;
-          const url =
-            p.url || p.link || p.productUrl || p.product_url || p.href;
-
-          if (url && typeof url === 'string' && url.includes('/instamart/')) {
-            product.url = url.startsWith('http')
-              ? url
-              : `https://www.swiggy.com${url}`;
-          } else if (id) {
-            product.url = `https://www.swiggy.com/instamart/product/${id}`;
-          }
-
-          // Try multiple image field names
-          const img =
-            p.image ||
-            p.img ||
-            p.imageUrl ||
-            p.image_url ||
-            p.media ||
-            p.mediaUrl ||
-            (Array.isArray(p.images) && p.images[0]) ||
-            (Array.isArray(p.media) && p.media[0]) ||
-            p.productImage ||
-            p.product_image ||
-            p.thumbnail ||
-            p.thumb ||
-            p.picture ||
-            p.photo;
-          
-          if (img) {
-            let imgUrl = null;
-            if (typeof img === 'string') {
-              imgUrl = img;
-            } else if (typeof img === 'object' && img.url) {
-              imgUrl = img.url;
-            } else if (typeof img === 'object' && img.src) {
-              imgUrl = img.src;
-            }
-            
-            // Normalize image URL to absolute URL
-            if (imgUrl) {
-              if (imgUrl.startsWith('http')) {
-                product.imageUrl = imgUrl;
-              } else if (imgUrl.startsWith('//')) {
-                product.imageUrl = 'https:' + imgUrl;
-              } else if (imgUrl.startsWith('/')) {
-                product.imageUrl = 'https://www.swiggy.com' + imgUrl;
-              } else if (!imgUrl.includes('://')) {
-                product.imageUrl = 'https://www.swiggy.com/' + imgUrl;
-              } else {
-                product.imageUrl = imgUrl;
-              }
-            }
-          }
-
-          if (product.name || product.price || product.url) {
-            products.push(product);
-          }
-        }
-      } catch {
-        // ignore JSON parse
-      }
-    }
-  } catch {
-    // ignore strategy errors
-  }
-
-  // Strategy 2: product card chunks
-  const cardPatterns = [
-    /<div[^>]*class="[^"]*_3Rr1X[^"]*"[^>]*>/gi,
-    /<div[^>]*data-testid="[^"]*product[^"]*"[^>]*>/gi,
-    /<div[^>]*data-testid="[^"]*item[^"]*"[^>]*>/gi
-  ];
-
-  const allMatches = [];
-  for (const pattern of cardPatterns) {
-    let m;
-    while ((m = pattern.exec(htmlContent)) !== null) {
-      allMatches.push(m.index);
-    }
-  }
-  const positions = [...new Set(allMatches)].sort((a, b) => a - b);
-
-  for (const pos of positions) {
-    const chunk = htmlContent.slice(
-      Math.max(0, pos - 500),
-      Math.min(htmlContent.length, pos + 4000)
-    );
-    const product = {};
-
-    const urlMatch = chunk.match(
-      /["']([^"']*instamart\/product\/(\d+)[^"']*)["']/i
-    );
-    if (urlMatch) {
-      product.url = urlMatch[1].startsWith('http')
-        ? urlMatch[1]
-        : `https://www.swiggy.com${urlMatch[1]}`;
-    } else {
-      const idMatch = chunk.match(
-        /data-(?:item|product)-id=["'](\d+)["']/i
-      );
-      if (idMatch) {
-        product.url = `https://www.swiggy.com/instamart/product/${idMatch[1]}`;
-      }
-    }
-
-    const priceMatch =
-      chunk.match(/₹\s*(\d+)/) ||
-      chunk.match(/class="[^"]*_2jn41[^"]*"[^>]*>(\d+)/i);
-    if (priceMatch) {
-      const val = parseInt(priceMatch[1], 10);
-      if (val >= 1 && val <= 10000) {
-        product.price = `₹${val}`;
-      }
-    }
-
-    let name = null;
-
-    const altMatch = chunk.match(/<img[^>]*alt=["']([^"']+)["']/i);
-    if (altMatch) {
-      const text = altMatch[1].trim();
-      if (
-        text.length > 2 &&
-        text.length < 200 &&
-        !excludedTexts.some((ex) => text.includes(ex))
-      ) {
-        name = text;
-      }
-    }
-
-    if (!name) {
-      const titleMatch =
-        chunk.match(
-          /<[^>]*class="[^"]*(?:title|name)[^"]*"[^>]*>([^<]+)<\//i
-        ) || chunk.match(/<h[234][^>]*>([^<]+)<\/h[234]>/i);
-      if (titleMatch) {
-        const text = titleMatch[1].trim();
-        if (
-          text.length > 2 &&
-          text.length < 200 &&
-          !excludedTexts.some((ex) => text.includes(ex))
-        ) {
-          name = text;
-        }
-      }
-    }
-
-    if (!name) {
-      const textOnly = chunk.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
-      const priceIdx = textOnly.indexOf('₹');
-      if (priceIdx > 0) {
-        const beforePrice = textOnly
-          .slice(Math.max(0, priceIdx - 100), priceIdx)
-          .trim();
-        const parts = beforePrice
-          .split(/[|•\-\n\r\t]+/)
-          .map((s) => s.trim());
-        for (let i = parts.length - 1; i >= 0; i--) {
-          const p = parts[i];
-          if (
-            p.length > 2 &&
-            p.length < 100 &&
-            !excludedTexts.some((ex) => p.includes(ex)) &&
-            !/^[\d\s₹]+$/.test(p)
-          ) {
-            name = p;
-            break;
-          }
-        }
-      }
-    }
-
-    if (name) product.name = name;
-
-    // Try multiple image extraction patterns
-    let imgMatch = chunk.match(
-      /<img[^>]*src=["'](https:\/\/instamart-media-assets\.swiggy\.com[^"']+)["']/i
-    );
-    if (!imgMatch) {
-      // Try data-src or lazy loading
-      imgMatch = chunk.match(
-        /<img[^>]*(?:data-src|data-lazy-src|data-image)=["'](https:\/\/instamart-media-assets\.swiggy\.com[^"']+)["']/i
-      );
-    }
-    if (!imgMatch) {
-      // Try any swiggy image URL
-      imgMatch = chunk.match(
-        /(https:\/\/instamart-media-assets\.swiggy\.com\/[^"'\s<>]+\.(?:jpg|jpeg|png|webp))/i
-      );
-    }
-    if (!imgMatch) {
-      // Try background-image in style
-      imgMatch = chunk.match(
-        /background-image:\s*url\(["']?(https:\/\/instamart-media-assets\.swiggy\.com[^"')]+)["']?\)/i
-      );
-    }
-    if (imgMatch && imgMatch[1]) {
-      let imgUrl = imgMatch[1];
-      // Clean up URL if needed
-      if (imgUrl.includes('MARKETING_BANNERS') || imgUrl.includes('OFFERS')) {
-        // Skip marketing images
-      } else {
-        product.imageUrl = imgUrl;
-      }
-    }
-
-    if (Object.keys(product).length > 0) {
-      products.push(product);
-    }
-  }
-
-  // Strategy 3: image-based fallback
-  const imgPattern =
-    /<img[^>]*src=["'](https:\/\/instamart-media-assets\.swiggy\.com\/swiggy\/image\/upload[^"']+)["']/gi;
-  let imgMatch;
-  while ((imgMatch = imgPattern.exec(htmlContent)) !== null) {
-    const imgUrl = imgMatch[1];
-    if (
-      imgUrl.includes('MARKETING_BANNERS') ||
-      imgUrl.includes('OFFERS')
-    )
-      continue;
-
-    if (products.some((p) => p.imageUrl === imgUrl)) continue;
-
-    const context = htmlContent.slice(
-      Math.max(0, imgMatch.index - 1500),
-      Math.min(htmlContent.length, imgMatch.index + 2500)
-    );
-    const product = { imageUrl: imgUrl };
-
-    const urlMatch2 = context.match(
-      /["']([^"']*instamart\/product[^"']*)["']/i
-    );
-    if (urlMatch2) {
-      product.url = urlMatch2[1].startsWith('http')
-        ? urlMatch2[1]
-        : `https://www.swiggy.com${urlMatch2[1]}`;
-    }
-
-    const priceMatch2 = context.match(/₹\s*(\d+)/);
-    if (priceMatch2) {
-      const val = parseInt(priceMatch2[1], 10);
-      if (val >= 1 && val <= 10000) product.price = `₹${val}`;
-    }
-
-    const altMatch2 = context.match(/<img[^>]*alt=["']([^"']+)["']/i);
-    if (altMatch2) {
-      const text = altMatch2[1].trim();
-      if (
-        text.length > 2 &&
-        text.length < 200 &&
-        !excludedTexts.some((ex) => text.includes(ex))
-      ) {
-        product.name = text;
-      }
-    }
-
-    if (Object.keys(product).length > 1) {
-      products.push(product);
-    }
-  }
-
-  const seenUrls = new Set();
-  const seenNamePrice = new Set();
-  const unique = [];
-
-  for (const p of products) {
-    const url = p.url;
-    const name = p.name || '';
-    const price = p.price || '';
-    const namePriceKey = `${name}|${price}`;
-
-    if (url) {
-      if (!seenUrls.has(url)) {
-        seenUrls.add(url);
-        unique.push(p);
-      }
-    } else if (namePriceKey !== '|' && !seenNamePrice.has(namePriceKey)) {
-      seenNamePrice.add(namePriceKey);
-      unique.push(p);
-    }
-  }
-
-  return unique;
-}
-
 // Minimal stealth: patch common bot-detection signals in the page context
 async function executeStealthScripts(driver) {
   try {
@@ -524,7 +112,7 @@ async function setLocation(driver, locationName = 'Mumbai') {
   const targetLocation = locationName || 'Mumbai';
 
   // Open Instamart home
-  await driver.get(INSTAMART_URL);
+  await driver.get(storeUrl('swiggy', '/instamart'));
   await driver.sleep(3000);
   await recoverFromErrorPage(driver);
 
@@ -700,7 +288,7 @@ async function setLocation(driver, locationName = 'Mumbai') {
 }
 
 // Search for a product (e.g. "lays"), extract products and click cards to get clean URLs
-async function searchAndExtract(driver, productName = 'lays') {
+async function searchAndExtract(driver, locationName, productName = 'lays', options = {}) {
   const query = productName || 'lays';
 
   // Verify location is set before searching
@@ -723,7 +311,7 @@ async function searchAndExtract(driver, productName = 'lays') {
   }
 
   // Go directly to Instamart search page (more robust than clicking header button)
-  await driver.get('https://www.swiggy.com/instamart/search?custom_back=true');
+  await driver.get(storeUrl('swiggy', '/instamart/search?custom_back=true'));
   await driver.sleep(3000);
   await recoverFromErrorPage(driver);
   
@@ -763,6 +351,7 @@ async function searchAndExtract(driver, productName = 'lays') {
     await searchInput.sendKeys(ch);
       await driver.sleep(80 + Math.random() * 120);
   }
+  options.onProgress?.(JOB_EVENTS.SEARCH_SUBMITTED, { product: query });
   await driver.sleep(2500);
 
   // Try to click a suggestion matching the product name
@@ -934,154 +523,36 @@ async function searchAndExtract(driver, productName = 'lays') {
   // Get full HTML of the page (now that products should be loaded)
   const html = await driver.getPageSource();
 
-  // Extract product data from raw HTML using extractProductsEnhanced
-  let products = extractProductsEnhanced(html);
+  // Extract product data from the page HTML
+  const jsonData = parseInstamartProducts(html, locationName, query);
+  const products = jsonData.products;
 
   console.log(`\n📦 Extracted ${products.length} products from HTML\n`);
 
-  // If HTML extraction returned 0 products, try extracting directly from DOM
   if (products.length === 0) {
-    console.log('⚠️  HTML extraction returned 0 products, trying DOM extraction...');
+    // Check what's actually on the page
     try {
-      const domProducts = await driver.executeScript(`
-        const products = [];
-        const excludedTexts = ['Careers', 'Swiggy One', 'Swiggy Instamart', 'Home', 'Cart', 'Search', 'Menu', 'Login', 'Sign', 'Add', 'Remove'];
-        
-        // Find all product links
-        const productLinks = document.querySelectorAll('a[href*="/instamart/item/"]');
-    const seenUrls = new Set();
-
-        productLinks.forEach(link => {
-          const href = link.getAttribute('href');
-          if (!href || seenUrls.has(href)) return;
-          seenUrls.add(href);
-          
-          // Extract product info from the link's context
-          const card = link.closest('[data-testid*="item-collection-card"], [data-testid*="item"], [class*="card"]') || link.parentElement;
-          if (!card) return;
-          
-          const product = { url: href.startsWith('http') ? href : 'https://www.swiggy.com' + href };
-          
-          // Try to find product name
-          const nameEl = card.querySelector('[class*="name"], [class*="title"], h1, h2, h3, h4');
-          if (nameEl) {
-            const name = nameEl.innerText?.trim();
-            if (name && name.length > 2 && name.length < 200 && !excludedTexts.some(ex => name.includes(ex))) {
-              product.name = name;
-            }
-          }
-          
-          // Try to find price
-          const priceEl = card.querySelector('[class*="price"], [class*="amount"]');
-          if (priceEl) {
-            const priceText = priceEl.innerText || priceEl.textContent || '';
-            const priceMatch = priceText.match(/₹\\s*(\\d+)/) || priceText.match(/Rs\\.?\\s*(\\d+)/i) || priceText.match(/(\\d+)/);
-            if (priceMatch) {
-              product.price = '₹' + priceMatch[1];
-            }
-          }
-          
-          // If no price found, try searching the whole card
-          if (!product.price) {
-            const cardText = card.innerText || card.textContent || '';
-            const priceMatch = cardText.match(/₹\\s*(\\d+)/) || cardText.match(/(\\d+)/);
-            if (priceMatch) {
-              const price = parseInt(priceMatch[1]);
-              if (price >= 1 && price <= 10000) {
-                product.price = '₹' + price;
-              }
-            }
-          }
-          
-          // Try to find image - check multiple sources
-          let imageUrl = null;
-          
-          // Try direct img element
-          const imgEl = card.querySelector('img');
-          if (imgEl) {
-            imageUrl = imgEl.src || imgEl.getAttribute('src') || imgEl.getAttribute('data-src') || imgEl.getAttribute('data-lazy-src');
-          }
-          
-          // If no image found, try background-image style
-          if (!imageUrl) {
-            const bgEl = card.querySelector('[style*="background-image"], [style*="backgroundImage"]');
-            if (bgEl) {
-              const style = bgEl.getAttribute('style') || window.getComputedStyle(bgEl).backgroundImage;
-              const bgMatch = style.match(/url\(["']?([^"')]+)["']?\)/);
-              if (bgMatch && bgMatch[1]) {
-                imageUrl = bgMatch[1];
-              }
-            }
-          }
-          
-          // Try data attributes
-          if (!imageUrl) {
-            imageUrl = card.getAttribute('data-image') || 
-                      card.getAttribute('data-img') || 
-                      card.getAttribute('data-image-url');
-          }
-          
-          // Try finding image in nested elements
-          if (!imageUrl) {
-            const nestedImg = card.querySelector('[class*="image"], [class*="img"], [class*="product-image"], [class*="item-image"]');
-            if (nestedImg) {
-              const nestedImgEl = nestedImg.querySelector('img');
-              if (nestedImgEl) {
-                imageUrl = nestedImgEl.src || nestedImgEl.getAttribute('src') || nestedImgEl.getAttribute('data-src');
-              } else if (nestedImg.style.backgroundImage) {
-                const bgMatch = nestedImg.style.backgroundImage.match(/url\(["']?([^"')]+)["']?\)/);
-                if (bgMatch && bgMatch[1]) {
-                  imageUrl = bgMatch[1];
-                }
-              }
-            }
-          }
-          
-          if (imageUrl && imageUrl.startsWith('http')) {
-            product.imageUrl = imageUrl;
-          } else if (imageUrl && imageUrl.startsWith('//')) {
-            product.imageUrl = 'https:' + imageUrl;
-          } else if (imageUrl && imageUrl.startsWith('/')) {
-            product.imageUrl = 'https://www.swiggy.com' + imageUrl;
-          }
-          
-          if (product.url) {
-            products.push(product);
-          }
-        });
-        
-        return products;
+      const pageInfo = await driver.executeScript(`
+        return {
+          url: window.location.href,
+          title: document.title,
+          hasErrorDiv: document.getElementById('errorDiv')?.style.display !== 'none',
+          hasErrorContainer: document.querySelector('.errorContainer') !== null,
+          bodyText: document.body.innerText.substring(0, 500),
+          productLinks: document.querySelectorAll('a[href*="/instamart/item/"]').length,
+          productLinks2: document.querySelectorAll('a[href*="/item/"]').length,
+          cards: document.querySelectorAll('[data-testid*="item"], [data-testid*="product"]').length,
+          allLinks: document.querySelectorAll('a[href]').length
+        };
       `);
-      
-      if (domProducts && domProducts.length > 0) {
-        products = domProducts;
-        console.log(`✓ Extracted ${domProducts.length} products from DOM\n`);
-      } else {
-        console.log(`⚠️  DOM extraction returned ${domProducts?.length || 0} products`);
-        
-        // Additional debugging - check what's actually on the page
-        const pageInfo = await driver.executeScript(`
-          return {
-            url: window.location.href,
-            title: document.title,
-            hasErrorDiv: document.getElementById('errorDiv')?.style.display !== 'none',
-            hasErrorContainer: document.querySelector('.errorContainer') !== null,
-            bodyText: document.body.innerText.substring(0, 500),
-            productLinks: document.querySelectorAll('a[href*="/instamart/item/"]').length,
-            productLinks2: document.querySelectorAll('a[href*="/item/"]').length,
-            cards: document.querySelectorAll('[data-testid*="item"], [data-testid*="product"]').length,
-            allLinks: document.querySelectorAll('a[href]').length
-          };
-        `);
-        console.log('📊 Page info:', JSON.stringify(pageInfo, null, 2));
-      }
-    } catch (domError) {
-      console.log(`⚠️  DOM extraction failed: ${domError.message}`);
-      console.log(`Stack: ${domError.stack}`);
+      console.log('📊 Page info:', JSON.stringify(pageInfo, null, 2));
+    } catch (infoError) {
+      // Ignore
     }
   }
 
-  // Normalize URLs from extractProductsEnhanced first
+  // Product URLs are read as /instamart/item/<id>, on the store the browser opened
+  const baseUrl = storeBaseUrl('swiggy');
   const normalizeUrl = (url) => {
     if (!url) return null;
     let normalized = url;
@@ -1098,28 +569,23 @@ async function searchAndExtract(driver, productName = 'lays') {
       if (normalized.startsWith('//')) {
         normalized = 'https:' + normalized;
       } else if (normalized.startsWith('/')) {
-        normalized = 'https://www.swiggy.com' + normalized;
+        normalized = baseUrl + normalized;
                   } else {
-        normalized = 'https://www.swiggy.com/instamart/item/' + normalized;
+        normalized = baseUrl + '/instamart/item/' + normalized;
       }
     }
     return normalized;
   };
 
-  // First pass: normalize URLs from HTML extraction
-  const updatedProducts = products.map((product, idx) => {
-    const normalizedUrl = normalizeUrl(product.url);
+  // First pass: normalize URLs read from the HTML
+  for (const product of products) {
+    const normalizedUrl = normalizeUrl(product.productUrl);
     if (normalizedUrl && normalizedUrl.includes('/instamart/item/')) {
-      return {
-        ...product,
-        url: normalizedUrl,
-        productUrl: normalizedUrl
-      };
+      product.productUrl = normalizedUrl;
     }
-    return product;
-  });
+  }
 
-  console.log(`📊 Products with URLs from HTML: ${updatedProducts.filter(p => p.url).length}/${updatedProducts.length}\n`);
+  console.log(`📊 Products with URLs from HTML: ${products.filter(p => p.productUrl).length}/${products.length}\n`);
 
   // Find all product cards on the page
   let productCards = await driver.findElements(
@@ -1131,14 +597,14 @@ async function searchAndExtract(driver, productName = 'lays') {
   // Second pass: For products without URLs, try to extract from cards or click
   console.log('🔍 Extracting URLs for products missing URLs...\n');
 
-  const maxToProcess = Math.min(productCards.length, updatedProducts.length);
+  const maxToProcess = Math.min(productCards.length, products.length);
   let processedCount = 0;
 
   for (let i = 0; i < maxToProcess && processedCount < 20; i++) {
-    const product = updatedProducts[i];
+    const product = products[i];
     
     // Skip if product already has a valid URL
-    if (product.url && product.url.includes('/instamart/item/')) {
+    if (product.productUrl && product.productUrl.includes('/instamart/item/')) {
       console.log(`[${i + 1}/${maxToProcess}] ✓ Already has URL: ${product.name || 'Unknown'}`);
       continue;
     }
@@ -1151,10 +617,9 @@ async function searchAndExtract(driver, productName = 'lays') {
 
       if (i >= productCards.length) {
         // Try to extract URL from HTML using regex as fallback
-        const htmlUrlMatch = html.match(new RegExp(`(https://www\\.swiggy\\.com/instamart/item/[A-Z0-9]+)`, 'gi'));
+        const htmlUrlMatch = html.match(new RegExp(`(${baseUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/instamart/item/[A-Z0-9]+)`, 'gi'));
         if (htmlUrlMatch && htmlUrlMatch[i]) {
-          updatedProducts[i].url = htmlUrlMatch[i];
-          updatedProducts[i].productUrl = htmlUrlMatch[i];
+          product.productUrl = htmlUrlMatch[i];
           console.log(`[${i + 1}/${maxToProcess}] ✓ Extracted URL from HTML regex: ${product.name || 'Unknown'}`);
           continue;
         }
@@ -1180,13 +645,13 @@ async function searchAndExtract(driver, productName = 'lays') {
             let href = match[1];
                     if (!href.startsWith('http')) {
               if (href.startsWith('/')) {
-                        href = 'https://www.swiggy.com' + href;
+                        href = baseUrl + href;
               } else if (href.includes('/instamart/item/')) {
-                href = 'https://www.swiggy.com' + href;
+                href = baseUrl + href;
               } else if (href.match(/^[A-Z0-9]+$/)) {
-                href = `https://www.swiggy.com/instamart/item/${href}`;
+                href = `${baseUrl}/instamart/item/${href}`;
                       } else {
-                        href = 'https://www.swiggy.com/instamart/item/' + href;
+                        href = baseUrl + '/instamart/item/' + href;
                       }
                     }
             // Normalize
@@ -1203,8 +668,7 @@ async function searchAndExtract(driver, productName = 'lays') {
 
       // If we got URL from HTML, use it
       if (productUrl) {
-        updatedProducts[i].url = productUrl;
-        updatedProducts[i].productUrl = productUrl;
+        product.productUrl = productUrl;
         console.log(`  ✅ Extracted URL from card HTML: ${productUrl}`);
         processedCount++;
         continue;
@@ -1264,8 +728,7 @@ async function searchAndExtract(driver, productName = 'lays') {
 
         productUrl = normalizeUrl(await driver.getCurrentUrl());
         if (productUrl && productUrl.includes('/instamart/item/')) {
-          updatedProducts[i].url = productUrl;
-          updatedProducts[i].productUrl = productUrl;
+          product.productUrl = productUrl;
           console.log(`  ✅ Got URL from navigation: ${productUrl}`);
           processedCount++;
         }
@@ -1292,79 +755,93 @@ async function searchAndExtract(driver, productName = 'lays') {
     }
   }
 
-  // If we have fewer updated products than original, add the remaining ones
-  if (updatedProducts.length < products.length) {
-    for (let i = updatedProducts.length; i < products.length; i++) {
-      updatedProducts.push(products[i]);
-    }
-  }
-
-  console.log(`\n📦 Final product list (${updatedProducts.length} products):\n`);
-  updatedProducts.forEach((p, i) => {
+  console.log(`\n📦 Final product list (${products.length} products):\n`);
+  products.forEach((p, i) => {
     console.log(
-      `${i + 1}. ${p.name || 'Unknown'} - ${p.price || 'N/A'}${p.url ? ` [${p.url}]` : ''}`
+      `${i + 1}. ${p.name || 'Unknown'} - ${p.price || 'N/A'}${p.productUrl ? ` [${p.productUrl}]` : ''}`
     );
   });
 
   // HTML and JSON files are not saved locally (disabled per user request)
-  return updatedProducts;
+  return jsonData;
+}
+
+/**
+ * Parse Swiggy Instamart HTML to extract product data
+ */
+function parseInstamartProducts(html, locationName, productName) {
+  const extracted = extract(html, 'swiggy', { location: locationName });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return {
+    website: 'Swiggy Instamart',
+    location: extracted.location,
+    product: productName,
+    timestamp: timestamp,
+    products: extracted.products,
+    invalidProducts: extracted.invalidProducts,
+    totalProducts: extracted.totalProducts,
+    parserVersion: extracted.parserVersion
+  };
 }
 
 // Public API: used by the orchestrator
-async function scrapeInstamartProducts(locationName = 'Mumbai', productName = 'lays') {
+// options.onProgress(type, details) is called at each milestone (location selected, search submitted)
+// options.signal quits the driver when aborted
+// options.products (batch mode) searches each of these after setting the location once
+async function scrapeInstamartProducts(locationName = 'Mumbai', productName = 'lays', options = {}) {
   let driver;
+  let releaseAbort = () => {};
 
   try {
-    const options = new chrome.Options();
+    const chromeOptions = new chrome.Options();
 
     // Headless toggle via environment variable: HEADLESS=false will show browser
     const isHeadless = process.env.HEADLESS !== 'false';
     if (isHeadless) {
-      options.addArguments('--headless=new');
+      chromeOptions.addArguments('--headless=new');
       // Provide a fixed window size for consistent layout in headless mode
-      options.addArguments('--window-size=1920,1080');
+      chromeOptions.addArguments('--window-size=1920,1080');
       console.log('🔇 Swiggy Instamart: running Chrome in headless mode');
     } else {
-      options.addArguments('--start-maximized');
+      chromeOptions.addArguments('--start-maximized');
       console.log('🖥️ Swiggy Instamart: running Chrome with visible window');
     }
 
-    options.addArguments('--disable-dev-shm-usage');
-    options.addArguments('--no-sandbox');
-    options.addArguments('--disable-gpu');
-    options.addArguments('--disable-blink-features=AutomationControlled');
-    options.addArguments(
+    chromeOptions.addArguments('--disable-dev-shm-usage');
+    chromeOptions.addArguments('--no-sandbox');
+    chromeOptions.addArguments('--disable-gpu');
+    chromeOptions.addArguments('--disable-blink-features=AutomationControlled');
+    chromeOptions.addArguments(
       '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     );
     // @ts-ignore – excludeSwitches exists at runtime
-    options.excludeSwitches('enable-automation');
+    chromeOptions.excludeSwitches('enable-automation');
 
     driver = await new Builder()
       .forBrowser('chrome')
-      .setChromeOptions(options)
+      .setChromeOptions(chromeOptions)
       .build();
+    releaseAbort = closeOnAbort(options.signal, () => driver.quit());
 
     await executeStealthScripts(driver);
 
     // Set location (defaults to Mumbai if caller passes nothing)
     await setLocation(driver, locationName);
+    options.onProgress?.(JOB_EVENTS.LOCATION_SELECTED, { location: locationName });
 
-    // Search and extract products
-    const products = await searchAndExtract(driver, productName);
-
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (options.products) {
+      return await searchProductsInSession(
+        options.products,
+        (batchProduct) => searchAndExtract(driver, locationName, batchProduct, options),
+        { website: 'Swiggy Instamart', location: locationName, signal: options.signal }
+      );
+    }
 
-    const jsonData = {
-      website: 'Swiggy Instamart',
-      location: locationName,
-      product: productName,
-      timestamp,
-      products,
-      totalProducts: products.length,
-      extractionMethod: 'Selenium (HTML parsing + card clicking)'
-    };
+    // Search and extract products
+    const jsonData = await searchAndExtract(driver, locationName, productName, options);
 
-    console.log(`\n📊 Total products extracted: ${products.length}`);
+    console.log(`\n📊 Total products extracted: ${jsonData.products.length}`);
     // HTML and JSON files are not saved locally (disabled per user request)
 
     return jsonData;
@@ -1372,6 +849,7 @@ async function scrapeInstamartProducts(locationName = 'Mumbai', productName = 'l
     console.error('❌ Error in Instamart scraper:', err);
     throw err;
   } finally {
+    releaseAbort();
     if (driver) {
       try {
         await driver.quit();
@@ -1418,6 +896,6 @@ if (isMainModule) {
   main().catch(console.error);
 }
 
-export { scrapeInstamartProducts };
+export { scrapeInstamartProducts, parseInstamartProducts };
 
 
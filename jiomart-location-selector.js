@@ -1,8 +1,12 @@
 import { Builder, By, until, Key } from 'selenium-webdriver';
 import chrome from 'selenium-webdriver/chrome.js';
+import { JOB_EVENTS } from './job-events.js';
+import { closeOnAbort } from './cancellation.js';
+import { searchProductsInSession } from './batch-search.js';
+import { storeUrl, storeBaseUrl } from './store-urls.js';
+import { extract } from './extraction.js';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import * as cheerio from 'cheerio';
 import * as fs from 'fs';
 
 /**
@@ -13,10 +17,15 @@ import * as fs from 'fs';
  * 3. Scrolls to load all products and images
  * 4. Extracts product data (name, price, productUrl, imageUrl)
  * 5. Returns structured JSON data
+ *
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called as onProgress(type, details) at each milestone
+ * @param {AbortSignal} options.signal - Quits the driver when aborted
+ * @param {string[]} options.products - Batch mode: search each of these after selecting the location once
  */
-async function selectLocationOnJioMart(locationName, productName = 'tomato') {
+async function selectLocationOnJioMart(locationName, productName = 'tomato', options = {}) {
   // Construct search URL from product name
-  const searchUrl = `https://www.jiomart.com/search?q=${encodeURIComponent(productName)}`;
+  const searchUrl = storeUrl('jiomart', `/search?q=${encodeURIComponent(productName)}`);
   
   // Setup Chrome options
   const chromeOptions = new chrome.Options();
@@ -54,6 +63,7 @@ async function selectLocationOnJioMart(locationName, productName = 'tomato') {
     .forBrowser('chrome')
     .setChromeOptions(chromeOptions)
     .build();
+  const releaseAbort = closeOnAbort(options.signal, () => driver.quit());
 
   try {
     // Set window size
@@ -68,8 +78,9 @@ async function selectLocationOnJioMart(locationName, productName = 'tomato') {
     // Execute script to hide webdriver property
     await driver.executeScript('Object.defineProperty(navigator, "webdriver", {get: () => undefined})');
     
-    // Navigate to JioMart search page
+    // Navigate to JioMart search page (the search runs before the location is set)
     await driver.get(searchUrl);
+    options.onProgress?.(JOB_EVENTS.SEARCH_SUBMITTED, { product: productName });
     
     // Wait for page to be fully loaded
     await driver.executeScript('return document.readyState').then(state => {
@@ -902,188 +913,22 @@ async function selectLocationOnJioMart(locationName, productName = 'tomato') {
       console.log(`⚠️ Could not verify location in header, but proceeding anyway...`);
       console.log(`   (Location may still be set - products are being extracted)`);
     }
+    options.onProgress?.(JOB_EVENTS.LOCATION_SELECTED, { location: locationName, verified: locationVerified });
     
     // Ensure we're on the original window
     await driver.switchTo().window(originalWindow);
     
-    // Wait for page to be fully loaded and rendered
-    console.log(`Waiting for page to fully load...`);
-    await driver.sleep(3000);
-    
-    // Wait for products to be rendered before extracting HTML
-    console.log(`Waiting for products to be rendered...`);
-    try {
-      await driver.wait(
-        until.elementLocated(By.xpath('//*[contains(@class, "product") or contains(@class, "item") or contains(@class, "result")]')),
-        15000
-      );
-      console.log(`✓ Products found on page`);
-    } catch (e) {
-      console.log(`⚠️ Products not found, continuing anyway...`);
-    }
-    await driver.sleep(2000);
-    
-    // Scroll slowly from top to bottom to load all images and product URLs
-    console.log(`Scrolling slowly from top to bottom to load all content...`);
-    await driver.executeScript(`
-      return new Promise((resolve) => {
-        const scrollHeight = document.body.scrollHeight;
-        const viewportHeight = window.innerHeight;
-        const scrollSteps = 10;
-        let currentStep = 0;
-        
-        const scrollInterval = setInterval(() => {
-          const scrollPosition = (scrollHeight / scrollSteps) * currentStep;
-          window.scrollTo(0, scrollPosition);
-          currentStep++;
-          
-          if (currentStep > scrollSteps) {
-            // Scroll back to top
-            window.scrollTo(0, 0);
-            clearInterval(scrollInterval);
-            setTimeout(resolve, 1000);
-          }
-        }, 500); // Scroll every 500ms
-      });
-    `);
-    await driver.sleep(2000);
-    
-    // Extract product URLs from page using JavaScript before getting HTML
-    console.log(`\nExtracting product URLs from page...`);
-    const productUrlsMap = await driver.executeScript(() => {
-      const urlsMap = {};
-      
-      // Find all product links - JioMart uses /p/ pattern
-      const productLinks = document.querySelectorAll('a[href*="/p/"]');
-      
-      productLinks.forEach((link) => {
-        const href = link.getAttribute('href');
-        if (!href || !href.includes('/p/')) return;
-        
-        // Skip if it's not a product page (avoid category pages)
-        if (href.includes('/p/homeandkitchen/') || href.match(/\/p\/[^\/]+\/[^\/]+\/\d+$/)) {
-          // This looks like a product URL
-        } else if (!href.match(/\/p\/[^\/]+\/[^\/]+\/\d+$/)) {
-          return; // Skip if it doesn't match product URL pattern
-        }
-        
-        // Try to find product name near the link
-        let productName = null;
-        
-        // Strategy 1: Look for product name in parent container
-        let parent = link.closest('[class*="product"], [class*="item"], [class*="card"], [data-testid*="product"]');
-        if (parent) {
-          // Try multiple selectors for product name
-          const nameSelectors = [
-            '[class*="title"]',
-            '[class*="name"]',
-            '[class*="product-title"]',
-            '[class*="product-name"]',
-            'h1, h2, h3, h4, h5, h6',
-            '[data-testid*="title"]',
-            '[data-testid*="name"]'
-          ];
-          
-          for (const selector of nameSelectors) {
-            const nameElement = parent.querySelector(selector);
-            if (nameElement) {
-              let nameText = nameElement.textContent.trim();
-              // Clean up product name - remove price, discount, "Add" button text
-              nameText = nameText.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
-              nameText = nameText.replace(/\d+%?\s*OFF/g, '').trim();
-              nameText = nameText.replace(/\b(Add|Get|Code|OFF|Flat|Rs)\b/gi, '').trim();
-              nameText = nameText.replace(/\s+/g, ' ').trim();
-              
-              if (nameText && nameText.length > 5) {
-                productName = nameText;
-                break;
-              }
-            }
-          }
-        }
-        
-        // Strategy 2: Look for product name in link's title or aria-label
-        if (!productName) {
-          productName = link.getAttribute('title') || link.getAttribute('aria-label');
-          if (productName) {
-            productName = productName.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
-            productName = productName.replace(/\d+%?\s*OFF/g, '').trim();
-            productName = productName.replace(/\b(Add|Get|Code|OFF|Flat|Rs)\b/gi, '').trim();
-            productName = productName.replace(/\s+/g, ' ').trim();
-          }
-        }
-        
-        // Strategy 3: Extract from link text (clean it)
-        if (!productName) {
-          let linkText = link.textContent.trim();
-          if (linkText) {
-            // Remove price patterns, discount, buttons
-            linkText = linkText.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
-            linkText = linkText.replace(/\d+%?\s*OFF/g, '').trim();
-            linkText = linkText.replace(/\b(Add|Get|Code|OFF|Flat|Rs|Buy)\b/gi, '').trim();
-            linkText = linkText.split('\n')[0].trim(); // Take first line only
-            linkText = linkText.replace(/\s+/g, ' ').trim();
-            
-            if (linkText && linkText.length > 5) {
-              productName = linkText;
-            }
-          }
-        }
-        
-        // Convert relative URLs to absolute
-        let productUrl = href;
-        if (!productUrl.startsWith('http')) {
-          if (productUrl.startsWith('//')) {
-            productUrl = 'https:' + productUrl;
-          } else if (productUrl.startsWith('/')) {
-            productUrl = 'https://www.jiomart.com' + productUrl;
-          } else if (!productUrl.includes('://') && !productUrl.startsWith('#') && !productUrl.startsWith('javascript:')) {
-            productUrl = 'https://www.jiomart.com/' + productUrl;
-          }
-        }
-        
-        // Store URL with cleaned product name
-        if (productName && productName.length > 5) {
-          urlsMap[productName] = productUrl;
-        }
-        
-        // Also store by partial match (first few words) for better matching
-        if (productName) {
-          const firstWords = productName.split(' ').slice(0, 5).join(' ');
-          if (firstWords.length > 10) {
-            urlsMap[firstWords] = productUrl;
-          }
-        }
-      });
-      
-      return urlsMap;
-    });
-    
-    console.log(`Extracted ${Object.keys(productUrlsMap).length} product URLs from page`);
-    
-    // Wait for images to load after scrolling
-    console.log(`Waiting for images to load...`);
-    await driver.sleep(3000);
-    
-    // Take a screenshot of the final state
-    console.log(`Taking final screenshot...`);
-    const screenshot = await driver.takeScreenshot();
-    const screenshotPath = `jiomart-${locationName.toLowerCase().replace(/\s+/g, '-')}-${productName.toLowerCase().replace(/\s+/g, '-')}-search-results.png`;
-    fs.writeFileSync(screenshotPath, screenshot, 'base64');
-    console.log(`✓ Screenshot saved: ${screenshotPath}`);
-
-    // Get the HTML of the final page
-    console.log(`Getting final page HTML...`);
-    const pageHtml = await driver.executeScript(() => {
-      return document.documentElement.outerHTML;
-    });
-    
-    // Parse HTML to extract product data
-    console.log(`\nExtracting product data from HTML...`);
-    const productData = parseJioMartProducts(pageHtml, locationName, productName, productUrlsMap);
-    
-    // HTML and JSON files are not saved locally (disabled per user request)
-    console.log(`Found ${productData.products.length} products`);
+    // Extract the search that is already on screen, or in batch mode (options.products)
+    // extract it and then load every other product in this session
+    const productData = options.products
+      ? await searchProductsInSession(
+        options.products,
+        (batchProduct, index) => index === 0 && batchProduct === productName
+          ? extractJioMartResults(driver, locationName, productName)
+          : searchAndExtractOnJioMart(driver, locationName, batchProduct, options),
+        { website: 'JioMart', location: locationName, signal: options.signal }
+      )
+      : await extractJioMartResults(driver, locationName, productName);
 
     console.log(`\n✅ Location "${locationName}" selected and product "${productName}" searched successfully!`);
 
@@ -1101,6 +946,7 @@ async function selectLocationOnJioMart(locationName, productName = 'tomato') {
     }
     throw error;
   } finally {
+    releaseAbort();
     // Always close browser in finally block with timeout to prevent hanging
     console.log('\n=== Closing browser ===');
     try {
@@ -1132,6 +978,205 @@ async function selectLocationOnJioMart(locationName, productName = 'tomato') {
   }
 }
 
+/**
+ * Open the JioMart search results for one more product in a session whose location is already set
+ */
+async function searchAndExtractOnJioMart(driver, locationName, productName, options = {}) {
+  const searchUrl = storeUrl('jiomart', `/search?q=${encodeURIComponent(productName)}`);
+  console.log(`Loading search results for "${productName}"...`);
+  await driver.get(searchUrl);
+  options.onProgress?.(JOB_EVENTS.SEARCH_SUBMITTED, { product: productName });
+  return extractJioMartResults(driver, locationName, productName);
+}
+
+/**
+ * Scroll the search results page that is on screen and extract its products
+ */
+async function extractJioMartResults(driver, locationName, productName) {
+  
+  // Wait for page to be fully loaded and rendered
+  console.log(`Waiting for page to fully load...`);
+  await driver.sleep(3000);
+  
+  // Wait for products to be rendered before extracting HTML
+  console.log(`Waiting for products to be rendered...`);
+  try {
+    await driver.wait(
+      until.elementLocated(By.xpath('//*[contains(@class, "product") or contains(@class, "item") or contains(@class, "result")]')),
+      15000
+    );
+    console.log(`✓ Products found on page`);
+  } catch (e) {
+    console.log(`⚠️ Products not found, continuing anyway...`);
+  }
+  await driver.sleep(2000);
+  
+  // Scroll slowly from top to bottom to load all images and product URLs
+  console.log(`Scrolling slowly from top to bottom to load all content...`);
+  await driver.executeScript(`
+    return new Promise((resolve) => {
+      const scrollHeight = document.body.scrollHeight;
+      const viewportHeight = window.innerHeight;
+      const scrollSteps = 10;
+      let currentStep = 0;
+      
+      const scrollInterval = setInterval(() => {
+        const scrollPosition = (scrollHeight / scrollSteps) * currentStep;
+        window.scrollTo(0, scrollPosition);
+        currentStep++;
+        
+        if (currentStep > scrollSteps) {
+          // Scroll back to top
+          window.scrollTo(0, 0);
+          clearInterval(scrollInterval);
+          setTimeout(resolve, 1000);
+        }
+      }, 500); // Scroll every 500ms
+    });
+  `);
+  await driver.sleep(2000);
+  
+  // Extract product URLs from page using JavaScript before getting HTML
+  console.log(`\nExtracting product URLs from page...`);
+  const productUrlsMap = await driver.executeScript((baseUrl) => {
+    const urlsMap = {};
+    
+    // Find all product links - JioMart uses /p/ pattern
+    const productLinks = document.querySelectorAll('a[href*="/p/"]');
+    
+    productLinks.forEach((link) => {
+      const href = link.getAttribute('href');
+      if (!href || !href.includes('/p/')) return;
+      
+      // Skip if it's not a product page (avoid category pages)
+      if (href.includes('/p/homeandkitchen/') || href.match(/\/p\/[^\/]+\/[^\/]+\/\d+$/)) {
+        // This looks like a product URL
+      } else if (!href.match(/\/p\/[^\/]+\/[^\/]+\/\d+$/)) {
+        return; // Skip if it doesn't match product URL pattern
+      }
+      
+      // Try to find product name near the link
+      let productName = null;
+      
+      // Strategy 1: Look for product name in parent container
+      let parent = link.closest('[class*="product"], [class*="item"], [class*="card"], [data-testid*="product"]');
+      if (parent) {
+        // Try multiple selectors for product name
+        const nameSelectors = [
+          '[class*="title"]',
+          '[class*="name"]',
+          '[class*="product-title"]',
+          '[class*="product-name"]',
+          'h1, h2, h3, h4, h5, h6',
+          '[data-testid*="title"]',
+          '[data-testid*="name"]'
+        ];
+        
+        for (const selector of nameSelectors) {
+          const nameElement = parent.querySelector(selector);
+          if (nameElement) {
+            let nameText = nameElement.textContent.trim();
+            // Clean up product name - remove price, discount, "Add" button text
+            nameText = nameText.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
+            nameText = nameText.replace(/\d+%?\s*OFF/g, '').trim();
+            nameText = nameText.replace(/\b(Add|Get|Code|OFF|Flat|Rs)\b/gi, '').trim();
+            nameText = nameText.replace(/\s+/g, ' ').trim();
+            
+            if (nameText && nameText.length > 5) {
+              productName = nameText;
+              break;
+            }
+          }
+        }
+      }
+      
+      // Strategy 2: Look for product name in link's title or aria-label
+      if (!productName) {
+        productName = link.getAttribute('title') || link.getAttribute('aria-label');
+        if (productName) {
+          productName = productName.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
+          productName = productName.replace(/\d+%?\s*OFF/g, '').trim();
+          productName = productName.replace(/\b(Add|Get|Code|OFF|Flat|Rs)\b/gi, '').trim();
+          productName = productName.replace(/\s+/g, ' ').trim();
+        }
+      }
+      
+      // Strategy 3: Extract from link text (clean it)
+      if (!productName) {
+        let linkText = link.textContent.trim();
+        if (linkText) {
+          // Remove price patterns, discount, buttons
+          linkText = linkText.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
+          linkText = linkText.replace(/\d+%?\s*OFF/g, '').trim();
+          linkText = linkText.replace(/\b(Add|Get|Code|OFF|Flat|Rs|Buy)\b/gi, '').trim();
+          linkText = linkText.split('\n')[0].trim(); // Take first line only
+          linkText = linkText.replace(/\s+/g, ' ').trim();
+          
+          if (linkText && linkText.length > 5) {
+            productName = linkText;
+          }
+        }
+      }
+      
+      // Convert relative URLs to absolute
+      let productUrl = href;
+      if (!productUrl.startsWith('http')) {
+        if (productUrl.startsWith('//')) {
+          productUrl = 'https:' + productUrl;
+        } else if (productUrl.startsWith('/')) {
+          productUrl = baseUrl + productUrl;
+        } else if (!productUrl.includes('://') && !productUrl.startsWith('#') && !productUrl.startsWith('javascript:')) {
+          productUrl = baseUrl + '/' + productUrl;
+        }
+      }
+      
+      // Store URL with cleaned product name
+      if (productName && productName.length > 5) {
+        urlsMap[productName] = productUrl;
+      }
+      
+      // Also store by partial match (first few words) for better matching
+      if (productName) {
+        const firstWords = productName.split(' ').slice(0, 5).join(' ');
+        if (firstWords.length > 10) {
+          urlsMap[firstWords] = productUrl;
+        }
+      }
+    });
+    
+    return urlsMap;
+  }, storeBaseUrl('jiomart'));
+  
+  console.log(`Extracted ${Object.keys(productUrlsMap).length} product URLs from page`);
+  
+  // Wait for images to load after scrolling
+  console.log(`Waiting for images to load...`);
+  await driver.sleep(3000);
+  
+  // Take a screenshot of the final state
+  console.log(`Taking final screenshot...`);
+  const screenshot = await driver.takeScreenshot();
+  const screenshotPath = `jiomart-${locationName.toLowerCase().replace(/\s+/g, '-')}-${productName.toLowerCase().replace(/\s+/g, '-')}-search-results.png`;
+  fs.writeFileSync(screenshotPath, screenshot, 'base64');
+  console.log(`✓ Screenshot saved: ${screenshotPath}`);
+
+  // Get the HTML of the final page
+  console.log(`Getting final page HTML...`);
+  const pageHtml = await driver.executeScript(() => {
+    return document.documentElement.outerHTML;
+  });
+  
+  // Parse HTML to extract product data
+  console.log(`\nExtracting product data from HTML...`);
+  const productData = parseJioMartProducts(pageHtml, locationName, productName, productUrlsMap);
+  
+  // HTML and JSON files are not saved locally (disabled per user request)
+  console.log(`Found ${productData.products.length} products`);
+
+  return productData;
+}
+
+
 // Main execution
 async function main() {
   // Example: Select different locations
@@ -1180,255 +1225,18 @@ if (isMainModule) {
  * Parse JioMart HTML to extract product data
  */
 function parseJioMartProducts(html, locationName, productName, productUrlsMap = {}) {
-  const $ = cheerio.load(html);
-  const products = [];
-  
-  // Common navigation/menu items to exclude
-  const excludeTexts = ['Home', 'Shop By Category', 'My Orders', 'My List', 'Wishlist', 'Cart', 
-                        'Sign In', 'Register', 'Login', 'Search', 'Menu', 'Categories'];
-  
-  // Extract products from JioMart - look for product cards
-  $('[class*="product"], [class*="item-card"], [class*="jm-product"], [data-testid*="product"]').each((index, element) => {
-    const $el = $(element);
-    const text = $el.text().trim();
-    
-    // Skip if it's too short or matches excluded navigation items
-    if (text.length < 10 || excludeTexts.some(exclude => text === exclude || text.startsWith(exclude))) {
-      return;
-    }
-    
-    // Look for price indicators (₹ symbol or price patterns)
-    const hasPrice = $el.find('*').text().match(/₹\s*\d+|\d+\s*₹|price|MRP|Rs\./i);
-    if (!hasPrice) return;
-    
-    // Try to extract product name
-    let productNameText = $el.find('[class*="product-title"], [class*="product-name"], [class*="item-title"], [class*="title"], h1, h2, h3, h4, h5, h6').first().text().trim() ||
-                          $el.find('a[href*="/p/"], a[href*="product"]').text().trim() ||
-                          text.split('\n')[0].trim();
-    
-    // Clean up product name - remove prices, discounts, button text
-    if (productNameText) {
-      productNameText = productNameText.replace(/₹\s*\d+[.,]?\d*/g, '').trim();
-      productNameText = productNameText.replace(/\d+%?\s*OFF/g, '').trim();
-      productNameText = productNameText.replace(/\b(Add|Get|Code|OFF|Flat|Rs|Buy|Cart)\b/gi, '').trim();
-      productNameText = productNameText.replace(/\s+/g, ' ').trim();
-    }
-    
-    if (!productNameText || productNameText.length < 3 || excludeTexts.includes(productNameText)) return;
-    
-    // Extract prices - JioMart typically shows: ₹price ₹MRP or ₹MRP ₹price
-    let mrp = null;
-    let price = null;
-    const priceText = $el.text();
-    const priceMatches = priceText.match(/₹\s*(\d+(?:[.,]\d+)?)/g);
-    
-    if (priceMatches && priceMatches.length > 0) {
-      const prices = priceMatches.map(m => parseFloat(m.replace(/[₹\s,]/g, ''))).filter(p => !isNaN(p) && p > 0);
-      if (prices.length > 0) {
-        const hasStrike = $el.find('s, del, [style*="line-through"], [class*="strike"], [class*="mrp"]').length > 0;
-        
-        // JioMart pattern: Usually shows selling price first, then MRP (strikethrough)
-        // Or: MRP (strikethrough) first, then selling price
-        if (hasStrike && prices.length > 1) {
-          // Find which price has strikethrough
-          const priceElements = $el.find('*').filter((i, el) => {
-            const $el = $(el);
-            return $el.text().match(/₹\s*\d+/) && 
-                   ($el.is('s, del') || $el.hasClass('mrp') || $el.css('text-decoration').includes('line-through'));
-          });
-          
-          if (priceElements.length > 0) {
-            // First price with strike is MRP
-            mrp = prices[0];
-            price = prices[1] || prices[0];
-          } else {
-            // Assume first is MRP (strikethrough), second is selling price
-            mrp = prices[0];
-            price = prices[1];
-          }
-        } else if (prices.length > 1) {
-          // If no strikethrough but multiple prices, assume first is selling, second is MRP
-          price = prices[0];
-          mrp = prices[1];
-        } else {
-          // Single price - it's the selling price
-          price = prices[0];
-        }
-      }
-    }
-    
-    const isOutOfStock = $el.find('[class*="out"], [class*="stock"], [class*="unavailable"]').length > 0 ||
-                        text.toLowerCase().includes('out of stock') ||
-                        text.toLowerCase().includes('currently unavailable');
-    
-    // Extract image URL - try multiple strategies
-    let imageUrl = null;
-    
-    // Strategy 1: Look for img tag in product container
-    const $img = $el.find('img').not('img[alt*="logo"], img[alt*="icon"], img[src*="logo"], img[src*="icon"]').first();
-    if ($img.length > 0) {
-      imageUrl = $img.attr('src') || 
-                 $img.attr('data-src') || 
-                 $img.attr('data-lazy-src') || 
-                 $img.attr('data-original') ||
-                 $img.attr('data-image') ||
-                 $img.attr('data-img') ||
-                 $img.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-    }
-    
-    // Strategy 2: Look for background-image style
-    if (!imageUrl) {
-      const bgImageMatch = $el.attr('style')?.match(/url\(['"]?([^'")]+)['"]?\)/);
-      if (bgImageMatch) {
-        imageUrl = bgImageMatch[1];
-      }
-    }
-    
-    // Strategy 3: Look in child elements with background images
-    if (!imageUrl) {
-      $el.find('[style*="background-image"], [style*="backgroundImage"], [class*="image"]').each((i, el) => {
-        const style = $(el).attr('style') || '';
-        const bgMatch = style.match(/url\(['"]?([^'")]+)['"]?\)/);
-        if (bgMatch && !imageUrl) {
-          imageUrl = bgMatch[1];
-          return false; // break
-        }
-      });
-    }
-    
-    // Strategy 4: Look for picture element
-    if (!imageUrl) {
-      const $picture = $el.find('picture').first();
-      if ($picture.length > 0) {
-        const $source = $picture.find('source').first();
-        if ($source.length > 0) {
-          imageUrl = $source.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-        }
-        if (!imageUrl) {
-          const $img = $picture.find('img').first();
-          if ($img.length > 0) {
-            imageUrl = $img.attr('src') || $img.attr('data-src');
-          }
-        }
-      }
-    }
-    
-    // Convert relative URLs to absolute
-    if (imageUrl && !imageUrl.startsWith('http')) {
-      if (imageUrl.startsWith('//')) {
-        imageUrl = 'https:' + imageUrl;
-      } else if (imageUrl.startsWith('/')) {
-        imageUrl = 'https://www.jiomart.com' + imageUrl;
-      } else if (!imageUrl.includes('://')) {
-        imageUrl = 'https://www.jiomart.com/' + imageUrl;
-      }
-    }
-    
-    // Clean up image URL
-    if (imageUrl) {
-      imageUrl = imageUrl.split('?')[0] + (imageUrl.includes('?') ? '?' + imageUrl.split('?')[1].split('&').filter(p => 
-        p.startsWith('w=') || p.startsWith('h=') || p.startsWith('q=') || p.startsWith('fit=')
-      ).join('&') : '');
-    }
-    
-    // Extract product URL from link or use the map
-    let productUrl = null;
-    
-    // Strategy 1: Look for anchor tag with product URL (JioMart uses /p/ pattern)
-    const $link = $el.find('a[href*="/p/"]').first();
-    if ($link.length > 0) {
-      const href = $link.attr('href');
-      // Verify it's a product URL (has pattern like /p/category/product-name/id)
-      if (href && (href.match(/\/p\/[^\/]+\/[^\/]+\/\d+$/) || href.includes('/p/homeandkitchen/') || href.includes('/p/groceries/'))) {
-        productUrl = href;
-      }
-    }
-    
-    // Strategy 2: Try to find any link with /p/ pattern in the element
-    if (!productUrl) {
-      const $anyLink = $el.find('a[href*="/p/"]').first();
-      if ($anyLink.length > 0) {
-        const href = $anyLink.attr('href');
-        if (href && (href.match(/\/p\/[^\/]+\/[^\/]+\/\d+$/) || href.includes('/p/homeandkitchen/') || href.includes('/p/groceries/'))) {
-          productUrl = href;
-        }
-      }
-    }
-    
-    // Strategy 3: Use product URL from the map extracted via Selenium
-    // Try exact match first
-    if (!productUrl && productUrlsMap[productNameText]) {
-      productUrl = productUrlsMap[productNameText];
-    }
-    
-    // Strategy 4: Try partial match (first few words)
-    if (!productUrl) {
-      const firstWords = productNameText.split(' ').slice(0, 5).join(' ');
-      if (firstWords.length > 10 && productUrlsMap[firstWords]) {
-        productUrl = productUrlsMap[firstWords];
-      }
-    }
-    
-    // Strategy 5: Try fuzzy matching - find URL where product name contains key words
-    if (!productUrl) {
-      const nameWords = productNameText.toLowerCase().split(' ').filter(w => w.length > 3);
-      for (const [mapName, mapUrl] of Object.entries(productUrlsMap)) {
-        const mapNameLower = mapName.toLowerCase();
-        // Check if at least 2 key words match
-        const matchingWords = nameWords.filter(word => mapNameLower.includes(word));
-        if (matchingWords.length >= 2) {
-          productUrl = mapUrl;
-          break;
-        }
-      }
-    }
-    
-    // Convert relative URLs to absolute
-    if (productUrl && !productUrl.startsWith('http')) {
-      if (productUrl.startsWith('//')) {
-        productUrl = 'https:' + productUrl;
-      } else if (productUrl.startsWith('/')) {
-        productUrl = 'https://www.jiomart.com' + productUrl;
-      } else if (!productUrl.includes('://') && !productUrl.startsWith('#') && !productUrl.startsWith('javascript:')) {
-        productUrl = 'https://www.jiomart.com/' + productUrl;
-      }
-    }
-    
-    // Only add if we have at least a product name and price
-    if (productNameText && price) {
-      products.push({
-        name: productNameText,
-        price: price,
-        mrp: mrp,
-        discount: mrp && price ? mrp - price : null,
-        discountAmount: mrp && price ? mrp - price : null,
-        isOutOfStock: isOutOfStock,
-        imageUrl: imageUrl || null,
-        productUrl: productUrl || null
-      });
-    }
-  });
-  
-  // Remove duplicates based on product name
-  const uniqueProducts = [];
-  const seenNames = new Set();
-  for (const product of products) {
-    const normalizedName = product.name.toLowerCase().trim();
-    if (!seenNames.has(normalizedName) && product.name.length > 3) {
-      seenNames.add(normalizedName);
-      uniqueProducts.push(product);
-    }
-  }
-  
+  const extracted = extract(html, 'jiomart', { location: locationName, productUrlsMap });
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   
   return {
     website: 'JioMart',
-    location: locationName,
+    location: extracted.location,
     product: productName,
     timestamp: timestamp,
-    products: uniqueProducts,
-    totalProducts: uniqueProducts.length
+    products: extracted.products,
+    invalidProducts: extracted.invalidProducts,
+    totalProducts: extracted.totalProducts,
+    parserVersion: extracted.parserVersion
   };
 }
 
@@ -0,0 +1,199 @@
+import { createHmac, randomUUID } from 'crypto';
+import { parseLimit } from './job-queue.js';
+import { parseHostList, outboundHostError, checkOutboundUrl } from './outbound-guard.js';
+
+/**
+ * Job Completion Callbacks
+ *
+ * A job created with `callbackUrl` (and optionally `callbackSecret`) has the
+ * same JSON as GET /api/json/:jobId POSTed to that URL once it completes,
+ * fails, is cancelled or is interrupted by a restart, so integrators do not
+ * have to poll.
+ *
+ * Request headers:
+ *   X-Scout-Event      - job.completed | job.failed | job.cancelled | job.interrupted
+ *   X-Scout-Job-Id     - Job the payload belongs to
+ *   X-Scout-Delivery   - Callback id, the same on every retry (use it to drop duplicates)
+ *   X-Scout-Timestamp  - Unix seconds when the attempt was sent
+ *   X-Scout-Signature  - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ *                        with the callback secret (sent when there is a secret)
+ *
+ * Callbacks never go to the server's own network: URLs naming or resolving to
+ * a loopback, link-local (e.g. 169.254.169.254 cloud metadata), private or
+ * other non-public address are refused, when the job is created and again
+ * before each delivery. Set CALLBACK_ALLOWED_HOSTS to accept only the listed
+ * hosts instead; those may be internal.
+ *
+ * Network errors and non-2xx responses are retried with exponential backoff.
+ * Every attempt is recorded on the callback:
+ * { attempt, sentAt, statusCode, ok, error, durationMs }
+ *
+ * Configuration (environment):
+ *   CALLBACK_SECRET         - secret for jobs created without callbackSecret
+ *   CALLBACK_ALLOWED_HOSTS  - only accept these hosts, e.g. "hooks.example.com,.internal.example.com"
+ *                             (a leading dot also accepts subdomains)
+ *   CALLBACK_MAX_ATTEMPTS   - attempts per callback (default 5)
+ *   CALLBACK_RETRY_BASE_MS  - delay before the first retry, doubled after each (default 2000)
+ *   CALLBACK_TIMEOUT_MS     - timeout of one attempt (default 10000)
+ */
+
+const MAX_ATTEMPTS = parseLimit(process.env.CALLBACK_MAX_ATTEMPTS, 5);
+const RETRY_BASE_MS = parseLimit(process.env.CALLBACK_RETRY_BASE_MS, 2000);
+const TIMEOUT_MS = parseLimit(process.env.CALLBACK_TIMEOUT_MS, 10 * 1000);
+
+// Callback URLs come from API requests (see outbound-guard.js)
+function callbackGuard() {
+  return {
+    label: '"callbackUrl"',
+    allowedHosts: parseHostList(process.env.CALLBACK_ALLOWED_HOSTS),
+    allowedHostsVar: 'CALLBACK_ALLOWED_HOSTS'
+  };
+}
+
+/**
+ * Resolve a callback URL's host and refuse it when it reaches a non-public address
+ * @returns {Promise<string|null>} - Why the callback may not be sent, or null when it may
+ */
+function checkCallbackTarget(url) {
+  return checkOutboundUrl(url, callbackGuard());
+}
+
+/**
+ * Read `callbackUrl` and `callbackSecret` from a request body
+ * @returns {{ callback: Object|null, error: string|null }} - callback is null when no URL was given
+ */
+function parseCallback(body) {
+  const url = body?.callbackUrl;
+  if (url === undefined || url === null || url === '') {
+    return { callback: null, error: null };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { callback: null, error: '"callbackUrl" must be an absolute http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { callback: null, error: '"callbackUrl" must be an absolute http(s) URL' };
+  }
+  const hostError = outboundHostError(parsed.hostname, callbackGuard());
+  if (hostError) {
+    return { callback: null, error: hostError };
+  }
+  const secret = body.callbackSecret;
+  if (secret !== undefined && (typeof secret !== 'string' || !secret)) {
+    return { callback: null, error: '"callbackSecret" must be a non-empty string' };
+  }
+
+  return {
+    callback: {
+      id: `cb-${randomUUID()}`,
+      url: parsed.href,
+      secret: secret || null,
+      status: 'pending',
+      attempts: [],
+      deliveredAt: null
+    },
+    error: null
+  };
+}
+
+/**
+ * A callback as shown in API responses - the secret never leaves the server
+ */
+function publicCallback({ secret, ...callback }) {
+  return { ...callback, signed: Boolean(secret || process.env.CALLBACK_SECRET) };
+}
+
+/**
+ * HMAC-SHA256 signature of one delivery
+ */
+function signCallback(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST a job payload to a callback URL, retrying with backoff until it is accepted
+ * The callback object is updated in place (status, attempts, deliveredAt).
+ * @param {Object} callback - From parseCallback
+ * @param {Object} delivery
+ * @param {string} delivery.jobId
+ * @param {string} delivery.event - e.g. "job.completed"
+ * @param {Object} delivery.payload - JSON body
+ * @param {Function} onAttempt - Called after every attempt, e.g. to persist the job
+ * @returns {Promise<Object>} - The callback
+ */
+async function deliverCallback(callback, { jobId, event, payload }, onAttempt = () => {}) {
+  const body = JSON.stringify(payload);
+  const secret = callback.secret || process.env.CALLBACK_SECRET || null;
+  callback.status = 'delivering';
+
+  for (let attempt = callback.attempts.length + 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const record = { attempt, sentAt: new Date(startedAt).toISOString(), statusCode: null, ok: false, error: null, durationMs: 0 };
+    // Checked on every attempt: the host may resolve elsewhere by now (a name that
+    // does not resolve fails in fetch() below and is retried)
+    const refused = await checkCallbackTarget(callback.url).catch(() => null);
+    if (refused) {
+      record.error = refused;
+      callback.attempts.push(record);
+      callback.status = 'failed';
+      onAttempt(callback);
+      console.log(`Job ${jobId}: 🚫 Callback to ${callback.url} refused: ${refused}`);
+      return callback;
+    }
+    try {
+      const response = await fetch(callback.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ecom-scout-callbacks',
+          'X-Scout-Event': event,
+          'X-Scout-Job-Id': jobId,
+          'X-Scout-Delivery': callback.id,
+          'X-Scout-Timestamp': String(timestamp),
+          ...(secret && { 'X-Scout-Signature': signCallback(secret, timestamp, body) })
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      record.statusCode = response.status;
+      record.ok = response.ok;
+      if (!response.ok) {
+        record.error = `Responded ${response.status}`;
+      }
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+    } catch (error) {
+      record.error = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : error.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+    callback.attempts.push(record);
+
+    if (record.ok) {
+      callback.status = 'delivered';
+      callback.deliveredAt = new Date().toISOString();
+      onAttempt(callback);
+      console.log(`Job ${jobId}: 📬 Callback delivered to ${callback.url} (attempt ${attempt})`);
+      return callback;
+    }
+
+    const finalAttempt = attempt === MAX_ATTEMPTS;
+    if (finalAttempt) {
+      callback.status = 'failed';
+    }
+    onAttempt(callback);
+    console.log(`Job ${jobId}: ⚠️  Callback to ${callback.url} failed (attempt ${attempt}/${MAX_ATTEMPTS}): ${record.error}`);
+    if (!finalAttempt) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (attempt - 1)));
+    }
+  }
+
+  callback.status = 'failed';
+  return callback;
+}
+
+export { parseCallback, publicCallback, signCallback, deliverCallback, checkCallbackTarget };
@@ -0,0 +1,194 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Job Progress Events
+ *
+ * Per-job event bus feeding the `GET /api/job/:jobId/events` Server-Sent
+ * Events stream. The orchestrator reports store progress through
+ * `options.onEvent`, each store selector through `options.onProgress`, and the
+ * API servers publish them here.
+ *
+ * Event shape:
+ * {
+ *   id: number,          // Increasing per job, used as the SSE event id
+ *   type: string,        // One of JOB_EVENTS
+ *   jobId: string,
+ *   timestamp: string,
+ *   website?: string,    // Store id for site-* events
+ *   ...details           // productCount, error, status, ...
+ * }
+ */
+
+const JOB_EVENTS = {
+  JOB_STARTED: 'job-started',
+  SITE_STARTED: 'site-started',
+  LOCATION_SELECTED: 'location-selected',
+  SEARCH_SUBMITTED: 'search-submitted',
+  PRODUCTS_EXTRACTED: 'products-extracted',
+  SITE_RETRY: 'site-retry',
+  SITE_FAILED: 'site-failed',
+  JOB_COMPLETED: 'job-completed'
+};
+
+// Statuses after which a job produces no more events
+const FINISHED_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+class JobEventBus {
+  /**
+   * @param {Object} options
+   * @param {number} options.historyLimit - Events kept per job for late subscribers
+   * @param {number} options.retentionMs - How long history is kept after job-completed
+   */
+  constructor({ historyLimit = 200, retentionMs = 10 * 60 * 1000 } = {}) {
+    this.historyLimit = historyLimit;
+    this.retentionMs = retentionMs;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.histories = new Map();
+  }
+
+  /**
+   * Record an event for a job and deliver it to live subscribers
+   */
+  publish(jobId, type, details = {}) {
+    const history = this.histories.get(jobId) || [];
+    const event = {
+      id: (history.length > 0 ? history[history.length - 1].id : 0) + 1,
+      type,
+      jobId,
+      timestamp: new Date().toISOString(),
+      ...details
+    };
+
+    history.push(event);
+    if (history.length > this.historyLimit) {
+      history.splice(0, history.length - this.historyLimit);
+    }
+    this.histories.set(jobId, history);
+    this.emitter.emit(jobId, event);
+
+    if (type === JOB_EVENTS.JOB_COMPLETED) {
+      setTimeout(() => this.histories.delete(jobId), this.retentionMs).unref();
+    }
+    return event;
+  }
+
+  /**
+   * Orchestrator `onEvent` callback that publishes into this job's stream
+   */
+  forJob(jobId) {
+    return ({ type, ...details }) => this.publish(jobId, type, details);
+  }
+
+  history(jobId) {
+    return this.histories.get(jobId) || [];
+  }
+
+  /**
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+}
+
+/**
+ * Write one event in SSE wire format
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Serve a job's events as an SSE stream
+ * Replays history after `Last-Event-ID`, then streams live events until the
+ * job completes. Jobs that finished before their history was recorded (for
+ * example before a restart) get a single job-completed event.
+ */
+function streamJobEvents(req, res, bus, job) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const history = bus.history(job.id);
+  history.filter(event => event.id > lastEventId).forEach(event => writeEvent(res, event));
+
+  const completed = history.some(event => event.type === JOB_EVENTS.JOB_COMPLETED);
+  if (completed || FINISHED_STATUSES.includes(job.status)) {
+    if (!completed) {
+      writeEvent(res, {
+        id: lastEventId + 1,
+        type: JOB_EVENTS.JOB_COMPLETED,
+        jobId: job.id,
+        timestamp: job.finishedAt || new Date().toISOString(),
+        status: job.status,
+        error: job.error || null
+      });
+    }
+    return res.end();
+  }
+
+  // Comment lines keep proxies (Railway, nginx) from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const unsubscribe = bus.subscribe(job.id, event => {
+    writeEvent(res, event);
+    if (event.type === JOB_EVENTS.JOB_COMPLETED) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+}
+
+/**
+ * Read an SSE response body (fetch Response) and call onEvent for each event
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+async function readEventStream(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    const data = block
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      console.error(`⚠️  Ignoring unreadable stream event: ${error.message}`);
+      return;
+    }
+    onEvent(event);
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
+export { JobEventBus, JOB_EVENTS, FINISHED_STATUSES, streamJobEvents, writeEvent, readEventStream };
@@ -0,0 +1,238 @@
+/**
+ * Job Queue and Browser Limiter
+ *
+ * Every scrape job launches one browser per store, so running jobs as soon as
+ * they arrive lets a handful of users exhaust memory. Two layers keep that
+ * bounded:
+ *
+ *   JobQueue       - admits at most `maxConcurrentJobs` jobs at a time, the rest
+ *                    wait in priority order (FIFO within the same priority)
+ *   BrowserLimiter - global browser budget plus per-store caps, acquired by
+ *                    each store task right before it opens a browser
+ *
+ * Configuration (environment):
+ *   MAX_CONCURRENT_JOBS  - jobs running at once (default 2)
+ *   MAX_BROWSERS         - browsers open at once across all jobs (default 5)
+ *   STORE_CONCURRENCY    - per-store caps, e.g. "swiggy=1,zepto=2"
+ *                          (defaults to each adapter's maxConcurrency)
+ */
+
+import { createAbortError } from './cancellation.js';
+
+/**
+ * Parse a positive integer from an environment value
+ */
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Parse "store=n,store=n" into { store: n }
+ */
+function parseStoreLimits(value) {
+  const limits = {};
+  if (!value) return limits;
+  for (const pair of value.split(',')) {
+    const [store, limit] = pair.split('=').map(part => part && part.trim());
+    const parsed = parseLimit(limit, null);
+    if (store && parsed) {
+      limits[store.toLowerCase()] = parsed;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Counting semaphore - waiters are kept by BrowserLimiter
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+  }
+
+  tryAcquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return true;
+    }
+    return false;
+  }
+
+  release() {
+    this.active = Math.max(0, this.active - 1);
+  }
+}
+
+/**
+ * Bounded queue of scrape jobs with priority ordering
+ */
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxConcurrentJobs - Jobs allowed to run at once
+   */
+  constructor({ maxConcurrentJobs = parseLimit(process.env.MAX_CONCURRENT_JOBS, 2) } = {}) {
+    this.maxConcurrentJobs = maxConcurrentJobs;
+    this.pending = [];
+    this.running = new Set();
+    this.sequence = 0;
+  }
+
+  /**
+   * Queue a job. `run` is called once a slot frees up.
+   * Higher priority runs first; equal priorities keep arrival order.
+   * @returns {Promise} - Settles with the result of `run`
+   */
+  enqueue(jobId, run, { priority = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ jobId, run, priority, sequence: ++this.sequence, resolve, reject });
+      this.pending.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.running.size < this.maxConcurrentJobs && this.pending.length > 0) {
+      const entry = this.pending.shift();
+      this.running.add(entry.jobId);
+      Promise.resolve()
+        .then(() => entry.run())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running.delete(entry.jobId);
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * 1-based position among waiting jobs, or null when not waiting
+   */
+  getPosition(jobId) {
+    const index = this.pending.findIndex(entry => entry.jobId === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Remove a job that has not started yet - its enqueue() promise resolves with null
+   * @returns {boolean} - True if the job was still waiting
+   */
+  remove(jobId) {
+    const index = this.pending.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return false;
+    const [entry] = this.pending.splice(index, 1);
+    entry.resolve(null);
+    return true;
+  }
+
+  getStats() {
+    return {
+      running: this.running.size,
+      queued: this.pending.length,
+      maxConcurrentJobs: this.maxConcurrentJobs
+    };
+  }
+}
+
+/**
+ * Global browser budget with per-store concurrency caps
+ */
+class BrowserLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBrowsers - Browsers open at once across all stores
+   * @param {Object} options.storeLimits - Per-store caps keyed by store id
+   */
+  constructor({
+    maxBrowsers = parseLimit(process.env.MAX_BROWSERS, 5),
+    storeLimits = parseStoreLimits(process.env.STORE_CONCURRENCY)
+  } = {}) {
+    this.global = new Semaphore(maxBrowsers);
+    this.storeLimits = storeLimits;
+    this.stores = new Map();
+    this.waiting = [];
+  }
+
+  storeSemaphore(storeId, defaultLimit) {
+    if (!this.stores.has(storeId)) {
+      const limit = this.storeLimits[storeId] || defaultLimit || this.global.limit;
+      this.stores.set(storeId, new Semaphore(limit));
+    }
+    return this.stores.get(storeId);
+  }
+
+  /**
+   * Wait for a browser slot for the given store
+   * @param {string} storeId - Store id from the registry
+   * @param {number} defaultLimit - Store cap when not configured (adapter maxConcurrency)
+   * @param {AbortSignal} signal - Stops waiting (rejects with an AbortError) when aborted
+   * @returns {Promise<Function>} - Call to release the slot
+   */
+  acquire(storeId, defaultLimit, signal) {
+    const store = this.storeSemaphore(storeId, defaultLimit);
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { store, resolve };
+      if (signal) {
+        const onAbort = () => {
+          const index = this.waiting.indexOf(waiter);
+          if (index !== -1) {
+            this.waiting.splice(index, 1);
+            reject(createAbortError());
+          }
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.resolve = (release) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        };
+      }
+      this.waiting.push(waiter);
+      this.grant();
+    });
+  }
+
+  /**
+   * Hand out slots in arrival order, skipping waiters whose store is at its cap
+   */
+  grant() {
+    for (let i = 0; i < this.waiting.length && this.global.active < this.global.limit;) {
+      const waiter = this.waiting[i];
+      if (waiter.store.tryAcquire()) {
+        this.global.tryAcquire();
+        this.waiting.splice(i, 1);
+        let released = false;
+        waiter.resolve(() => {
+          if (released) return;
+          released = true;
+          waiter.store.release();
+          this.global.release();
+          this.grant();
+        });
+      } else {
+        i++;
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      activeBrowsers: this.global.active,
+      maxBrowsers: this.global.limit,
+      waiting: this.waiting.length,
+      stores: Object.fromEntries(
+        [...this.stores.entries()].map(([id, semaphore]) => [id, { active: semaphore.active, limit: semaphore.limit }])
+      )
+    };
+  }
+}
+
+// Process-wide limiter shared by every orchestrator run in this process
+const browserLimiter = new BrowserLimiter();
+
+export { JobQueue, BrowserLimiter, browserLimiter, parseLimit, parseStoreLimits };
@@ -0,0 +1,64 @@
+import { JsonlStore } from './jsonl-store.js';
+
+/**
+ * Durable Job Store
+ *
+ * Keeps scrape jobs (status, per-site results, errors and timings) in an
+ * append-only JSON Lines file so they survive redeploys and crashes (see
+ * jsonl-store.js for the file format).
+ *
+ * Jobs that were still queued or processing when the process died are marked
+ * `interrupted` on startup.
+ */
+
+// Statuses that mean the job was still running
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+class JobStore extends JsonlStore {
+  /**
+   * @param {string} filePath - JSONL file to persist jobs in
+   * @param {Object} options
+   * @param {number} options.maxJobs - Number of jobs kept by prune() (default 100)
+   */
+  constructor(filePath, { maxJobs = 100 } = {}) {
+    super(filePath, { label: 'job' });
+    this.maxJobs = maxJobs;
+  }
+
+  /**
+   * Mark jobs that were running when the process died as interrupted
+   */
+  recover() {
+    let interrupted = 0;
+    const now = new Date().toISOString();
+    for (const job of this.records.values()) {
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.error = job.error || 'Server restarted before the job finished';
+        job.finishedAt = now;
+        interrupted++;
+      }
+    }
+    return interrupted > 0 ? `${interrupted} marked interrupted` : null;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs and compact the journal
+   * @returns {number} - Number of jobs removed
+   */
+  prune() {
+    if (this.records.size <= this.maxJobs) {
+      return 0;
+    }
+
+    const finished = [...this.records.values()]
+      .filter(job => !ACTIVE_STATUSES.includes(job.status))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const toDelete = finished.slice(0, this.records.size - this.maxJobs);
+    toDelete.forEach(job => this.records.delete(job.id));
+    this.compact();
+    return toDelete.length;
+  }
+}
+
+export { JobStore, ACTIVE_STATUSES };
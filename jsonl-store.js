@@ -0,0 +1,176 @@
+import { existsSync, mkdirSync, readFileSync, appendFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Durable Record Store
+ *
+ * Keeps records with an `id` (jobs, schedules, watches) in an append-only JSON
+ * Lines file so they survive redeploys and crashes.
+ *
+ * Every change appends the full record snapshot as one line:
+ *   {"op":"set","record":{...}}
+ *   {"op":"delete","id":"..."}
+ *
+ * On startup the file is replayed (last snapshot wins), recover() gets a
+ * chance to fix up records left over by a crash (see JobStore), and the file
+ * is compacted to one line per record. It is compacted again whenever the
+ * lines appended since outweigh the live records COMPACT_RATIO times over, so
+ * the file stays within a fixed multiple of what it holds.
+ */
+
+const COMPACT_RATIO = 4;
+// Small stores are not rewritten for every few changes
+const COMPACT_MIN_BYTES = 1024 * 1024;
+
+class JsonlStore {
+  /**
+   * @param {string} filePath - JSONL file to persist records in
+   * @param {Object} options
+   * @param {string} options.label - What the records are, for log messages (e.g. "schedule")
+   */
+  constructor(filePath, { label = 'record' } = {}) {
+    this.filePath = filePath;
+    this.label = label;
+    this.records = new Map();
+    // Journal size after the last compaction, and bytes appended since
+    this.compactedBytes = 0;
+    this.appendedBytes = 0;
+    this.load();
+  }
+
+  /**
+   * Replay the journal, recover and compact
+   */
+  load() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    if (!existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        // Journals written before records were generic name the snapshot `job`
+        const record = entry.record || entry.job;
+        if (entry.op === 'set' && record?.id) {
+          this.records.set(record.id, record);
+        } else if (entry.op === 'delete') {
+          this.records.delete(entry.id);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        skipped++;
+      }
+    }
+
+    const recovered = this.recover();
+    this.compact();
+    console.log(`📂 Loaded ${this.records.size} ${this.label}(s) from ${this.filePath}` +
+      (recovered ? ` (${recovered})` : '') +
+      (skipped > 0 ? ` (${skipped} unreadable line(s) skipped)` : ''));
+  }
+
+  /**
+   * Fix up records after a restart, before the journal is compacted
+   * @returns {string|null} - Note for the load message
+   */
+  recover() {
+    return null;
+  }
+
+  append(entry) {
+    try {
+      const line = JSON.stringify(entry) + '\n';
+      appendFileSync(this.filePath, line, 'utf8');
+      this.appendedBytes += Buffer.byteLength(line);
+      if (this.appendedBytes > Math.max(COMPACT_MIN_BYTES, this.compactedBytes * COMPACT_RATIO)) {
+        this.compact();
+      }
+    } catch (error) {
+      // Persistence problems must not take down a running scrape
+      console.error(`⚠️  Failed to persist ${this.label} store entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rewrite the journal with one line per current record
+   */
+  compact() {
+    const content = [...this.records.values()]
+      .map(record => JSON.stringify({ op: 'set', record }))
+      .join('\n');
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, content ? content + '\n' : '', 'utf8');
+    renameSync(tempPath, this.filePath);
+    this.compactedBytes = Buffer.byteLength(content);
+    this.appendedBytes = 0;
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  values() {
+    return this.records.values();
+  }
+
+  /**
+   * Newest record matching the predicate, or null
+   */
+  find(predicate) {
+    const matches = [...this.records.values()].filter(predicate);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  /**
+   * Add or replace a record and persist it
+   */
+  set(id, record) {
+    this.records.set(id, record);
+    this.append({ op: 'set', record });
+    return this;
+  }
+
+  /**
+   * Merge changes into a stored record and persist the new snapshot
+   */
+  update(id, changes) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    Object.assign(record, changes);
+    this.append({ op: 'set', record });
+    return record;
+  }
+
+  /**
+   * Persist a record that was modified in place
+   */
+  save(id) {
+    const record = this.records.get(id);
+    if (record) {
+      this.append({ op: 'set', record });
+    }
+    return record;
+  }
+
+  delete(id) {
+    const deleted = this.records.delete(id);
+    if (deleted) {
+      this.append({ op: 'delete', id });
+    }
+    return deleted;
+  }
+}
+
+export { JsonlStore };
@@ -1,12 +1,9 @@
 import readline from 'readline';
-import { selectLocationOnZepto } from './zepto-location-selector.js';
-import { selectLocationAndSearchOnDmart } from './dmart-location-selector.js';
-import { selectLocationOnJioMart } from './jiomart-location-selector.js';
-import { selectLocationOnNaturesBasket } from './naturesbasket-location-selector.js';
+import { getStore, resolveStore, listStores, getStoreIds } from './store-registry.js';
 
 /**
  * Location Router - Routes product name and location to appropriate website handler
- * Supports: JioMart, Zepto, Nature's Basket, and D-Mart
+ * Supports every store registered in store-registry.js
  */
 
 // Helper function to get user input
@@ -34,27 +31,9 @@ async function routeToHandler(website, productName, location) {
   console.log(`${'='.repeat(60)}\n`);
 
   try {
-    switch (website.toLowerCase()) {
-      case 'jiomart':
-      case 'jeomart':
-        // JioMart accepts product name and location
-        return await selectLocationOnJioMart(location, productName);
-      
-      case 'zepto':
-        // Zepto accepts product name and location
-        return await selectLocationOnZepto(location, productName);
-      
-      case 'naturesbasket':
-        // Nature's Basket accepts product name and location
-        return await selectLocationOnNaturesBasket(location, productName);
-      
-      case 'dmart':
-        // D-Mart accepts product name and location
-        return await selectLocationAndSearchOnDmart(location, productName);
-      
-      default:
-        throw new Error(`Unknown website: ${website}. Supported websites: jiomart, zepto, naturesbasket, dmart`);
-    }
+    // Every store adapter accepts location and product name
+    const store = getStore(website);
+    return await store.search(location, productName);
   } catch (error) {
     console.error(`\n❌ Error in ${website} handler:`, error.message);
     throw error;
@@ -83,13 +62,13 @@ async function main() {
     console.log(`   Location Router - E-commerce Location Selector`);
     console.log(`${'='.repeat(60)}`);
     console.log(`\nSupported websites:`);
-    console.log(`  - jiomart (or jeomart)`);
-    console.log(`  - zepto`);
-    console.log(`  - naturesbasket`);
-    console.log(`  - dmart`);
+    listStores().forEach(store => {
+      const aliases = store.aliases.length > 0 ? ` (or ${store.aliases.join(', ')})` : '';
+      console.log(`  - ${store.id}${aliases}`);
+    });
     console.log(`\n${'='.repeat(60)}\n`);
 
-    website = await getUserInput('Enter website name (zepto/jiomart/naturesbasket/dmart): ');
+    website = await getUserInput(`Enter website name (${getStoreIds().join('/')}): `);
     productName = await getUserInput('Enter product name: ');
     location = await getUserInput('Enter location: ');
   }
@@ -111,10 +90,9 @@ async function main() {
   website = website.toLowerCase().trim();
   
   // Validate website name
-  const validWebsites = ['zepto', 'jiomart', 'jeomart', 'naturesbasket', 'dmart'];
-  if (!validWebsites.includes(website)) {
+  if (!resolveStore(website)) {
     console.error(`\n❌ Error: Invalid website name: ${website}`);
-    console.log(`\nSupported websites: ${validWebsites.join(', ')}`);
+    console.log(`\nSupported websites: ${getStoreIds().join(', ')}`);
     process.exit(1);
   }
 
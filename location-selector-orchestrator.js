@@ -1,6 +1,35 @@
 // Dynamic imports - only load the module needed based on website name
 import {Builder, By, Key} from 'selenium-webdriver';
 import chrome from 'selenium-webdriver/chrome.js';
+import { getStore, listStores } from './store-registry.js';
+import { browserLimiter, parseLimit, parseStoreLimits } from './job-queue.js';
+import { JOB_EVENTS } from './job-events.js';
+import { abortable, anySignal, isAbortError, settledWithin } from './cancellation.js';
+import { resolveRetryPolicy, runWithRetry } from './retry-policy.js';
+import { resultCache } from './result-cache.js';
+import { storeHealth } from './store-health.js';
+import { addPackSizes } from './pack-size.js';
+import { addBrands } from './brand-extractor.js';
+import { validateStoreResult } from './product-schema.js';
+import { extract, EXTRACTOR_STORES } from './extraction.js';
+import { storeUrl } from './store-urls.js';
+
+/**
+ * Time budgets (environment):
+ *   STORE_TIMEOUT_MS - budget for one store once it has a browser slot (default 180000)
+ *   STORE_TIMEOUTS   - per-store budgets, e.g. "naturesbasket=90000,swiggy=240000"
+ *                      (defaults to each adapter's timeoutMs)
+ *   JOB_DEADLINE_MS  - budget for a whole run across all phases (default 600000)
+ *   BROWSER_CLOSE_WAIT_MS - how long a cancelled or timed-out store may take to
+ *                      close its browser before its slot is freed anyway (default 15000)
+ *
+ * A store over budget has its browser closed and is reported with status
+ * 'timeout'; the run still returns whatever the other stores found.
+ */
+const DEFAULT_STORE_TIMEOUT_MS = parseLimit(process.env.STORE_TIMEOUT_MS, 180000);
+const STORE_TIMEOUTS = parseStoreLimits(process.env.STORE_TIMEOUTS);
+const DEFAULT_JOB_DEADLINE_MS = parseLimit(process.env.JOB_DEADLINE_MS, 600000);
+const BROWSER_CLOSE_WAIT_MS = parseLimit(process.env.BROWSER_CLOSE_WAIT_MS, 15000);
 
 /**
  * PARALLELISM PATTERN - Based on Java Thread/Runnable Pattern
@@ -63,23 +92,18 @@ import chrome from 'selenium-webdriver/chrome.js';
 
 /**
  * Validates website name and returns normalized site identifier
+ * Accepts any id, alias or display name known to the store registry
  */
 function determineSite(websiteName) {
-  const websiteLower = websiteName.toLowerCase().trim();
-  
-  if (websiteLower === 'dmart' || websiteLower === 'd-mart') {
-    return 'dmart';
-  } else if (websiteLower === 'jiomart' || websiteLower === 'jeomart') {
-    return 'jiomart';
-  } else if (websiteLower === 'naturesbasket' || websiteLower === "nature's basket") {
-    return 'naturesbasket';
-  } else if (websiteLower === 'zepto') {
-    return 'zepto';
-  } else if (websiteLower === 'swiggy') {
-    return 'swiggy';
-  } else {
-    throw new Error(`Unsupported website: ${websiteName}. Supported websites: dmart, jiomart, naturesbasket, zepto, swiggy`);
-  }
+  return getStore(websiteName.trim()).id;
+}
+
+/**
+ * Time budget for one store: caller override, then STORE_TIMEOUTS, then the
+ * adapter's timeoutMs, then STORE_TIMEOUT_MS
+ */
+function getStoreTimeout(store, storeTimeouts = {}) {
+  return storeTimeouts[store.id] || STORE_TIMEOUTS[store.id] || store.timeoutMs || DEFAULT_STORE_TIMEOUT_MS;
 }
 
 /**
@@ -118,7 +142,7 @@ async function selectLocationAndSearchOnSwiggy(locationName, productName) {
     await driver.executeScript('Object.defineProperty(navigator, "webdriver", {get: () => undefined})');
     
     console.log('Step 1: Navigating to Swiggy Instamart...');
-    await driver.get('https://www.swiggy.com/instamart');
+    await driver.get(storeUrl('swiggy', '/instamart'));
     await driver.sleep(5000);
 
     console.log('Step 2: Clicking on "Search for an area or address"...');
@@ -323,7 +347,7 @@ async function selectLocationAndSearchOnSwiggy(locationName, productName) {
     if (!searchInput) {
       console.log('⚠️  Could not find search input, trying to navigate directly to search URL...');
       // Fallback: try to navigate directly to search URL
-      const searchUrl = `https://www.swiggy.com/search?query=${encodeURIComponent(productName)}`;
+      const searchUrl = storeUrl('swiggy', `/search?query=${encodeURIComponent(productName)}`);
       try {
         await driver.get(searchUrl);
         await driver.sleep(5000);
@@ -601,89 +625,153 @@ async function selectLocationAndSearchOnSwiggy(locationName, productName) {
 
 /**
  * Execute location selection and product search on a single website
+ * The store adapter from the registry does the actual work
+ * The result carries `status` ('success', 'degraded', 'failed', 'cancelled' or 'timeout'),
+ * the elapsed time in milliseconds as `duration` and every search attempt
+ * made under the store's retry policy as `attempts` (see retry-policy.js)
+ *
+ * Fresh results are scored for data quality as `health` (see store-health.js);
+ * one scoring well below the store's recent results still succeeds, with
+ * status 'degraded'
+ *
+ * A recent successful search is served from the result cache without opening a
+ * browser; such results carry `cached: true`, `cachedAt` and `cacheAgeMs`
+ *
+ * Waits for a browser slot first so concurrent jobs stay within the browser budget
+ * @param {Object} options
+ * @param {BrowserLimiter} options.limiter - Browser budget to draw from (defaults to the process-wide limiter)
+ * @param {Function} options.onEvent - Progress listener, called with { type, website, ...details }
+ * @param {AbortSignal} options.signal - Cancels the store; its browser is closed and the result is marked cancelled
+ * @param {Object} options.storeTimeouts - Per-store time budgets in ms, keyed by store id
+ * @param {AbortSignal} options.deadline - Job deadline; once it fires the store is reported as timed out
+ * @param {string[]} options.products - Batch mode: search all of these in one store session (see batch-search.js);
+ *                                      the store's time budget is multiplied by the number of products
+ * @param {boolean} options.fresh - Skip the result cache and always search the store
+ * @param {ResultCache} options.cache - Result cache to use (defaults to the process-wide cache)
+ * @param {StoreHealth} options.health - Health records to score against (defaults to the process-wide records)
  */
-async function executeOnWebsite(websiteName, productName, locationName) {
-  const site = determineSite(websiteName);
+async function executeOnWebsite(websiteName, productName, locationName, options = {}) {
+  const store = getStore(websiteName.trim());
+  const limiter = options.limiter || browserLimiter;
+
+  // A broken progress listener must never fail the scrape itself
+  const emit = (type, details = {}) => {
+    if (!options.onEvent) return;
+    try {
+      options.onEvent({ type, website: store.id, ...details });
+    } catch (error) {
+      console.error(`⚠️  Progress listener failed for ${store.id}: ${error.message}`);
+    }
+  };
+
+  const cancelledResult = (startTime, attempts = []) => {
+    emit(JOB_EVENTS.SITE_FAILED, { error: 'Cancelled', cancelled: true });
+    return { website: store.id, success: false, status: 'cancelled', html: null, error: 'Cancelled', cancelled: true, duration: Date.now() - startTime, attempts };
+  };
+
+  const timeoutResult = (startTime, reason, attempts = []) => {
+    const duration = Date.now() - startTime;
+    const error = `Timed out after ${(duration / 1000).toFixed(1)}s (${reason})`;
+    console.log(`\n⏱️  ${store.displayName.toUpperCase()} - ${error}`);
+    emit(JOB_EVENTS.SITE_FAILED, { error, timeout: true, duration });
+    return { website: store.id, success: false, status: 'timeout', html: null, error, timedOut: true, duration, attempts };
+  };
+
+  // Batch runs are never cached; single searches reuse a recent result unless `fresh` is set
+  const cache = options.cache || resultCache;
+  const cacheable = !options.products;
+  if (cacheable && !options.fresh) {
+    const hit = cache.get(store, locationName, productName);
+    if (hit) {
+      console.log(`♻️  ${store.displayName}: using cached result from ${(hit.ageMs / 1000).toFixed(0)}s ago`);
+      emit(JOB_EVENTS.SITE_STARTED, { displayName: store.displayName, cached: true });
+      emit(JOB_EVENTS.PRODUCTS_EXTRACTED, {
+        productCount: hit.result.jsonData?.products?.length || 0,
+        duration: 0,
+        cached: true,
+        cacheAgeMs: hit.ageMs
+      });
+      return { ...hit.result, duration: 0, attempts: [], cached: true, cachedAt: hit.cachedAt, cacheAgeMs: hit.ageMs };
+    }
+  }
+
+  const waitStart = Date.now();
+  let release;
+  try {
+    release = await limiter.acquire(store.id, store.maxConcurrency, anySignal(options.signal, options.deadline));
+  } catch (error) {
+    if (isAbortError(error)) {
+      if (options.signal?.aborted) {
+        console.log(`🛑 ${store.displayName}: cancelled before it started`);
+        return cancelledResult(waitStart);
+      }
+      return timeoutResult(waitStart, 'job deadline reached before the store started');
+    }
+    throw error;
+  }
+  const waited = Date.now() - waitStart;
+  if (waited > 1000) {
+    console.log(`${store.displayName}: waited ${(waited / 1000).toFixed(2)}s for a browser slot`);
+  }
   
   console.log(`\n${'='.repeat(60)}`);
-  console.log(`Processing: ${websiteName.toUpperCase()}`);
-  console.log(`Product: ${productName}`);
+  console.log(`Processing: ${store.displayName.toUpperCase()}`);
+  console.log(options.products ? `Products: ${options.products.join(', ')}` : `Product: ${productName}`);
   console.log(`Location: ${locationName}`);
   console.log(`${'='.repeat(60)}\n`);
 
-  let pageHtml;
+  const startTime = Date.now();
+  const timeoutMs = getStoreTimeout(store, options.storeTimeouts) * (options.products?.length || 1);
+  const storeTimeout = AbortSignal.timeout(timeoutMs);
+  const signal = anySignal(options.signal, options.deadline, storeTimeout);
+  emit(JOB_EVENTS.SITE_STARTED, { displayName: store.displayName, timeoutMs });
+  // The adapter's search, still running after an abort until its browser is closed
+  let running = null;
 
   try {
     let jsonData = null;
-    
-    if (site === 'dmart') {
-      console.log(`Loading D-Mart location selector module...`);
-      const { selectLocationAndSearchOnDmart } = await import('./dmart-location-selector.js');
-      console.log(`Calling D-Mart location selector and product search...`);
-      const result = await selectLocationAndSearchOnDmart(locationName, productName);
-      // D-Mart returns JSON object, not HTML
-      if (typeof result === 'object' && result !== null) {
-        jsonData = result;
-        pageHtml = JSON.stringify(result, null, 2);
-      } else {
-        pageHtml = result;
-      }
-    } else if (site === 'jiomart') {
-      console.log(`Loading JioMart location selector module...`);
-      const { selectLocationOnJioMart } = await import('./jiomart-location-selector.js');
-      console.log(`Calling JioMart location selector with product: ${productName}...`);
-      const result = await selectLocationOnJioMart(locationName, productName);
-      // JioMart returns JSON object, not HTML
-      if (typeof result === 'object' && result !== null) {
-        jsonData = result;
-        pageHtml = JSON.stringify(result, null, 2);
-      } else {
-        pageHtml = result;
+    let pageHtml;
+
+    console.log(`Calling ${store.displayName} store adapter (${store.engine}) with product: ${productName}...`);
+    const { result, attempts } = await runWithRetry(
+      (attempt) => {
+        running = store.search(locationName, productName, {
+          onProgress: (type, details) => emit(type, details),
+          signal,
+          attempt,
+          products: options.products
+        });
+        return abortable(running, signal);
+      },
+      resolveRetryPolicy(store),
+      {
+        signal,
+        onRetry: ({ attempt, nextAttempt, delayMs, error, errorClass }) => {
+          console.warn(`🔁 ${store.displayName}: attempt ${attempt} failed (${errorClass}: ${error.message}), retrying in ${(delayMs / 1000).toFixed(1)}s...`);
+          emit(JOB_EVENTS.SITE_RETRY, { attempt, nextAttempt, delayMs, error: error.message, errorClass });
+        }
       }
-    } else if (site === 'naturesbasket') {
-      console.log(`Loading Nature's Basket location selector module...`);
-      const { selectLocationOnNaturesBasket } = await import('./naturesbasket-location-selector.js');
-      console.log(`Calling Nature's Basket location selector with product: ${productName}...`);
-      const result = await selectLocationOnNaturesBasket(locationName, productName);
-      // Nature's Basket returns JSON object, not HTML
-      if (typeof result === 'object' && result !== null) {
-        jsonData = result;
-        pageHtml = JSON.stringify(result, null, 2);
-      } else {
-        pageHtml = result;
+    );
+
+    // Store adapters return JSON objects; HTML strings are still accepted for extraction
+    if (typeof result === 'object' && result !== null) {
+      // Checked against product-schema.js; products without pack sizes or brands get them from their names first
+      const checked = validateStoreResult(result, products => addBrands(addPackSizes(products)));
+      if (checked.error) {
+        throw new Error(`${store.displayName} returned an invalid result: ${checked.error}`);
       }
-    } else if (site === 'zepto') {
-      console.log(`Loading Zepto location selector module...`);
-      const { selectLocationOnZepto } = await import('./zepto-location-selector.js');
-      console.log(`Calling Zepto location selector with product: ${productName}...`);
-      const result = await selectLocationOnZepto(locationName, productName);
-      // Zepto returns JSON object, not HTML
-      if (typeof result === 'object' && result !== null) {
-        jsonData = result;
-        pageHtml = JSON.stringify(result, null, 2);
-      } else {
-        pageHtml = result;
+      // Products that do not match the schema are reported with the result, not dropped silently
+      if (checked.invalid.length > 0) {
+        console.warn(`⚠️  ${store.displayName}: ${checked.invalid.length} product(s) failed validation`);
+        checked.invalid.slice(0, 5).forEach(record => console.warn(`   #${record.index} ${record.name || '(no name)'}: ${record.issues.join('; ')}`));
       }
-    } else if (site === 'swiggy') {
-      // Swiggy Instamart runs last, after all other websites complete
-      console.log(`Running Swiggy Instamart full scraper (executed last after DMart, JioMart, Nature's Basket, and Zepto)...`);
-      console.log(`Loading Swiggy Instamart scraper module...`);
-      const { scrapeInstamartProducts } = await import('./instamart-location-selector.js');
-      console.log(`Calling Swiggy Instamart scraper with location: ${locationName}, product: ${productName}...`);
-      // scrapeInstamartProducts returns JSON data, not HTML
-      jsonData = await scrapeInstamartProducts(locationName, productName);
-      // Convert JSON to string for consistency with other scrapers
+      jsonData = checked.result;
       pageHtml = JSON.stringify(jsonData, null, 2);
-      console.log(`\n✅ ${websiteName.toUpperCase()} - Process Completed Successfully`);
-      console.log(`Products extracted: ${jsonData.products?.length || 0}`);
-      console.log(`JSON data length: ${pageHtml.length} characters`);
-      console.log(`${'='.repeat(60)}\n`);
-      return { website: websiteName, success: true, html: pageHtml, error: null, jsonData: jsonData };
     } else {
-      throw new Error(`Unknown site: ${site}`);
+      pageHtml = result;
     }
 
-    console.log(`\n✅ ${websiteName.toUpperCase()} - Process Completed Successfully`);
+    console.log(`\n✅ ${store.displayName.toUpperCase()} - Process Completed Successfully`);
     if (jsonData) {
       console.log(`Products extracted: ${jsonData.products?.length || 0}`);
       console.log(`JSON data length: ${pageHtml.length} characters`);
@@ -692,13 +780,53 @@ async function executeOnWebsite(websiteName, productName, locationName) {
     }
     console.log(`${'='.repeat(60)}\n`);
 
-    return { website: websiteName, success: true, html: pageHtml, error: null, jsonData: jsonData };
+    // Scored against the store's recent results, so a parser that quietly finds nothing is flagged
+    const health = jsonData
+      ? (options.health || storeHealth).record(store.id, jsonData, { location: locationName, query: options.products ? null : productName })
+      : null;
+    if (health?.status === 'degraded') {
+      console.warn(`⚠️  ${store.displayName}: data quality degraded (${health.reasons.join(', ')})`);
+    }
+
+    emit(JOB_EVENTS.PRODUCTS_EXTRACTED, {
+      productCount: jsonData?.products?.length || 0,
+      invalidCount: jsonData?.invalidProducts?.length || 0,
+      health: health && { status: health.status, score: health.score },
+      duration: Date.now() - startTime
+    });
+    const status = health?.status === 'degraded' ? 'degraded' : 'success';
+    const storeResult = { website: store.id, success: true, status, html: pageHtml, error: null, jsonData: jsonData, health };
+    if (cacheable && jsonData?.products?.length > 0) {
+      cache.set(store, locationName, productName, storeResult);
+    }
+    return { ...storeResult, duration: Date.now() - startTime, attempts, cached: false };
 
   } catch (error) {
-    console.error(`\n❌ ${websiteName.toUpperCase()} - Error Occurred`);
+    const attempts = error.attempts || [];
+    if (options.signal?.aborted) {
+      console.log(`\n🛑 ${store.displayName.toUpperCase()} - Cancelled`);
+      return cancelledResult(startTime, attempts);
+    }
+    if (storeTimeout.aborted) {
+      return timeoutResult(startTime, `store budget of ${timeoutMs / 1000}s`, attempts);
+    }
+    if (options.deadline?.aborted) {
+      return timeoutResult(startTime, 'job deadline reached', attempts);
+    }
+    console.error(`\n❌ ${store.displayName.toUpperCase()} - Error Occurred`);
     console.error(`Error: ${error.message}`);
+    if (attempts.length > 1) {
+      console.error(`Attempts: ${attempts.length} (${attempts.map(a => a.errorClass).join(', ')})`);
+    }
     console.error(`${'='.repeat(60)}\n`);
-    return { website: websiteName, success: false, html: null, error: error.message };
+    emit(JOB_EVENTS.SITE_FAILED, { error: error.message, duration: Date.now() - startTime, attempts: attempts.length });
+    return { website: store.id, success: false, status: 'failed', html: null, error: error.message, duration: Date.now() - startTime, attempts };
+  } finally {
+    // Keep the browser slot until the cancelled store's browser is actually closed
+    if (signal?.aborted && running && !(await settledWithin(running, BROWSER_CLOSE_WAIT_MS))) {
+      console.warn(`⚠️  ${store.displayName}: browser still closing after ${BROWSER_CLOSE_WAIT_MS / 1000}s, freeing its slot anyway`);
+    }
+    release();
   }
 }
 
@@ -712,10 +840,14 @@ async function executeOnWebsite(websiteName, productName, locationName) {
  * }
  */
 class WebsiteScrapingTask {
-  constructor(websiteName, productName, locationName) {
+  /**
+   * @param {Object} options - Passed through to executeOnWebsite (limiter, onEvent, signal, storeTimeouts, deadline)
+   */
+  constructor(websiteName, productName, locationName, options = {}) {
     this.websiteName = websiteName;
     this.productName = productName;
     this.locationName = locationName;
+    this.options = options;
     this.taskName = `Task ${websiteName.toUpperCase()}`;
   }
 
@@ -729,13 +861,14 @@ class WebsiteScrapingTask {
     console.log(`${this.taskName} running on ${threadName}`);
     
     try {
-      const result = await executeOnWebsite(this.websiteName, this.productName, this.locationName);
+      const result = await executeOnWebsite(this.websiteName, this.productName, this.locationName, this.options);
       return result;
     } catch (error) {
       console.error(`${this.taskName} failed on ${threadName}: ${error.message}`);
       return {
         website: this.websiteName,
         success: false,
+        status: 'failed',
         html: null,
         error: error.message,
         jsonData: null
@@ -770,6 +903,7 @@ class ParallelExecutor {
     });
     
     // Wait for all tasks to complete (like Thread.join() in Java)
+    // Each task enforces its own time budget, so one hung store cannot stall the join
     return await Promise.all(promises);
   }
 
@@ -783,108 +917,93 @@ class ParallelExecutor {
   }
 }
 
+/**
+ * Group registered stores into execution phases (ascending phase number)
+ */
+function groupStoresByPhase(stores) {
+  const phases = new Map();
+  for (const store of stores) {
+    if (!phases.has(store.phase)) {
+      phases.set(store.phase, []);
+    }
+    phases.get(store.phase).push(store);
+  }
+  return [...phases.entries()].sort((a, b) => a[0] - b[0]).map(([, phaseStores]) => phaseStores);
+}
+
 /**
  * Main orchestrator function - runs websites in parallel using Task pattern
- * Execution: DMart, JioMart, Nature's Basket, Zepto (parallel) -> Swiggy Instamart (last)
+ * Stores come from the registry and run phase by phase:
+ * DMart, JioMart, Nature's Basket, Zepto (phase 1, parallel) -> Swiggy Instamart (phase 2)
  * 
  * This follows the Java parallelism pattern:
  * 1. Create Task instances (like Java Runnable)
  * 2. Execute all tasks in parallel (like Java Thread.start())
  * 3. Wait for all to complete (like Java Thread.join())
+ *
+ * @param {Object} options
+ * @param {BrowserLimiter} options.limiter - Browser budget shared with other jobs (defaults to the process-wide limiter)
+ * @param {Function} options.onEvent - Per-store progress listener (see job-events.js)
+ * @param {AbortSignal} options.signal - Cancels the run; stores already finished keep their results
+ * @param {Object} options.storeTimeouts - Per-store time budgets in ms, keyed by store id
+ * @param {number} options.deadlineMs - Budget for the whole run (defaults to JOB_DEADLINE_MS)
+ * @param {string[]} options.sites - Store ids to run (defaults to every registered store)
+ * @param {string[]} options.products - Batch mode: every store selects the location once and searches all of
+ *                                      these (productName should be the first); the default deadline scales with them
+ * @param {boolean} options.fresh - Skip the result cache (see result-cache.js)
  */
-async function selectLocationAndSearchOnAllWebsites(productName, locationName) {
+async function selectLocationAndSearchOnAllWebsites(productName, locationName, options = {}) {
+  const stores = options.sites ? listStores().filter(store => options.sites.includes(store.id)) : listStores();
+  const phases = groupStoresByPhase(stores);
+  const deadlineMs = options.deadlineMs || DEFAULT_JOB_DEADLINE_MS * (options.products?.length || 1);
+  const taskOptions = { ...options, deadline: AbortSignal.timeout(deadlineMs) };
+
   console.log(`\n${'='.repeat(60)}`);
   console.log(`LOCATION SELECTOR ORCHESTRATOR`);
-  console.log(`Product: ${productName}`);
+  console.log(options.products ? `Products (batch): ${options.products.join(', ')}` : `Product: ${productName}`);
   console.log(`Location: ${locationName}`);
   console.log(`Running websites in parallel using Task pattern...`);
-  console.log(`Execution: DMart, JioMart, Nature's Basket, Zepto (parallel) -> Swiggy Instamart (last)`);
+  console.log(`Execution: ${phases.map(phaseStores => phaseStores.map(store => store.displayName).join(', ')).join(' -> ')}`);
+  console.log(`Deadline: ${deadlineMs / 1000}s`);
   console.log(`${'='.repeat(60)}\n`);
 
   const results = [];
 
-  // Phase 1: Create and run tasks in parallel (similar to Java Thread pattern)
-  // This follows the Java pattern:
+  // Each phase: create tasks and run them in parallel (similar to Java Thread pattern)
   //   Thread t1 = new Thread(new Task("Task 1"));
   //   Thread t2 = new Thread(new Task("Task 2"));
-  //   Thread t3 = new Thread(new Task("Task 3"));
-  //   t1.start(); t2.start(); t3.start();
-  
-  const parallelWebsites = ['dmart', 'jiomart', 'naturesbasket', 'zepto'];
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`🚀 PHASE 1: Creating ${parallelWebsites.length} tasks and running in parallel...`);
-  console.log(`${'='.repeat(60)}\n`);
+  //   t1.start(); t2.start();
+  // The next phase only starts once every task of the previous phase has joined
+  for (let phaseIndex = 0; phaseIndex < phases.length; phaseIndex++) {
+    const phaseStores = phases[phaseIndex];
+    const phaseNumber = phaseIndex + 1;
 
-  // Step 1: Create Task instances (like creating Thread objects with Runnable in Java)
-  // Java: Thread t1 = new Thread(new Task("Task 1"));
-  // JS:   const task1 = new WebsiteScrapingTask("dmart", productName, locationName);
-  const tasks = parallelWebsites.map(website => 
-    new WebsiteScrapingTask(website, productName, locationName)
-  );
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🚀 PHASE ${phaseNumber}: Creating ${phaseStores.length} task(s) and running in parallel...`);
+    console.log(`${'='.repeat(60)}\n`);
 
-  console.log(`Created ${tasks.length} tasks:`);
-  tasks.forEach((task, index) => {
-    console.log(`  ${index + 1}. ${task.getName()}`);
-  });
-  console.log('');
+    // Step 1: Create Task instances (like creating Thread objects with Runnable in Java)
+    const tasks = phaseStores.map(store =>
+      new WebsiteScrapingTask(store.id, productName, locationName, taskOptions)
+    );
 
-  // Step 2: Start all tasks in parallel (like Thread.start() in Java)
-  // Java: t1.start(); t2.start(); t3.start();
-  // JS:   ParallelExecutor.executeAll(tasks) - starts all tasks in parallel
-  const parallelStartTime = Date.now();
-  console.log('Starting all tasks in parallel (equivalent to Thread.start())...\n');
-  
-  // Execute all tasks in parallel using ParallelExecutor (mimics Thread.start())
-  const parallelResults = await ParallelExecutor.executeAll(tasks);
-  results.push(...parallelResults);
+    console.log(`Created ${tasks.length} tasks:`);
+    tasks.forEach((task, index) => {
+      console.log(`  ${index + 1}. ${task.getName()}`);
+    });
+    console.log('');
 
-  const parallelDuration = ((Date.now() - parallelStartTime) / 1000).toFixed(2);
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`✅ PHASE 1 COMPLETED: All ${parallelWebsites.length} tasks finished in ${parallelDuration}s`);
-  console.log(`${'='.repeat(60)}\n`);
+    // Step 2: Start all tasks in parallel (like Thread.start() in Java)
+    const phaseStartTime = Date.now();
+    console.log('Starting all tasks in parallel (equivalent to Thread.start())...\n');
 
-  // Phase 2: Run Swiggy Instamart last (after all others complete)
-  // This runs sequentially after parallel tasks complete - NO PARALLELISM PATTERN
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`🔄 PHASE 2: All previous tasks completed. Now running Swiggy Instamart (last)...`);
-  console.log(`${'='.repeat(60)}\n`);
+    const phaseResults = await ParallelExecutor.executeAll(tasks);
+    results.push(...phaseResults);
 
-  // Run Swiggy Instamart directly (no Task pattern, no parallelism)
-  console.log(`Running Swiggy Instamart scraper directly (no parallelism pattern)...`);
-  console.log(`Loading Swiggy Instamart scraper module...`);
-  const { scrapeInstamartProducts } = await import('./instamart-location-selector.js');
-  console.log(`Calling Swiggy Instamart scraper with location: ${locationName}, product: ${productName}...`);
-  
-  try {
-    // Call scrapeInstamartProducts directly (returns JSON data)
-    const jsonData = await scrapeInstamartProducts(locationName, productName);
-    const pageHtml = JSON.stringify(jsonData, null, 2);
-    
-    console.log(`\n✅ SWIGGY INSTAMART - Process Completed Successfully`);
-    console.log(`Products extracted: ${jsonData.products?.length || 0}`);
-    console.log(`JSON data length: ${pageHtml.length} characters`);
+    const phaseDuration = ((Date.now() - phaseStartTime) / 1000).toFixed(2);
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`✅ PHASE ${phaseNumber} COMPLETED: All ${tasks.length} tasks finished in ${phaseDuration}s`);
     console.log(`${'='.repeat(60)}\n`);
-    
-    const swiggyResult = {
-      website: 'swiggy',
-      success: true,
-      html: pageHtml,
-      error: null,
-      jsonData: jsonData
-    };
-    results.push(swiggyResult);
-  } catch (error) {
-    console.error(`\n❌ SWIGGY INSTAMART - Error Occurred`);
-    console.error(`Error: ${error.message}`);
-    console.error(`${'='.repeat(60)}\n`);
-    const swiggyResult = {
-      website: 'swiggy',
-      success: false,
-      html: null,
-      error: error.message,
-      jsonData: null
-    };
-    results.push(swiggyResult);
   }
 
   // Summary
@@ -894,16 +1013,20 @@ async function selectLocationAndSearchOnAllWebsites(productName, locationName) {
   
   const successful = results.filter(r => r.success).length;
   const failed = results.filter(r => !r.success).length;
+  const timedOut = results.filter(r => r.status === 'timeout').length;
+  const degraded = results.filter(r => r.status === 'degraded').length;
   
   console.log(`Total websites: ${results.length}`);
-  console.log(`✅ Successful: ${successful}`);
-  console.log(`❌ Failed: ${failed}`);
+  console.log(`✅ Successful: ${successful}${degraded > 0 ? ` (${degraded} degraded)` : ''}`);
+  console.log(`❌ Failed: ${failed}${timedOut > 0 ? ` (${timedOut} timed out)` : ''}`);
   console.log(`${'='.repeat(60)}\n`);
 
   // Print details
   results.forEach(result => {
     if (result.success) {
-      if (result.website === 'swiggy' && result.jsonData) {
+      if (result.status === 'degraded') {
+        console.log(`⚠️  ${result.website}: Degraded (${result.jsonData.products?.length || 0} products, score ${result.health.score} vs baseline ${result.health.baseline.score})`);
+      } else if (result.jsonData) {
         console.log(`✅ ${result.website}: Success (${result.jsonData.products?.length || 0} products extracted)`);
       } else if (result.html && typeof result.html === 'string') {
         console.log(`✅ ${result.website}: Success (HTML length: ${result.html.length} chars)`);
@@ -942,11 +1065,7 @@ async function main() {
     console.error('  node location-selector-orchestrator.js lays "RT Nagar"');
     console.error('');
     console.error('This will run on all websites:');
-    console.error('  - D-Mart');
-    console.error('  - JioMart');
-    console.error('  - Nature\'s Basket');
-    console.error('  - Zepto');
-    console.error('  - Swiggy');
+    listStores().forEach(store => console.error(`  - ${store.displayName}`));
     process.exit(1);
   }
 
@@ -1002,40 +1121,23 @@ if (isMainModule()) {
  * Extract data from HTML string directly (without file I/O)
  * This function is used by the API to extract data from HTML in memory
  */
-async function extractDataFromHtml(html, website, filename = null) {
+function extractDataFromHtml(html, website, filename = null) {
   try {
     if (!website) {
       console.warn(`⚠️  Website not specified for HTML extraction`);
       return null;
     }
 
-    // Import extraction functions from html-data-selector
-    const { extractFromDmart, extractFromJioMart, extractFromNaturesBasket, extractFromZepto, extractFromSwiggy } = await import('./html-data-selector.js');
-
-    let result;
-    switch (website.toLowerCase()) {
-      case 'dmart':
-        result = extractFromDmart(html, filename || 'dmart-page.html');
-        break;
-      case 'jiomart':
-        result = extractFromJioMart(html, filename || 'jiomart-page.html');
-        break;
-      case 'naturesbasket':
-        result = extractFromNaturesBasket(html, filename || 'naturesbasket-page.html');
-        break;
-      case 'zepto':
-        result = extractFromZepto(html, filename || 'zepto-page.html');
-        break;
-      case 'swiggy':
-        result = extractFromSwiggy(html, filename || 'swiggy-page.html');
-        break;
-      default:
-        console.warn(`⚠️  Unknown website: ${website}`);
-        return null;
+    const store = website.toLowerCase();
+    if (!EXTRACTOR_STORES.includes(store)) {
+      console.warn(`⚠️  Unknown website: ${website}`);
+      return null;
     }
 
-    if (result) {
-      console.log(`Extracted data for ${website}: ${result.products?.length || 0} products, location: ${result.location || 'Not found'}`);
+    const result = extract(html, store, { filename: filename || `${store}-page.html` });
+    console.log(`Extracted data for ${website}: ${result.products.length} products, location: ${result.location || 'Not found'} (parser ${result.parserVersion})`);
+    if (result.invalidProducts.length > 0) {
+      console.warn(`⚠️  ${website}: ${result.invalidProducts.length} extracted product(s) failed validation`);
     }
     return result;
   } catch (error) {
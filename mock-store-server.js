@@ -0,0 +1,578 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { MOCK_STORE_IDS, mockStorePort } from './store-urls.js';
+
+/**
+ * Mock Storefronts
+ *
+ * Local stand-ins for D-Mart, JioMart, Nature's Basket, Zepto and Swiggy
+ * Instamart, so the browser flows (location modal -> suggestion click ->
+ * search -> results) run end to end without network access. Each store gets
+ * its own port and the live site's paths, location modal, suggestion list,
+ * search URL and product card markup:
+ *
+ *   npm run mock-stores
+ *   MOCK_STORES_HOST=localhost node location-router.js zepto tomato "RT Nagar"
+ *
+ * Store ports: MOCK_STORES_PORT (default 3901) for D-Mart, then JioMart,
+ * Nature's Basket, Zepto and Swiggy Instamart on the following ports (see
+ * store-urls.js, which points the flows at them).
+ *
+ * Every search returns products: the catalog entries matching the search
+ * term, or three made-up products named after it. Any location can be chosen:
+ * suggestions list the known localities matching the typed text (or the text
+ * itself), followed by a railway station, like the live sites' lists that the
+ * flows are written to skip. The chosen location is kept in a cookie and shown
+ * in the page header, where extraction.js reads it. Each store app lists the
+ * searches it served in app.locals.searches ({ term, location }), so a test
+ * can check the location a flow searched with (see e2e-runner.js).
+ *
+ * Endpoints (every store):
+ *   GET /api/locations?q=   Location suggestions (JSON)
+ *   GET /api/products?q=    Product names for the search suggestions (JSON)
+ *   GET /images/:id.svg     Product image
+ *   + the store's search results and product pages
+ *
+ * Configuration (environment):
+ *   MOCK_STORES_HOST - interface to listen on (default localhost)
+ *   MOCK_STORES_PORT - first port (default 3901)
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Products every store carries (price: D-Mart-like shelf price before the store's factor)
+const CATALOG = [
+  { name: 'Fresh Potato 1 kg', price: 38, mrp: 45, tags: ['potato', 'aloo', 'vegetables'] },
+  { name: 'Fresh Tomato 500 g', price: 24, mrp: 30, tags: ['tomato', 'vegetables'] },
+  { name: 'Fresh Onion 1 kg', price: 42, mrp: 50, tags: ['onion', 'vegetables'] },
+  { name: 'India Gate Basmati Rice Classic 1 kg', price: 185, mrp: 230, tags: ['rice', 'basmati'] },
+  { name: 'Daawat Rozana Basmati Rice 5 kg', price: 499, mrp: 650, tags: ['rice', 'basmati'], outOfStock: true },
+  { name: 'Lays Magic Masala Potato Chips 52 g', price: 20, mrp: 20, tags: ['chips', 'lays', 'potato', 'snacks'] },
+  { name: 'Uncle Chipps Spicy Treat 55 g', price: 20, mrp: 20, tags: ['chips', 'snacks'] },
+  { name: 'Kurkure Masala Munch 90 g', price: 20, mrp: 25, tags: ['kurkure', 'chips', 'snacks'] },
+  { name: 'Amul Taaza Toned Milk 1 l', price: 56, mrp: 56, tags: ['milk', 'dairy'] },
+  { name: 'Amul Pasteurised Butter 500 g', price: 275, mrp: 285, tags: ['butter', 'dairy'] },
+  { name: 'Amul Masti Spiced Buttermilk 200 ml', price: 15, mrp: 15, tags: ['chaas', 'buttermilk', 'dairy'] },
+  { name: 'Maggi 2-Minute Masala Noodles 280 g', price: 56, mrp: 60, tags: ['maggi', 'noodles'] },
+  { name: 'Tata Salt Iodised 1 kg', price: 28, mrp: 30, tags: ['salt'] },
+  { name: 'Tata Tea Gold 500 g', price: 285, mrp: 310, tags: ['tea'] },
+  { name: 'Aashirvaad Shudh Chakki Atta 5 kg', price: 245, mrp: 310, tags: ['atta', 'flour', 'wheat'] },
+  { name: 'Dolo 650 Paracetamol Tablet 15 Tablets', price: 30, mrp: 34, tags: ['paracetamol', 'dolo', 'medicine'] },
+  { name: 'Coca-Cola Soft Drink 750 ml', price: 40, mrp: 45, tags: ['coke', 'cola', 'drinks'] }
+];
+
+const LOCALITIES = [
+  'Mumbai, Maharashtra, India',
+  'Andheri West, Mumbai, Maharashtra 400053',
+  'Bandra West, Mumbai, Maharashtra 400050',
+  'Bengaluru, Karnataka, India',
+  'Bangalore Palace, Bengaluru, Karnataka 560052',
+  'RT Nagar, Bengaluru, Karnataka 560032',
+  'Koramangala, Bengaluru, Karnataka 560034',
+  'Jayanagar, Bengaluru, Karnataka 560041',
+  'Chennai, Tamil Nadu, India',
+  'T Nagar, Chennai, Tamil Nadu 600017',
+  'Delhi, India',
+  'Connaught Place, New Delhi, Delhi 110001',
+  'Hyderabad, Telangana, India',
+  'Pune, Maharashtra, India',
+  'Kolkata, West Bengal, India',
+  'Madurai, Tamil Nadu, India'
+];
+
+// Each store prices the catalog a little differently, so comparisons have something to show
+const PRICE_FACTORS = { dmart: 0.95, jiomart: 0.98, naturesbasket: 1.08, zepto: 1, swiggy: 1.02 };
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const compact = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const titleCase = text => text.trim().split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+
+const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Stable number for a text (FNV-1a), used for product ids and made-up prices
+ */
+function hashText(text) {
+  let hash = 2166136261;
+  for (const char of text) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Location suggestions for typed text, followed by a railway station to skip
+ */
+function locationSuggestions(query) {
+  const typed = (query || '').trim();
+  if (typed.length < 2) return [];
+  const matching = LOCALITIES.filter(locality => compact(locality).includes(compact(typed))).slice(0, 4);
+  return [
+    ...(matching.length > 0 ? matching : [`${titleCase(typed)}, India`]),
+    `${titleCase(typed)} Railway Station, India`
+  ];
+}
+
+/**
+ * Catalog entries for a search term, or three products named after it
+ */
+function catalogProducts(term) {
+  const words = (term || '').toLowerCase().split(/\s+/).filter(word => word.length >= 3);
+  const matching = CATALOG.filter(product => words.some(word =>
+    product.tags.includes(word) || product.name.toLowerCase().includes(word)));
+  if (matching.length > 0 || words.length === 0) return matching;
+
+  const name = titleCase(term);
+  const base = 30 + (hashText(compact(term)) % 200);
+  return [
+    { name: `${name} 500 g`, price: base, mrp: Math.round(base * 1.1) },
+    { name: `${name} Premium 1 kg`, price: base * 2, mrp: base * 2 },
+    { name: `Organic ${name} 250 g`, price: Math.round(base * 0.8), mrp: base }
+  ];
+}
+
+/**
+ * A store's listing of the products found for a search term
+ */
+function storeProducts(storeId, term) {
+  return catalogProducts(term).map(product => {
+    const hash = hashText(product.name);
+    return {
+      ...product,
+      id: hash,
+      slug: slugify(product.name),
+      price: Math.min(product.mrp, Math.round(product.price * PRICE_FACTORS[storeId])),
+      isOutOfStock: Boolean(product.outOfStock),
+      image: `/images/${hash}.svg`
+    };
+  });
+}
+
+function readCookie(req, name) {
+  const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+// ---- Page parts ----
+
+/**
+ * Location modal behaviour, shared by the stores and configured through the
+ * data-* attributes of [data-mock="location-modal"]:
+ *   data-item     - element of each suggestion (li or button)
+ *   data-confirm  - label of the confirm button shown after a suggestion is
+ *                   picked; without it picking a suggestion saves it directly
+ *   data-storage  - localStorage key the location is also saved under
+ * The location is saved in the store's cookie and the page reloaded.
+ */
+const LOCATION_SCRIPT = `
+(function () {
+  var modal = document.querySelector('[data-mock="location-modal"]');
+  if (!modal) return;
+  var input = modal.querySelector('[data-mock="location-input"]');
+  var list = modal.querySelector('[data-mock="suggestions"]');
+  var confirmSlot = modal.querySelector('[data-mock="confirm-slot"]');
+  var cookieName = modal.getAttribute('data-cookie');
+  var confirmLabel = modal.getAttribute('data-confirm');
+  var storageKey = modal.getAttribute('data-storage');
+  var latest = 0;
+  var selected = null;
+
+  function save(location) {
+    document.cookie = cookieName + '=' + encodeURIComponent(location) + '; path=/; max-age=86400';
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify({ address: location }));
+    window.location.reload();
+  }
+
+  function choose(location) {
+    if (!confirmLabel) return save(location);
+    selected = location;
+    input.value = location;
+    list.innerHTML = '';
+    if (confirmSlot.firstChild) return;
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'confirm-location-button';
+    button.textContent = confirmLabel;
+    button.addEventListener('click', function () { save(selected); });
+    confirmSlot.appendChild(button);
+  }
+
+  document.querySelectorAll('[data-mock="location-trigger"]').forEach(function (trigger) {
+    trigger.addEventListener('click', function () { modal.hidden = false; });
+  });
+  document.querySelectorAll('[data-mock="reveal-input"]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      var wrapper = input.closest('[hidden]');
+      button.hidden = true;
+      if (wrapper) wrapper.hidden = false;
+      input.focus();
+    });
+  });
+  modal.querySelectorAll('[data-mock="close"]').forEach(function (close) {
+    close.addEventListener('click', function () { modal.hidden = true; });
+  });
+
+  input.addEventListener('input', function () {
+    var request = ++latest;
+    fetch('/api/locations?q=' + encodeURIComponent(input.value))
+      .then(function (response) { return response.json(); })
+      .then(function (suggestions) {
+        if (request !== latest) return;
+        list.innerHTML = '';
+        suggestions.forEach(function (location) {
+          var item = document.createElement(modal.getAttribute('data-item') || 'li');
+          item.className = 'location-suggestion-item';
+          item.textContent = location;
+          item.addEventListener('click', function () { choose(location); });
+          list.appendChild(item);
+        });
+      });
+  });
+})();
+`;
+
+/**
+ * The location modal; `input` is the markup of the input and what surrounds it
+ */
+function locationModal(storeId, { item = 'li', confirm = null, storage = null, heading, input, listClass = 'location-suggestions' }) {
+  return `
+  <div data-mock="location-modal" role="dialog" aria-modal="true" class="${storeId}-location-dialog" data-cookie="${cookieName(storeId)}" data-item="${item}"${confirm ? ` data-confirm="${confirm}"` : ''}${storage ? ` data-storage="${storage}"` : ''} hidden>
+    <button type="button" data-mock="close" aria-label="Close">&times;</button>
+    <h2>${heading}</h2>
+    ${input}
+    <ul data-mock="suggestions" class="${listClass}"></ul>
+    <div data-mock="confirm-slot"></div>
+  </div>`;
+}
+
+function cookieName(storeId) {
+  return `mock_location_${storeId}`;
+}
+
+function page(title, body, script = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  [hidden] { display: none !important; }
+  body { font-family: sans-serif; margin: 0; }
+  header { display: flex; gap: 16px; align-items: center; padding: 12px; border-bottom: 1px solid #ddd; }
+  [role="dialog"] { position: fixed; top: 60px; left: 30%; width: 40%; padding: 16px; background: #fff; border: 1px solid #999; z-index: 10; }
+  [role="dialog"] li, [role="dialog"] ul button { display: block; padding: 8px; cursor: pointer; list-style: none; }
+  .grid { display: flex; flex-wrap: wrap; gap: 12px; padding: 12px; }
+  .grid > * { width: 220px; border: 1px solid #eee; padding: 8px; }
+</style>
+</head>
+<body>
+${body}
+<script>${LOCATION_SCRIPT}${script}</script>
+</body>
+</html>
+`;
+}
+
+const rupees = amount => `₹${amount}`;
+
+// ---- Storefronts ----
+
+/**
+ * Markup of each store: its search URL, the page around the results and one product card.
+ * location: the chosen location (null until one is picked)
+ */
+const STOREFRONTS = {
+  dmart: {
+    title: 'DMart',
+    search: { path: '/search', param: 'searchTerm' },
+    productPath: product => `/product/${product.slug}?selectedProd=${product.id}`,
+    page: ({ location, term, products }) => `
+<header>
+  <a href="/">DMart</a>
+  <div class="header_location__Uf2Zk" data-mock="location-trigger">
+    <span class="header_pincode__KryhE">${escapeHtml(location || 'Select Location')}</span>
+  </div>
+  <form action="/search" class="header_search__hY4Kx">
+    <input type="text" id="scrInput" name="searchTerm" value="${escapeHtml(term)}" placeholder="What are you looking for?">
+    <button type="submit" class="header_searchButton__Ab3dK">Go</button>
+  </form>
+</header>
+${locationModal('dmart', { confirm: 'CONFIRM', heading: 'Choose your delivery pincode', input: '<input type="text" data-mock="location-input" placeholder="Type your pincode or area">' })}
+<main class="grid search_search-results__Xy12z">${products.map(product => `
+  <div class="vertical-card_card-vertical__Q8seS${product.isOutOfStock ? ' vertical-card_no-stock__3G_E0' : ''}">
+    <a href="${STOREFRONTS.dmart.productPath(product)}">
+      <div class="vertical-card_image__yNgf2" style="background-image: url(${product.image}), url(/misc/NoImage.png); height: 120px; background-size: contain; background-repeat: no-repeat"></div>
+      <div class="vertical-card_title__pMGg9">${escapeHtml(product.name)}</div>
+    </a>
+    <div class="vertical-card_price-container__tPCU9"><span class="vertical-card_label__OOtAc">MRP</span> <span class="vertical-card_amount__80Zwk">₹ ${product.mrp}</span></div>
+    <div class="vertical-card_price-container__tPCU9"><span class="vertical-card_label__OOtAc">DMart</span> <span class="vertical-card_amount__80Zwk">₹ ${product.price}</span></div>${product.mrp > product.price ? `
+    <div class="vertical-card_price-container__tPCU9"><span class="vertical-card_label__OOtAc">₹ OFF</span> <span class="vertical-card_amount__80Zwk">₹ ${product.mrp - product.price}</span></div>` : ''}${product.isOutOfStock ? `
+    <div class="vertical-card_info___ZmV_">Out of Stock</div>` : ''}
+  </div>`).join('')}
+</main>`
+  },
+
+  jiomart: {
+    title: 'JioMart',
+    search: { path: '/search', param: 'q' },
+    productPath: product => `/p/groceries/${product.slug}/${490000000 + (product.id % 1000000)}`,
+    page: ({ location, products }) => `
+<header>
+  <a href="/">JioMart</a>
+  <button type="button" class="jm-header-location" data-mock="location-trigger">${location ? `Delivering to: ${escapeHtml(location)}` : 'Location'}</button>
+</header>
+${locationModal('jiomart', { confirm: 'Confirm Location', heading: 'Choose your delivery address', input: '<input type="text" data-mock="location-input" placeholder="Search for area, landmark">', listClass: 'location-suggestion-list' })}
+<ul class="ais-InfiniteHits-list grid">${products.map(product => `
+  <li class="ais-InfiniteHits-item">
+    <div class="plp-card-wrapper product-card">
+      <a href="${STOREFRONTS.jiomart.productPath(product)}">
+        <img src="${product.image}" alt="${escapeHtml(product.name)}" width="150" height="150">
+        <div class="plp-card-details-name product-title">${escapeHtml(product.name)}</div>
+      </a>
+      <div class="plp-card-details-price"><span class="jm-heading-xxs">${rupees(product.price.toFixed(2))}</span>${product.mrp > product.price ? ` <span class="line-through jm-body-xs">${rupees(product.mrp.toFixed(2))}</span>` : ''}</div>${product.isOutOfStock ? `
+      <div class="plp-card-outofstock">Currently unavailable</div>` : ''}
+    </div>
+  </li>`).join('')}
+</ul>`
+  },
+
+  naturesbasket: {
+    title: "Nature's Basket",
+    search: { path: '/search', param: 'q' },
+    productPath: product => `/product-detail/${product.slug}/${product.id % 100000}`,
+    page: ({ location, products }) => `
+<header>
+  <a href="/">Nature's Basket</a>
+  ${location ? '<span>Delivering to</span>' : ''}
+  <button type="button" class="header-location" data-mock="location-trigger">${escapeHtml(location || 'Select Location')}</button>
+</header>
+${locationModal('naturesbasket', {
+    item: 'button',
+    confirm: 'CONFIRM LOCATION',
+    heading: 'Where should we deliver?',
+    input: `<button type="button" data-mock="reveal-input">Search area, street name...</button>
+    <div hidden><input type="text" data-mock="location-input" placeholder="Enter area, street name, landmark"></div>`
+  })}
+<div class="products-grid grid">${products.map(product => `
+  <div class="product-tile">
+    <a href="${STOREFRONTS.naturesbasket.productPath(product)}"><img src="${product.image}" width="150" height="150"><h3>${escapeHtml(product.name)}</h3></a>
+    ${product.mrp > product.price ? `<span style="text-decoration: line-through">₹ ${product.mrp}</span>` : ''}<span class="price">₹ ${product.price}</span>${product.isOutOfStock ? `
+    <div class="out-of-stock-label">Sold out</div>` : ''}
+  </div>`).join('')}
+</div>`
+  },
+
+  zepto: {
+    title: 'Zepto',
+    search: { path: '/search', param: 'query' },
+    productPath: product => `/pn/${product.slug}/pvid/${product.id.toString(16)}`,
+    page: ({ location, products }) => `
+<header>
+  <a href="/">Zepto</a>
+  <button type="button" class="location-header" data-mock="location-trigger"><span>${escapeHtml(location || 'Select Location')}</span></button>
+</header>
+${locationModal('zepto', { heading: 'Enter your delivery location', input: '<input type="text" data-mock="location-input" placeholder="Search a new address">' })}
+<div class="grid">${products.map(product => `
+  <a class="product-card" href="${STOREFRONTS.zepto.productPath(product)}">
+    <div><img alt="${escapeHtml(product.name)}" src="${product.image}" width="150" height="150"></div>
+    <div data-slot-id="ProductName"><span>${escapeHtml(product.name)}</span></div>
+    <div data-slot-id="Price"><p>${rupees(product.price)}</p>${product.mrp > product.price ? `<p class="line-through">${rupees(product.mrp)}</p>` : ''}</div>${product.isOutOfStock ? `
+    <div data-slot-id="OutOfStock">Out of Stock</div>` : ''}
+  </a>`).join('')}
+</div>`
+  },
+
+  swiggy: {
+    title: 'Swiggy Instamart',
+    search: { path: '/instamart/search', param: 'query' },
+    productPath: product => `/instamart/item/${product.id.toString(36).toUpperCase()}`,
+    page: ({ location, products }) => {
+      const state = {
+        userLocation: location ? { address: location } : null,
+        searchPLV2: {
+          data: {
+            items: products.map(product => ({
+              id: product.id.toString(36).toUpperCase(),
+              name: product.name,
+              price: product.price,
+              mrp: product.mrp,
+              image: product.image,
+              isOutOfStock: product.isOutOfStock
+            }))
+          }
+        }
+      };
+      return `
+<header>
+  <a href="/instamart">Swiggy Instamart</a>
+  <span class="location-address">${escapeHtml(location || '')}</span>
+  <form action="/instamart/search"><input type="text" name="query" aria-label="Search for products"></form>
+</header>
+<div id="errorDiv" style="display: none"></div>
+<div class="grid">${products.map(product => `
+  <div data-testid="item-collection-card-full">
+    <a href="${STOREFRONTS.swiggy.productPath(product)}">
+      <img alt="${escapeHtml(product.name)}" src="${product.image}" width="150" height="150">
+      <div class="item-name">${escapeHtml(product.name)}</div>
+    </a>
+    <div class="item-price">${rupees(product.price)}</div>${product.mrp > product.price ? `
+    <div class="item-mrp" style="text-decoration: line-through">${rupees(product.mrp)}</div>` : ''}
+  </div>`).join('')}
+</div>
+<script>window.___INITIAL_STATE___ = ${JSON.stringify(state).replace(/</g, '\\u003c')};</script>`;
+    }
+  }
+};
+
+/**
+ * Swiggy Instamart home and search pages (before results): the location
+ * dialog, and the search box with its suggestions
+ */
+const SWIGGY_SEARCH_SCRIPT = `
+(function () {
+  var input = document.querySelector('[data-mock="product-search"]');
+  var list = document.querySelector('[data-mock="product-suggestions"]');
+  if (!input) return;
+  var latest = 0;
+  input.addEventListener('input', function () {
+    var request = ++latest;
+    fetch('/api/products?q=' + encodeURIComponent(input.value))
+      .then(function (response) { return response.json(); })
+      .then(function (names) {
+        if (request !== latest) return;
+        list.innerHTML = '';
+        [input.value].concat(names).forEach(function (name) {
+          var item = document.createElement('li');
+          item.textContent = name;
+          item.addEventListener('click', function () {
+            window.location.href = '/instamart/search?query=' + encodeURIComponent(name);
+          });
+          list.appendChild(item);
+        });
+      });
+  });
+})();
+`;
+
+function swiggyHome(location) {
+  return page('Swiggy Instamart', `
+${locationModal('swiggy', { confirm: 'Confirm location', storage: 'swiggy_location', heading: 'Where should we deliver?', input: '<input type="text" data-mock="location-input" placeholder="Search for an area or address">' })}
+<header>
+  <a href="/instamart">Swiggy Instamart</a>
+  ${location ? `<span class="location-address">${escapeHtml(location)}</span>` : '<div data-mock="location-trigger">Search for an area or address</div>'}
+</header>
+<main><p>Groceries delivered in minutes</p></main>`);
+}
+
+function swiggySearchPage(location) {
+  return page('Swiggy Instamart', `
+<header>
+  <a href="/instamart">Swiggy Instamart</a>
+  <form action="/instamart/search"><input type="text" name="query" data-mock="product-search" aria-label="Search for products" autocomplete="off"></form>
+  <span class="location-address">${escapeHtml(location || '')}</span>
+</header>
+<ul data-mock="product-suggestions"></ul>`, SWIGGY_SEARCH_SCRIPT);
+}
+
+function productImage(id) {
+  const hue = Number(id) % 360;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150" viewBox="0 0 150 150"><rect width="150" height="150" fill="hsl(${hue}, 60%, 80%)"/><circle cx="75" cy="75" r="40" fill="hsl(${hue}, 60%, 50%)"/></svg>`;
+}
+
+/**
+ * Express app of one store's mock storefront
+ */
+function createMockStore(storeId) {
+  const storefront = STOREFRONTS[storeId];
+  if (!storefront) {
+    throw new Error(`No mock storefront for store "${storeId}" (available: ${Object.keys(STOREFRONTS).join(', ')})`);
+  }
+  const app = express();
+  // Product pages of every product listed so far, by path
+  const productPages = new Map();
+  app.locals.searches = [];
+
+  app.get('/api/locations', (req, res) => {
+    res.json(locationSuggestions(req.query.q));
+  });
+
+  app.get('/api/products', (req, res) => {
+    res.json(storeProducts(storeId, req.query.q).map(product => product.name));
+  });
+
+  app.get('/images/:file', (req, res) => {
+    res.type('image/svg+xml').send(productImage(req.params.file.replace(/\.svg$/, '')));
+  });
+
+  if (storeId === 'swiggy') {
+    app.get('/', (req, res) => res.redirect('/instamart'));
+    app.get('/instamart', (req, res) => res.send(swiggyHome(readCookie(req, cookieName(storeId)))));
+    // The orchestrator falls back to swiggy.com/search
+    app.get('/search', (req, res) => res.redirect(`/instamart/search?query=${encodeURIComponent(req.query.query || '')}`));
+  }
+
+  app.get(storefront.search.path, (req, res) => {
+    const term = String(req.query[storefront.search.param] || '');
+    const location = readCookie(req, cookieName(storeId));
+    if (storeId === 'swiggy' && !term) {
+      return res.send(swiggySearchPage(location));
+    }
+    const products = storeProducts(storeId, term);
+    app.locals.searches.push({ term, location });
+    for (const product of products) {
+      productPages.set(storefront.productPath(product).split('?')[0], product);
+    }
+    res.send(page(`${term} - ${storefront.title}`, storefront.page({ location, term, products })));
+  });
+
+  app.get('/', (req, res) => {
+    res.send(page(storefront.title, storefront.page({ location: readCookie(req, cookieName(storeId)), term: '', products: [] })));
+  });
+
+  app.use((req, res) => {
+    const product = productPages.get(req.path);
+    if (!product) {
+      return res.status(404).send(page('Not found', '<h1>Page not found</h1>'));
+    }
+    res.send(page(`${product.name} - ${storefront.title}`, `
+<h1>${escapeHtml(product.name)}</h1>
+<img src="${product.image}" alt="${escapeHtml(product.name)}" width="300" height="300">
+<p class="price">${rupees(product.price)}</p>`));
+  });
+
+  return app;
+}
+
+/**
+ * Start every mock storefront on its port
+ * @returns {Promise<Array<{ storeId, url, server, app }>>}
+ */
+async function startMockStores({ host = process.env.MOCK_STORES_HOST || 'localhost', stores = MOCK_STORE_IDS } = {}) {
+  return Promise.all(stores.map(storeId => new Promise((resolve, reject) => {
+    const port = mockStorePort(storeId);
+    const app = createMockStore(storeId);
+    const server = app.listen(port, host, () => {
+      resolve({ storeId, url: `http://${host}:${port}`, server, app });
+    });
+    server.on('error', reject);
+  })));
+}
+
+// CLI: node mock-store-server.js
+if (process.argv[1] === __filename) {
+  startMockStores().then(started => {
+    console.log('🛒 Mock storefronts running:');
+    for (const { storeId, url } of started) {
+      console.log(`   ${storeId.padEnd(14)} ${url}`);
+    }
+    console.log(`\n   Run the flows against them with MOCK_STORES_HOST=${process.env.MOCK_STORES_HOST || 'localhost'}`);
+  }).catch(error => {
+    console.error(`❌ Could not start the mock storefronts: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export { createMockStore, startMockStores, locationSuggestions, storeProducts };
@@ -1,4 +1,9 @@
 import { chromium } from 'playwright';
+import { JOB_EVENTS } from './job-events.js';
+import { closeOnAbort } from './cancellation.js';
+import { searchProductsInSession } from './batch-search.js';
+import { storeUrl } from './store-urls.js';
+import { extract } from './extraction.js';
 import readline from 'readline';
 import { fileURLToPath } from 'url';
 import path from 'path';
@@ -18,10 +23,15 @@ const isHeadless = true;
  * - Reload verification
  * - HTML export
  * - Waits for user input before closing
+ *
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called as onProgress(type, details) at each milestone
+ * @param {AbortSignal} options.signal - Closes the browser when aborted
+ * @param {string[]} options.products - Batch mode: search each of these after selecting the location once
  */
-async function selectLocationOnNaturesBasket(locationName, productName = 'tomato') {
+async function selectLocationOnNaturesBasket(locationName, productName = 'tomato', options = {}) {
   // Construct search URL from product name
-  const searchUrl = `https://www.naturesbasket.co.in/search?q=${encodeURIComponent(productName)}`;
+  const searchUrl = storeUrl('naturesbasket', `/search?q=${encodeURIComponent(productName)}`);
   // Launch Chrome browser - opens only once
   let browser;
   let context;
@@ -78,6 +88,7 @@ async function selectLocationOnNaturesBasket(locationName, productName = 'tomato
     }
     throw launchError;
   }
+  const releaseAbort = closeOnAbort(options.signal, () => browser.close());
 
   try {
     // Verify browser is still connected before navigation
@@ -629,213 +640,16 @@ async function selectLocationOnNaturesBasket(locationName, productName = 'tomato
 
     console.log(`Waiting for location to be confirmed...`);
     await page.waitForTimeout(3000);
+    options.onProgress?.(JOB_EVENTS.LOCATION_SELECTED, { location: locationName });
 
-    // Step 6: Reload page to verify location persists
-    console.log(`Reloading page to verify location...`);
-    await page.goto(searchUrl, {
-      waitUntil: 'load',
-      timeout: 60000
-    });
-    
-    // Wait for page to be ready after reload
-    try {
-      await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
-      console.log(`✓ Page DOM loaded after reload`);
-    } catch (e) {
-      console.log(`⚠️  DOM load check timeout, continuing...`);
-    }
-    
-    // Wait for product elements to appear
-    try {
-      await page.waitForSelector('a[href*="/product-detail/"], [class*="product"]', {
-        timeout: 10000
-      });
-      console.log(`✓ Product elements found`);
-    } catch (e) {
-      console.log(`⚠️  Product elements not found, continuing anyway...`);
-    }
-    
-    await page.waitForTimeout(2000);
-
-    // Step 7: Scroll slowly from top to bottom to load all images and products
-    console.log(`Scrolling slowly from top to bottom to load all products and images...`);
-    await page.evaluate(async () => {
-      const scrollHeight = document.body.scrollHeight || document.documentElement.scrollHeight;
-      const viewportHeight = window.innerHeight;
-      const scrollSteps = Math.max(20, Math.ceil(scrollHeight / (viewportHeight * 0.5))); // Scroll in smaller increments
-      
-      for (let i = 0; i <= scrollSteps; i++) {
-        const scrollPosition = (scrollHeight / scrollSteps) * i;
-        window.scrollTo({
-          top: scrollPosition,
-          behavior: 'smooth'
-        });
-        // Wait between scroll steps to allow images to load
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-      
-      // Scroll back to top
-      window.scrollTo({ top: 0, behavior: 'smooth' });
-      await new Promise(resolve => setTimeout(resolve, 500));
-    });
-    
-    await page.waitForTimeout(2000);
-    
-    // Force load lazy images
-    console.log(`Force loading lazy images...`);
-    await page.evaluate(() => {
-      const images = document.querySelectorAll('img[data-src], img[data-lazy-src], img[data-original], img[data-srcset]');
-      images.forEach(img => {
-        const src = img.getAttribute('data-src') || 
-                   img.getAttribute('data-lazy-src') || 
-                   img.getAttribute('data-original') ||
-                   (img.getAttribute('data-srcset')?.split(',')[0]?.trim().split(' ')[0]);
-        if (src && !img.src) {
-          img.src = src;
-        }
-      });
-    });
-    
-    await page.waitForTimeout(2000);
-    
-    // Step 8: Extract products from HTML
-    console.log(`Extracting products from page...`);
-    const products = await page.evaluate(() => {
-      const productList = [];
-      const processedUrls = new Set();
-      
-      // Find all product links
-      const productLinks = document.querySelectorAll('a[href*="/product-detail/"]');
-      
-      productLinks.forEach(link => {
-        try {
-          // Extract product URL
-          let productUrl = link.getAttribute('href');
-          if (!productUrl || productUrl.startsWith('#')) return;
-          
-          // Convert to absolute URL
-          if (!productUrl.startsWith('http')) {
-            if (productUrl.startsWith('//')) {
-              productUrl = 'https:' + productUrl;
-            } else if (productUrl.startsWith('/')) {
-              productUrl = 'https://www.naturesbasket.co.in' + productUrl;
-            }
-          }
-          
-          // Skip duplicates
-          if (processedUrls.has(productUrl)) return;
-          processedUrls.add(productUrl);
-          
-          // Extract product name from h3 tag or link text
-          let productName = null;
-          const h3 = link.querySelector('h3');
-          if (h3) {
-            productName = h3.textContent?.trim();
-          }
-          if (!productName || productName.length < 3) {
-            productName = link.textContent?.trim();
-          }
-          
-          if (!productName || productName.length < 3) return;
-          
-          // Find container with price information
-          let container = link.closest('div, article, section, li');
-          if (!container) container = link.parentElement;
-          
-          // Extract prices from container
-          let price = null;
-          let mrp = null;
-          const containerText = container?.textContent || '';
-          const priceMatches = containerText.match(/₹\s*(\d+(?:\.\d+)?)/g);
-          
-          if (priceMatches && priceMatches.length > 0) {
-            const prices = priceMatches.map(m => {
-              const match = m.match(/₹\s*(\d+(?:\.\d+)?)/);
-              return match ? parseFloat(match[1]) : null;
-            }).filter(p => p !== null && p > 0);
-            
-            if (prices.length > 1) {
-              // Usually first is MRP, second is selling price (but check which is higher)
-              const sortedPrices = prices.sort((a, b) => b - a);
-              mrp = sortedPrices[0];
-              price = sortedPrices[1];
-            } else if (prices.length === 1) {
-              price = prices[0];
-            }
-          }
-          
-          // Extract image URL
-          let imageUrl = null;
-          const img = link.querySelector('img');
-          if (img) {
-            imageUrl = img.getAttribute('src') || 
-                      img.getAttribute('data-src') || 
-                      img.getAttribute('data-lazy-src') || 
-                      img.getAttribute('data-original') ||
-                      (img.getAttribute('srcset')?.split(',')[0]?.trim().split(' ')[0]);
-            
-            if (imageUrl && !imageUrl.startsWith('http')) {
-              if (imageUrl.startsWith('//')) {
-                imageUrl = 'https:' + imageUrl;
-              } else if (imageUrl.startsWith('/')) {
-                imageUrl = 'https://www.naturesbasket.co.in' + imageUrl;
-              }
-            }
-          }
-          
-          // Only add if we have essential information
-          if (productName && price && productUrl) {
-            const discount = mrp && mrp > price ? mrp - price : null;
-            
-            productList.push({
-              name: productName,
-              price: price,
-              mrp: mrp || null,
-              discount: discount,
-              discountAmount: discount,
-              isOutOfStock: false, // Would need to check for out of stock indicators
-              imageUrl: imageUrl || null,
-              productUrl: productUrl
-            });
-          }
-        } catch (e) {
-          // Skip products with errors
-        }
-      });
-      
-      // Remove duplicates and filter invalid products
-      const uniqueProducts = [];
-      const seenNames = new Set();
-      for (const product of productList) {
-        const normalizedName = product.name.toLowerCase().trim();
-        if (!seenNames.has(normalizedName) && 
-            product.name.length >= 3 && 
-            product.name.length < 200 &&
-            !product.name.match(/^[\d\s₹\-]+$/) && // Not just numbers and symbols
-            product.price > 0) {
-          seenNames.add(normalizedName);
-          uniqueProducts.push(product);
-        }
-      }
-      
-      return uniqueProducts;
-    });
-    
-    console.log(`✓ Extracted ${products.length} products`);
-    
-    // Step 9: Generate JSON output
-    const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0] + 'Z';
-    
-    const jsonData = {
-      website: "Nature's Basket",
-      location: locationName,
-      product: productName,
-      timestamp: timestamp,
-      products: products
-    };
-    
-    // HTML and JSON files are not saved locally (disabled per user request)
-    console.log(`✓ Total products: ${products.length}`);
+    // Step 6: Search in this session - once, or for every product of a batch (options.products)
+    const jsonData = options.products
+      ? await searchProductsInSession(
+        options.products,
+        (batchProduct) => searchAndExtractOnNaturesBasket(page, locationName, batchProduct, options),
+        { website: "Nature's Basket", location: locationName, signal: options.signal }
+      )
+      : await searchAndExtractOnNaturesBasket(page, locationName, productName, options);
 
     console.log(`\n✅ Location "${locationName}" selected and products extracted successfully!`);
     
@@ -866,7 +680,95 @@ async function selectLocationOnNaturesBasket(locationName, productName = 'tomato
       }
     }
     throw error;
+   } finally {
+    releaseAbort();
+  }
+}
+
+/**
+ * Open the Nature's Basket search results for one product and extract them
+ * The page already has its location set; a batch calls this once per product
+ */
+async function searchAndExtractOnNaturesBasket(page, locationName, productName, options = {}) {
+  const searchUrl = storeUrl('naturesbasket', `/search?q=${encodeURIComponent(productName)}`);
+
+  // Load the search page again - this also verifies the location persists
+  console.log(`Loading search results for "${productName}"...`);
+  await page.goto(searchUrl, {
+    waitUntil: 'load',
+    timeout: 60000
+  });
+  options.onProgress?.(JOB_EVENTS.SEARCH_SUBMITTED, { product: productName });
+  
+  // Wait for page to be ready after reload
+  try {
+    await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
+    console.log(`✓ Page DOM loaded after reload`);
+  } catch (e) {
+    console.log(`⚠️  DOM load check timeout, continuing...`);
+  }
+  
+  // Wait for product elements to appear
+  try {
+    await page.waitForSelector('a[href*="/product-detail/"], [class*="product"]', {
+      timeout: 10000
+    });
+    console.log(`✓ Product elements found`);
+  } catch (e) {
+    console.log(`⚠️  Product elements not found, continuing anyway...`);
   }
+  
+  await page.waitForTimeout(2000);
+
+  // Step 7: Scroll slowly from top to bottom to load all images and products
+  console.log(`Scrolling slowly from top to bottom to load all products and images...`);
+  await page.evaluate(async () => {
+    const scrollHeight = document.body.scrollHeight || document.documentElement.scrollHeight;
+    const viewportHeight = window.innerHeight;
+    const scrollSteps = Math.max(20, Math.ceil(scrollHeight / (viewportHeight * 0.5))); // Scroll in smaller increments
+    
+    for (let i = 0; i <= scrollSteps; i++) {
+      const scrollPosition = (scrollHeight / scrollSteps) * i;
+      window.scrollTo({
+        top: scrollPosition,
+        behavior: 'smooth'
+      });
+      // Wait between scroll steps to allow images to load
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    
+    // Scroll back to top
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    await new Promise(resolve => setTimeout(resolve, 500));
+  });
+  
+  await page.waitForTimeout(2000);
+  
+  // Force load lazy images
+  console.log(`Force loading lazy images...`);
+  await page.evaluate(() => {
+    const images = document.querySelectorAll('img[data-src], img[data-lazy-src], img[data-original], img[data-srcset]');
+    images.forEach(img => {
+      const src = img.getAttribute('data-src') || 
+                 img.getAttribute('data-lazy-src') || 
+                 img.getAttribute('data-original') ||
+                 (img.getAttribute('data-srcset')?.split(',')[0]?.trim().split(' ')[0]);
+      if (src && !img.src) {
+        img.src = src;
+      }
+    });
+  });
+  
+  await page.waitForTimeout(2000);
+  
+  // Step 8: Extract products from HTML
+  console.log(`Extracting products from page...`);
+  const jsonData = parseNaturesBasketProducts(await page.content(), locationName, productName);
+  
+  // HTML and JSON files are not saved locally (disabled per user request)
+  console.log(`✓ Total products: ${jsonData.products.length}`);
+
+  return jsonData;
 }
 
 // Helper function to wait for Enter key press
@@ -921,4 +823,23 @@ if (isMainModule) {
   main().catch(console.error);
 }
 
-export { selectLocationOnNaturesBasket };
+/**
+ * Parse Nature's Basket HTML to extract product data
+ */
+function parseNaturesBasketProducts(html, locationName, productName) {
+  const extracted = extract(html, 'naturesbasket', { location: locationName });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return {
+    website: "Nature's Basket",
+    location: extracted.location,
+    product: productName,
+    timestamp: timestamp,
+    products: extracted.products,
+    invalidProducts: extracted.invalidProducts,
+    totalProducts: extracted.totalProducts,
+    parserVersion: extracted.parserVersion
+  };
+}
+
+export { selectLocationOnNaturesBasket, parseNaturesBasketProducts };
@@ -0,0 +1,293 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+import { parseLimit } from './job-queue.js';
+import { parseHostList, checkOutboundUrl } from './outbound-guard.js';
+
+/**
+ * Notification Channels
+ *
+ * Watches (see watches.js) send their alerts through channels listed on the
+ * watch. Each channel type is a notifier registered here:
+ *   { type: 'webhook', url }  - POSTs the notification as JSON
+ *   { type: 'email', to }     - Sends a plain-text mail over SMTP (`to` may list several addresses)
+ *   { type: 'log' }           - Appends the notification to a JSONL file, for testing
+ *
+ * New channel types are added with registerNotifier(type, { validate, send }).
+ *
+ * Webhooks never go to the server's own network: URLs naming or resolving to a
+ * loopback, link-local, private or other non-public address are refused when
+ * the watch is saved and again before each send (see outbound-guard.js).
+ *
+ * Configuration (environment):
+ *   NOTIFY_LOG_FILE            - log sink file (default data/notifications.jsonl)
+ *   NOTIFY_WEBHOOK_TIMEOUT_MS  - webhook request timeout (default 10000)
+ *   NOTIFY_WEBHOOK_ALLOWED_HOSTS - only accept these webhook hosts, e.g. "hooks.slack.com,.internal.example.com"
+ *                              (a leading dot also accepts subdomains; those may be internal)
+ *   SMTP_HOST, SMTP_PORT       - mail server (port default 587; 465 uses TLS from the start)
+ *   SMTP_SECURE                - "true" to use TLS from the start on another port
+ *   SMTP_USER, SMTP_PASS       - AUTH PLAIN credentials (optional)
+ *   SMTP_FROM                  - sender address (default SMTP_USER)
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const WEBHOOK_TIMEOUT_MS = parseLimit(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS, 10 * 1000);
+const SMTP_TIMEOUT_MS = 15 * 1000;
+
+const notifiers = new Map();
+
+/**
+ * Register a channel type
+ * @param {string} type - Value of `channel.type`
+ * @param {Object} notifier
+ * @param {Function} notifier.validate - (channel) => error message or null (or a promise of one)
+ * @param {Function} notifier.send - async (channel, notification) => void, throws on failure
+ */
+function registerNotifier(type, { validate, send }) {
+  if (typeof send !== 'function') {
+    throw new Error(`Notifier "${type}" needs a send function`);
+  }
+  notifiers.set(type, { validate: validate || (() => null), send });
+}
+
+function getNotifierTypes() {
+  return [...notifiers.keys()];
+}
+
+/**
+ * Check a watch's channel list
+ * @returns {Promise<{ channels: Array, error: string|null }>}
+ */
+async function validateChannels(channels) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return { channels: [], error: '"channels" must be a non-empty list such as [{ "type": "log" }]' };
+  }
+  for (const channel of channels) {
+    const notifier = notifiers.get(channel?.type);
+    if (!notifier) {
+      return { channels, error: `Unknown channel type "${channel?.type}" (supported: ${getNotifierTypes().join(', ')})` };
+    }
+    const error = await notifier.validate(channel);
+    if (error) {
+      return { channels, error };
+    }
+  }
+  return { channels, error: null };
+}
+
+/**
+ * Send a notification through every channel; one failing channel does not stop the others
+ * @returns {Promise<Array<{ type, ok, error }>>}
+ */
+async function deliverNotification(channels, notification) {
+  return Promise.all(channels.map(async channel => {
+    try {
+      await notifiers.get(channel.type).send(channel, notification);
+      return { type: channel.type, ok: true, error: null };
+    } catch (error) {
+      console.error(`🔔 ${channel.type} notification failed: ${error.message}`);
+      return { type: channel.type, ok: false, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Read SMTP replies from a socket; a reply ends on a line with a space after the code
+ */
+function smtpReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  });
+  const fail = error => {
+    failure = failure || error;
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('SMTP connection closed')));
+
+  return () => {
+    if (replies.length > 0) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+}
+
+/**
+ * Encode a header value that is not plain ASCII (e.g. a subject with "₹")
+ */
+function encodeHeader(value) {
+  value = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Send a plain-text mail through SMTP_HOST, upgrading with STARTTLS when offered
+ */
+async function sendMail({ to, subject, text }) {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new Error('SMTP_HOST is not set');
+  }
+  const port = parseLimit(process.env.SMTP_PORT, 587);
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  if (!from) {
+    throw new Error('SMTP_FROM is not set');
+  }
+  const recipients = to.split(',').map(address => address.trim()).filter(Boolean);
+
+  const secure = port === 465 || process.env.SMTP_SECURE === 'true';
+  let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+  let read = smtpReader(socket);
+
+  const command = async (line, expectedClass) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await read();
+    if (Math.floor(reply.code / 100) !== expectedClass) {
+      throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, 2);
+    let hello = await command(`EHLO ${hostname()}`, 2);
+    if (!secure && hello.lines.some(line => /^\d{3}[ -]STARTTLS/i.test(line))) {
+      await command('STARTTLS', 2);
+      socket.removeAllListeners('data');
+      socket = tls.connect({ socket, servername: host });
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+      read = smtpReader(socket);
+      hello = await command(`EHLO ${hostname()}`, 2);
+    }
+    if (process.env.SMTP_USER) {
+      const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASS || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, 2);
+    }
+
+    await command(`MAIL FROM:<${from}>`, 2);
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient}>`, 2);
+    }
+    await command('DATA', 3);
+
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      // Lines starting with "." are escaped so they do not end the message
+      ...text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+    ].join('\r\n');
+    await command(`${message}\r\n.`, 2);
+    await command('QUIT', 2).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+registerNotifier('log', {
+  async send(channel, notification) {
+    const filePath = process.env.NOTIFY_LOG_FILE || join(__dirname, 'data', 'notifications.jsonl');
+    mkdirSync(dirname(filePath), { recursive: true });
+    appendFileSync(filePath, JSON.stringify({ ...notification, loggedAt: new Date().toISOString() }) + '\n', 'utf8');
+    console.log(`🔔 ${notification.message}`);
+  }
+});
+
+function webhookGuard() {
+  return {
+    label: 'Webhook "url"',
+    allowedHosts: parseHostList(process.env.NOTIFY_WEBHOOK_ALLOWED_HOSTS),
+    allowedHostsVar: 'NOTIFY_WEBHOOK_ALLOWED_HOSTS'
+  };
+}
+
+registerNotifier('webhook', {
+  async validate(channel) {
+    let url;
+    try {
+      url = new URL(channel.url);
+    } catch (error) {
+      return 'Webhook channels need a valid "url"';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'Webhook "url" must be http(s)';
+    }
+    return checkOutboundUrl(url.href, webhookGuard())
+      .catch(() => `Webhook "url" host ${url.hostname} could not be resolved`);
+  },
+  async send(channel, notification) {
+    // Checked on every send: the host may resolve elsewhere by now
+    const refused = await checkOutboundUrl(channel.url, webhookGuard());
+    if (refused) {
+      throw new Error(refused);
+    }
+    const response = await fetch(channel.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status}`);
+    }
+  }
+});
+
+registerNotifier('email', {
+  validate(channel) {
+    const addresses = typeof channel.to === 'string' ? channel.to.split(',').map(address => address.trim()) : [];
+    return addresses.length > 0 && addresses.every(address => /^[^\s@<>]+@[^\s@<>]+$/.test(address))
+      ? null
+      : 'Email channels need "to" with one or more addresses';
+  },
+  async send(channel, notification) {
+    await sendMail({
+      to: channel.to,
+      subject: notification.message,
+      text: [
+        notification.message,
+        '',
+        `Product: ${notification.name}`,
+        `Store: ${notification.storeName} (${notification.location})`,
+        `Price: ${notification.price ?? 'n/a'}${notification.previousPrice != null ? ` (was ${notification.previousPrice})` : ''}`,
+        `Observed: ${notification.observedAt}`,
+        ...(notification.productUrl ? [`Link: ${notification.productUrl}`] : [])
+      ].join('\n')
+    });
+  }
+});
+
+export { registerNotifier, getNotifierTypes, validateChannels, deliverNotification, sendMail };
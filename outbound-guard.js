@@ -0,0 +1,78 @@
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+/**
+ * Outbound Request Guard
+ *
+ * Job callbacks (job-callbacks.js) and watch webhooks (notifiers.js) are sent
+ * to URLs taken from API requests, so they must not reach the server's own
+ * network: hosts naming or resolving to a loopback, link-local (e.g.
+ * 169.254.169.254 cloud metadata), private or other non-public address are
+ * refused. A host allowlist replaces that check; listed hosts may be internal.
+ *
+ * Each guard is described by { label, allowedHosts, allowedHostsVar }:
+ *   label           - how errors name the URL, e.g. '"callbackUrl"'
+ *   allowedHosts    - only accept these hosts (a leading dot also accepts subdomains)
+ *   allowedHostsVar - environment variable the allowlist came from, for errors
+ */
+
+// Addresses an outbound request must not reach
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Parse a host allowlist such as "hooks.example.com,.internal.example.com"
+ */
+function parseHostList(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not public
+ */
+function isBlockedAddress(address) {
+  const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mappedIpv4) return isBlockedAddress(mappedIpv4[1]);
+  const family = isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a request may not go to this host, or null when it may
+ * Hosts named by IP address (and "localhost") are checked as written; other
+ * names are checked once resolved, see checkOutboundUrl()
+ */
+function outboundHostError(hostname, { label, allowedHosts = [], allowedHostsVar }) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (allowedHosts.length > 0) {
+    const allowed = allowedHosts.some(entry => (entry.startsWith('.') ? host.endsWith(entry) || host === entry.slice(1) : host === entry));
+    return allowed ? null : `${label} host ${host} is not in ${allowedHostsVar}`;
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && isBlockedAddress(host))) {
+    return `${label} must not point at a loopback, link-local or private address (${host})`;
+  }
+  return null;
+}
+
+/**
+ * Resolve a URL's host and refuse it when it reaches a non-public address
+ * @returns {Promise<string|null>} - Why the request may not be sent, or null when it may
+ */
+async function checkOutboundUrl(url, guard) {
+  const { hostname } = new URL(url);
+  const hostError = outboundHostError(hostname, guard);
+  if (hostError || guard.allowedHosts?.length > 0 || isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    return hostError;
+  }
+  const addresses = await lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked ? `${guard.label} host ${hostname} resolves to a non-public address (${blocked.address})` : null;
+}
+
+export { parseHostList, isBlockedAddress, outboundHostError, checkOutboundUrl };
@@ -0,0 +1,125 @@
+/**
+ * Pack Size and Unit Price
+ *
+ * Reads the pack size of a product from its name or card text ("Amul Butter
+ * 500 g", "Coke 2 x 750 ml", "Eggs - Pack of 6", "Bananas 1 dozen") so a ₹45
+ * 500 g pack can be compared with a ₹85 1 kg pack.
+ *
+ * Product fields added by the store parsers:
+ * {
+ *   quantity: number | null,         // Pack size in `unit` (500 g -> 0.5)
+ *   unit: 'kg' | 'l' | 'pcs' | null,
+ *   unitPrice: number | null         // Price per kg, per litre or per piece
+ * }
+ */
+
+// Unit spellings -> [unit, multiplier to that unit]
+const UNITS = {
+  g: ['kg', 0.001], gm: ['kg', 0.001], gms: ['kg', 0.001], gr: ['kg', 0.001], grm: ['kg', 0.001],
+  gram: ['kg', 0.001], grams: ['kg', 0.001], gramme: ['kg', 0.001], grammes: ['kg', 0.001],
+  kg: ['kg', 1], kgs: ['kg', 1], kilo: ['kg', 1], kilos: ['kg', 1], kilogram: ['kg', 1], kilograms: ['kg', 1],
+  ml: ['l', 0.001], mls: ['l', 0.001], millilitre: ['l', 0.001], millilitres: ['l', 0.001], milliliter: ['l', 0.001], milliliters: ['l', 0.001],
+  l: ['l', 1], lt: ['l', 1], ltr: ['l', 1], ltrs: ['l', 1], litre: ['l', 1], litres: ['l', 1], liter: ['l', 1], liters: ['l', 1],
+  pc: ['pcs', 1], pcs: ['pcs', 1], piece: ['pcs', 1], pieces: ['pcs', 1], nos: ['pcs', 1], units: ['pcs', 1],
+  dozen: ['pcs', 12], dz: ['pcs', 12]
+};
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT = `(${Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|')})`;
+const TIMES = '\\s*[x×*]\\s*';
+
+// Most specific first: "2 x 200 g", "200 g x 2", "500 ml (pack of 2)", "200 g", "pack of 6", "dozen"
+const PATTERNS = [
+  { pattern: new RegExp(`\\b(\\d+)${TIMES}${NUMBER}\\s*${UNIT}\\b`, 'i'), read: m => [Number(m[1]), m[2], m[3]] },
+  { pattern: new RegExp(`\\b${NUMBER}\\s*${UNIT}${TIMES}(\\d+)\\b`, 'i'), read: m => [Number(m[3]), m[1], m[2]] },
+  { pattern: new RegExp(`\\b${NUMBER}\\s*${UNIT}\\b[^\\d]{0,4}\\(?\\s*pack of (\\d+)\\b`, 'i'), read: m => [Number(m[3]), m[1], m[2]] },
+  { pattern: new RegExp(`\\b${NUMBER}\\s*${UNIT}\\b`, 'i'), read: m => [1, m[1], m[2]] },
+  { pattern: /\b(?:pack|set|box) of (\d+)\b/i, read: m => [1, m[1], 'pcs'] },
+  { pattern: /\b(half )?dozen\b/i, read: m => [1, m[1] ? '0.5' : '1', 'dozen'] }
+];
+
+/**
+ * Pack size in a product name or card text
+ * @returns {{ quantity: number, unit: string, text: string }|null} - text is the part of the input that was read
+ */
+function parsePackSize(text) {
+  if (!text) return null;
+  for (const { pattern, read } of PATTERNS) {
+    const match = pattern.exec(text);
+    if (!match) continue;
+    const [count, amount, spelling] = read(match);
+    const [unit, multiplier] = UNITS[spelling.toLowerCase()];
+    const quantity = Math.round(count * parseFloat(amount) * multiplier * 1e6) / 1e6;
+    if (quantity > 0) {
+      return { quantity, unit, text: match[0] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Price per kg, litre or piece, rounded to paise
+ * Accepts price strings such as "₹20" (Swiggy Instamart)
+ */
+function unitPriceOf(price, quantity) {
+  const amount = typeof price === 'string' ? parseFloat(price.replace(/[^\d.]/g, '')) : price;
+  return typeof amount === 'number' && amount > 0 && quantity > 0 ? Math.round((amount / quantity) * 100) / 100 : null;
+}
+
+/**
+ * Pack size fields for a parsed product; the name wins over card text
+ * @param {string} name - Product name
+ * @param {number|null} price - Selling price
+ * @param {string} cardText - Other text on the product card (weight label, variant chip, ...)
+ * @returns {{ quantity: number|null, unit: string|null, unitPrice: number|null }}
+ */
+function packFields(name, price, cardText = '') {
+  const pack = parsePackSize(name) || parsePackSize(cardText);
+  return {
+    quantity: pack?.quantity ?? null,
+    unit: pack?.unit ?? null,
+    unitPrice: pack ? unitPriceOf(price, pack.quantity) : null
+  };
+}
+
+/**
+ * Fill pack size fields on products a parser returned without them
+ */
+function addPackSizes(products) {
+  return (products || []).map(product => (product && product.unit === undefined
+    ? { ...product, ...packFields(product.name, product.price) }
+    : product));
+}
+
+// Sort orders accepted by the API (`sort` query parameter)
+const PRODUCT_SORTS = ['price', 'unit-price', 'discount'];
+
+/**
+ * Sort products (or anything holding products) by price, unit price or discount
+ * Products without the value go last; out-of-stock products do not count.
+ * @param {Array} items - Products, or e.g. product groups
+ * @param {string} sort - One of PRODUCT_SORTS
+ * @param {Function} productsOf - Products an item holds (the best one is its sort key)
+ */
+function sortProducts(items, sort, productsOf = item => [item]) {
+  const valueOf = {
+    price: product => product.price,
+    'unit-price': product => product.unitPrice,
+    discount: product => (product.discount != null ? -product.discount : null)
+  }[sort];
+  if (!valueOf) return items;
+
+  const keyOf = item => {
+    const values = productsOf(item)
+      .filter(product => product && !product.isOutOfStock)
+      .map(valueOf)
+      .filter(value => typeof value === 'number');
+    return values.length > 0 ? Math.min(...values) : Infinity;
+  };
+  return items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => (a.key === b.key ? 0 : a.key - b.key))
+    .map(({ item }) => item);
+}
+
+export { parsePackSize, unitPriceOf, packFields, addPackSizes, sortProducts, PRODUCT_SORTS };
@@ -0,0 +1,401 @@
+import { existsSync, mkdirSync, readFileSync, readdirSync, statSync, openSync, readSync, closeSync, appendFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { resolveStore } from './store-registry.js';
+import { normalizeCacheText } from './result-cache.js';
+
+/**
+ * Price History Store
+ *
+ * Every product a scrape extracts is kept as one observation in an
+ * append-only JSON Lines file, indexed in memory by word (of the product name
+ * and search term), store and location so price-over-time queries do not scan
+ * the whole history.
+ *
+ * Observation shape (one line per observation):
+ * {
+ *   store: string,               // Store id from the registry
+ *   location: string,
+ *   query: string | null,        // Search term that found the product (null if unknown)
+ *   name: string,
+ *   price: number | null,
+ *   mrp: number | null,
+ *   isOutOfStock: boolean,
+ *   productUrl: string | null,
+ *   timestamp: string,           // ISO time of the scrape
+ *   source: string               // Output file or run the observation came from
+ * }
+ *
+ * Several processes can share one file: new lines written by another process
+ * are picked up before each query.
+ *
+ * Backfill existing scrape output:
+ *   node price-history.js backfill [outputDir]   (npm run history:backfill)
+ *
+ * Configuration (environment):
+ *   PRICE_HISTORY_FILE - JSONL file (default data/price-history.jsonl)
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_HISTORY_FILE = join(__dirname, 'data', 'price-history.jsonl');
+
+/**
+ * Read a price that may be a number or a string such as "₹1,299.00"
+ */
+function toPrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const parsed = parseFloat(value.replace(/[^0-9.]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Index words of a product name or search term
+ */
+function tokenize(text) {
+  return normalizeCacheText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * ISO time from an output timestamp ("2025-01-31T10-15-00-123Z") or any Date-readable value
+ */
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  const text = String(value).replace(/T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z$/, (_, h, m, s, ms) => `T${h}:${m}:${s}.${ms || '000'}Z`);
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Read the filters of a history request (GET /api/history query string)
+ * At least one of product, store or location is required; store accepts any
+ * registry alias and is returned as its id
+ * @returns {{ filters: Object, error: string|null }}
+ */
+function parseHistoryFilters({ product, store, location, from, to } = {}) {
+  const filters = {
+    product: typeof product === 'string' && product.trim() ? product.trim() : null,
+    store: null,
+    location: typeof location === 'string' && location.trim() ? location.trim() : null,
+    from: from || null,
+    to: to || null
+  };
+
+  if (store) {
+    filters.store = resolveStore(store)?.id || null;
+    if (!filters.store) {
+      return { filters, error: `Unsupported website: ${store}` };
+    }
+  }
+  if (!filters.product && !filters.store && !filters.location) {
+    return { filters, error: 'Pass at least one of product, store or location' };
+  }
+  for (const key of ['from', 'to']) {
+    if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+      return { filters, error: `"${key}" must be a date or ISO timestamp (got "${filters[key]}")` };
+    }
+  }
+  return { filters, error: null };
+}
+
+class PriceHistory {
+  /**
+   * @param {string} filePath - JSONL file to keep observations in
+   */
+  constructor(filePath = process.env.PRICE_HISTORY_FILE || DEFAULT_HISTORY_FILE) {
+    this.filePath = filePath;
+    this.observations = [];
+    this.byToken = new Map();
+    this.byStore = new Map();
+    this.byLocation = new Map();
+    this.sources = new Set();
+    this.listeners = new Set();
+    this.offset = 0;
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    this.refresh();
+    console.log(`📈 Loaded ${this.observations.length} price observation(s) from ${this.filePath}`);
+  }
+
+  /**
+   * Index lines appended to the file since the last read (by this or another process)
+   */
+  refresh() {
+    if (!existsSync(this.filePath)) return;
+    const size = statSync(this.filePath).size;
+    if (size <= this.offset) return;
+
+    const buffer = Buffer.alloc(size - this.offset);
+    const fd = openSync(this.filePath, 'r');
+    try {
+      readSync(fd, buffer, 0, buffer.length, this.offset);
+    } finally {
+      closeSync(fd);
+    }
+
+    // Only consume complete lines; a line still being written is read next time
+    const text = buffer.toString('utf8');
+    const end = text.lastIndexOf('\n') + 1;
+    this.offset += Buffer.byteLength(text.slice(0, end));
+    for (const line of text.slice(0, end).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch (error) {
+        // Skip a line truncated by a crash mid-write
+      }
+    }
+  }
+
+  index(observation) {
+    const position = this.observations.push(observation) - 1;
+    const add = (map, key) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(position);
+    };
+    new Set(tokenize(`${observation.query || ''} ${observation.name}`)).forEach(token => add(this.byToken, token));
+    add(this.byStore, observation.store);
+    add(this.byLocation, normalizeCacheText(observation.location));
+    this.sources.add(observation.source);
+  }
+
+  hasSource(source) {
+    this.refresh();
+    return this.sources.has(source);
+  }
+
+  /**
+   * Store the products of one scrape
+   * @param {Object} run
+   * @param {string} run.query - Search term (null if unknown)
+   * @param {string} run.location - Location searched
+   * @param {string} run.timestamp - Time of the scrape (ISO or output-file format)
+   * @param {Array} run.websites - [{ website, location?, products }] as written to output/*.json
+   * @param {string} run.source - Where the data came from; a source is only recorded once
+   * @returns {number} - Observations added
+   */
+  record({ query = null, location, timestamp, websites = [], source }) {
+    if (source && this.hasSource(source)) return 0;
+    const observedAt = toIsoTimestamp(timestamp) || new Date().toISOString();
+
+    const lines = [];
+    for (const site of websites) {
+      const store = resolveStore(site.website)?.id || normalizeCacheText(site.website);
+      for (const product of site.products || []) {
+        if (!product?.name) continue;
+        lines.push({
+          store,
+          location: site.location || location || null,
+          query: query || product.query || null,
+          name: product.name,
+          price: toPrice(product.price),
+          mrp: toPrice(product.mrp),
+          isOutOfStock: Boolean(product.isOutOfStock),
+          productUrl: product.productUrl || null,
+          timestamp: observedAt,
+          source: source || `run:${observedAt}`
+        });
+      }
+    }
+    if (lines.length === 0) return 0;
+
+    try {
+      appendFileSync(this.filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n', 'utf8');
+    } catch (error) {
+      // History problems must not fail the scrape that produced the data
+      console.error(`⚠️  Failed to record price history: ${error.message}`);
+      return 0;
+    }
+    this.refresh();
+
+    for (const listener of this.listeners) {
+      try {
+        listener(lines);
+      } catch (error) {
+        console.error(`⚠️  Price history listener failed: ${error.message}`);
+      }
+    }
+    return lines.length;
+  }
+
+  /**
+   * Call `listener(observations)` with the observations of every record() in this process
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Store the products of orchestrator results (or QuickAPI results, which carry
+   * `products`/`searches` directly); failed and cached store results are skipped
+   * @param {Object} run
+   * @param {string} run.query - Search term (null for batch runs, whose searches name their own)
+   * @param {string} run.location
+   * @param {Array} run.results - Store results
+   * @param {string} run.timestamp
+   * @param {string} run.source
+   * @returns {number} - Observations added
+   */
+  recordResults({ query = null, location, results = [], timestamp, source }) {
+    const websites = results
+      .filter(result => result.success && !result.cached)
+      .map(result => ({ website: result.website, data: result.jsonData || result }))
+      .flatMap(({ website, data }) => (data.searches
+        ? data.searches.map(search => ({
+          website,
+          location: data.location,
+          products: (search.products || []).map(product => ({ ...product, query: search.product }))
+        }))
+        : [{ website, location: data.location, products: data.products || [] }]));
+    return this.record({ query, location, timestamp, websites, source });
+  }
+
+  /**
+   * Store the contents of one output/*.json file
+   * Understands job output ({ product, location, timestamp, websites }, plus
+   * `results` per product for batch jobs) and extracted-data-*.json arrays
+   * ([{ website, location, products }])
+   * @returns {number} - Observations added
+   */
+  recordOutput(data, source, fallbackTimestamp = null) {
+    if (Array.isArray(data)) {
+      return this.record({
+        websites: data,
+        timestamp: source.match(/extracted-data-(.+)\.json$/)?.[1] || fallbackTimestamp,
+        source
+      });
+    }
+    if (!Array.isArray(data?.websites)) {
+      return 0;
+    }
+
+    // Batch job files also list products per search term
+    const websites = data.results
+      ? data.results.flatMap(entry => entry.websites.map(site => ({
+        ...site,
+        products: (site.products || []).map(product => ({ ...product, query: entry.product }))
+      })))
+      : data.websites;
+    return this.record({
+      query: data.results ? null : data.product,
+      location: data.location,
+      websites,
+      timestamp: data.timestamp || fallbackTimestamp,
+      source
+    });
+  }
+
+  /**
+   * Price time series, one per store/location/product name
+   * @param {Object} filters
+   * @param {string} filters.product - Every word must appear in the product name or its search term
+   * @param {string} filters.store - Store id
+   * @param {string} filters.location
+   * @param {string} filters.from - Earliest timestamp (inclusive)
+   * @param {string} filters.to - Latest timestamp (inclusive)
+   * @returns {Array<{ store, location, name, points, min, max, latest }>}
+   */
+  query({ product, store, location, from, to } = {}) {
+    this.refresh();
+
+    // Start from the smallest index that applies
+    const candidates = [];
+    if (store) candidates.push(this.byStore.get(store) || []);
+    if (location) candidates.push(this.byLocation.get(normalizeCacheText(location)) || []);
+    const terms = product ? tokenize(product) : [];
+    terms.forEach(term => candidates.push(this.byToken.get(term) || []));
+    const positions = candidates.length > 0
+      ? candidates.reduce((smallest, list) => (list.length < smallest.length ? list : smallest))
+      : this.observations.map((_, position) => position);
+
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const series = new Map();
+    for (const position of positions) {
+      const observation = this.observations[position];
+      if (store && observation.store !== store) continue;
+      if (location && normalizeCacheText(observation.location) !== normalizeCacheText(location)) continue;
+      if (terms.length > 0) {
+        const words = new Set(tokenize(`${observation.query || ''} ${observation.name}`));
+        if (!terms.every(term => words.has(term))) continue;
+      }
+      const time = new Date(observation.timestamp).getTime();
+      if (time < fromTime || time > toTime) continue;
+
+      const key = `${observation.store}|${normalizeCacheText(observation.location)}|${normalizeCacheText(observation.name)}`;
+      if (!series.has(key)) {
+        series.set(key, { store: observation.store, location: observation.location, name: observation.name, points: [] });
+      }
+      series.get(key).points.push({
+        timestamp: observation.timestamp,
+        price: observation.price,
+        mrp: observation.mrp,
+        isOutOfStock: observation.isOutOfStock
+      });
+    }
+
+    return [...series.values()].map(entry => {
+      entry.points.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      const prices = entry.points.map(point => point.price).filter(price => price !== null);
+      return {
+        ...entry,
+        min: prices.length > 0 ? Math.min(...prices) : null,
+        max: prices.length > 0 ? Math.max(...prices) : null,
+        latest: entry.points[entry.points.length - 1]
+      };
+    });
+  }
+
+  /**
+   * Ingest existing output/*.json files (see recordOutput); files already recorded are skipped
+   * @returns {{ files: number, ingested: number, skipped: number, observations: number }}
+   */
+  backfill(outputDir) {
+    const stats = { files: 0, ingested: 0, skipped: 0, observations: 0 };
+    if (!existsSync(outputDir)) return stats;
+
+    for (const file of readdirSync(outputDir).filter(name => name.endsWith('.json')).sort()) {
+      stats.files++;
+      const filePath = join(outputDir, file);
+      if (this.hasSource(file)) {
+        stats.skipped++;
+        continue;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.error(`⚠️  Skipping unreadable ${file}: ${error.message}`);
+        stats.skipped++;
+        continue;
+      }
+
+      const added = this.recordOutput(data, file, statSync(filePath).mtime.toISOString());
+      if (added > 0) {
+        stats.ingested++;
+        stats.observations += added;
+      } else {
+        stats.skipped++;
+      }
+    }
+    return stats;
+  }
+}
+
+// CLI: node price-history.js backfill [outputDir]
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const [command, dir] = process.argv.slice(2);
+  if (command !== 'backfill') {
+    console.log('Usage: node price-history.js backfill [outputDir]');
+    process.exit(1);
+  }
+  const outputDir = resolve(dir || join(__dirname, 'output'));
+  console.log(`Backfilling price history from ${outputDir}...`);
+  const stats = new PriceHistory().backfill(outputDir);
+  console.log(`✅ ${stats.files} file(s): ${stats.ingested} ingested (${stats.observations} observations), ${stats.skipped} skipped`);
+}
+
+export { PriceHistory, parseHistoryFilters, toIsoTimestamp, tokenize };
@@ -0,0 +1,142 @@
+/**
+ * Price Matrix
+ *
+ * A matrix job runs the orchestrator once per location (each run is its own
+ * entry in the job queue) and lines the results up as product x location x
+ * store, so location-based pricing differences are visible side by side.
+ *
+ * Each cell holds the cheapest in-stock listing a store returned for the
+ * product at that location:
+ * {
+ *   status: string,            // Orchestrator status of the store run
+ *   price: number | null,
+ *   mrp: number | null,
+ *   name: string | null,
+ *   productUrl: string | null,
+ *   productCount: number,      // Listings the search returned
+ *   cached: boolean,           // Served from the result cache
+ *   cacheAgeMs: number | null,
+ *   error: string | null
+ * }
+ *
+ * Stats per product and store compare those prices across locations:
+ * { min, max, spread, spreadPercent, cheapestLocation, priciestLocation, pricedLocations }
+ *
+ * Configuration (environment):
+ *   MAX_MATRIX_LOCATIONS - locations accepted in one matrix request (default 12)
+ */
+
+import { parseLimit } from './job-queue.js';
+
+const MAX_MATRIX_LOCATIONS = parseLimit(process.env.MAX_MATRIX_LOCATIONS, 12);
+
+/**
+ * Read the location list of a matrix request
+ * Accepts an array or a comma-separated string; blanks and repeats are dropped
+ * @returns {{ locations: string[], error: string|null }}
+ */
+function parseLocationList(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const locations = [...new Set(list.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))];
+
+  if (locations.length === 0) {
+    return { locations, error: '"locations" must be a non-empty list of location names' };
+  }
+  if (locations.length > MAX_MATRIX_LOCATIONS) {
+    return { locations, error: `A matrix takes at most ${MAX_MATRIX_LOCATIONS} locations (got ${locations.length})` };
+  }
+  return { locations, error: null };
+}
+
+/**
+ * Listings a store result holds for one product (batch results are split per product)
+ */
+function listingsFor(result, product) {
+  const jsonData = result.jsonData;
+  if (!jsonData) return [];
+  if (jsonData.searches) {
+    return jsonData.searches.find(search => search.product === product)?.products || [];
+  }
+  return jsonData.products || [];
+}
+
+/**
+ * Cheapest in-stock listing of one store result
+ */
+function buildCell(result, product) {
+  const listings = listingsFor(result, product);
+  const priced = listings
+    .filter(listing => typeof listing.price === 'number' && listing.price > 0 && !listing.isOutOfStock)
+    .sort((a, b) => a.price - b.price);
+  const cheapest = priced[0] || null;
+  const searchError = result.jsonData?.searches?.find(search => search.product === product)?.error;
+
+  return {
+    status: result.status || (result.success ? 'success' : 'failed'),
+    price: cheapest ? cheapest.price : null,
+    mrp: cheapest?.mrp ?? null,
+    name: cheapest?.name || null,
+    productUrl: cheapest?.productUrl || null,
+    productCount: listings.length,
+    cached: result.cached || false,
+    cacheAgeMs: result.cacheAgeMs ?? null,
+    error: searchError || result.error || null
+  };
+}
+
+/**
+ * Min/max/spread of one store's prices across locations
+ */
+function buildStoreStats(pricesByLocation) {
+  const priced = pricesByLocation.filter(entry => entry.price !== null);
+  if (priced.length === 0) {
+    return { min: null, max: null, spread: null, spreadPercent: null, cheapestLocation: null, priciestLocation: null, pricedLocations: 0 };
+  }
+
+  const cheapest = priced.reduce((best, entry) => (entry.price < best.price ? entry : best));
+  const priciest = priced.reduce((worst, entry) => (entry.price > worst.price ? entry : worst));
+  const spread = Math.round((priciest.price - cheapest.price) * 100) / 100;
+
+  return {
+    min: cheapest.price,
+    max: priciest.price,
+    spread,
+    spreadPercent: Math.round((spread / cheapest.price) * 1000) / 10,
+    cheapestLocation: cheapest.location,
+    priciestLocation: priciest.location,
+    pricedLocations: priced.length
+  };
+}
+
+/**
+ * Line up per-location orchestrator results as product x location x store
+ * @param {string[]} products - Products of the matrix job
+ * @param {Array<{ location, results }>} locationRuns - Orchestrator results per location
+ * @returns {{ matrix: Array, stats: Array }} - Both are ordered by product; stores are keyed by store id
+ */
+function buildPriceMatrix(products, locationRuns) {
+  const matrix = products.map(product => ({
+    product,
+    locations: locationRuns.map(({ location, results }) => ({
+      location,
+      stores: Object.fromEntries(results.map(result => [result.website, buildCell(result, product)]))
+    }))
+  }));
+
+  const stats = matrix.map(({ product, locations }) => {
+    const storeIds = [...new Set(locations.flatMap(entry => Object.keys(entry.stores)))];
+    return {
+      product,
+      stores: Object.fromEntries(storeIds.map(storeId => [
+        storeId,
+        buildStoreStats(locations
+          .filter(entry => entry.stores[storeId])
+          .map(entry => ({ location: entry.location, price: entry.stores[storeId].price })))
+      ]))
+    };
+  });
+
+  return { matrix, stats };
+}
+
+export { MAX_MATRIX_LOCATIONS, parseLocationList, buildPriceMatrix };
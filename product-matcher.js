@@ -0,0 +1,185 @@
+import { normalizeCacheText } from './result-cache.js';
+import { parsePackSize } from './pack-size.js';
+
+/**
+ * Cross-store Product Matching
+ *
+ * Stores name the same item differently ("Amul Taaza Toned Milk 500 ml" on
+ * Zepto, "Amul Taaza Homogenised Toned Milk 500ml Pouch" on JioMart), so
+ * grouping listings by exact name leaves one row per spelling. The matcher
+ * clusters the listings of one search into canonical products by comparing:
+ *   - brand:     the listing's `brand` (see brand-extractor.js); "PepsiCo Kurkure" and "Kurkure" agree,
+ *                and a listing without a brand agrees when its name contains the other's brand
+ *                (two listings without a brand compare the first word of their names)
+ *   - pack size: quantity and unit from pack-size.js ("1 kg" and "1000 g" are the same pack)
+ *   - name:      the remaining words, without packaging filler (pouch, pack, bottle, ...)
+ * Listings with different brands or pack sizes never match. A group holds at
+ * most one listing per store, and every pair in it scores at least the threshold.
+ *
+ * Group shape:
+ * {
+ *   id: string,                  // Slug of the canonical name, unique within the result
+ *   name: string,                // Shortest listing name in the group
+ *   brand: string | null,       // From the listings (see brand-extractor.js), null when none has one
+ *   quantity: number | null,     // Pack size in `unit`
+ *   unit: 'kg' | 'l' | 'pcs' | null,
+ *   imageUrl: string | null,
+ *   confidence: number | null,   // Lowest pair score 0-1 (null when only one store lists it)
+ *   listings: [{ store, score, product }]  // score: mean similarity to the rest of the group
+ * }
+ *
+ * Configuration (environment):
+ *   PRODUCT_MATCH_THRESHOLD - lowest score (0-1) for two listings to match (default 0.6)
+ */
+
+const MATCH_THRESHOLD = parseThreshold(process.env.PRODUCT_MATCH_THRESHOLD, 0.6);
+
+// Packaging words that say nothing about which product it is
+const FILLER_WORDS = new Set([
+  'pouch', 'pack', 'packet', 'pkt', 'bottle', 'jar', 'box', 'carton', 'tin', 'can', 'bag',
+  'tetra', 'tetrapak', 'refill', 'of', 'with', 'the', 'and', 'a', 'for', 'in'
+]);
+
+function parseThreshold(value, fallback) {
+  const number = parseFloat(value);
+  return number > 0 && number <= 1 ? number : fallback;
+}
+
+/**
+ * What the matcher compares about one listing
+ */
+function describeListing(store, product, index) {
+  // Parsers fill quantity/unit (possibly from card text); the name is still read to drop the size words
+  const inName = parsePackSize(product.name || '');
+  const pack = product.unit ? { quantity: product.quantity, unit: product.unit } : inName;
+  const words = normalizeCacheText((product.name || '').replace(inName?.text || '', ' '))
+    .replace(/&/g, ' and ')
+    .replace(/'/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const brandWords = product.brand ? normalizeCacheText(product.brand).replace(/'/g, '').split(/[^a-z0-9]+/).filter(Boolean) : [];
+  const ownBrand = brandWords.length > 0 ? brandWords : words.slice(0, 1);
+  const tokens = new Set(words.filter(word => !FILLER_WORDS.has(word) && !ownBrand.includes(word)));
+  return { store, product, index, brandWords, words, pack, tokens };
+}
+
+/**
+ * Whether all of `needle` appear in `haystack`
+ */
+function containsWords(haystack, needle) {
+  return needle.length > 0 && needle.every(word => haystack.includes(word));
+}
+
+/**
+ * Whether two listings can be the same brand
+ */
+function brandsAgree(a, b) {
+  if (a.brandWords.length > 0 && b.brandWords.length > 0) {
+    return containsWords(a.brandWords, b.brandWords) || containsWords(b.brandWords, a.brandWords);
+  }
+  if (a.brandWords.length > 0) return containsWords(b.words, a.brandWords);
+  if (b.brandWords.length > 0) return containsWords(a.words, b.brandWords);
+  return !a.words[0] || !b.words[0] || a.words[0] === b.words[0];
+}
+
+/**
+ * Similarity of two listings, 0-1; 0 when brand or pack size conflict
+ */
+function scorePair(a, b) {
+  if (!brandsAgree(a, b)) return 0;
+  if (a.pack && b.pack && (a.pack.unit !== b.pack.unit || Math.abs(a.pack.quantity - b.pack.quantity) > 0.02 * Math.max(a.pack.quantity, b.pack.quantity))) {
+    return 0;
+  }
+
+  let text;
+  if (a.tokens.size === 0 || b.tokens.size === 0) {
+    text = a.tokens.size === b.tokens.size ? 1 : 0;
+  } else {
+    const shared = [...a.tokens].filter(token => b.tokens.has(token)).length;
+    // Containment lets "toned milk" match "homogenised toned milk"; Jaccard penalises extra words
+    const containment = shared / Math.min(a.tokens.size, b.tokens.size);
+    const jaccard = shared / (a.tokens.size + b.tokens.size - shared);
+    text = 0.6 * containment + 0.4 * jaccard;
+  }
+  const pack = a.pack && b.pack ? 1 : 0.5;
+  return Math.round((0.75 * text + 0.25 * pack) * 100) / 100;
+}
+
+function slugify(text) {
+  return normalizeCacheText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'product';
+}
+
+/**
+ * Cluster the listings of one search across stores into canonical products
+ * @param {Array<{ store: string, products: Array }>} storeResults - Listings per store id
+ * @param {Object} options
+ * @param {number} options.threshold - Lowest pair score to match
+ * @returns {Array<Object>} - Groups in order of their first listing
+ */
+function matchProducts(storeResults, { threshold = MATCH_THRESHOLD } = {}) {
+  const listings = storeResults.flatMap(({ store, products }) => (products || [])
+    .filter(product => product?.name)
+    .map(product => ({ store, product })))
+    .map(({ store, product }, index) => describeListing(store, product, index));
+
+  // Pair scores across stores, best first
+  const scores = new Map();
+  const pairs = [];
+  for (let i = 0; i < listings.length; i++) {
+    for (let j = i + 1; j < listings.length; j++) {
+      if (listings[i].store === listings[j].store) continue;
+      const score = scorePair(listings[i], listings[j]);
+      scores.set(`${i}:${j}`, score);
+      if (score >= threshold) pairs.push({ i, j, score });
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score);
+  const scoreOf = (a, b) => scores.get(a.index < b.index ? `${a.index}:${b.index}` : `${b.index}:${a.index}`) ?? 0;
+
+  // Merge clusters while they cover different stores and every cross pair still matches
+  const clusterOf = listings.map(listing => [listing]);
+  for (const { i, j } of pairs) {
+    const a = clusterOf[i];
+    const b = clusterOf[j];
+    if (a === b) continue;
+    if (a.some(x => b.some(y => x.store === y.store || scoreOf(x, y) < threshold))) continue;
+    const merged = [...a, ...b].sort((x, y) => x.index - y.index);
+    merged.forEach(listing => { clusterOf[listing.index] = merged; });
+  }
+
+  const usedIds = new Set();
+  return [...new Set(clusterOf)]
+    .sort((a, b) => a[0].index - b[0].index)
+    .map(members => {
+      const pairScores = members.flatMap((x, k) => members.slice(k + 1).map(y => scoreOf(x, y)));
+      const canonical = members.reduce((best, listing) => (listing.product.name.length < best.product.name.length ? listing : best));
+      const pack = members.find(listing => listing.pack)?.pack || null;
+      // "tomato", "tomato-2", ... skipping ids another name already produced ("Tomato 2")
+      const slug = slugify(canonical.product.name);
+      let id = slug;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${slug}-${suffix}`;
+      }
+      usedIds.add(id);
+
+      return {
+        id,
+        name: canonical.product.name,
+        brand: canonical.product.brand || members.find(listing => listing.product.brand)?.product.brand || null,
+        quantity: pack?.quantity ?? null,
+        unit: pack?.unit ?? null,
+        imageUrl: members.find(listing => listing.product.imageUrl)?.product.imageUrl || null,
+        confidence: pairScores.length > 0 ? Math.min(...pairScores) : null,
+        listings: members.map(listing => {
+          const others = members.filter(other => other !== listing).map(other => scoreOf(listing, other));
+          return {
+            store: listing.store,
+            score: others.length > 0 ? Math.round((others.reduce((sum, score) => sum + score, 0) / others.length) * 100) / 100 : null,
+            product: listing.product
+          };
+        })
+      };
+    });
+}
+
+export { matchProducts, MATCH_THRESHOLD };
@@ -0,0 +1,275 @@
+import { z } from 'zod';
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Canonical Product Schema
+ *
+ * One definition of the product, store result and job result shapes, shared
+ * by the store adapters (validated in the orchestrator), both API servers and
+ * the frontend, whose TypeScript types are generated from it:
+ *
+ *   node product-schema.js types   (npm run schema:types)
+ *   -> ecom-scout-main/src/types/schema.generated.ts
+ *
+ * Stores name some fields differently (Swiggy Instamart returns `url` and
+ * "₹20" price strings); normalizeProduct() maps those onto the schema before
+ * validation. Products that still do not match are reported as
+ * `invalidProducts` on the store result instead of being dropped silently:
+ * { index, name, issues: ["price: Expected number, received nan", ...] }
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const TYPES_FILE = join(__dirname, 'ecom-scout-main', 'src', 'types', 'schema.generated.ts');
+
+const PACK_UNITS = ['kg', 'l', 'pcs'];
+
+const amount = z.number().finite().nonnegative();
+
+const PackUnitSchema = z.enum(PACK_UNITS);
+
+const ProductSchema = z.object({
+  name: z.string().trim().min(1),
+  price: amount.nullable(),
+  mrp: amount.nullable(),
+  discount: z.number().finite().nullable(),
+  discountAmount: z.number().finite().nullable(),
+  isOutOfStock: z.boolean(),
+  imageUrl: z.string().nullable().describe('Product image URL (absolute)'),
+  productUrl: z.string().nullable().describe('Product page URL (absolute)'),
+  quantity: z.number().positive().nullable().describe('Pack size in `unit` (see pack-size.js)'),
+  unit: PackUnitSchema.nullable(),
+  unitPrice: amount.nullable().describe('Price per kg, litre or piece'),
+  brand: z.string().nullable().describe('See brand-extractor.js'),
+  variant: z.string().nullable().describe('Flavour and/or pack size, e.g. "Magic Masala, 52 g"')
+});
+
+const InvalidProductSchema = z.object({
+  index: z.number().int(),
+  name: z.string().nullable(),
+  product: z.string().optional().describe('Search the record came from (batch jobs)'),
+  issues: z.array(z.string())
+});
+
+// What a store adapter's search() resolves to (extra keys are kept)
+const StoreResultSchema = z.object({
+  location: z.string().nullable().optional(),
+  products: z.array(z.unknown()),
+  searches: z.array(z.object({
+    product: z.string(),
+    products: z.array(z.unknown()),
+    error: z.string().nullable().optional()
+  }).passthrough()).optional()
+}).passthrough();
+
+const ProductGroupSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  brand: z.string().nullable(),
+  quantity: z.number().nullable(),
+  unit: PackUnitSchema.nullable(),
+  imageUrl: z.string().nullable(),
+  confidence: z.number().nullable().describe('Lowest match score between two listings (null when only one store lists it)'),
+  listings: z.array(z.object({
+    store: z.string(),
+    score: z.number().nullable(),
+    product: ProductSchema
+  }))
+});
+
+const WebsiteProductsSchema = z.object({
+  website: z.string(),
+  location: z.string().nullable().optional(),
+  parserVersion: z.string().describe('extraction.js version that parsed the page'),
+  products: z.array(ProductSchema)
+});
+
+// GET /api/json/:jobId for a single-product job
+const JobResultSchema = z.object({
+  product: z.string(),
+  location: z.string(),
+  timestamp: z.string(),
+  websites: z.array(WebsiteProductsSchema),
+  groups: z.array(ProductGroupSchema),
+  summary: z.record(z.unknown()).optional()
+});
+
+/**
+ * Number from a number or a price string ("₹1,299.50"); NaN when unreadable
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const digits = value.replace(/[^\d.-]/g, '');
+    return digits ? Number(digits) : NaN;
+  }
+  return NaN;
+}
+
+/**
+ * Map a store's product onto the canonical fields (not validated)
+ */
+function normalizeProduct(p) {
+  return {
+    name: typeof p?.name === 'string' ? p.name.trim() : p?.name,
+    price: toNumber(p?.price),
+    mrp: toNumber(p?.mrp),
+    discount: toNumber(p?.discount) || null,
+    discountAmount: toNumber(p?.discountAmount) || null,
+    isOutOfStock: p?.isOutOfStock || false,
+    imageUrl: p?.imageUrl || p?.image_url || null,
+    productUrl: p?.productUrl || p?.product_url || p?.url || null,
+    quantity: p?.quantity ?? null,
+    unit: p?.unit ?? null,
+    unitPrice: p?.unitPrice ?? null,
+    brand: p?.brand ?? null,
+    variant: p?.variant ?? null
+  };
+}
+
+function formatIssues(error) {
+  return error.issues.map(issue => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message));
+}
+
+/**
+ * Normalize and validate a list of products
+ * @returns {{ products: Array, invalid: Array }} - invalid: { index, name, issues }
+ */
+function validateProducts(products) {
+  const valid = [];
+  const invalid = [];
+  (products || []).forEach((raw, index) => {
+    const parsed = ProductSchema.safeParse(normalizeProduct(raw));
+    if (parsed.success) {
+      valid.push(parsed.data);
+    } else {
+      invalid.push({ index, name: typeof raw?.name === 'string' ? raw.name : null, issues: formatIssues(parsed.error) });
+    }
+  });
+  return { products: valid, invalid };
+}
+
+/**
+ * Validate a store adapter's result
+ * @param {Object} raw - What search() resolved to
+ * @param {Function} prepare - Applied to each raw product list once the result's shape
+ *   checks out, before validation (e.g. filling pack sizes and brands)
+ * @returns {{ result: Object|null, invalid: Array, error: string|null }} -
+ *   error when the result itself is malformed; otherwise the result with canonical
+ *   products and the rejected ones as `invalidProducts` (also listed in `invalid`)
+ */
+function validateStoreResult(raw, prepare = products => products) {
+  const parsed = StoreResultSchema.safeParse(raw);
+  if (!parsed.success) {
+    return { result: null, invalid: [], error: formatIssues(parsed.error).join('; ') };
+  }
+
+  const { products, invalid } = validateProducts(prepare(parsed.data.products));
+  // Records the adapter's own parser already rejected stay reported
+  if (Array.isArray(parsed.data.invalidProducts)) {
+    invalid.unshift(...parsed.data.invalidProducts);
+  }
+  const result = { ...parsed.data, products, invalidProducts: invalid };
+  if (parsed.data.searches) {
+    result.searches = parsed.data.searches.map(search => {
+      const checked = validateProducts(prepare(search.products));
+      invalid.push(...checked.invalid.map(record => ({ ...record, product: search.product })));
+      return { ...search, products: checked.products, invalidProducts: checked.invalid };
+    });
+  }
+  return { result, invalid, error: null };
+}
+
+/**
+ * TypeScript for a zod schema (the subset used in this module)
+ * Schemas in NAMED_TYPES are referenced by name, except the one being declared.
+ */
+function toTypeScript(schema, declaring = null, indent = '') {
+  const name = NAMED_TYPES.get(schema);
+  if (name && schema !== declaring) return name;
+
+  const def = schema._def;
+  switch (def.typeName) {
+    case 'ZodString': return 'string';
+    case 'ZodNumber': return 'number';
+    case 'ZodBoolean': return 'boolean';
+    case 'ZodUnknown': return 'unknown';
+    case 'ZodEnum': return def.values.map(value => `'${value}'`).join(' | ');
+    case 'ZodNullable': return `${toTypeScript(def.innerType, declaring, indent)} | null`;
+    case 'ZodOptional': return toTypeScript(def.innerType, declaring, indent);
+    case 'ZodRecord': return `Record<string, ${toTypeScript(def.valueType, declaring, indent)}>`;
+    case 'ZodArray': {
+      const item = toTypeScript(def.type, declaring, indent);
+      return item.includes(' | ') && !item.startsWith('{') ? `(${item})[]` : `${item}[]`;
+    }
+    case 'ZodObject': {
+      const inner = `${indent}  `;
+      const fields = Object.entries(def.shape()).map(([key, field]) => {
+        const comment = field.description ? `${inner}// ${field.description}\n` : '';
+        return `${comment}${inner}${key}${field.isOptional() ? '?' : ''}: ${toTypeScript(field, declaring, inner)};`;
+      });
+      return `{\n${fields.join('\n')}\n${indent}}`;
+    }
+    default:
+      throw new Error(`No TypeScript mapping for ${def.typeName}`);
+  }
+}
+
+// Schemas exported to the frontend as named types, in dependency order
+const NAMED_TYPES = new Map([
+  [PackUnitSchema, 'PackUnit'],
+  [ProductSchema, 'Product'],
+  [InvalidProductSchema, 'InvalidProduct'],
+  [ProductGroupSchema, 'ProductGroup'],
+  [WebsiteProductsSchema, 'WebsiteProducts'],
+  [JobResultSchema, 'JobResult']
+]);
+
+/**
+ * Source of ecom-scout-main/src/types/schema.generated.ts
+ */
+function generateTypes() {
+  const declarations = [...NAMED_TYPES].map(([schema, name]) => (schema._def.typeName === 'ZodObject'
+    ? `export interface ${name} ${toTypeScript(schema, schema)}`
+    : `export type ${name} = ${toTypeScript(schema, schema)};`));
+  return [
+    '// Generated from product-schema.js - do not edit by hand.',
+    '// Regenerate with: npm run schema:types',
+    '',
+    declarations.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Product fields and their types, as listed by the API info endpoints
+ */
+function describeProduct() {
+  return Object.fromEntries(Object.entries(ProductSchema.shape).map(([key, field]) => {
+    const type = toTypeScript(field).replace(/^PackUnit/, toTypeScript(PackUnitSchema, PackUnitSchema));
+    return [key, field.description ? `${type} - ${field.description}` : type];
+  }));
+}
+
+// CLI: node product-schema.js types
+if (process.argv[1] === __filename && process.argv[2] === 'types') {
+  writeFileSync(TYPES_FILE, generateTypes(), 'utf8');
+  console.log(`📝 Wrote ${TYPES_FILE}`);
+}
+
+export {
+  PACK_UNITS,
+  ProductSchema,
+  InvalidProductSchema,
+  StoreResultSchema,
+  ProductGroupSchema,
+  JobResultSchema,
+  normalizeProduct,
+  describeProduct,
+  validateProducts,
+  validateStoreResult,
+  generateTypes
+};
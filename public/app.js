@@ -8,9 +8,11 @@
 // Configuration
 // ============================================
 const API_BASE_URL = window.location.origin;
-const WEBSITES = ['Zepto', "Nature's Basket", 'JioMart', 'D-Mart', 'Swiggy Instamart'];
 
-// Website colors for visual identification
+// Default website list - replaced on init by the server's store registry (GET /api/websites)
+let WEBSITES = ['Zepto', "Nature's Basket", 'JioMart', 'D-Mart', 'Swiggy Instamart'];
+
+// Website colors for visual identification (CSS class per store id)
 const WEBSITE_COLORS = {
     'Zepto': 'zepto',
     "Nature's Basket": 'naturesbasket',
@@ -49,6 +51,7 @@ const elements = {
 function init() {
     renderSearchInput();
     checkApiHealth();
+    loadWebsites();
 }
 
 // ============================================
@@ -64,6 +67,26 @@ async function checkApiHealth() {
     }
 }
 
+async function loadWebsites() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/websites`);
+        if (!response.ok) {
+            return;
+        }
+        
+        const data = await response.json();
+        if (Array.isArray(data.websites) && data.websites.length > 0) {
+            WEBSITES = data.websites.map(website => website.displayName);
+            data.websites.forEach(website => {
+                WEBSITE_COLORS[website.displayName] = website.id;
+            });
+            state.websiteStatuses = WEBSITES.map(name => ({ name, status: 'pending', productCount: 0 }));
+        }
+    } catch (error) {
+        console.error('Failed to load websites, using defaults:', error);
+    }
+}
+
 async function searchProducts(location, product) {
     try {
         const response = await fetch(
@@ -76,9 +99,9 @@ async function searchProducts(location, product) {
         
         const data = await response.json();
         
-        // Backend returns job ID immediately, we need to poll for results
+        // Backend returns job ID immediately - follow live progress, polling if streaming fails
         if (data.jobId) {
-            return await pollJobStatus(data.jobId);
+            return await followJob(data.jobId);
         }
         
         return data;
@@ -88,6 +111,64 @@ async function searchProducts(location, product) {
     }
 }
 
+function websiteNameForId(id) {
+    return Object.keys(WEBSITE_COLORS).find(name => WEBSITE_COLORS[name] === id) || id;
+}
+
+function setWebsiteStatus(websiteId, status, productCount = 0) {
+    const name = websiteNameForId(websiteId);
+    const website = state.websiteStatuses.find(ws => ws.name === name);
+    if (website) {
+        website.status = status;
+        website.productCount = productCount;
+        if (status === 'loading') {
+            state.currentWebsite = name;
+        }
+        renderThinkingAnimation();
+    }
+}
+
+// Stream per-store progress from /api/job/:jobId/events until the job completes
+function watchJobEvents(jobId) {
+    return new Promise((resolve, reject) => {
+        if (typeof EventSource === 'undefined') {
+            reject(new Error('EventSource not supported'));
+            return;
+        }
+
+        const source = new EventSource(`${API_BASE_URL}/api/job/${jobId}/events`);
+
+        source.addEventListener('site-started', event => {
+            setWebsiteStatus(JSON.parse(event.data).website, 'loading');
+        });
+        source.addEventListener('products-extracted', event => {
+            const data = JSON.parse(event.data);
+            setWebsiteStatus(data.website, 'done', data.productCount || 0);
+        });
+        source.addEventListener('site-failed', event => {
+            setWebsiteStatus(JSON.parse(event.data).website, 'error');
+        });
+        source.addEventListener('job-completed', event => {
+            source.close();
+            resolve(JSON.parse(event.data));
+        });
+        source.onerror = () => {
+            source.close();
+            reject(new Error('Job event stream closed'));
+        };
+    });
+}
+
+async function followJob(jobId) {
+    try {
+        await watchJobEvents(jobId);
+    } catch (error) {
+        console.warn('Live progress unavailable, polling instead:', error.message);
+    }
+    // Fetches the final result, or keeps polling if the stream dropped early
+    return await pollJobStatus(jobId);
+}
+
 async function pollJobStatus(jobId) {
     const maxAttempts = 300; // 5 minutes max (1 second intervals)
     let attempts = 0;
@@ -121,8 +202,9 @@ async function pollJobStatus(jobId) {
             // Check if job is complete
             if (jobData.status === 'completed' && jobData.result) {
                 return jobData.result;
-            } else if (jobData.status === 'failed') {
-                throw new Error(jobData.error || 'Job failed');
+            } else if (jobData.status === 'failed' || jobData.status === 'interrupted' || jobData.status === 'cancelled') {
+                // Interrupted jobs were cut off by a server restart and will not resume
+                throw new Error(`Job failed: ${jobData.error || jobData.status}`);
             }
             
             // Job still processing, wait and poll again
@@ -184,29 +266,6 @@ async function handleSearch(location, product) {
     }
 }
 
-// ============================================
-// Progress Simulation (Visual Only)
-// ============================================
-function simulateProgress() {
-    let index = 0;
-    const update = () => {
-        if (index < WEBSITES.length) {
-            const website = WEBSITES[index];
-            const statusIndex = state.websiteStatuses.findIndex(ws => ws.name === website);
-            if (statusIndex !== -1) {
-                state.websiteStatuses[statusIndex].status = 'loading';
-                state.currentWebsite = website;
-            }
-            renderThinkingAnimation();
-            index++;
-            if (index < WEBSITES.length) {
-                setTimeout(update, 2000);
-            }
-        }
-    };
-    setTimeout(update, 500);
-}
-
 // ============================================
 // Render Functions
 // ============================================
@@ -4,15 +4,25 @@
  * Converts the location-selector-orchestrator into a RESTful API
  * 
  * Endpoints:
- *   POST /api/search          - Search all websites for a product
+ *   POST /api/search          - Search all websites for a product (or a batch of products)
+ *                               (send "Accept: text/event-stream" for live progress events)
+ *   DELETE /api/search/:searchId - Cancel a running search (id from the
+ *                               X-Search-Id header or "search-started" event)
  *   POST /api/search/:website - Search specific website for a product
  *   GET  /api/health          - Health check
  *   GET  /api/websites        - List supported websites
  *   GET  /api/status/:jobId   - Get job status (if async)
+ *   GET  /api/admin/cache     - Result cache entries (admin)
+ *   DELETE /api/admin/cache   - Invalidate cached store results (admin)
  */
 
 import express from 'express';
 import { selectLocationAndSearchOnAllWebsites, executeOnWebsite, determineSite } from './location-selector-orchestrator.js';
+import { listStores, resolveStore, getStoreIds, describeStore, parseStoreSelection } from './store-registry.js';
+import { writeEvent } from './job-events.js';
+import { parseProductList, groupResultsByProduct } from './batch-search.js';
+import { resultCache } from './result-cache.js';
+import { requireAdmin } from './admin-auth.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
@@ -44,6 +54,10 @@ app.use((req, res, next) => {
   next();
 });
 
+// Abort controllers of running /api/search requests, keyed by search id
+const activeSearches = new Map();
+let searchCounter = 0;
+
 /**
  * Health check endpoint
  */
@@ -60,52 +74,112 @@ app.get('/api/health', (req, res) => {
  * Get list of supported websites
  */
 app.get('/api/websites', (req, res) => {
+  const stores = listStores();
   res.json({
-    websites: [
-      {
-        id: 'dmart',
-        name: 'D-Mart',
-        displayName: 'D-Mart'
-      },
-      {
-        id: 'jiomart',
-        name: 'JioMart',
-        displayName: 'JioMart'
-      },
-      {
-        id: 'naturesbasket',
-        name: "Nature's Basket",
-        displayName: "Nature's Basket"
-      },
-      {
-        id: 'zepto',
-        name: 'Zepto',
-        displayName: 'Zepto'
-      },
-      {
-        id: 'swiggy',
-        name: 'Swiggy Instamart',
-        displayName: 'Swiggy Instamart'
-      }
-    ],
-    total: 5
+    websites: stores.map(describeStore),
+    total: stores.length
   });
 });
 
+/**
+ * Build the /api/search response body from orchestrator results
+ * Batch searches (products) also get the results grouped by product as `byProduct`
+ */
+function formatSearchResponse(product, location, results, duration, cancelled = false, products = null) {
+  return {
+    success: true,
+    cancelled,
+    timestamp: new Date().toISOString(),
+    request: {
+      product,
+      ...(products && { products }),
+      location
+    },
+    execution: {
+      duration: `${duration}s`,
+      totalWebsites: results.length,
+      successful: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      timedOut: results.filter(r => r.status === 'timeout').length,
+      degraded: results.filter(r => r.status === 'degraded').length,
+      fromCache: results.filter(r => r.cached).length
+    },
+    results: results.map(result => {
+      const formatted = {
+        website: result.website,
+        success: result.success,
+        status: result.status,
+        error: result.error || null,
+        duration: result.duration ?? null,
+        attempts: result.attempts || [],
+        cached: result.cached || false,
+        cachedAt: result.cachedAt || null,
+        cacheAgeMs: result.cacheAgeMs ?? null,
+        // Data quality against the store's recent results (see store-health.js)
+        health: result.health || null
+      };
+
+      // Add product data if available
+      if (result.jsonData && result.jsonData.products) {
+        formatted.products = result.jsonData.products;
+        formatted.totalProducts = result.jsonData.products.length;
+        formatted.location = result.jsonData.location;
+        // Records that failed schema validation (see product-schema.js)
+        formatted.invalidProducts = result.jsonData.invalidProducts || [];
+      }
+      if (result.jsonData && result.jsonData.searches) {
+        formatted.searches = result.jsonData.searches;
+      }
+
+      return formatted;
+    }),
+    ...(products && { byProduct: groupResultsByProduct(products, results) })
+  };
+}
+
 /**
  * Search all websites for a product
  * 
  * POST /api/search
  * Body: {
  *   "product": "lays",
- *   "location": "Mumbai"
+ *   "location": "Mumbai",
+ *   "sites": ["zepto", "swiggy"]   // optional, defaults to every store
  * }
+ *
+ * Batch search: send "products": ["lays", "milk"] instead of "product". Each
+ * store selects the location once and searches every product in that session.
+ *
+ * Recent store results come from the result cache; send "fresh": true to skip it.
+ *
+ * With "Accept: text/event-stream" the response is an SSE stream of progress
+ * events (see job-events.js) followed by a "result" event holding the usual body.
+ *
+ * The search closes its browsers when the client disconnects or calls
+ * DELETE /api/search/:searchId; stores that already finished are still returned.
  */
 app.post('/api/search', async (req, res) => {
+  let eventId = 0;
+  const sendEvent = (event) => writeEvent(res, { id: ++eventId, timestamp: new Date().toISOString(), ...event });
+
   try {
-    const { product, location } = req.body;
+    const { location, sites, fresh } = req.body;
+    const batch = req.body.products !== undefined ? parseProductList(req.body.products) : null;
+    const product = batch ? batch.products[0] : req.body.product;
 
     // Validation
+    if (batch?.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid products',
+        message: batch.error,
+        example: {
+          products: ['lays', 'milk'],
+          location: 'Mumbai'
+        }
+      });
+    }
+
     if (!product || !location) {
       return res.status(400).json({
         success: false,
@@ -118,55 +192,78 @@ app.post('/api/search', async (req, res) => {
       });
     }
 
+    const selection = parseStoreSelection(sites);
+    if (selection.unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sites',
+        message: `Unsupported website(s): ${selection.unknown.join(', ')}`,
+        supportedWebsites: getStoreIds()
+      });
+    }
+
     console.log(`\n${'='.repeat(60)}`);
-    console.log(`QuickAPI: Starting search for all websites`);
-    console.log(`Product: ${product}`);
+    console.log(`QuickAPI: Starting search for ${selection.ids ? selection.ids.join(', ') : 'all websites'}`);
+    console.log(batch ? `Products (batch): ${batch.products.join(', ')}` : `Product: ${product}`);
     console.log(`Location: ${location}`);
     console.log(`${'='.repeat(60)}\n`);
 
+    // Stream progress events when the client asks for them
+    const streaming = req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+    if (streaming) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.flushHeaders();
+    }
+
+    const searchId = `search-${Date.now()}-${++searchCounter}`;
+    const controller = new AbortController();
+    activeSearches.set(searchId, controller);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+      activeSearches.delete(searchId);
+    });
+
+    if (streaming) {
+      sendEvent({ type: 'search-started', searchId });
+    } else {
+      res.set('X-Search-Id', searchId);
+    }
+
     const startTime = Date.now();
 
     // Execute search on all websites
-    const results = await selectLocationAndSearchOnAllWebsites(product, location);
+    const results = await selectLocationAndSearchOnAllWebsites(product, location, {
+      onEvent: streaming ? sendEvent : undefined,
+      signal: controller.signal,
+      sites: selection.ids || undefined,
+      products: batch?.products,
+      fresh: fresh === true || fresh === 'true'
+    });
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     // Format response
-    const response = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      request: {
-        product,
-        location
-      },
-      execution: {
-        duration: `${duration}s`,
-        totalWebsites: results.length,
-        successful: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length
-      },
-      results: results.map(result => {
-        const formatted = {
-          website: result.website,
-          success: result.success,
-          error: result.error || null
-        };
-
-        // Add product data if available
-        if (result.jsonData && result.jsonData.products) {
-          formatted.products = result.jsonData.products;
-          formatted.totalProducts = result.jsonData.products.length;
-          formatted.location = result.jsonData.location;
-        }
+    const response = formatSearchResponse(product, location, results, duration, controller.signal.aborted, batch?.products);
 
-        return formatted;
-      })
-    };
+    if (streaming) {
+      sendEvent({ type: 'result', ...response });
+      return res.end();
+    }
 
     res.json(response);
 
   } catch (error) {
     console.error('QuickAPI Error:', error);
+    if (res.headersSent) {
+      sendEvent({ type: 'error', error: 'Internal server error', message: error.message });
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -176,6 +273,65 @@ app.post('/api/search', async (req, res) => {
   }
 });
 
+/**
+ * Cancel a running search
+ *
+ * DELETE /api/search/:searchId
+ */
+app.delete('/api/search/:searchId', (req, res) => {
+  const { searchId } = req.params;
+  const controller = activeSearches.get(searchId);
+
+  if (!controller) {
+    return res.status(404).json({
+      success: false,
+      error: 'Search not found',
+      message: 'The search has already finished or never existed',
+      searchId
+    });
+  }
+
+  console.log(`QuickAPI: 🛑 Cancelling search ${searchId}`);
+  controller.abort();
+  res.status(202).json({
+    success: true,
+    searchId,
+    status: 'cancelling'
+  });
+});
+
+/**
+ * Result cache entries and hit rate
+ *
+ * GET /api/admin/cache
+ */
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json(resultCache.getStats());
+});
+
+/**
+ * Invalidate cached store results
+ *
+ * DELETE /api/admin/cache?store=zepto&location=RT%20Nagar&product=milk
+ * Every filter is optional; no filters clears the whole cache.
+ */
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const { location, product } = req.query;
+  const store = req.query.store ? resolveStore(req.query.store) : null;
+  if (req.query.store && !store) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid website',
+      message: `Unsupported website: ${req.query.store}`,
+      supportedWebsites: getStoreIds()
+    });
+  }
+
+  const removed = resultCache.invalidate({ store: store?.id, location, product });
+  console.log(`🧹 Result cache: removed ${removed} entr${removed === 1 ? 'y' : 'ies'}`);
+  res.json({ success: true, removed, remaining: resultCache.size });
+});
+
 /**
  * Search specific website for a product
  * 
@@ -190,7 +346,7 @@ app.post('/api/search', async (req, res) => {
 app.post('/api/search/:website', async (req, res) => {
   try {
     const { website } = req.params;
-    const { product, location } = req.body;
+    const { product, location, fresh } = req.body;
 
     // Validation
     if (!product || !location) {
@@ -214,7 +370,7 @@ app.post('/api/search/:website', async (req, res) => {
         success: false,
         error: 'Invalid website',
         message: error.message,
-        supportedWebsites: ['dmart', 'jiomart', 'naturesbasket', 'zepto', 'swiggy']
+        supportedWebsites: getStoreIds()
       });
     }
 
@@ -227,7 +383,9 @@ app.post('/api/search/:website', async (req, res) => {
     const startTime = Date.now();
 
     // Execute search on specific website
-    const result = await executeOnWebsite(normalizedWebsite, product, location);
+    const result = await executeOnWebsite(normalizedWebsite, product, location, {
+      fresh: fresh === true || fresh === 'true'
+    });
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -246,7 +404,14 @@ app.post('/api/search/:website', async (req, res) => {
       result: {
         website: result.website,
         success: result.success,
-        error: result.error || null
+        status: result.status,
+        error: result.error || null,
+        duration: result.duration ?? null,
+        attempts: result.attempts || [],
+        cached: result.cached || false,
+        cachedAt: result.cachedAt || null,
+        cacheAgeMs: result.cacheAgeMs ?? null,
+        health: result.health || null
       }
     };
 
@@ -288,18 +453,25 @@ app.get('/api', (req, res) => {
       'POST /api/search': {
         description: 'Search all websites for a product',
         body: {
-          product: 'string (required) - Product name to search',
-          location: 'string (required) - Location name'
+          product: 'string (required unless products is sent) - Product name to search',
+          products: 'string[] (optional) - Batch of product names searched in one session per store',
+          location: 'string (required) - Location name',
+          fresh: 'boolean (optional) - Skip the result cache',
+          sites: `string[] (optional) - Subset of website IDs (${getStoreIds().join(', ')})`
         },
         example: {
           product: 'lays',
-          location: 'Mumbai'
+          location: 'Mumbai',
+          sites: ['zepto', 'swiggy']
         }
       },
+      'DELETE /api/search/:searchId': 'Cancel a running search (id from X-Search-Id or the search-started event)',
+      'GET /api/admin/cache': 'Result cache entries and hit rate (admin)',
+      'DELETE /api/admin/cache': 'Invalidate cached store results; optional store, location and product query filters (admin)',
       'POST /api/search/:website': {
         description: 'Search specific website for a product',
         params: {
-          website: 'string (required) - Website ID (dmart, jiomart, naturesbasket, zepto, swiggy)'
+          website: `string (required) - Website ID (${getStoreIds().join(', ')})`
         },
         body: {
           product: 'string (required) - Product name to search',
@@ -0,0 +1,143 @@
+/**
+ * Store Result Cache
+ *
+ * Prices rarely change within minutes, so a successful store search is kept
+ * for a short TTL and reused by the orchestrator instead of launching another
+ * browser. Entries are keyed by store id plus the normalised location and
+ * product ("RT  Nagar" and "rt nagar" share an entry).
+ *
+ * Only successful single-product searches that found products are cached;
+ * batch runs and failures always go to the store.
+ *
+ * Configuration (environment):
+ *   RESULT_CACHE_TTL_MS       - default TTL (default 300000, 0 disables the cache)
+ *   RESULT_CACHE_TTLS         - per-store TTLs, e.g. "zepto=120000,dmart=900000"
+ *                               (defaults to each adapter's cacheTtlMs)
+ *   RESULT_CACHE_MAX_ENTRIES  - entries kept before the oldest are evicted (default 500)
+ */
+
+import { parseLimit, parseStoreLimits } from './job-queue.js';
+
+const DEFAULT_TTL_MS = process.env.RESULT_CACHE_TTL_MS === '0' ? 0 : parseLimit(process.env.RESULT_CACHE_TTL_MS, 5 * 60 * 1000);
+const STORE_TTLS = parseStoreLimits(process.env.RESULT_CACHE_TTLS);
+
+/**
+ * Normalise a location or product for cache keys
+ */
+function normalizeCacheText(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+class ResultCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.defaultTtlMs - TTL for stores without their own
+   * @param {Object} options.storeTtls - Per-store TTLs keyed by store id
+   * @param {number} options.maxEntries - Oldest entries are evicted past this size
+   */
+  constructor({
+    defaultTtlMs = DEFAULT_TTL_MS,
+    storeTtls = STORE_TTLS,
+    maxEntries = parseLimit(process.env.RESULT_CACHE_MAX_ENTRIES, 500)
+  } = {}) {
+    this.defaultTtlMs = defaultTtlMs;
+    this.storeTtls = storeTtls;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  key(storeId, location, product) {
+    return `${storeId}|${normalizeCacheText(location)}|${normalizeCacheText(product)}`;
+  }
+
+  /**
+   * TTL for a store: RESULT_CACHE_TTLS, then the adapter's cacheTtlMs, then the default
+   */
+  getTtl(store) {
+    return this.storeTtls[store.id] ?? store.cacheTtlMs ?? this.defaultTtlMs;
+  }
+
+  /**
+   * Cached result for a search, or null when missing or expired
+   * @returns {{ result, cachedAt: string, ageMs: number } | null}
+   */
+  get(store, location, product) {
+    const key = this.key(store.id, location, product);
+    const entry = this.entries.get(key);
+    if (!entry || Date.now() >= entry.expiresAt) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return { result: entry.result, cachedAt: new Date(entry.storedAt).toISOString(), ageMs: Date.now() - entry.storedAt };
+  }
+
+  /**
+   * Keep a successful result for the store's TTL
+   */
+  set(store, location, product, result) {
+    const ttlMs = this.getTtl(store);
+    if (!ttlMs) return;
+
+    const key = this.key(store.id, location, product);
+    const storedAt = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, { storeId: store.id, location, product, result, storedAt, expiresAt: storedAt + ttlMs });
+
+    // Map keeps insertion order, so the first entries are the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop entries matching every given filter (no filters clears the cache)
+   * @param {Object} filters
+   * @param {string} filters.store - Store id
+   * @param {string} filters.location
+   * @param {string} filters.product
+   * @returns {number} - Entries removed
+   */
+  invalidate({ store, location, product } = {}) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (store && entry.storeId !== store) continue;
+      if (location && normalizeCacheText(entry.location) !== normalizeCacheText(location)) continue;
+      if (product && normalizeCacheText(entry.product) !== normalizeCacheText(product)) continue;
+      this.entries.delete(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      size: this.size,
+      maxEntries: this.maxEntries,
+      defaultTtlMs: this.defaultTtlMs,
+      hits: this.hits,
+      misses: this.misses,
+      entries: [...this.entries.values()].map(entry => ({
+        store: entry.storeId,
+        location: entry.location,
+        product: entry.product,
+        productCount: entry.result.jsonData?.products?.length || 0,
+        ageMs: now - entry.storedAt,
+        expiresInMs: Math.max(0, entry.expiresAt - now)
+      }))
+    };
+  }
+}
+
+// Process-wide cache shared by every orchestrator run in this process
+const resultCache = new ResultCache();
+
+export { ResultCache, resultCache, normalizeCacheText };
@@ -0,0 +1,137 @@
+/**
+ * Store Retry Policy
+ *
+ * The orchestrator retries a failed store search with exponential backoff
+ * and jitter, but only for errors that a fresh browser is likely to get past
+ * (navigation timeouts, bot/error pages, network blips, crashed browsers).
+ * Errors such as "location not serviceable" fail the store straight away.
+ *
+ * Policy shape (DEFAULT_RETRY_POLICY, overridden by an adapter's `retry` field):
+ * {
+ *   maxAttempts: number,   // Total attempts including the first one
+ *   baseDelayMs: number,   // Backoff before the second attempt
+ *   maxDelayMs: number,    // Backoff ceiling
+ *   retryOn: string[]      // Retryable ERROR_CLASSES
+ * }
+ *
+ * Configuration (environment):
+ *   STORE_RETRY_ATTEMPTS - default maxAttempts (default 2)
+ *   STORE_RETRIES        - per-store maxAttempts, e.g. "naturesbasket=3,swiggy=1"
+ */
+
+import { parseLimit, parseStoreLimits } from './job-queue.js';
+import { abortable } from './cancellation.js';
+
+const ERROR_CLASSES = {
+  NAVIGATION_TIMEOUT: 'navigation-timeout',
+  BOT_PAGE: 'bot-page',
+  NETWORK: 'network',
+  BROWSER_CRASH: 'browser-crash',
+  LOCATION_UNSERVICEABLE: 'location-unserviceable',
+  ABORTED: 'aborted',
+  UNKNOWN: 'unknown'
+};
+
+// First match wins, so the non-retryable location errors are checked first
+const ERROR_PATTERNS = [
+  [ERROR_CLASSES.LOCATION_UNSERVICEABLE, /not serviceable|unserviceable|(do|does|can)(n't| not) deliver|not available (in|at) (your|this) (area|location)/i],
+  [ERROR_CLASSES.NAVIGATION_TIMEOUT, /timeout \d+ms exceeded|navigation timeout|timed out|TimeoutError|Failed to load .* page/i],
+  [ERROR_CLASSES.BOT_PAGE, /captcha|access denied|are you a robot|bot detect|something went wrong|error state|status (403|429)/i],
+  [ERROR_CLASSES.NETWORK, /net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up/i],
+  [ERROR_CLASSES.BROWSER_CRASH, /browser (has been )?(closed|disconnected)|Target (page, context or browser )?(has been )?closed|invalid session id|session deleted|chrome not reachable/i]
+];
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: parseLimit(process.env.STORE_RETRY_ATTEMPTS, 2),
+  baseDelayMs: 2000,
+  maxDelayMs: 20000,
+  retryOn: [
+    ERROR_CLASSES.NAVIGATION_TIMEOUT,
+    ERROR_CLASSES.BOT_PAGE,
+    ERROR_CLASSES.NETWORK,
+    ERROR_CLASSES.BROWSER_CRASH
+  ]
+};
+
+const STORE_RETRIES = parseStoreLimits(process.env.STORE_RETRIES);
+
+/**
+ * Map an error to one of ERROR_CLASSES
+ */
+function classifyError(error) {
+  if (error?.name === 'AbortError') {
+    return ERROR_CLASSES.ABORTED;
+  }
+  const text = `${error?.name || ''}: ${error?.message || error}`;
+  const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : ERROR_CLASSES.UNKNOWN;
+}
+
+/**
+ * Effective policy for a store: defaults, then the adapter's `retry`, then STORE_RETRIES
+ */
+function resolveRetryPolicy(store) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...store.retry };
+  if (STORE_RETRIES[store.id]) {
+    policy.maxAttempts = STORE_RETRIES[store.id];
+  }
+  return policy;
+}
+
+/**
+ * Backoff before the given attempt (2, 3, ...): exponential, capped, with
+ * "equal jitter" so the delay lands between half and all of the step
+ */
+function getBackoffDelay(policy, attempt, random = Math.random) {
+  const step = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 2));
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call `run(attempt)` until it succeeds, the error is not retryable or the
+ * attempts run out. Every attempt is recorded as
+ * { attempt, success, duration, error?, errorClass? }.
+ *
+ * @param {Function} run - Receives the 1-based attempt number
+ * @param {Object} policy - See resolveRetryPolicy
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops retrying (and interrupts the backoff) when aborted
+ * @param {Function} options.onRetry - Called with { attempt, nextAttempt, delayMs, error, errorClass } before each backoff
+ * @returns {Promise<{ result, attempts }>} - Rejects with the last error, which carries `attempts`
+ */
+async function runWithRetry(run, policy, { signal, onRetry } = {}) {
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+    try {
+      const result = await run(attempt);
+      attempts.push({ attempt, success: true, duration: Date.now() - startTime });
+      return { result, attempts };
+    } catch (error) {
+      const errorClass = classifyError(error);
+      attempts.push({ attempt, success: false, duration: Date.now() - startTime, error: error.message, errorClass });
+
+      const retryable = policy.retryOn.includes(errorClass) && !signal?.aborted;
+      if (!retryable || attempt >= policy.maxAttempts) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      const delayMs = getBackoffDelay(policy, attempt + 1);
+      onRetry?.({ attempt, nextAttempt: attempt + 1, delayMs, error, errorClass });
+      try {
+        await abortable(sleep(delayMs), signal);
+      } catch (abortError) {
+        abortError.attempts = attempts;
+        throw abortError;
+      }
+    }
+  }
+}
+
+export { ERROR_CLASSES, DEFAULT_RETRY_POLICY, classifyError, resolveRetryPolicy, getBackoffDelay, runWithRetry };
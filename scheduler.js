@@ -0,0 +1,495 @@
+/**
+ * Scheduled Scrapes
+ *
+ * Recurring product/location searches defined with cron expressions. Each
+ * run goes through the normal job pipeline (the server supplies
+ * `runSchedule`), so its results land in the job store and price history like
+ * any other scrape.
+ *
+ * Cron expressions have five fields in server local time (set TZ to change):
+ *   minute hour day-of-month month day-of-week
+ * Fields accept `*`, lists (1,15), ranges (1-5), steps (0-59/10, 8-18/2) and
+ * month/day names (jan, mon). @hourly, @daily, @weekly, @monthly and @yearly
+ * are shorthands. As in cron, a day matches when either day field matches if
+ * both are restricted. When clocks go forward, times in the skipped hour do
+ * not run that day; when they go back, the repeated hour runs once.
+ *
+ * Every run starts up to `jitterMs` after its cron time (capped at half the
+ * gap to the following run) so schedules sharing a minute do not hit the
+ * stores together. Runs missed while the server was down are logged as
+ * `missed` rather than started late.
+ *
+ * Schedule shape:
+ * {
+ *   id, name, cron,
+ *   products: string[], locations: string[], sites: string[] | null,
+ *   priority: number, fresh: boolean, enabled: boolean, jitterMs: number,
+ *   nextRunAt: string | null,
+ *   runs: [{ trigger, scheduledFor, startedAt, finishedAt, jobId, status, error, summary }],
+ *   lastSuccess: run | null, lastFailure: run | null,
+ *   createdAt, updatedAt
+ * }
+ *
+ * Configuration (environment):
+ *   SCHEDULE_JITTER_MS       - default maximum start delay (default 300000, 0 disables)
+ *   SCHEDULE_RUN_LOG_LIMIT   - runs kept per schedule (default 20)
+ */
+
+import { JsonlStore } from './jsonl-store.js';
+import { parseLimit } from './job-queue.js';
+import { parseProductList } from './batch-search.js';
+import { parseLocationList } from './price-matrix.js';
+import { parseStoreSelection } from './store-registry.js';
+
+const DEFAULT_JITTER_MS = process.env.SCHEDULE_JITTER_MS === '0' ? 0 : parseLimit(process.env.SCHEDULE_JITTER_MS, 5 * 60 * 1000);
+const RUN_LOG_LIMIT = parseLimit(process.env.SCHEDULE_RUN_LOG_LIMIT, 20);
+
+// How often due schedules are checked
+const TICK_MS = 15 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Run statuses that count as a successful run
+const SUCCESS_STATUSES = ['completed'];
+
+/**
+ * Values of one cron field, e.g. "8-18/2" -> {8, 10, ..., 18}
+ * @throws {Error} - When the field is malformed or out of range
+ */
+function parseCronField(text, { name, min, max, names, offset }) {
+  const toNumber = token => {
+    const index = names ? names.indexOf(token.toLowerCase()) : -1;
+    const value = index >= 0 ? index + offset : /^\d+$/.test(token) ? Number(token) : NaN;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${name} value "${token}" (expected ${min}-${max})`);
+    }
+    return value;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${name} step in "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+      if (start > end) {
+        throw new Error(`Invalid ${name} range "${range}"`);
+      }
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : max;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Earliest cron time strictly after `after`, or null if there is none within five years
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  // Local-time setters resolve a time in the hour that clocks go back to its
+  // first occurrence, an hour earlier; step one minute instead so the search
+  // only moves forward
+  const advance = change => {
+    const before = date.getTime();
+    change();
+    if (date.getTime() <= before) {
+      date.setTime(before + MINUTE_MS);
+    }
+  };
+
+  const dayMatches = () => {
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+    if (cron.daysOfMonthRestricted && cron.daysOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  };
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      advance(() => {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      });
+    } else if (!dayMatches()) {
+      advance(() => {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      });
+    } else if (!cron.hours.has(date.getHours())) {
+      advance(() => date.setHours(date.getHours() + 1, 0, 0, 0));
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      advance(() => date.setMinutes(date.getMinutes() + 1, 0, 0));
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a five-field cron expression or macro
+ * @returns {{ cron: Object|null, error: string|null }}
+ */
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return { cron: null, error: '"cron" must be a cron expression such as "0 8 * * *"' };
+  }
+  const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    return { cron: null, error: `"cron" needs 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}` };
+  }
+
+  try {
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    // 7 is another name for Sunday
+    if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+    const cron = {
+      expression: expression.trim(),
+      minutes,
+      hours,
+      daysOfMonth,
+      months,
+      daysOfWeek,
+      daysOfMonthRestricted: parts[2] !== '*',
+      daysOfWeekRestricted: parts[4] !== '*'
+    };
+    if (!nextCronTime(cron, new Date())) {
+      return { cron: null, error: `"${expression}" never runs` };
+    }
+    return { cron, error: null };
+  } catch (error) {
+    return { cron: null, error: error.message };
+  }
+}
+
+/**
+ * Read a schedule definition from a request body
+ * With `current`, fields missing from the body keep their current value (partial update)
+ * @returns {{ definition: Object|null, error: string|null, unknownSites: string[] }}
+ */
+function parseScheduleDefinition(body = {}, current = null) {
+  const has = key => body[key] !== undefined;
+  const fail = (error, unknownSites = []) => ({ definition: null, error, unknownSites });
+
+  const cronText = has('cron') ? body.cron : current?.cron;
+  const { error: cronError } = parseCronExpression(cronText);
+  if (cronError) return fail(cronError);
+
+  let products = current?.products;
+  if (has('products') || has('product') || !current) {
+    const parsed = parseProductList(has('products') ? body.products : body.product);
+    if (parsed.error) return fail(parsed.error);
+    products = parsed.products;
+  }
+
+  let locations = current?.locations;
+  if (has('locations') || has('location') || !current) {
+    const parsed = parseLocationList(has('locations') ? body.locations : body.location);
+    if (parsed.error) return fail(parsed.error);
+    locations = parsed.locations;
+  }
+
+  let sites = current?.sites ?? null;
+  if (has('sites')) {
+    const selection = parseStoreSelection(body.sites);
+    if (selection.unknown.length > 0) {
+      return fail(`Unsupported website(s): ${selection.unknown.join(', ')}`, selection.unknown);
+    }
+    sites = selection.ids;
+  }
+
+  let jitterMs = current?.jitterMs ?? DEFAULT_JITTER_MS;
+  if (has('jitterMs')) {
+    jitterMs = Number(body.jitterMs);
+    if (!Number.isInteger(jitterMs) || jitterMs < 0) {
+      return fail('"jitterMs" must be a whole number of milliseconds (0 disables jitter)');
+    }
+  }
+
+  const flag = (key, fallback) => (has(key) ? body[key] === true || body[key] === 'true' : current?.[key] ?? fallback);
+  const priority = has('priority') ? parseInt(body.priority, 10) : current?.priority;
+
+  return {
+    definition: {
+      name: has('name') ? String(body.name).trim() : current?.name || `${products.join(', ')} @ ${locations.join(', ')}`,
+      cron: cronText.trim(),
+      products,
+      locations,
+      sites,
+      priority: Number.isInteger(priority) ? priority : 0,
+      // Scheduled runs exist to record prices, so they skip the result cache unless told otherwise
+      fresh: flag('fresh', true),
+      enabled: flag('enabled', true),
+      jitterMs
+    },
+    error: null,
+    unknownSites: []
+  };
+}
+
+class Scheduler {
+  /**
+   * @param {string} filePath - JSONL file to persist schedules in
+   * @param {Object} options
+   * @param {Function} options.runSchedule - Starts a job for a schedule, returns
+   *   { jobId, done } where `done` resolves to { status, error, summary } when the job finishes
+   * @param {number} options.runLogLimit - Runs kept per schedule
+   */
+  constructor(filePath, { runSchedule, runLogLimit = RUN_LOG_LIMIT } = {}) {
+    this.schedules = new JsonlStore(filePath, { label: 'schedule' });
+    this.runSchedule = runSchedule;
+    this.runLogLimit = runLogLimit;
+    this.running = new Set();
+    this.timer = null;
+    this.counter = 0;
+
+    // Runs that were in progress when the process died never finish
+    for (const schedule of this.schedules.values()) {
+      const run = schedule.runs?.find(entry => entry.status === 'running');
+      if (run) {
+        this.finishRun(schedule, run, { status: 'interrupted', error: 'Server restarted before the run finished' });
+      }
+    }
+  }
+
+  /**
+   * Start checking for due schedules; runs missed while stopped are logged and skipped
+   */
+  start() {
+    const now = new Date();
+    for (const schedule of this.schedules.values()) {
+      if (schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) < now) {
+        this.logRun(schedule, {
+          trigger: 'cron',
+          scheduledFor: schedule.nextRunAt,
+          startedAt: null,
+          finishedAt: now.toISOString(),
+          jobId: null,
+          status: 'missed',
+          error: 'Server was not running at the scheduled time',
+          summary: null
+        });
+        this.planNextRun(schedule, now);
+      }
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+    const enabled = this.list().filter(schedule => schedule.enabled).length;
+    console.log(`⏰ Scheduler started (${enabled}/${this.schedules.size} schedule(s) enabled)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  list() {
+    return [...this.schedules.values()];
+  }
+
+  get(id) {
+    return this.schedules.get(id);
+  }
+
+  /**
+   * Add a schedule from a parsed definition (see parseScheduleDefinition)
+   */
+  create(definition) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: `schedule-${Date.now()}-${++this.counter}`,
+      ...definition,
+      nextRunAt: null,
+      runs: [],
+      lastSuccess: null,
+      lastFailure: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.schedules.set(schedule.id, schedule);
+    this.planNextRun(schedule);
+    return schedule;
+  }
+
+  /**
+   * Apply a parsed definition to an existing schedule and replan its next run
+   * @returns {Object|null} - The schedule, or null when it does not exist
+   */
+  update(id, definition) {
+    const schedule = this.schedules.update(id, { ...definition, updatedAt: new Date().toISOString() });
+    if (schedule) {
+      this.planNextRun(schedule);
+    }
+    return schedule;
+  }
+
+  delete(id) {
+    return this.schedules.delete(id);
+  }
+
+  /**
+   * Set nextRunAt to the next cron time after `after` plus jitter (null when disabled)
+   */
+  planNextRun(schedule, after = new Date()) {
+    let nextRunAt = null;
+    if (schedule.enabled) {
+      const { cron } = parseCronExpression(schedule.cron);
+      const next = cron && nextCronTime(cron, after);
+      if (next) {
+        // Jitter never pushes a run past the midpoint to the one after it
+        const following = nextCronTime(cron, next);
+        const maxJitter = Math.min(schedule.jitterMs, following ? (following - next) / 2 : schedule.jitterMs);
+        nextRunAt = new Date(next.getTime() + Math.floor(Math.random() * maxJitter)).toISOString();
+      }
+    }
+    this.schedules.update(schedule.id, { nextRunAt });
+  }
+
+  /**
+   * Start every enabled schedule whose next run is due
+   */
+  tick() {
+    const now = new Date();
+    for (const schedule of this.list()) {
+      if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+      const scheduledFor = schedule.nextRunAt;
+      this.planNextRun(schedule, now);
+      this.execute(schedule.id, { trigger: 'cron', scheduledFor });
+    }
+  }
+
+  /**
+   * Run a schedule now, outside its cron times
+   * @returns {Object|null} - The run log entry (updated in place when the job finishes)
+   */
+  runNow(id) {
+    return this.execute(id, { trigger: 'manual', scheduledFor: new Date().toISOString() });
+  }
+
+  /**
+   * Start a job for a schedule; the run is logged again once the job finishes
+   * A schedule whose previous run is still going is skipped, not doubled up
+   * @returns {Object|null} - The run log entry
+   */
+  execute(id, { trigger, scheduledFor }) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return null;
+
+    const run = {
+      trigger,
+      scheduledFor,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      jobId: null,
+      status: 'running',
+      error: null,
+      summary: null
+    };
+
+    if (this.running.has(id)) {
+      console.log(`⏰ Schedule ${id}: previous run still in progress, skipping`);
+      return this.logRun(schedule, { ...run, finishedAt: run.startedAt, status: 'skipped', error: 'Previous run still in progress' });
+    }
+
+    this.logRun(schedule, run);
+    let started;
+    try {
+      started = this.runSchedule(schedule);
+    } catch (error) {
+      console.error(`⏰ Schedule ${id}: ❌ Could not start a job: ${error.message}`);
+      this.finishRun(schedule, run, { status: 'failed', error: error.message });
+      return run;
+    }
+
+    this.running.add(id);
+    run.jobId = started.jobId;
+    this.schedules.save(id);
+    console.log(`⏰ Schedule ${id} (${schedule.name}): started job ${started.jobId}`);
+
+    started.done
+      .then(outcome => {
+        // A job can complete without any store returning results
+        const noResults = outcome.status === 'completed' && outcome.summary?.successful === 0;
+        this.finishRun(schedule, run, {
+          status: noResults ? 'failed' : outcome.status,
+          error: noResults ? 'No store returned results' : outcome.error || null,
+          summary: outcome.summary || null
+        });
+      })
+      .catch(error => {
+        this.finishRun(schedule, run, { status: 'failed', error: error.message });
+      })
+      .finally(() => {
+        this.running.delete(id);
+      });
+    return run;
+  }
+
+  /**
+   * Add a run to the schedule's log, keeping the newest runLogLimit entries
+   */
+  logRun(schedule, run) {
+    schedule.runs = [run, ...(schedule.runs || [])].slice(0, this.runLogLimit);
+    if (run.status !== 'running') {
+      this.recordOutcome(schedule, run);
+    }
+    this.schedules.save(schedule.id);
+    return run;
+  }
+
+  finishRun(schedule, run, changes) {
+    Object.assign(run, { finishedAt: new Date().toISOString() }, changes);
+    this.recordOutcome(schedule, run);
+    this.schedules.save(schedule.id);
+    console.log(`⏰ Schedule ${schedule.id}: run ${run.status}${run.error ? ` (${run.error})` : ''}`);
+  }
+
+  recordOutcome(schedule, run) {
+    if (SUCCESS_STATUSES.includes(run.status)) {
+      schedule.lastSuccess = { ...run };
+    } else if (run.status !== 'skipped') {
+      schedule.lastFailure = { ...run };
+    }
+  }
+}
+
+export { Scheduler, parseCronField, parseCronExpression, parseScheduleDefinition, nextCronTime };
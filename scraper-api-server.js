@@ -2,23 +2,30 @@
  * Express API Server for E-commerce Product Scraper
  * Railway-safe production version with non-blocking architecture
  * 
- * Product Data Structure:
- * {
- *   name: string,
- *   mrp: number | null,
- *   price: number | null,
- *   discount: number | null,
- *   discountAmount: number | null,
- *   isOutOfStock: boolean,
- *   imageUrl: string | null,  // Product image URL (absolute)
- *   productUrl: string | null // Product page URL (absolute)
- * }
+ * Product data structure: see product-schema.js (ProductSchema)
+ * Page parsing: see extraction.js (each website reports its parserVersion)
  */
 
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename } from 'path';
 import { existsSync, writeFileSync, mkdirSync } from 'fs';
+import { listStores, resolveStore, getDisplayName, describeStore, getStoreIds, parseStoreSelection } from './store-registry.js';
+import { JobStore, ACTIVE_STATUSES } from './job-store.js';
+import { JobQueue, browserLimiter } from './job-queue.js';
+import { JobEventBus, JOB_EVENTS, FINISHED_STATUSES, streamJobEvents } from './job-events.js';
+import { parseProductList, groupResultsByProduct } from './batch-search.js';
+import { parseLocationList, buildPriceMatrix } from './price-matrix.js';
+import { resultCache, normalizeCacheText } from './result-cache.js';
+import { requireAdmin } from './admin-auth.js';
+import { PriceHistory, parseHistoryFilters } from './price-history.js';
+import { Scheduler, parseScheduleDefinition } from './scheduler.js';
+import { WatchStore, parseWatchDefinition } from './watches.js';
+import { parseCallback, publicCallback, deliverCallback } from './job-callbacks.js';
+import { matchProducts } from './product-matcher.js';
+import { sortProducts, PRODUCT_SORTS } from './pack-size.js';
+import { normalizeProduct, describeProduct, JobResultSchema } from './product-schema.js';
+import { storeHealth } from './store-health.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -37,8 +44,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // CORS middleware - must be fast
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -52,10 +59,336 @@ if (existsSync(publicPath)) {
   console.log(`📁 Serving static files from: ${publicPath}`);
 }
 
-// In-memory job store (for production, use Redis or a proper queue)
-const jobs = new Map();
+// Durable job store - survives restarts, unfinished jobs come back as 'interrupted'
+// Point JOB_STORE_FILE at a mounted volume on Railway to keep jobs across redeploys
+const jobs = new JobStore(process.env.JOB_STORE_FILE || join(__dirname, 'data', 'scraper-jobs.jsonl'));
 let jobCounter = 0;
 
+// Bounded queue in front of the orchestrator (MAX_CONCURRENT_JOBS, MAX_BROWSERS, STORE_CONCURRENCY)
+const jobQueue = new JobQueue();
+
+// Live progress events per job, streamed by /api/job/:jobId/events
+const jobEvents = new JobEventBus();
+
+// Every extracted product, queried by /api/history (PRICE_HISTORY_FILE)
+const priceHistory = new PriceHistory();
+
+// Price-drop and back-in-stock watches, checked against every recorded scrape
+const watches = new WatchStore(process.env.WATCH_FILE || join(__dirname, 'data', 'watches.jsonl'));
+priceHistory.subscribe(observations => {
+  watches.evaluate(observations).catch(error => console.error(`🔔 Watch evaluation failed: ${error.message}`));
+});
+
+// Recurring scrapes, started through the job queue like any other request
+const scheduler = new Scheduler(process.env.SCHEDULE_FILE || join(__dirname, 'data', 'schedules.jsonl'), {
+  runSchedule: startScheduledJob
+});
+
+// Abort controllers of queued and running scrape jobs, used by DELETE /api/job/:jobId
+const jobControllers = new Map();
+
+/**
+ * Record a job's final state and tell event stream subscribers it is done
+ */
+function finishJob(jobId, changes) {
+  const job = jobs.update(jobId, { ...changes, finishedAt: new Date().toISOString() });
+  if (job) {
+    jobEvents.publish(jobId, JOB_EVENTS.JOB_COMPLETED, {
+      status: job.status,
+      error: job.error || null,
+      summary: job.result?.summary || null
+    });
+    sendJobCallbacks(job);
+  }
+  return job;
+}
+
+/**
+ * POST the /api/json payload of a finished job to its callback URLs
+ * Attempts are saved on the job as they happen; callbacks already delivered
+ * or given up on are skipped.
+ */
+function sendJobCallbacks(job, callbacks = job.callbacks || []) {
+  const payload = jobJson(job).body;
+  for (const callback of callbacks) {
+    if (!['pending', 'delivering'].includes(callback.status)) continue;
+    deliverCallback(callback, { jobId: job.id, event: `job.${job.status}`, payload }, () => jobs.save(job.id))
+      .catch(error => console.error(`Job ${job.id}: ⚠️  Callback delivery failed: ${error.message}`));
+  }
+}
+
+/**
+ * Parse a job priority (higher runs first, default 0)
+ */
+function parsePriority(value) {
+  const priority = parseInt(value, 10);
+  return Number.isInteger(priority) ? priority : 0;
+}
+
+/**
+ * Parse a boolean flag from a query string or JSON body
+ */
+function parseFlag(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * 400 response body for a `sites` selection naming unsupported stores
+ */
+function invalidSitesBody(unknown) {
+  return {
+    success: false,
+    error: 'Invalid sites',
+    message: `Unsupported website(s): ${unknown.join(', ')}`,
+    supportedWebsites: getStoreIds()
+  };
+}
+
+/**
+ * Batch results keyed by product, then by store display name
+ * @param {string} sort - Optional product order (see PRODUCT_SORTS)
+ */
+function formatBatchResults(byProduct, sort) {
+  return byProduct.map(({ product, stores }) => ({
+    product,
+    websites: Object.entries(stores).map(([storeId, store]) => ({
+      website: getDisplayName(storeId),
+      success: store.success,
+      error: store.error,
+      totalProducts: store.totalProducts,
+      products: sortProducts(store.products.map(normalizeProduct), sort)
+    })),
+    groups: sortGroups(matchProducts(Object.entries(stores).map(([storeId, store]) => ({
+      store: storeId,
+      products: store.products.map(normalizeProduct)
+    }))), sort)
+  }));
+}
+
+/**
+ * Order product groups by their best listing
+ */
+function sortGroups(groups, sort) {
+  return sortProducts(groups, sort, group => group.listings.map(listing => listing.product));
+}
+
+/**
+ * What a job scrapes - requests with the same key can share one job
+ */
+function requestKeyOf(job) {
+  const list = values => values.map(normalizeCacheText).join(',');
+  return [
+    job.type || 'single',
+    list(job.products || [job.product]),
+    list(job.locations || [job.location]),
+    job.sites ? [...job.sites].sort().join(',') : '*'
+  ].join('|');
+}
+
+/**
+ * In-flight job doing the same work as `job` (same type, products, locations
+ * and store set) that it can share; a fresh job only joins a fresh one
+ */
+function findActiveTwin(job) {
+  return jobs.find(existing => ACTIVE_STATUSES.includes(existing.status)
+    && existing.requestKey === job.requestKey
+    && (!job.fresh || existing.fresh));
+}
+
+/**
+ * Count one more client on a shared job
+ */
+function attachClient(shared) {
+  jobs.update(shared.id, { clients: (shared.clients || 1) + 1 });
+  console.log(`Job ${shared.id}: 🔗 Identical request attached (${shared.clients} clients)`);
+}
+
+/**
+ * Store a new job unless the request can share an existing one:
+ *   - with an Idempotency-Key header, the job first created with that key
+ *     (any status; reusing a key for a different request is a 422)
+ *   - without one, an in-flight job doing the same work (same type, products,
+ *     locations and store set); a fresh request only joins a fresh job
+ * A shared job counts its clients, so one client cancelling does not stop it
+ * for the others. A `callbackUrl` is added to the job either way (see job-callbacks.js).
+ * @returns {Object|null} - The new job, or null when the response was already sent
+ */
+function createJob(req, res, job) {
+  // callbackUrl/callbackSecret come from the query string of GET requests
+  const { callback, error } = parseCallback(req.method === 'GET' ? req.query : req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid callback',
+      message: error
+    });
+    return null;
+  }
+
+  Object.assign(job, {
+    requestKey: requestKeyOf(job),
+    idempotencyKey: req.get('Idempotency-Key') || null,
+    clients: 1,
+    callbacks: callback ? [callback] : []
+  });
+
+  let shared;
+  if (job.idempotencyKey) {
+    shared = jobs.find(existing => existing.idempotencyKey === job.idempotencyKey);
+    if (shared && shared.requestKey !== job.requestKey) {
+      res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key reused',
+        message: 'This Idempotency-Key was already used for a different request',
+        jobId: shared.id
+      });
+      return null;
+    }
+  } else {
+    shared = findActiveTwin(job);
+    if (shared) {
+      attachClient(shared);
+    }
+  }
+
+  if (shared) {
+    // Each client sharing the job gets its own callback; a finished job calls back right away
+    if (callback && !(shared.callbacks || []).some(existing => existing.url === callback.url)) {
+      jobs.update(shared.id, { callbacks: [...(shared.callbacks || []), callback] });
+      if (FINISHED_STATUSES.includes(shared.status)) {
+        sendJobCallbacks(shared, [callback]);
+      }
+    }
+    res.status(FINISHED_STATUSES.includes(shared.status) ? 200 : 202).json({
+      success: true,
+      message: job.idempotencyKey ? 'Job already created for this Idempotency-Key' : 'Attached to an identical job in progress',
+      jobId: shared.id,
+      status: shared.status,
+      coalesced: true,
+      queuePosition: shared.status === 'queued' ? jobQueue.getPosition(queueEntryIds(shared)[0]) : null,
+      checkStatus: `/api/job/${shared.id}`,
+      events: `/api/job/${shared.id}/events`,
+      product: shared.product,
+      location: shared.location,
+      sites: shared.sites,
+      timestamp: shared.createdAt
+    });
+    return null;
+  }
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Queue entry ids of a job - matrix jobs queue one entry per location
+ */
+function queueEntryIds(job) {
+  return job.type === 'matrix' ? job.locations.map(location => `${job.id}@${location}`) : [job.id];
+}
+
+/**
+ * Queue a scrape job - it stays 'queued' until the queue admits it
+ */
+function enqueueScrapeJob(job) {
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+
+  jobQueue.enqueue(job.id, () => scrapeInBackground(job.id, job.product, job.location, job.saveHtml, controller.signal), {
+    priority: job.priority
+  }).catch(err => {
+    console.error(`Job ${job.id} failed:`, err);
+    finishJob(job.id, { status: 'failed', error: err.message });
+  }).finally(() => {
+    jobControllers.delete(job.id);
+  });
+}
+
+/**
+ * Queue a matrix job - every location runs as its own queue entry, so the
+ * locations share the queue's concurrency budget with other jobs
+ */
+function enqueueMatrixJob(job) {
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+
+  const runs = job.locations.map(location => jobQueue.enqueue(
+    `${job.id}@${location}`,
+    () => scrapeMatrixLocation(job.id, location, controller.signal),
+    { priority: job.priority }
+  ));
+
+  Promise.all(runs)
+    .then(locationRuns => finishMatrixJob(job.id, locationRuns.filter(Boolean), controller.signal))
+    .catch(err => {
+      console.error(`Job ${job.id} failed:`, err);
+      finishJob(job.id, { status: 'failed', error: err.message });
+    }).finally(() => {
+      jobControllers.delete(job.id);
+    });
+}
+
+/**
+ * Resolve once a job has finished, with its final status
+ */
+function waitForJob(jobId) {
+  return new Promise(resolve => {
+    const job = jobs.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      resolve({ status: job?.status || 'failed', error: job ? job.error : 'Job not found', summary: job?.result?.summary || null });
+      return;
+    }
+    const unsubscribe = jobEvents.subscribe(jobId, event => {
+      if (event.type === JOB_EVENTS.JOB_COMPLETED) {
+        unsubscribe();
+        resolve({ status: event.status, error: event.error, summary: event.summary });
+      }
+    });
+  });
+}
+
+/**
+ * Start the job for one run of a schedule (Scheduler `runSchedule`)
+ * Several locations make a matrix job, several products a batch job; an
+ * identical job already in flight is shared instead of started twice
+ * @returns {{ jobId: string, done: Promise }}
+ */
+function startScheduledJob(schedule) {
+  const { products, locations } = schedule;
+  const type = locations.length > 1 ? 'matrix' : products.length > 1 ? 'batch' : null;
+  const job = {
+    id: `job-${Date.now()}-${++jobCounter}`,
+    ...(type && { type, products }),
+    product: products.join(', '),
+    location: locations.join(', '),
+    ...(type === 'matrix' && { locations }),
+    saveHtml: false,
+    priority: schedule.priority,
+    sites: schedule.sites,
+    fresh: schedule.fresh,
+    scheduleId: schedule.id,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    result: null,
+    error: null
+  };
+  Object.assign(job, { requestKey: requestKeyOf(job), idempotencyKey: null, clients: 1 });
+
+  const shared = findActiveTwin(job);
+  if (shared) {
+    attachClient(shared);
+    return { jobId: shared.id, done: waitForJob(shared.id) };
+  }
+
+  jobs.set(job.id, job);
+  if (type === 'matrix') {
+    enqueueMatrixJob(job);
+  } else {
+    enqueueScrapeJob(job);
+  }
+  return { jobId: job.id, done: waitForJob(job.id) };
+}
+
 /**
  * Health check - MUST return instantly (Railway requirement)
  * No async, no file I/O, no imports
@@ -82,9 +415,14 @@ app.get('/', (req, res) => {
       endpoints: {
         health: '/api/health',
         info: '/api/info',
-        scrape: '/api/scrape?product=<name>&location=<name>',
+        websites: '/api/websites',
+        scrape: '/api/scrape?product=<name>&location=<name>[&sites=<id,id>]',
         jobStatus: '/api/job/<jobId>',
-        json: '/api/json/<jobId>'
+        jobEvents: '/api/job/<jobId>/events',
+        json: '/api/json/<jobId>',
+        queue: '/api/queue',
+        history: '/api/history?product=<name>[&store=<id>&location=<name>&from=<date>&to=<date>]',
+        storeHealth: '/api/health/stores[?store=<id>&limit=<n>]'
       },
       timestamp: new Date().toISOString()
     });
@@ -107,25 +445,48 @@ app.get('/api/info', (req, res) => {
     name: 'E-commerce Product Scraper API',
     version: '1.0.0',
     description: 'API for scraping product data from multiple e-commerce websites',
-    productStructure: {
-      name: 'string',
-      mrp: 'number | null',
-      price: 'number | null',
-      discount: 'number | null',
-      discountAmount: 'number | null',
-      isOutOfStock: 'boolean',
-      imageUrl: 'string | null (Product image URL - absolute)',
-      productUrl: 'string | null (Product page URL - absolute)'
-    },
+    productStructure: describeProduct(),
     endpoints: {
       'GET /api/health': 'Health check endpoint (instant)',
-      'GET /api/scrape?product=<name>&location=<name>': 'Start scraping job (returns immediately)',
+      'GET /api/scrape?product=<name>&location=<name>[&sites=<id,id>][&fresh=true][&callbackUrl=<url>]': 'Start scraping job (returns immediately), optionally on a subset of stores; fresh=true skips the result cache',
+      'POST /api/scrape/batch': 'Start one job searching a list of products (body: products[], location, sites?, priority?, callbackUrl?, callbackSecret?)',
+      'POST /api/scrape/matrix': 'Start one job comparing prices across locations (body: product or products[], locations[], sites?, priority?, callbackUrl?, callbackSecret?)',
       'GET /api/job/<jobId>': 'Check job status',
-      'GET /api/json/<jobId>': 'Get clean JSON output for completed job',
+      'GET /api/job/<jobId>/events': 'Live job progress (Server-Sent Events)',
+      'DELETE /api/job/<jobId>': 'Cancel a queued or running job (a job shared by identical requests only detaches one client)',
+      'GET /api/json/<jobId>[?sort=price|unit-price|discount]': 'Get clean JSON output for completed job, with listings grouped into canonical products across stores',
+      'GET /api/websites': 'List supported websites (instant)',
+      'GET /api/queue': 'Job queue and browser usage (instant)',
+      'GET /api/history?product=<name>&store=<id>&location=<name>&from=<date>&to=<date>': 'Price time series of past scrapes',
+      'GET /api/health/stores[?store=<id>&limit=<n>]': 'Data quality score of each store against its recent baseline, with its scored results (newest first)',
+      'GET /api/watches': 'List price/stock watches with their notifications',
+      'POST /api/watches': 'Watch a product at a store and location (body: product, store, location, belowPrice?, dropPercent?, backInStock?, channels?)',
+      'GET /api/watches/<watchId>': 'One watch and its notifications',
+      'PATCH /api/watches/<watchId>': 'Change a watch (same fields as POST)',
+      'DELETE /api/watches/<watchId>': 'Stop watching',
+      'GET /api/schedules': 'List recurring scrapes with their next run and last success/failure',
+      'POST /api/schedules': 'Create a recurring scrape (body: cron, product or products[], location or locations[], sites?, jitterMs?)',
+      'GET /api/schedules/<scheduleId>': 'One schedule and its run log',
+      'PATCH /api/schedules/<scheduleId>': 'Change a schedule (same fields as POST)',
+      'DELETE /api/schedules/<scheduleId>': 'Remove a schedule',
+      'POST /api/schedules/<scheduleId>/run': 'Run a schedule now',
+      'GET /api/admin/cache': 'Result cache entries and hit rate (admin)',
+      'DELETE /api/admin/cache[?store=<id>&location=<name>&product=<name>]': 'Invalidate cached store results (admin)',
       'GET /api/info': 'Get API information (instant)'
     },
-    supportedWebsites: ['D-Mart', 'JioMart', "Nature's Basket", 'Zepto', 'Swiggy'],
-    note: 'Scraping jobs run in background. Use /api/job/<jobId> to check status.'
+    supportedWebsites: listStores().map(store => store.displayName),
+    note: 'Scraping jobs run in background. Use /api/job/<jobId> to check status. Identical in-flight requests share one job; send an Idempotency-Key header to control this explicitly. Pass callbackUrl to have the /api/json payload POSTed to you (signed with X-Scout-Signature) when the job finishes.'
+  });
+});
+
+/**
+ * GET /api/websites - Supported websites from the store registry
+ */
+app.get('/api/websites', (req, res) => {
+  const stores = listStores();
+  res.status(200).json({
+    websites: stores.map(describeStore),
+    total: stores.length
   });
 });
 
@@ -134,7 +495,7 @@ app.get('/api/info', (req, res) => {
  * Returns immediately with job ID, scraping happens in background
  */
 app.get('/api/scrape', async (req, res) => {
-  const { product, location, saveHtml } = req.query;
+  const { product, location, saveHtml, priority, sites, fresh } = req.query;
 
   // Validate immediately
   if (!product || !location) {
@@ -142,10 +503,16 @@ app.get('/api/scrape', async (req, res) => {
       success: false,
       error: 'Missing required parameters',
       message: 'Both "product" and "location" query parameters are required',
-      example: '/api/scrape?product=lays&location=RT%20Nagar'
+      example: '/api/scrape?product=lays&location=RT%20Nagar&sites=zepto,swiggy'
     });
   }
 
+  // Optional subset of stores, e.g. sites=zepto,swiggy
+  const selection = parseStoreSelection(sites);
+  if (selection.unknown.length > 0) {
+    return res.status(400).json(invalidSitesBody(selection.unknown));
+  }
+
   // Create job immediately
   const jobId = `job-${Date.now()}-${++jobCounter}`;
   const job = {
@@ -153,33 +520,32 @@ app.get('/api/scrape', async (req, res) => {
     product,
     location,
     saveHtml: saveHtml === 'true' || saveHtml === '1',
+    priority: parsePriority(priority),
+    sites: selection.ids,
+    fresh: parseFlag(fresh),
     status: 'queued',
     createdAt: new Date().toISOString(),
     result: null,
     error: null
   };
   
-  jobs.set(jobId, job);
+  if (!createJob(req, res, job)) return;
 
-  // Start scraping in background (don't await)
-  scrapeInBackground(jobId, product, location, job.saveHtml).catch(err => {
-    console.error(`Job ${jobId} failed:`, err);
-    const job = jobs.get(jobId);
-    if (job) {
-      job.status = 'failed';
-      job.error = err.message;
-    }
-  });
+  // Queue scraping in background (don't await)
+  enqueueScrapeJob(job);
 
   // Return immediately with job ID
   res.status(202).json({
     success: true,
-    message: 'Scraping job started',
+    message: 'Scraping job queued',
     jobId: jobId,
     status: 'queued',
+    queuePosition: jobQueue.getPosition(jobId),
     checkStatus: `/api/job/${jobId}`,
+    events: `/api/job/${jobId}/events`,
     product,
     location,
+    sites: job.sites,
     timestamp: job.createdAt
   });
 });
@@ -188,7 +554,7 @@ app.get('/api/scrape', async (req, res) => {
  * POST /api/scrape - Start scraping job (non-blocking)
  */
 app.post('/api/scrape', async (req, res) => {
-  const { product, location, saveHtml } = req.body;
+  const { product, location, saveHtml, priority, sites, fresh } = req.body;
 
   // Validate immediately
   if (!product || !location) {
@@ -196,10 +562,16 @@ app.post('/api/scrape', async (req, res) => {
       success: false,
       error: 'Missing required parameters',
       message: 'Both "product" and "location" in request body are required',
-      example: { product: 'lays', location: 'RT Nagar' }
+      example: { product: 'lays', location: 'RT Nagar', sites: ['zepto', 'swiggy'] }
     });
   }
 
+  // Optional subset of stores, e.g. ["zepto", "swiggy"] or "zepto,swiggy"
+  const selection = parseStoreSelection(sites);
+  if (selection.unknown.length > 0) {
+    return res.status(400).json(invalidSitesBody(selection.unknown));
+  }
+
   // Create job immediately
   const jobId = `job-${Date.now()}-${++jobCounter}`;
   const job = {
@@ -207,33 +579,159 @@ app.post('/api/scrape', async (req, res) => {
     product,
     location,
     saveHtml: saveHtml === true || saveHtml === 'true' || saveHtml === '1',
+    priority: parsePriority(priority),
+    sites: selection.ids,
+    fresh: parseFlag(fresh),
     status: 'queued',
     createdAt: new Date().toISOString(),
     result: null,
     error: null
   };
   
-  jobs.set(jobId, job);
+  if (!createJob(req, res, job)) return;
 
-  // Start scraping in background (don't await)
-  scrapeInBackground(jobId, product, location, job.saveHtml).catch(err => {
-    console.error(`Job ${jobId} failed:`, err);
-    const job = jobs.get(jobId);
-    if (job) {
-      job.status = 'failed';
-      job.error = err.message;
-    }
-  });
+  // Queue scraping in background (don't await)
+  enqueueScrapeJob(job);
 
   // Return immediately with job ID
   res.status(202).json({
     success: true,
-    message: 'Scraping job started',
+    message: 'Scraping job queued',
     jobId: jobId,
     status: 'queued',
+    queuePosition: jobQueue.getPosition(jobId),
     checkStatus: `/api/job/${jobId}`,
+    events: `/api/job/${jobId}/events`,
     product,
     location,
+    sites: job.sites,
+    timestamp: job.createdAt
+  });
+});
+
+/**
+ * POST /api/scrape/batch - Start one job that searches several products (non-blocking)
+ * Each store selects the location once and runs every search in the same
+ * browser session; the result is grouped by product, then by store.
+ */
+app.post('/api/scrape/batch', async (req, res) => {
+  const { location, priority, sites } = req.body;
+  const { products, error } = parseProductList(req.body.products);
+
+  // Validate immediately
+  if (error || !location) {
+    return res.status(400).json({
+      success: false,
+      error: error ? 'Invalid products' : 'Missing required parameters',
+      message: error || '"location" in request body is required',
+      example: { products: ['lays', 'milk', 'bread'], location: 'RT Nagar', sites: ['zepto', 'swiggy'] }
+    });
+  }
+
+  const selection = parseStoreSelection(sites);
+  if (selection.unknown.length > 0) {
+    return res.status(400).json(invalidSitesBody(selection.unknown));
+  }
+
+  // Create job immediately
+  const jobId = `job-${Date.now()}-${++jobCounter}`;
+  const job = {
+    id: jobId,
+    type: 'batch',
+    product: products.join(', '),
+    products,
+    location,
+    saveHtml: false,
+    priority: parsePriority(priority),
+    sites: selection.ids,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    result: null,
+    error: null
+  };
+
+  if (!createJob(req, res, job)) return;
+
+  // Queue scraping in background (don't await)
+  enqueueScrapeJob(job);
+
+  // Return immediately with job ID
+  res.status(202).json({
+    success: true,
+    message: `Batch job queued (${products.length} products)`,
+    jobId: jobId,
+    status: 'queued',
+    queuePosition: jobQueue.getPosition(jobId),
+    checkStatus: `/api/job/${jobId}`,
+    events: `/api/job/${jobId}/events`,
+    products,
+    location,
+    sites: job.sites,
+    timestamp: job.createdAt
+  });
+});
+
+/**
+ * POST /api/scrape/matrix - Price matrix across locations (non-blocking)
+ * Runs the orchestrator once per location and returns a product x location x
+ * store matrix with min/max/spread stats per store (see price-matrix.js).
+ */
+app.post('/api/scrape/matrix', async (req, res) => {
+  const { priority, sites, fresh } = req.body;
+  const batch = req.body.products !== undefined ? parseProductList(req.body.products) : null;
+  const products = batch ? batch.products : [req.body.product].filter(Boolean);
+  const { locations, error } = parseLocationList(req.body.locations);
+
+  // Validate immediately
+  if (batch?.error || products.length === 0 || error) {
+    return res.status(400).json({
+      success: false,
+      error: batch?.error || products.length === 0 ? 'Invalid products' : 'Invalid locations',
+      message: batch?.error || (products.length === 0 ? 'Either "product" or "products" in request body is required' : error),
+      example: { products: ['lays', 'milk'], locations: ['Koramangala', 'Whitefield', 'RT Nagar'], sites: ['zepto', 'swiggy'] }
+    });
+  }
+
+  const selection = parseStoreSelection(sites);
+  if (selection.unknown.length > 0) {
+    return res.status(400).json(invalidSitesBody(selection.unknown));
+  }
+
+  // Create job immediately
+  const jobId = `job-${Date.now()}-${++jobCounter}`;
+  const job = {
+    id: jobId,
+    type: 'matrix',
+    product: products.join(', '),
+    products,
+    location: locations.join(', '),
+    locations,
+    saveHtml: false,
+    priority: parsePriority(priority),
+    sites: selection.ids,
+    fresh: parseFlag(fresh),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    result: null,
+    error: null
+  };
+
+  if (!createJob(req, res, job)) return;
+
+  // Queue one run per location in background (don't await)
+  enqueueMatrixJob(job);
+
+  // Return immediately with job ID
+  res.status(202).json({
+    success: true,
+    message: `Matrix job queued (${products.length} product(s) x ${locations.length} locations)`,
+    jobId: jobId,
+    status: 'queued',
+    checkStatus: `/api/job/${jobId}`,
+    events: `/api/job/${jobId}/events`,
+    products,
+    locations,
+    sites: job.sites,
     timestamp: job.createdAt
   });
 });
@@ -258,24 +756,421 @@ app.get('/api/job/:jobId', (req, res) => {
     success: true,
     jobId: job.id,
     status: job.status,
+    queuePosition: job.status === 'queued' ? jobQueue.getPosition(queueEntryIds(job)[0]) : null,
+    type: job.type || 'single',
     product: job.product,
+    products: job.products || null,
     location: job.location,
+    locations: job.locations || null,
+    sites: job.sites || null,
+    scheduleId: job.scheduleId || null,
+    callbacks: (job.callbacks || []).map(publicCallback),
     createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
     result: job.result,
     error: job.error
   });
 });
 
+/**
+ * DELETE /api/job/:jobId - Cancel a queued or running scrape job
+ * Queued jobs are dropped from the queue; running jobs close their browsers
+ * and finish as 'cancelled' with whatever stores had already completed.
+ */
+app.delete('/api/job/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId
+    });
+  }
+
+  const controller = jobControllers.get(jobId);
+  if (!controller || FINISHED_STATUSES.includes(job.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+      jobId,
+      status: job.status
+    });
+  }
+
+  // A job shared by identical requests keeps running for the other clients
+  if ((job.clients || 1) > 1) {
+    jobs.update(jobId, { clients: job.clients - 1 });
+    console.log(`Job ${jobId}: 🔗 Client detached (${job.clients} left)`);
+    return res.status(200).json({
+      success: true,
+      jobId,
+      status: job.status,
+      detached: true,
+      clients: job.clients
+    });
+  }
+
+  // Matrix jobs also drop their locations that have not started yet
+  const removed = queueEntryIds(job).filter(entryId => jobQueue.remove(entryId));
+  if (job.status === 'queued' && removed.length > 0) {
+    console.log(`Job ${jobId}: 🛑 Cancelled while queued`);
+    finishJob(jobId, { status: 'cancelled', error: 'Cancelled before it started' });
+    return res.status(200).json({
+      success: true,
+      jobId,
+      status: 'cancelled'
+    });
+  }
+
+  console.log(`Job ${jobId}: 🛑 Cancellation requested`);
+  controller.abort();
+  res.status(202).json({
+    success: true,
+    jobId,
+    status: 'cancelling',
+    checkStatus: `/api/job/${jobId}`
+  });
+});
+
+/**
+ * GET /api/queue - Job queue and browser usage
+ */
+app.get('/api/queue', (req, res) => {
+  res.status(200).json({
+    jobs: jobQueue.getStats(),
+    browsers: browserLimiter.getStats()
+  });
+});
+
+/**
+ * GET /api/admin/cache - Result cache entries and hit rate
+ */
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.status(200).json(resultCache.getStats());
+});
+
+/**
+ * DELETE /api/admin/cache - Invalidate cached store results
+ * Optional store, location and product query filters; no filters clears everything
+ */
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const { location, product } = req.query;
+  const store = req.query.store ? resolveStore(req.query.store) : null;
+  if (req.query.store && !store) {
+    return res.status(400).json(invalidSitesBody([req.query.store]));
+  }
+
+  const removed = resultCache.invalidate({ store: store?.id, location, product });
+  console.log(`🧹 Result cache: removed ${removed} entr${removed === 1 ? 'y' : 'ies'}`);
+  res.status(200).json({
+    success: true,
+    removed,
+    remaining: resultCache.size
+  });
+});
+
+/**
+ * GET /api/history - Price time series of recorded observations
+ * Query filters: product, store, location, from, to (at least one of product, store, location)
+ */
+app.get('/api/history', (req, res) => {
+  const { filters, error } = parseHistoryFilters(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid history filters',
+      message: error
+    });
+  }
+
+  const series = priceHistory.query(filters);
+  res.status(200).json({
+    success: true,
+    filters,
+    series,
+    total: series.length
+  });
+});
+
+/**
+ * GET /api/health/stores - Data quality of each store's recent results
+ * Query: store (id or alias, default every store), limit (records per store, default 50)
+ * Stores not scored yet are listed with status null
+ */
+app.get('/api/health/stores', (req, res) => {
+  const { store, limit } = req.query;
+  const storeId = store ? resolveStore(store)?.id : null;
+  if (store && !storeId) {
+    return res.status(400).json(invalidSitesBody([store]));
+  }
+
+  const stores = storeHealth.summary({
+    stores: storeId ? [storeId] : getStoreIds(),
+    limit: parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 50
+  });
+  res.status(200).json({
+    success: true,
+    stores,
+    degraded: stores.filter(entry => entry.status === 'degraded').map(entry => entry.store),
+    total: stores.length
+  });
+});
+
+/**
+ * 400 response for a watch definition that does not parse
+ */
+function invalidWatchResponse(res, { error, unknownSites }) {
+  if (unknownSites.length > 0) {
+    return res.status(400).json(invalidSitesBody(unknownSites));
+  }
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid watch',
+    message: error,
+    example: { product: 'amul taaza milk 500ml', store: 'zepto', location: 'RT Nagar', belowPrice: 25, dropPercent: 10, backInStock: true, channels: [{ type: 'log' }] }
+  });
+}
+
+/**
+ * 404 response for an unknown watch id
+ */
+function watchNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Watch not found',
+    watchId: id
+  });
+}
+
+/**
+ * GET /api/watches - Every watch with its last observation and notifications
+ */
+app.get('/api/watches', (req, res) => {
+  const list = watches.list();
+  res.status(200).json({
+    success: true,
+    watches: list,
+    total: list.length
+  });
+});
+
+/**
+ * POST /api/watches - Watch a product at a store and location
+ * Body: { product, store, location, belowPrice?, dropPercent?, backInStock?, referencePrice?, channels? }
+ */
+app.post('/api/watches', async (req, res) => {
+  const parsed = await parseWatchDefinition(req.body);
+  if (parsed.error) {
+    return invalidWatchResponse(res, parsed);
+  }
+
+  const watch = watches.create(parsed.definition);
+  console.log(`🔔 Watch ${watch.id} created: "${watch.product}" at ${watch.store} (${watch.location})`);
+  res.status(201).json({
+    success: true,
+    watch
+  });
+});
+
+/**
+ * GET /api/watches/:watchId - One watch and its notifications
+ */
+app.get('/api/watches/:watchId', (req, res) => {
+  const watch = watches.get(req.params.watchId);
+  if (!watch) {
+    return watchNotFound(res, req.params.watchId);
+  }
+  res.status(200).json({
+    success: true,
+    watch
+  });
+});
+
+/**
+ * PATCH /api/watches/:watchId - Change some fields of a watch (same body as POST)
+ */
+app.patch('/api/watches/:watchId', async (req, res) => {
+  const current = watches.get(req.params.watchId);
+  if (!current) {
+    return watchNotFound(res, req.params.watchId);
+  }
+
+  const parsed = await parseWatchDefinition(req.body, current);
+  if (parsed.error) {
+    return invalidWatchResponse(res, parsed);
+  }
+  res.status(200).json({
+    success: true,
+    watch: watches.update(current.id, parsed.definition)
+  });
+});
+
+/**
+ * DELETE /api/watches/:watchId - Stop watching
+ */
+app.delete('/api/watches/:watchId', (req, res) => {
+  if (!watches.delete(req.params.watchId)) {
+    return watchNotFound(res, req.params.watchId);
+  }
+  res.status(200).json({
+    success: true,
+    deleted: true,
+    watchId: req.params.watchId
+  });
+});
+
+/**
+ * 400 response for a schedule definition that does not parse
+ */
+function invalidScheduleResponse(res, { error, unknownSites }) {
+  if (unknownSites.length > 0) {
+    return res.status(400).json(invalidSitesBody(unknownSites));
+  }
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid schedule',
+    message: error,
+    example: { name: 'Morning milk check', cron: '0 8 * * *', products: ['milk', 'bread'], location: 'RT Nagar', sites: ['zepto', 'swiggy'] }
+  });
+}
+
+/**
+ * 404 response for an unknown schedule id
+ */
+function scheduleNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Schedule not found',
+    scheduleId: id
+  });
+}
+
+/**
+ * GET /api/schedules - Every schedule with its next run and last success/failure
+ */
+app.get('/api/schedules', (req, res) => {
+  const schedules = scheduler.list();
+  res.status(200).json({
+    success: true,
+    schedules,
+    total: schedules.length
+  });
+});
+
+/**
+ * POST /api/schedules - Create a recurring scrape
+ * Body: { name?, cron, product | products[], location | locations[], sites?, priority?, fresh?, enabled?, jitterMs? }
+ */
+app.post('/api/schedules', (req, res) => {
+  const parsed = parseScheduleDefinition(req.body);
+  if (parsed.error) {
+    return invalidScheduleResponse(res, parsed);
+  }
+
+  const schedule = scheduler.create(parsed.definition);
+  console.log(`⏰ Schedule ${schedule.id} created: "${schedule.cron}" (next run ${schedule.nextRunAt || 'never - disabled'})`);
+  res.status(201).json({
+    success: true,
+    schedule
+  });
+});
+
+/**
+ * GET /api/schedules/:scheduleId - One schedule and its run log
+ */
+app.get('/api/schedules/:scheduleId', (req, res) => {
+  const schedule = scheduler.get(req.params.scheduleId);
+  if (!schedule) {
+    return scheduleNotFound(res, req.params.scheduleId);
+  }
+  res.status(200).json({
+    success: true,
+    schedule
+  });
+});
+
+/**
+ * PATCH /api/schedules/:scheduleId - Change some fields of a schedule (same body as POST)
+ */
+app.patch('/api/schedules/:scheduleId', (req, res) => {
+  const current = scheduler.get(req.params.scheduleId);
+  if (!current) {
+    return scheduleNotFound(res, req.params.scheduleId);
+  }
+
+  const parsed = parseScheduleDefinition(req.body, current);
+  if (parsed.error) {
+    return invalidScheduleResponse(res, parsed);
+  }
+  res.status(200).json({
+    success: true,
+    schedule: scheduler.update(current.id, parsed.definition)
+  });
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId - Remove a schedule (a run in progress finishes)
+ */
+app.delete('/api/schedules/:scheduleId', (req, res) => {
+  if (!scheduler.delete(req.params.scheduleId)) {
+    return scheduleNotFound(res, req.params.scheduleId);
+  }
+  res.status(200).json({
+    success: true,
+    deleted: true,
+    scheduleId: req.params.scheduleId
+  });
+});
+
+/**
+ * POST /api/schedules/:scheduleId/run - Run a schedule now
+ */
+app.post('/api/schedules/:scheduleId/run', (req, res) => {
+  const run = scheduler.runNow(req.params.scheduleId);
+  if (!run) {
+    return scheduleNotFound(res, req.params.scheduleId);
+  }
+  res.status(run.status === 'skipped' ? 409 : 202).json({
+    success: run.status === 'running',
+    scheduleId: req.params.scheduleId,
+    run,
+    ...(run.jobId && { checkStatus: `/api/job/${run.jobId}`, events: `/api/job/${run.jobId}/events` })
+  });
+});
+
+/**
+ * GET /api/job/:jobId/events - Live job progress as Server-Sent Events
+ * Events: job-started, site-started, location-selected, search-submitted,
+ * products-extracted, site-retry, site-failed, job-completed
+ */
+app.get('/api/job/:jobId/events', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId: req.params.jobId
+    });
+  }
+
+  streamJobEvents(req, res, jobEvents, job);
+});
+
 /**
  * Background scraping function - runs asynchronously
  * This does NOT block the request handler
  */
-async function scrapeInBackground(jobId, product, location, saveHtml) {
+async function scrapeInBackground(jobId, product, location, saveHtml, signal) {
   const job = jobs.get(jobId);
   if (!job) return;
 
   try {
-    job.status = 'processing';
+    jobs.update(jobId, { status: 'processing', startedAt: new Date().toISOString() });
+    jobEvents.publish(jobId, JOB_EVENTS.JOB_STARTED, { product, location });
     console.log(`\n${'='.repeat(60)}`);
     console.log(`Job ${jobId}: Scraping "${product}" in "${location}"`);
     console.log(`${'='.repeat(60)}\n`);
@@ -293,7 +1188,14 @@ async function scrapeInBackground(jobId, product, location, saveHtml) {
 
     try {
       // Call the orchestrator function
-      const results = await selectLocationAndSearchOnAllWebsites(product, location);
+      // Batch jobs search every product in one session per store
+      const results = await selectLocationAndSearchOnAllWebsites(job.products ? job.products[0] : product, location, {
+        onEvent: jobEvents.forJob(jobId),
+        signal,
+        sites: job.sites || undefined,
+        products: job.products || undefined,
+        fresh: job.fresh || undefined
+      });
       
       // Restore original argv
       process.argv = originalArgv;
@@ -311,33 +1213,14 @@ async function scrapeInBackground(jobId, product, location, saveHtml) {
             const jsonData = result.jsonData;
             
             // Normalize website name to match frontend expectations
-            let normalizedWebsite = result.website;
-            if (normalizedWebsite.toLowerCase() === 'swiggy') {
-              normalizedWebsite = 'Swiggy Instamart';
-            } else if (normalizedWebsite.toLowerCase() === 'dmart') {
-              normalizedWebsite = 'D-Mart';
-            } else if (normalizedWebsite.toLowerCase() === 'jiomart') {
-              normalizedWebsite = 'JioMart';
-            } else if (normalizedWebsite.toLowerCase() === 'naturesbasket') {
-              normalizedWebsite = "Nature's Basket";
-            } else if (normalizedWebsite.toLowerCase() === 'zepto') {
-              normalizedWebsite = 'Zepto';
-            }
+            const normalizedWebsite = getDisplayName(result.website);
             
             // Extract products from JSON data
             const websiteData = {
               website: normalizedWebsite,
               location: jsonData.location || location,
-              products: (jsonData.products || []).map(p => ({
-                name: p.name,
-                price: p.price,
-                mrp: p.mrp,
-                discount: p.discount || null,
-                discountAmount: p.discountAmount || null,
-                isOutOfStock: p.isOutOfStock || false,
-                imageUrl: p.imageUrl || null,
-                productUrl: p.productUrl || null
-              }))
+              parserVersion: jsonData.parserVersion || null,
+              products: (jsonData.products || []).map(normalizeProduct)
             };
             
             if (websiteData.products && websiteData.products.length > 0) {
@@ -352,20 +1235,11 @@ async function scrapeInBackground(jobId, product, location, saveHtml) {
             const extracted = await extractDataFromHtml(
               result.html, 
               result.website, 
-              `${result.website}-${location.toLowerCase().replace(/\s+/g, '-')}-${product.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.html`
+              `${result.website}-${location.toLowerCase().replace(/\s+/g, '-')}-${product.toLowerCase().replace(/[\s,]+/g, '-')}-${timestamp}.html`
             );
             if (extracted) {
               // Normalize website name to match frontend expectations
-              let normalizedWebsite = extracted.website || result.website;
-              if (normalizedWebsite.toLowerCase() === 'dmart') {
-                normalizedWebsite = 'D-Mart';
-              } else if (normalizedWebsite.toLowerCase() === 'jiomart') {
-                normalizedWebsite = 'JioMart';
-              } else if (normalizedWebsite.toLowerCase() === 'naturesbasket') {
-                normalizedWebsite = "Nature's Basket";
-              } else if (normalizedWebsite.toLowerCase() === 'zepto') {
-                normalizedWebsite = 'Zepto';
-              }
+              const normalizedWebsite = getDisplayName(extracted.website || result.website);
               extracted.website = normalizedWebsite;
               
               if (extracted.products && extracted.products.length > 0) {
@@ -384,66 +1258,59 @@ async function scrapeInBackground(jobId, product, location, saveHtml) {
         }
       }
 
-      // Update job with result
-      job.status = 'completed';
-      
       // Map extracted data to website results for frontend compatibility
       const websitesWithData = results.map(r => {
-        // Find matching extracted data
-        let extracted = null;
-        if (r.website === 'swiggy') {
-          extracted = extractedData.find(d => d.website?.toLowerCase().includes('swiggy'));
-        } else {
-          // Match by normalized website name
-          const normalizedResultWebsite = r.website.toLowerCase();
-          extracted = extractedData.find(d => {
-            const normalizedExtractedWebsite = d.website?.toLowerCase();
-            return normalizedExtractedWebsite === normalizedResultWebsite ||
-                   (normalizedResultWebsite === 'dmart' && normalizedExtractedWebsite === 'dmart') ||
-                   (normalizedResultWebsite === 'jiomart' && normalizedExtractedWebsite === 'jiomart') ||
-                   (normalizedResultWebsite === 'naturesbasket' && normalizedExtractedWebsite === 'naturesbasket') ||
-                   (normalizedResultWebsite === 'zepto' && normalizedExtractedWebsite === 'zepto');
-          });
-        }
-        
-        // Normalize website names for frontend
-        let websiteName = r.website;
-        if (r.website === 'swiggy') {
-          websiteName = 'Swiggy Instamart';
-        } else if (r.website === 'jiomart') {
-          websiteName = 'JioMart';
-        } else if (r.website === 'naturesbasket') {
-          websiteName = "Nature's Basket";
-        } else if (r.website === 'dmart') {
-          websiteName = 'D-Mart';
-        }
+        // Find matching extracted data (extracted website names are display names)
+        const storeId = resolveStore(r.website)?.id;
+        const extracted = extractedData.find(d => resolveStore(d.website)?.id === storeId);
         
         return {
-          website: websiteName,
+          website: getDisplayName(r.website),
           success: r.success,
+          status: r.status || (r.success ? 'success' : 'failed'),
           error: r.error || null,
           productCount: extracted?.products?.length || 0,
+          duration: r.duration ?? null,
+          attempts: r.attempts || [],
+          cached: r.cached || false,
+          cachedAt: r.cachedAt || null,
+          cacheAgeMs: r.cacheAgeMs ?? null,
+          invalidProducts: r.jsonData?.invalidProducts || extracted?.invalidProducts || [],
+          parserVersion: extracted?.parserVersion || null,
+          health: r.health || null,
           data: extracted || null
         };
       });
       
-      job.result = {
+      const jobResult = {
         success: true,
         timestamp: timestamp,
         product: product,
         location: location,
         websites: websitesWithData,
         data: extractedData,
+        ...(job.products && { products: job.products, byProduct: groupResultsByProduct(job.products, results) }),
         summary: {
           totalWebsites: results.length,
           successful: results.filter(r => r.success).length,
           failed: results.filter(r => !r.success).length,
+          timedOut: results.filter(r => r.status === 'timeout').length,
+          degraded: results.filter(r => r.status === 'degraded').length,
+          fromCache: results.filter(r => r.cached).length,
           successCount: results.filter(r => r.success).length,
           totalProducts: extractedData.reduce((sum, site) => sum + (site.products?.length || 0), 0),
+          invalidProducts: websitesWithData.reduce((sum, site) => sum + site.invalidProducts.length, 0),
           totalDuration: ((Date.now() - new Date(job.createdAt).getTime()) / 1000).toFixed(2) + 's'
         }
       };
 
+      // Update job with result (a cancelled job keeps the stores that finished)
+      if (signal?.aborted) {
+        finishJob(jobId, { status: 'cancelled', error: 'Cancelled', result: jobResult });
+      } else {
+        finishJob(jobId, { status: 'completed', result: jobResult });
+      }
+
       // Save JSON output to file
       const jsonOutput = {
         product: product,
@@ -452,17 +1319,10 @@ async function scrapeInBackground(jobId, product, location, saveHtml) {
         websites: extractedData.map(site => ({
           website: site.website,
           location: site.location,
-          products: (site.products || []).map(p => ({
-            name: p.name,
-            price: p.price,
-            mrp: p.mrp,
-            discount: p.discount || null,
-            discountAmount: p.discountAmount || null,
-            isOutOfStock: p.isOutOfStock || false,
-            imageUrl: p.imageUrl || null,
-            productUrl: p.productUrl || null
-          }))
+          parserVersion: site.parserVersion || null,
+          products: (site.products || []).map(normalizeProduct)
         })),
+        ...(job.products && { results: formatBatchResults(job.result.byProduct) }),
         summary: job.result.summary
       };
 
@@ -473,20 +1333,27 @@ async function scrapeInBackground(jobId, product, location, saveHtml) {
       }
 
       // Save JSON file
-      const jsonFilename = `output/${product.toLowerCase().replace(/\s+/g, '-')}-${location.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.json`;
+      const jsonFilename = `output/${product.toLowerCase().replace(/[\s,]+/g, '-')}-${location.toLowerCase().replace(/\s+/g, '-')}-${timestamp}.json`;
       const jsonPath = join(__dirname, jsonFilename);
       writeFileSync(jsonPath, JSON.stringify(jsonOutput, null, 2), 'utf8');
       console.log(`Job ${jobId}: 📄 JSON saved to: ${jsonFilename}`);
 
-      console.log(`Job ${jobId}: ✅ Completed successfully`);
+      // Cached stores were already recorded when they were scraped
+      const cachedStores = new Set(results.filter(r => r.cached).map(r => resolveStore(r.website)?.id));
+      const recorded = priceHistory.recordOutput({
+        ...jsonOutput,
+        websites: jsonOutput.websites.filter(site => !cachedStores.has(resolveStore(site.website)?.id))
+      }, basename(jsonFilename));
+      console.log(`Job ${jobId}: 📈 Recorded ${recorded} price observation(s)`);
+
+      console.log(`Job ${jobId}: ${signal?.aborted ? '🛑 Cancelled' : '✅ Completed successfully'}`);
     } catch (error) {
       process.argv = originalArgv;
       throw error;
     }
   } catch (error) {
     console.error(`Job ${jobId}: ❌ Error:`, error);
-    job.status = 'failed';
-    job.error = error.message;
+    finishJob(jobId, { status: signal?.aborted ? 'cancelled' : 'failed', error: error.message });
   }
 }
 
@@ -515,8 +1382,7 @@ app.get('/api/extract', async (req, res) => {
     try {
       const { extractDataFromAllFiles } = await import('./html-data-selector.js');
       const results = extractDataFromAllFiles(dir);
-      job.status = 'completed';
-      job.result = {
+      const jobResult = {
         success: true,
         timestamp: new Date().toISOString(),
         directory: dir,
@@ -526,9 +1392,9 @@ app.get('/api/extract', async (req, res) => {
           totalProducts: results.reduce((sum, site) => sum + (site.products?.length || 0), 0)
         }
       };
+      finishJob(jobId, { status: 'completed', result: jobResult });
     } catch (error) {
-      job.status = 'failed';
-      job.error = error.message;
+      finishJob(jobId, { status: 'failed', error: error.message });
     }
   })();
 
@@ -542,12 +1408,181 @@ app.get('/api/extract', async (req, res) => {
   });
 });
 
+/**
+ * One location of a matrix job - runs as its own queue entry
+ * @returns {Promise<{ location, results, error? }>}
+ */
+async function scrapeMatrixLocation(jobId, location, signal) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (job.status === 'queued') {
+    jobs.update(jobId, { status: 'processing', startedAt: new Date().toISOString() });
+    jobEvents.publish(jobId, JOB_EVENTS.JOB_STARTED, { products: job.products, locations: job.locations });
+  }
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`Job ${jobId}: Matrix location "${location}" (${job.products.join(', ')})`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  // Store events carry the location so clients can tell the runs apart
+  const publish = jobEvents.forJob(jobId);
+  try {
+    const { selectLocationAndSearchOnAllWebsites } = await import('./location-selector-orchestrator.js');
+    const results = await selectLocationAndSearchOnAllWebsites(job.products[0], location, {
+      onEvent: (event) => publish({ ...event, location }),
+      signal,
+      sites: job.sites || undefined,
+      products: job.products.length > 1 ? job.products : undefined,
+      fresh: job.fresh || undefined
+    });
+    return { location, results };
+  } catch (error) {
+    console.error(`Job ${jobId}: ❌ Matrix location "${location}" failed:`, error);
+    return { location, results: [], error: error.message };
+  }
+}
+
+/**
+ * Build the matrix once every location of a matrix job has run
+ */
+function finishMatrixJob(jobId, locationRuns, signal) {
+  const job = jobs.get(jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+  const { matrix, stats } = buildPriceMatrix(job.products, locationRuns);
+  for (const run of locationRuns) {
+    priceHistory.recordResults({
+      query: job.products.length === 1 ? job.products[0] : null,
+      location: run.location,
+      results: run.results,
+      timestamp: job.createdAt,
+      source: `${jobId}@${run.location}`
+    });
+  }
+  const storeRuns = locationRuns.flatMap(run => run.results);
+  const jobResult = {
+    success: true,
+    timestamp: new Date().toISOString().replace(/[:.]/g, '-'),
+    products: job.products,
+    locations: job.locations,
+    matrix,
+    stats,
+    summary: {
+      totalLocations: job.locations.length,
+      completedLocations: locationRuns.filter(run => !run.error).length,
+      totalStoreRuns: storeRuns.length,
+      successful: storeRuns.filter(r => r.success).length,
+      failed: storeRuns.filter(r => !r.success).length,
+      timedOut: storeRuns.filter(r => r.status === 'timeout').length,
+      degraded: storeRuns.filter(r => r.status === 'degraded').length,
+      fromCache: storeRuns.filter(r => r.cached).length,
+      pricedCells: matrix.reduce((sum, row) => sum + row.locations.reduce(
+        (count, entry) => count + Object.values(entry.stores).filter(cell => cell.price !== null).length, 0), 0),
+      totalDuration: ((Date.now() - new Date(job.createdAt).getTime()) / 1000).toFixed(2) + 's'
+    }
+  };
+
+  // A cancelled matrix keeps the locations that finished
+  if (signal?.aborted) {
+    finishJob(jobId, { status: 'cancelled', error: 'Cancelled', result: jobResult });
+  } else if (locationRuns.length > 0 && locationRuns.every(run => run.error)) {
+    finishJob(jobId, { status: 'failed', error: locationRuns[0].error, result: jobResult });
+  } else {
+    finishJob(jobId, { status: 'completed', result: jobResult });
+  }
+  console.log(`Job ${jobId}: ${signal?.aborted ? '🛑 Cancelled' : '✅ Matrix completed'} (${locationRuns.length}/${job.locations.length} locations)`);
+}
+
+/**
+ * Clean JSON output of a job, as served by GET /api/json/:jobId and sent to job callbacks
+ * @param {Object} options
+ * @param {string} options.sort - Order of products and groups: price, unit-price or discount (default: as scraped)
+ * @returns {{ statusCode: number, body: Object }}
+ */
+function jobJson(job, { sort } = {}) {
+  // Cancelled jobs still serve the stores that finished before cancellation
+  const hasPartialResult = job.status === 'cancelled' && (job.result?.data || job.result?.matrix);
+  if (job.status !== 'completed' && !hasPartialResult) {
+    return {
+      statusCode: 202,
+      body: {
+        success: false,
+        status: job.status,
+        message: job.status === 'processing' ? 'Job still processing' : job.status === 'queued' ? 'Job queued' : job.status === 'interrupted' ? 'Job interrupted by a server restart' : job.status === 'cancelled' ? 'Job cancelled' : 'Job failed',
+        error: job.error || null
+      }
+    };
+  }
+
+  // Matrix jobs: product x location x store, plus per-store price stats
+  if (job.result?.matrix) {
+    return {
+      statusCode: 200,
+      body: {
+        products: job.products,
+        locations: job.locations,
+        timestamp: job.result.timestamp,
+        matrix: job.result.matrix,
+        stats: job.result.stats,
+        summary: job.result.summary
+      }
+    };
+  }
+
+  if (!job.result || !job.result.data) {
+    return {
+      statusCode: 404,
+      body: {
+        success: false,
+        error: 'No data available for this job'
+      }
+    };
+  }
+
+  // Batch jobs are grouped by product, then by store
+  if (job.result.byProduct) {
+    return {
+      statusCode: 200,
+      body: {
+        products: job.products,
+        location: job.location,
+        timestamp: job.result.timestamp,
+        results: formatBatchResults(job.result.byProduct, sort),
+        summary: job.result.summary
+      }
+    };
+  }
+
+  // Return clean JSON structure, with the listings matched across stores
+  const websites = job.result.data.map(site => ({
+    website: site.website,
+    location: site.location,
+    parserVersion: site.parserVersion || null,
+    products: sortProducts((site.products || []).map(normalizeProduct), sort)
+  }));
+  const body = {
+    product: job.product,
+    location: job.location,
+    timestamp: job.result.timestamp,
+    websites,
+    groups: sortGroups(matchProducts(websites.map(site => ({ store: resolveStore(site.website)?.id || site.website, products: site.products }))), sort),
+    summary: job.result.summary
+  };
+  const checked = JobResultSchema.safeParse(body);
+  if (!checked.success) {
+    console.warn(`Job ${job.id}: ⚠️  Result does not match the job result schema: ${checked.error.issues.slice(0, 3).map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`);
+  }
+  return { statusCode: 200, body };
+}
+
 /**
  * GET /api/json/:jobId - Get clean JSON output for a completed job
  * Returns pure JSON without job metadata
+ * Query: sort=price|unit-price|discount orders each store's products and the groups
  */
 app.get('/api/json/:jobId', (req, res) => {
   const { jobId } = req.params;
+  const { sort } = req.query;
   const job = jobs.get(jobId);
 
   if (!job) {
@@ -558,55 +1593,25 @@ app.get('/api/json/:jobId', (req, res) => {
     });
   }
 
-  if (job.status !== 'completed') {
-    return res.status(202).json({
-      success: false,
-      status: job.status,
-      message: job.status === 'processing' ? 'Job still processing' : job.status === 'queued' ? 'Job queued' : 'Job failed',
-      error: job.error || null
-    });
-  }
-
-  if (!job.result || !job.result.data) {
-    return res.status(404).json({
+  if (sort !== undefined && !PRODUCT_SORTS.includes(sort)) {
+    return res.status(400).json({
       success: false,
-      error: 'No data available for this job'
+      error: 'Invalid sort',
+      message: `"sort" must be one of: ${PRODUCT_SORTS.join(', ')}`
     });
   }
 
-  // Return clean JSON structure
-  res.status(200).json({
-    product: job.product,
-    location: job.location,
-    timestamp: job.result.timestamp,
-    websites: job.result.data.map(site => ({
-      website: site.website,
-      location: site.location,
-      products: (site.products || []).map(p => ({
-        name: p.name,
-        price: p.price,
-        mrp: p.mrp,
-        discount: p.discount || null,
-        discountAmount: p.discountAmount || null,
-        isOutOfStock: p.isOutOfStock || false,
-        imageUrl: p.imageUrl || null,
-        productUrl: p.productUrl || null
-      }))
-    })),
-    summary: job.result.summary
-  });
+  const { statusCode, body } = jobJson(job, { sort });
+  res.status(statusCode).json(body);
 });
 
-// Clean up old jobs (keep last 100) - start after server is ready
+// Clean up old jobs (keep last 100 finished jobs) - start after server is ready
 // Use setTimeout to ensure server starts first
 setTimeout(() => {
   setInterval(() => {
-    if (jobs.size > 100) {
-      const jobsArray = Array.from(jobs.entries());
-      jobsArray.sort((a, b) => new Date(a[1].createdAt) - new Date(b[1].createdAt));
-      const toDelete = jobsArray.slice(0, jobsArray.length - 100);
-      toDelete.forEach(([id]) => jobs.delete(id));
-      console.log(`Cleaned up ${toDelete.length} old jobs`);
+    const removed = jobs.prune();
+    if (removed > 0) {
+      console.log(`Cleaned up ${removed} old jobs`);
     }
   }, 60000); // Every minute
 }, 5000); // Start cleanup after 5 seconds
@@ -634,6 +1639,14 @@ try {
     console.log(`⚡ All endpoints respond instantly - scraping runs in background`);
     console.log(`⏱️  Server listening on port ${PORT}`);
     console.log(`${'='.repeat(60)}\n`);
+    scheduler.start();
+
+    // Callbacks cut off by a restart, including those of jobs it interrupted
+    for (const job of jobs.values()) {
+      if (FINISHED_STATUSES.includes(job.status) && job.callbacks?.some(callback => ['pending', 'delivering'].includes(callback.status))) {
+        sendJobCallbacks(job);
+      }
+    }
   });
 
   // Handle server errors
@@ -0,0 +1,454 @@
+import * as cheerio from 'cheerio';
+import { z } from 'zod';
+import { readFileSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { packFields } from './pack-size.js';
+import { LIVE_BASE_URLS, storeBaseUrl } from './store-urls.js';
+
+/**
+ * Declarative Selector Configs
+ *
+ * The CSS selectors for each store's search results page live in
+ * selectors/<store>.json instead of the parsers, so a site redesign is a
+ * config edit. One generic engine (extractProducts, extractLocation) interprets
+ * them for the store extractors in extraction.js, and browserSelectors() hands
+ * the same selectors to code that queries the live page. Configs are re-read
+ * when their file changes, without a server restart; a config that fails
+ * validation is logged and the last good version stays in use.
+ *
+ * Config shape:
+ * {
+ *   store: string,                // Store id, matches the file name
+ *   baseUrl: string,              // Live site; relative image/product URLs resolve against the store's
+ *                                 // storeBaseUrl() (store-urls.js), or this for stores it does not know
+ *   cards: [{                     // Tried in order; the first that yields products wins
+ *     selector: string,           // Product card elements
+ *     container?: {               // Cards without a card element: the selector matches an element
+ *       until: regex,             // inside (e.g. the product image) and fields are read from its
+ *       climb?: number,           // nearest ancestor, at most `climb` levels up (default 5), whose
+ *       fallback?: string         // text matches `until`; else its closest `fallback` ancestor
+ *     },
+ *     minText?: number,           // Skip cards with less text
+ *     maxText?: number,           // Skip cards with more text
+ *     require?: regex,            // Skip cards whose text does not match
+ *     exclude?: regex,            // Skip cards whose text matches (navigation, ...)
+ *     requireFields?: string[]    // Fields a product needs (default ["name"])
+ *   }],
+ *   fields: {                     // name and price required; mrp, discount, outOfStock, image, url optional
+ *     <field>: {
+ *       rules: Rule[],            // Tried in order; the first value wins
+ *       replace?: [regex, string][], exclude?: regex, minLength?: number, maxLength?: number,
+ *       keepQueryParams?: string[]  // URL fields: query parameters to keep
+ *     }
+ *   },
+ *   location?: {                  // Delivery location shown in the page header
+ *     selectors: string[],        // Tried in order; the first element text that reads as a location wins
+ *     replace?: [regex, string][],
+ *     exclude?: regex             // Texts that are not a location (e.g. an input placeholder)
+ *   }
+ * }
+ *
+ * Rule: where a value is read within a card
+ * {
+ *   selector?: string,     // Elements inside the card (omitted: the card itself)
+ *   anchor?: boolean,      // Read from the element the card selector matched (cards with `container`)
+ *   self?: boolean,        // Also the card itself when it matches `selector`
+ *   closest?: string,      // Read from the nearest ancestor of the card matching this instead
+ *                          // (with `selector`: elements inside that ancestor)
+ *   when?: string,         // Only when the card contains an element matching this
+ *   attr?: string | string[],   // "text" (default), an attribute, "srcset" or "background-image";
+ *                               // a list is tried in order
+ *   pattern?: regex,       // Read capture group 1 (or the whole match) of every match in the value
+ *   match?: number,        // Which match to use, negative counts from the end (default 0)
+ *   minMatches?: number,   // Skip the rule when there are fewer matches
+ *   pick?: "min" | "max",  // Number fields: the lowest or highest match instead of `match`
+ *   among?: number,        // Only the first `among` matches count (with `pick`)
+ *   test?: regex,          // The value must match
+ *   exclude?: regex        // The value must not match
+ * }
+ * Regexes are strings, matched case-insensitively. outOfStock rules are true
+ * when an element is found (and its text matches `pattern`, when given).
+ *
+ * Configuration (environment):
+ *   SELECTOR_CONFIG_DIR - directory of the configs (default ./selectors)
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const SELECTOR_CONFIG_DIR = process.env.SELECTOR_CONFIG_DIR || join(__dirname, 'selectors');
+
+const NUMBER_FIELDS = ['price', 'mrp', 'discount'];
+const URL_FIELDS = ['image', 'url'];
+const FIELDS = ['name', ...NUMBER_FIELDS, 'outOfStock', ...URL_FIELDS];
+
+const cssCheck = cheerio.load('');
+
+const regex = z.string().refine(source => {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, { message: 'Invalid regular expression' });
+
+const css = z.string().min(1).refine(selector => {
+  try {
+    cssCheck(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, { message: 'Invalid CSS selector' });
+
+const RuleSchema = z.object({
+  selector: css.optional(),
+  anchor: z.boolean().optional(),
+  self: z.boolean().optional(),
+  closest: css.optional(),
+  when: css.optional(),
+  attr: z.union([z.string(), z.array(z.string()).min(1)]).optional(),
+  pattern: regex.optional(),
+  match: z.number().int().optional(),
+  minMatches: z.number().int().positive().optional(),
+  pick: z.enum(['min', 'max']).optional(),
+  among: z.number().int().positive().optional(),
+  test: regex.optional(),
+  exclude: regex.optional()
+}).strict();
+
+const FieldSchema = z.object({
+  rules: z.array(RuleSchema).min(1),
+  replace: z.array(z.tuple([regex, z.string()])).optional(),
+  exclude: regex.optional(),
+  minLength: z.number().int().nonnegative().optional(),
+  maxLength: z.number().int().positive().optional(),
+  keepQueryParams: z.array(z.string()).optional()
+}).strict();
+
+const SelectorConfigSchema = z.object({
+  store: z.string().min(1),
+  description: z.string().optional(),
+  baseUrl: z.string().url(),
+  cards: z.array(z.object({
+    selector: css,
+    container: z.object({
+      until: regex,
+      climb: z.number().int().positive().optional(),
+      fallback: css.optional()
+    }).strict().optional(),
+    minText: z.number().int().nonnegative().optional(),
+    maxText: z.number().int().positive().optional(),
+    require: regex.optional(),
+    exclude: regex.optional(),
+    requireFields: z.array(z.enum(FIELDS)).optional()
+  }).strict()).min(1),
+  fields: z.object({
+    name: FieldSchema,
+    price: FieldSchema,
+    mrp: FieldSchema.optional(),
+    discount: FieldSchema.optional(),
+    outOfStock: FieldSchema.optional(),
+    image: FieldSchema.optional(),
+    url: FieldSchema.optional()
+  }).strict(),
+  location: z.object({
+    selectors: z.array(css).min(1),
+    replace: z.array(z.tuple([regex, z.string()])).optional(),
+    exclude: regex.optional()
+  }).strict().optional()
+}).strict();
+
+// Loaded configs keyed by store id: { mtimeMs, config }
+const loaded = new Map();
+
+function configPath(storeId) {
+  return join(SELECTOR_CONFIG_DIR, `${storeId}.json`);
+}
+
+/**
+ * Selector config of a store, re-read when its file has changed
+ * @throws {Error} - When the store has no config, or its only version is invalid
+ */
+function loadSelectorConfig(storeId) {
+  const file = configPath(storeId);
+  const cached = loaded.get(storeId);
+  let mtimeMs;
+  try {
+    mtimeMs = statSync(file).mtimeMs;
+  } catch (error) {
+    if (cached) return cached.config;
+    throw new Error(`No selector config for "${storeId}" (${file})`);
+  }
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.config;
+  }
+
+  let config;
+  try {
+    const parsed = SelectorConfigSchema.safeParse(JSON.parse(readFileSync(file, 'utf8')));
+    if (!parsed.success) {
+      throw new Error(parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; '));
+    }
+    config = parsed.data;
+  } catch (error) {
+    if (cached) {
+      // Keep serving the last good config; try again after the next edit
+      loaded.set(storeId, { ...cached, mtimeMs });
+      console.error(`⚠️  Selector config for ${storeId} is invalid, keeping the previous version: ${error.message}`);
+      return cached.config;
+    }
+    throw new Error(`Selector config for "${storeId}" is invalid: ${error.message}`);
+  }
+
+  if (cached) {
+    console.log(`🔄 Reloaded selector config for ${storeId}`);
+  }
+  loaded.set(storeId, { mtimeMs, config });
+  return config;
+}
+
+const pattern = source => new RegExp(source, 'i');
+
+/**
+ * Elements a rule reads, in order
+ * @param {Object} $anchor - Element the card selector matched (the card itself without `container`)
+ */
+function ruleElements($, $card, $anchor, rule) {
+  if (rule.when && $card.find(rule.when).length === 0) return [];
+  const $base = rule.anchor ? $anchor : $card;
+  const $scope = rule.closest ? $base.closest(rule.closest) : $base;
+  if (!rule.selector) return $scope.toArray();
+
+  const elements = $scope.find(rule.selector).toArray();
+  return rule.self && $scope.is(rule.selector) ? [$scope[0], ...elements] : elements;
+}
+
+/**
+ * Raw values of one element for the rule's attributes
+ */
+function elementValues($, element, attrs) {
+  const $el = $(element);
+  return attrs.flatMap(attr => {
+    if (attr === 'text') return [$el.text()];
+    if (attr === 'srcset') return [($el.attr('srcset') || '').split(',')[0].trim().split(' ')[0]];
+    if (attr === 'background-image') {
+      // "background-image: url(a.jpg), url(NoImage.png)" -> every URL in order
+      const declaration = ($el.attr('style') || '').match(/background-image:([^;]+)/i)?.[1] || '';
+      return [...declaration.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/gi)]
+        .flatMap(match => match[1].split(','))
+        .map(url => url.trim().replace(/^["']|["']$/g, ''));
+    }
+    return [$el.attr(attr) || ''];
+  }).filter(value => value && value.trim());
+}
+
+function toNumber(text) {
+  const number = parseFloat(String(text).replace(/[₹,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Value of one field for a card: the first rule that produces one
+ */
+function readField($, $card, $anchor, field, fieldName) {
+  for (const rule of field.rules) {
+    const elements = ruleElements($, $card, $anchor, rule);
+
+    if (fieldName === 'outOfStock') {
+      const found = elements.some(element => !rule.pattern || pattern(rule.pattern).test($(element).text()));
+      if (found) return true;
+      continue;
+    }
+
+    const attrs = rule.attr ? [].concat(rule.attr) : ['text'];
+    for (const element of elements) {
+      for (const raw of elementValues($, element, attrs)) {
+        let values = [raw];
+        if (rule.pattern) {
+          values = [...raw.matchAll(new RegExp(rule.pattern, 'gi'))].map(m => m[1] ?? m[0]);
+        }
+        if (NUMBER_FIELDS.includes(fieldName)) {
+          values = values.map(toNumber).filter(value => value !== null && value > 0);
+        }
+        if (values.length === 0 || values.length < (rule.minMatches || 1)) continue;
+
+        let value;
+        if (rule.pick && NUMBER_FIELDS.includes(fieldName)) {
+          const counted = values.slice(0, rule.among || values.length);
+          value = rule.pick === 'min' ? Math.min(...counted) : Math.max(...counted);
+        } else {
+          const index = rule.match ?? 0;
+          value = values[index < 0 ? values.length + index : index];
+        }
+        if (value === undefined) continue;
+        if (typeof value === 'string') {
+          for (const [from, to] of field.replace || []) {
+            value = value.replace(new RegExp(from, 'gi'), to);
+          }
+          value = value.replace(/\s+/g, ' ').trim();
+          if (!value || value.length < (field.minLength || 0)) continue;
+          if (field.maxLength && value.length > field.maxLength) continue;
+          if (rule.test && !pattern(rule.test).test(value)) continue;
+          if (rule.exclude && pattern(rule.exclude).test(value)) continue;
+          if (field.exclude && pattern(field.exclude).test(value)) continue;
+        }
+        return value;
+      }
+    }
+  }
+  return fieldName === 'outOfStock' ? false : null;
+}
+
+/**
+ * Card of an element inside it: the nearest ancestor whose text matches `until`
+ */
+function containerOf($anchor, { until, climb = 5, fallback }) {
+  const test = pattern(until);
+  let $container = $anchor.parent();
+  for (let depth = 0; depth < climb && $container.length > 0 && !test.test($container.text()); depth++) {
+    $container = $container.parent();
+  }
+  if ($container.length > 0 && test.test($container.text())) return $container;
+  return fallback ? $anchor.closest(fallback) : $anchor;
+}
+
+/**
+ * Absolute URL, keeping only the listed query parameters (all when not listed)
+ */
+function absoluteUrl(value, baseUrl, keepQueryParams) {
+  if (!value || /^(#|javascript:|mailto:)/i.test(value)) return null;
+  let url;
+  try {
+    url = new URL(value, `${baseUrl.replace(/\/$/, '')}/`);
+  } catch (error) {
+    return null;
+  }
+  if (keepQueryParams) {
+    for (const key of [...url.searchParams.keys()]) {
+      if (!keepQueryParams.includes(key)) url.searchParams.delete(key);
+    }
+  }
+  return url.href;
+}
+
+/**
+ * Extract products from a search results page with a store's selector config
+ * @param {string|Function} page - HTML, or a document already loaded with cheerio
+ * @param {string} storeId - Config to use (selectors/<storeId>.json)
+ * @returns {{ products: Array, card: string|null, cards: Array }} - card: the card selector that matched;
+ *   cards: the card elements the products were read from
+ */
+function extractProducts(page, storeId) {
+  const config = loadSelectorConfig(storeId);
+  const $ = typeof page === 'function' ? page : cheerio.load(page);
+  const { fields } = config;
+  const baseUrl = LIVE_BASE_URLS[config.store] ? storeBaseUrl(config.store) : config.baseUrl;
+
+  for (const card of config.cards) {
+    const products = [];
+    const cards = [];
+    $(card.selector).each((index, element) => {
+      const $anchor = $(element);
+      const $card = card.container ? containerOf($anchor, card.container) : $anchor;
+      const text = $card.text().trim();
+      if (text.length < (card.minText || 0)) return;
+      if (card.maxText && text.length > card.maxText) return;
+      if (card.require && !pattern(card.require).test(text)) return;
+      if (card.exclude && pattern(card.exclude).test(text)) return;
+
+      const read = name => (fields[name] ? readField($, $card, $anchor, fields[name], name) : null);
+      const values = {
+        name: read('name'),
+        price: read('price'),
+        mrp: read('mrp'),
+        discount: read('discount'),
+        outOfStock: fields.outOfStock ? read('outOfStock') : false,
+        image: fields.image ? absoluteUrl(read('image'), baseUrl, fields.image.keepQueryParams) : null,
+        url: fields.url ? absoluteUrl(read('url'), baseUrl, fields.url.keepQueryParams) : null
+      };
+      if ((card.requireFields || ['name']).some(name => values[name] === null || values[name] === false)) return;
+
+      const { name, price, mrp } = values;
+      const discountAmount = mrp && price ? mrp - price : null;
+      cards.push($card);
+      products.push({
+        name,
+        price,
+        mrp,
+        discount: fields.discount ? values.discount : discountAmount,
+        discountAmount,
+        isOutOfStock: values.outOfStock,
+        imageUrl: values.image,
+        productUrl: values.url,
+        ...packFields(name, price, text)
+      });
+    });
+    if (products.length > 0) {
+      return { products, card: card.selector, cards };
+    }
+  }
+  return { products: [], card: null, cards: [] };
+}
+
+const LOCATION_UI_TEXT = /^(Select|Select Location|Location|Change|Change Location|Update|Update Location|Delivery|Pickup|Cart|Your cart is empty|Home|Menu|Search|Sign In|Login|Register)$/i;
+
+function isLocationText(text) {
+  return Boolean(text) && text.length > 3 && text.length < 100 &&
+    (/[A-Za-z]/.test(text) || /\d{6}/.test(text)) &&
+    !LOCATION_UI_TEXT.test(text) && !/Select Location|Your cart is empty/i.test(text);
+}
+
+/**
+ * Delivery location shown in a page, with a store's selector config
+ * @param {string|Function} page - HTML, or a document already loaded with cheerio
+ * @param {string} storeId - Config to use (selectors/<storeId>.json)
+ * @returns {string|null} - First element text, in selector order, that reads as a location
+ */
+function extractLocation(page, storeId) {
+  const { location } = loadSelectorConfig(storeId);
+  if (!location) return null;
+  const $ = typeof page === 'function' ? page : cheerio.load(page);
+
+  for (const selector of location.selectors) {
+    for (const element of $(selector).toArray()) {
+      let text = $(element).text().replace(/\s+/g, ' ').trim();
+      for (const [from, to] of location.replace || []) {
+        text = text.replace(new RegExp(from, 'gi'), to);
+      }
+      text = text.trim();
+      if (location.exclude && pattern(location.exclude).test(text)) continue;
+      if (isLocationText(text)) return text;
+    }
+  }
+  return null;
+}
+
+/**
+ * Plain CSS selectors of a store's config, for code that queries the live page
+ * (selectors of rules that read a value with a pattern or from an ancestor are left out)
+ * @returns {{ cards: string[], name: string[], image: string[], url: string[] }}
+ */
+function browserSelectors(storeId) {
+  const config = loadSelectorConfig(storeId);
+  const selectorsOf = field => (config.fields[field]?.rules || [])
+    .filter(rule => rule.selector && !rule.pattern && !rule.closest && !rule.anchor)
+    .map(rule => rule.selector);
+  return {
+    cards: config.cards.filter(card => !card.container).map(card => card.selector),
+    name: selectorsOf('name'),
+    image: selectorsOf('image'),
+    url: selectorsOf('url')
+  };
+}
+
+export {
+  extractProducts,
+  extractLocation,
+  browserSelectors,
+  absoluteUrl,
+  loadSelectorConfig,
+  SelectorConfigSchema,
+  SELECTOR_CONFIG_DIR
+};
@@ -1,18 +1,12 @@
-import { selectLocationOnZepto } from './zepto-location-selector.js';
-import { selectLocationOnNaturesBasket } from './naturesbasket-location-selector.js';
-import { selectLocationOnJioMart } from './jiomart-location-selector.js';
-import { selectLocationAndSearchOnDmart } from './dmart-location-selector.js';
+import { listStores } from './store-registry.js';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
 /**
  * Sequential Location Selector Orchestrator
  * 
- * This script runs all four location selector scripts sequentially:
- * 1. Zepto
- * 2. Nature's Basket
- * 3. JioMart
- * 4. D-Mart
+ * This script runs the location selector of every registered store sequentially,
+ * in store registry order (see store-registry.js)
  * 
  * Usage:
  *   node sequential-location-selector.js [location] [product]
@@ -27,29 +21,12 @@ import path from 'path';
 const DEFAULT_LOCATION = 'Mumbai';
 const DEFAULT_PRODUCT = 'Chaas';
 
-// Website configurations
-const WEBSITES = [
-  {
-    name: 'Zepto',
-    selector: selectLocationOnZepto,
-    defaultProduct: 'Chaas'
-  },
-  {
-    name: "Nature's Basket",
-    selector: selectLocationOnNaturesBasket,
-    defaultProduct: 'tomato'
-  },
-  {
-    name: 'JioMart',
-    selector: selectLocationOnJioMart,
-    defaultProduct: 'tomato'
-  },
-  {
-    name: 'D-Mart',
-    selector: selectLocationAndSearchOnDmart,
-    defaultProduct: 'potato'
-  }
-];
+// Website configurations come from the store registry
+const WEBSITES = listStores().map(store => ({
+  id: store.id,
+  name: store.displayName,
+  selector: (locationName, productName) => store.search(locationName, productName)
+}));
 
 /**
  * Run location selection for a single website
@@ -99,33 +76,36 @@ async function runWebsiteSelector(website, locationName, productName) {
 
 /**
  * Main function to run all location selectors sequentially
+ * @param {Object} options
+ * @param {string[]} options.sites - Store ids to run (defaults to every registered store)
  */
-export async function runAllSelectors(locationName, productName) {
+export async function runAllSelectors(locationName, productName, { sites } = {}) {
+  const websites = sites ? WEBSITES.filter(website => sites.includes(website.id)) : WEBSITES;
+
   console.log(`\n${'='.repeat(80)}`);
   console.log(`🚀 SEQUENTIAL LOCATION SELECTOR ORCHESTRATOR`);
   console.log(`${'='.repeat(80)}`);
   console.log(`📍 Location: ${locationName}`);
   console.log(`🔍 Product: ${productName}`);
-  console.log(`📊 Websites: ${WEBSITES.length}`);
+  console.log(`📊 Websites: ${websites.length}`);
   console.log(`${'='.repeat(80)}\n`);
 
   const overallStartTime = Date.now();
   const results = [];
 
   // Run each website sequentially
-  for (let i = 0; i < WEBSITES.length; i++) {
-    const website = WEBSITES[i];
-    console.log(`\n[${i + 1}/${WEBSITES.length}] Starting ${website.name}...`);
+  for (let i = 0; i < websites.length; i++) {
+    const website = websites[i];
+    console.log(`\n[${i + 1}/${websites.length}] Starting ${website.name}...`);
     
-    // Use default product for each website if productName matches the default product pattern
-    // Otherwise use the provided productName
-    const siteProduct = productName || website.defaultProduct;
+    // Fall back to the default product when none is provided
+    const siteProduct = productName || DEFAULT_PRODUCT;
     
     const result = await runWebsiteSelector(website, locationName, siteProduct);
     results.push(result);
     
     // Add a small delay between websites to avoid overwhelming the system
-    if (i < WEBSITES.length - 1) {
+    if (i < websites.length - 1) {
       console.log(`\n⏳ Waiting 2 seconds before next website...\n`);
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
@@ -162,7 +142,7 @@ export async function runAllSelectors(locationName, productName) {
   });
   
   console.log(`\n${'='.repeat(80)}`);
-  console.log(`Success: ${successCount}/${WEBSITES.length} websites`);
+  console.log(`Success: ${successCount}/${websites.length} websites`);
   console.log(`Total Products Extracted: ${totalProducts}`);
   console.log(`${'='.repeat(80)}\n`);
 
@@ -171,7 +151,7 @@ export async function runAllSelectors(locationName, productName) {
     product: productName,
     totalDuration: overallDuration,
     successCount: successCount,
-    totalWebsites: WEBSITES.length,
+    totalWebsites: websites.length,
     totalProducts: totalProducts,
     results: results
   };
@@ -0,0 +1,227 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseLimit } from './job-queue.js';
+import { normalizeCacheText } from './result-cache.js';
+
+/**
+ * Store Health
+ *
+ * A store whose markup changed usually still "succeeds": the parser finds no
+ * cards and the job reports zero products. Every store result is therefore
+ * scored for data quality and compared with the store's recent results:
+ *
+ *   metrics: {
+ *     productCount: number,     // Products found (average per search for batch runs)
+ *     withPrice: number,        // Share of products with a price (0-1)
+ *     withMrp: number,          // ... with an MRP
+ *     withImage: number,        // ... with an image URL
+ *     withUrl: number,          // ... with a product URL
+ *     duplicateRatio: number    // Share of products listed twice in one search (same name and price)
+ *   }
+ *   score: 0-100                // Field coverage (price 40%, URL 25%, image 20%, MRP 15%)
+ *                               // less duplicates; 0 without products
+ *
+ * The baseline is the median of the store's last HEALTH_BASELINE_RUNS scores
+ * and metrics. A result scoring HEALTH_DROP_RATIO below the baseline score, or
+ * finding HEALTH_DROP_RATIO fewer products than the baseline productCount, is
+ * 'degraded' (the orchestrator reports it with status 'degraded'), otherwise
+ * 'healthy'; until a store has HEALTH_MIN_RUNS results it is 'learning'.
+ * Degraded results count towards the baseline, so a lasting change (e.g. a
+ * store dropping MRPs) becomes the new normal once it makes up half the window.
+ *
+ * Record shape (one JSON line per scored result):
+ * { store, location, query, timestamp, metrics, score, baseline, status, reasons }
+ *   baseline: { score, runs, metrics } | null
+ *   reasons:  ["productCount 40 -> 1", ...]   // Score and metrics that dropped, for degraded results
+ *
+ * Configuration (environment):
+ *   STORE_HEALTH_FILE    - JSONL file (default data/store-health.jsonl)
+ *   HEALTH_BASELINE_RUNS - results the baseline is taken from (default 20)
+ *   HEALTH_MIN_RUNS      - results needed before a store is judged (default 3)
+ *   HEALTH_DROP_RATIO    - drop below the baseline score or product count that is degraded (default 0.5)
+ *   HEALTH_HISTORY_LIMIT - records kept in memory per store (default 200)
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_HEALTH_FILE = join(__dirname, 'data', 'store-health.jsonl');
+
+// Weight of each field in the score
+const FIELD_WEIGHTS = { withPrice: 0.4, withUrl: 0.25, withImage: 0.2, withMrp: 0.15 };
+
+const round = value => Math.round(value * 100) / 100;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function parseRatio(value, fallback) {
+  const ratio = parseFloat(value);
+  return Number.isFinite(ratio) && ratio > 0 && ratio < 1 ? ratio : fallback;
+}
+
+/**
+ * Data quality metrics of a validated store result ({ products } or { searches })
+ */
+function measureResult(result) {
+  const lists = Array.isArray(result?.searches)
+    ? result.searches.map(search => search.products || [])
+    : [result?.products || []];
+  const products = lists.flat();
+  const share = test => (products.length > 0 ? round(products.filter(test).length / products.length) : 0);
+  const duplicates = lists.reduce((sum, list) => {
+    const keys = list.map(product => `${normalizeCacheText(product.name)}|${product.price}`);
+    return sum + keys.length - new Set(keys).size;
+  }, 0);
+
+  return {
+    productCount: lists.length > 0 ? round(products.length / lists.length) : 0,
+    withPrice: share(product => typeof product.price === 'number' && product.price > 0),
+    withMrp: share(product => typeof product.mrp === 'number' && product.mrp > 0),
+    withImage: share(product => Boolean(product.imageUrl)),
+    withUrl: share(product => Boolean(product.productUrl)),
+    duplicateRatio: products.length > 0 ? round(duplicates / products.length) : 0
+  };
+}
+
+/**
+ * 0-100 quality score of a result's metrics
+ */
+function scoreMetrics(metrics) {
+  if (metrics.productCount === 0) return 0;
+  const coverage = Object.entries(FIELD_WEIGHTS).reduce((sum, [field, weight]) => sum + weight * metrics[field], 0);
+  return Math.round(100 * coverage * (1 - metrics.duplicateRatio));
+}
+
+class StoreHealth {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSONL file to keep records in (null keeps them in memory only)
+   * @param {number} options.baselineRuns - Results the baseline is taken from
+   * @param {number} options.minRuns - Results needed before a store is judged
+   * @param {number} options.dropRatio - Drop below the baseline score or product count that is degraded
+   * @param {number} options.historyLimit - Records kept in memory per store
+   */
+  constructor({
+    filePath = process.env.STORE_HEALTH_FILE || DEFAULT_HEALTH_FILE,
+    baselineRuns = parseLimit(process.env.HEALTH_BASELINE_RUNS, 20),
+    minRuns = parseLimit(process.env.HEALTH_MIN_RUNS, 3),
+    dropRatio = parseRatio(process.env.HEALTH_DROP_RATIO, 0.5),
+    historyLimit = parseLimit(process.env.HEALTH_HISTORY_LIMIT, 200)
+  } = {}) {
+    this.filePath = filePath;
+    this.baselineRuns = baselineRuns;
+    this.minRuns = minRuns;
+    this.dropRatio = dropRatio;
+    this.historyLimit = Math.max(historyLimit, baselineRuns);
+    // Store id -> records, oldest first
+    this.records = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !existsSync(this.filePath)) return;
+    for (const line of readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.remember(JSON.parse(line));
+      } catch (error) {
+        // Skip a line truncated by a crash mid-write
+      }
+    }
+  }
+
+  remember(record) {
+    if (!this.records.has(record.store)) this.records.set(record.store, []);
+    const records = this.records.get(record.store);
+    records.push(record);
+    if (records.length > this.historyLimit) records.splice(0, records.length - this.historyLimit);
+  }
+
+  /**
+   * Median score and metrics of a store's last results
+   * @returns {{ score, runs, metrics }|null} - null before the store has HEALTH_MIN_RUNS results
+   */
+  baseline(store) {
+    const recent = (this.records.get(store) || []).slice(-this.baselineRuns);
+    if (recent.length < this.minRuns) return null;
+    const metrics = Object.fromEntries(Object.keys(recent[0].metrics)
+      .map(key => [key, round(median(recent.map(record => record.metrics[key])))]));
+    return { score: median(recent.map(record => record.score)), runs: recent.length, metrics };
+  }
+
+  /**
+   * Score a store result against the store's baseline and keep the record
+   * @param {string} store - Store id
+   * @param {Object} result - Validated store result ({ products } or { searches })
+   * @param {Object} run - { location, query }
+   * @returns {Object} - The record (see module header)
+   */
+  record(store, result, { location = null, query = null } = {}) {
+    const metrics = measureResult(result);
+    const score = scoreMetrics(metrics);
+    const baseline = this.baseline(store);
+
+    let status = 'learning';
+    const reasons = [];
+    if (baseline) {
+      const scoreDropped = score < baseline.score * (1 - this.dropRatio);
+      const countDropped = metrics.productCount < baseline.metrics.productCount * (1 - this.dropRatio);
+      status = scoreDropped || countDropped ? 'degraded' : 'healthy';
+      if (status === 'degraded') {
+        if (scoreDropped) reasons.push(`score ${baseline.score} -> ${score}`);
+        for (const [key, value] of Object.entries(metrics)) {
+          const expected = baseline.metrics[key];
+          const dropped = key === 'duplicateRatio' ? value > expected + this.dropRatio / 2 : value < expected * (1 - this.dropRatio);
+          if (dropped) reasons.push(`${key} ${expected} -> ${value}`);
+        }
+      }
+    }
+
+    const record = { store, location, query, timestamp: new Date().toISOString(), metrics, score, baseline, status, reasons };
+    this.remember(record);
+    if (this.filePath) {
+      try {
+        mkdirSync(dirname(this.filePath), { recursive: true });
+        appendFileSync(this.filePath, `${JSON.stringify(record)}\n`, 'utf8');
+      } catch (error) {
+        // Health problems must not fail the scrape that was scored
+        console.error(`⚠️  Failed to record store health: ${error.message}`);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Latest status and recent records of each store, newest first
+   * @param {Object} filters
+   * @param {string[]} filters.stores - Store ids to list (default every store with records);
+   *   stores without records are listed with status null
+   * @param {number} filters.limit - Records listed per store
+   * @returns {Array<{ store, status, score, baseline, lastCheckedAt, runs, degradedRuns, history }>}
+   */
+  summary({ stores = null, limit = 50 } = {}) {
+    return (stores || [...this.records.keys()].sort()).map(id => {
+      const records = this.records.get(id) || [];
+      const latest = records[records.length - 1] || null;
+      const window = records.slice(-this.baselineRuns);
+      return {
+        store: id,
+        status: latest?.status || null,
+        score: latest?.score ?? null,
+        baseline: this.baseline(id),
+        lastCheckedAt: latest?.timestamp || null,
+        runs: window.length,
+        degradedRuns: window.filter(record => record.status === 'degraded').length,
+        history: records.slice(-limit).reverse()
+      };
+    });
+  }
+}
+
+// Process-wide health records shared by every orchestrator run in this process
+const storeHealth = new StoreHealth();
+
+export { StoreHealth, storeHealth, measureResult, scoreMetrics };
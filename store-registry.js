@@ -0,0 +1,180 @@
+import { readdirSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Store Adapter Registry
+ *
+ * Single source of truth for the e-commerce stores supported by the scraper.
+ * The orchestrator, every API server and the frontends read their site lists
+ * from here, so adding a store means dropping one module into ./stores.
+ *
+ * Each module in ./stores default-exports an adapter:
+ * {
+ *   id: string,                        // Canonical identifier (e.g. 'dmart')
+ *   aliases: string[],                 // Alternate spellings accepted from users
+ *   displayName: string,               // Name shown to users (e.g. 'D-Mart')
+ *   engine: 'playwright' | 'selenium', // Browser automation engine
+ *   phase: number,                     // Same phase runs in parallel, phases run in order
+ *   capabilities: object,              // Feature flags (productUrls, imageUrls, ...)
+ *   maxConcurrency?: number,           // Optional cap on parallel browsers for this store
+ *   timeoutMs?: number,                // Optional time budget per search (see STORE_TIMEOUT_MS)
+ *   retry?: object,                    // Optional retry policy overrides (see retry-policy.js)
+ *   cacheTtlMs?: number,               // Optional result cache TTL (see result-cache.js)
+ *   search(location, product, options) // Returns { location, products, ... }
+ * }
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const STORES_DIR = join(__dirname, 'stores');
+
+const ENGINES = ['playwright', 'selenium'];
+
+// Registered adapters keyed by id, plus a lookup of every accepted name
+const adapters = new Map();
+const lookup = new Map();
+
+/**
+ * Normalize a store name for lookups ("Nature's Basket" -> "naturesbasket")
+ */
+function normalizeStoreKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Register a store adapter
+ */
+function registerStore(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+    throw new Error('Store adapter must have a string "id"');
+  }
+  if (typeof adapter.search !== 'function') {
+    throw new Error(`Store adapter "${adapter.id}" must implement search(location, product, options)`);
+  }
+  if (!ENGINES.includes(adapter.engine)) {
+    throw new Error(`Store adapter "${adapter.id}" has unsupported engine: ${adapter.engine}. Supported engines: ${ENGINES.join(', ')}`);
+  }
+  if (adapters.has(adapter.id)) {
+    throw new Error(`Store adapter "${adapter.id}" is already registered`);
+  }
+
+  const store = {
+    aliases: [],
+    displayName: adapter.id,
+    phase: 1,
+    capabilities: {},
+    ...adapter
+  };
+
+  for (const name of [store.id, store.displayName, ...store.aliases]) {
+    const key = normalizeStoreKey(name);
+    const existing = lookup.get(key);
+    if (existing && existing !== store.id) {
+      throw new Error(`Store name "${name}" is claimed by both "${existing}" and "${store.id}"`);
+    }
+    lookup.set(key, store.id);
+  }
+
+  adapters.set(store.id, store);
+  return store;
+}
+
+/**
+ * Find a store by id, alias or display name - returns null when unknown
+ */
+function resolveStore(name) {
+  if (!name) return null;
+  const id = lookup.get(normalizeStoreKey(name));
+  return id ? adapters.get(id) : null;
+}
+
+/**
+ * Find a store by id, alias or display name - throws when unknown
+ */
+function getStore(name) {
+  const store = resolveStore(name);
+  if (!store) {
+    throw new Error(`Unsupported website: ${name}. Supported websites: ${getStoreIds().join(', ')}`);
+  }
+  return store;
+}
+
+/**
+ * All registered stores, ordered by phase and then id
+ */
+function listStores() {
+  return [...adapters.values()].sort((a, b) => a.phase - b.phase || a.id.localeCompare(b.id));
+}
+
+function getStoreIds() {
+  return listStores().map(store => store.id);
+}
+
+/**
+ * Display name for a store id/alias, falling back to the given name
+ */
+function getDisplayName(name) {
+  return resolveStore(name)?.displayName || name;
+}
+
+/**
+ * JSON-safe description of a store for API responses
+ */
+function describeStore(store) {
+  return {
+    id: store.id,
+    name: store.displayName,
+    displayName: store.displayName,
+    aliases: store.aliases,
+    engine: store.engine,
+    phase: store.phase,
+    capabilities: store.capabilities
+  };
+}
+
+/**
+ * Parse a store selection - "zepto,swiggy" or ['zepto', 'swiggy'], ids,
+ * aliases or display names - into canonical ids in registry order
+ * @returns {{ ids: string[]|null, unknown: string[] }} - ids is null when nothing
+ *   was selected (run every store); unknown lists names not in the registry
+ */
+function parseStoreSelection(value) {
+  const names = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (names.length === 0) {
+    return { ids: null, unknown: [] };
+  }
+
+  const selected = new Set();
+  const unknown = [];
+  for (const name of names) {
+    const store = resolveStore(name);
+    if (store) {
+      selected.add(store.id);
+    } else {
+      unknown.push(name);
+    }
+  }
+  return { ids: getStoreIds().filter(id => selected.has(id)), unknown };
+}
+
+// Load every adapter module in ./stores
+const adapterFiles = readdirSync(STORES_DIR).filter(file => file.endsWith('.js')).sort();
+for (const file of adapterFiles) {
+  const module = await import(pathToFileURL(join(STORES_DIR, file)).href);
+  registerStore(module.default);
+}
+
+export {
+  registerStore,
+  resolveStore,
+  getStore,
+  listStores,
+  getStoreIds,
+  getDisplayName,
+  describeStore,
+  parseStoreSelection,
+  normalizeStoreKey
+};
@@ -0,0 +1,65 @@
+/**
+ * Store Base URLs
+ *
+ * Where the browser flows open each store. By default the live sites; point
+ * them at the local mock storefronts (mock-store-server.js) to run the flows
+ * offline, e.g. in CI:
+ *
+ *   npm run mock-stores &
+ *   MOCK_STORES_HOST=localhost node location-router.js dmart potato Mumbai
+ *
+ * The mock serves every store from its own port with the live site's paths.
+ * Product and image links in the results are built from storeBaseUrl() too,
+ * so a mock run links to the mock rather than the live sites.
+ *
+ * Configuration (environment), read on every call:
+ *   DMART_BASE_URL, JIOMART_BASE_URL, NATURESBASKET_BASE_URL, ZEPTO_BASE_URL,
+ *   SWIGGY_BASE_URL   - one store's base URL (e.g. http://localhost:3901)
+ *   MOCK_STORES_HOST  - open the other stores on mock-store-server.js at this host
+ *   MOCK_STORES_PORT  - first mock port (default 3901; stores follow in MOCK_STORE_IDS order)
+ */
+
+const LIVE_BASE_URLS = {
+  dmart: 'https://www.dmart.in',
+  jiomart: 'https://www.jiomart.com',
+  naturesbasket: 'https://www.naturesbasket.co.in',
+  zepto: 'https://www.zepto.com',
+  swiggy: 'https://www.swiggy.com'
+};
+
+// Stores the mock serves, one port each from MOCK_STORES_PORT on
+const MOCK_STORE_IDS = Object.keys(LIVE_BASE_URLS);
+
+/**
+ * Port of a store's mock storefront
+ */
+function mockStorePort(storeId) {
+  const index = MOCK_STORE_IDS.indexOf(storeId);
+  if (index === -1) {
+    throw new Error(`No mock storefront for store "${storeId}" (available: ${MOCK_STORE_IDS.join(', ')})`);
+  }
+  return parseInt(process.env.MOCK_STORES_PORT || '3901', 10) + index;
+}
+
+/**
+ * Base URL the browser flows open a store at (no trailing slash)
+ * @throws {Error} - For a store without a base URL
+ */
+function storeBaseUrl(storeId) {
+  if (!LIVE_BASE_URLS[storeId]) {
+    throw new Error(`No base URL for store "${storeId}" (available: ${MOCK_STORE_IDS.join(', ')})`);
+  }
+  const configured = process.env[`${storeId.toUpperCase()}_BASE_URL`];
+  if (configured) return configured.replace(/\/+$/, '');
+  if (process.env.MOCK_STORES_HOST) return `http://${process.env.MOCK_STORES_HOST}:${mockStorePort(storeId)}`;
+  return LIVE_BASE_URLS[storeId];
+}
+
+/**
+ * URL of a page of a store, e.g. storeUrl('dmart', '/search?searchTerm=potato')
+ */
+function storeUrl(storeId, path = '') {
+  return `${storeBaseUrl(storeId)}${path}`;
+}
+
+export { LIVE_BASE_URLS, MOCK_STORE_IDS, mockStorePort, storeBaseUrl, storeUrl };
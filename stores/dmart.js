@@ -0,0 +1,21 @@
+/**
+ * D-Mart store adapter (Playwright)
+ */
+export default {
+  id: 'dmart',
+  aliases: ['d-mart', 'dmart ready'],
+  displayName: 'D-Mart',
+  engine: 'playwright',
+  phase: 1,
+  capabilities: {
+    locationSelection: true,
+    productUrls: true,
+    imageUrls: true,
+    stockStatus: true
+  },
+
+  async search(location, product, options = {}) {
+    const { selectLocationAndSearchOnDmart } = await import('../dmart-location-selector.js');
+    return selectLocationAndSearchOnDmart(location, product, options);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * JioMart store adapter (Selenium)
+ */
+export default {
+  id: 'jiomart',
+  aliases: ['jeomart', 'jio mart'],
+  displayName: 'JioMart',
+  engine: 'selenium',
+  phase: 1,
+  capabilities: {
+    locationSelection: true,
+    productUrls: true,
+    imageUrls: true,
+    stockStatus: true
+  },
+
+  async search(location, product, options = {}) {
+    const { selectLocationOnJioMart } = await import('../jiomart-location-selector.js');
+    return selectLocationOnJioMart(location, product, options);
+  }
+};
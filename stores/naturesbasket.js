@@ -0,0 +1,21 @@
+/**
+ * Nature's Basket store adapter (Playwright)
+ */
+export default {
+  id: 'naturesbasket',
+  aliases: ['natures basket'],
+  displayName: "Nature's Basket",
+  engine: 'playwright',
+  phase: 1,
+  capabilities: {
+    locationSelection: true,
+    productUrls: true,
+    imageUrls: true,
+    stockStatus: true
+  },
+
+  async search(location, product, options = {}) {
+    const { selectLocationOnNaturesBasket } = await import('../naturesbasket-location-selector.js');
+    return selectLocationOnNaturesBasket(location, product, options);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Swiggy Instamart store adapter (Selenium)
+ * Runs in phase 2, after every phase 1 store has finished
+ */
+export default {
+  id: 'swiggy',
+  aliases: ['instamart'],
+  displayName: 'Swiggy Instamart',
+  engine: 'selenium',
+  phase: 2,
+  capabilities: {
+    locationSelection: true,
+    productUrls: true,
+    imageUrls: true,
+    stockStatus: false
+  },
+
+  async search(location, product, options = {}) {
+    const { scrapeInstamartProducts } = await import('../instamart-location-selector.js');
+    return scrapeInstamartProducts(location, product, options);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Zepto store adapter (Playwright)
+ */
+export default {
+  id: 'zepto',
+  aliases: [],
+  displayName: 'Zepto',
+  engine: 'playwright',
+  phase: 1,
+  capabilities: {
+    locationSelection: true,
+    productUrls: true,
+    imageUrls: true,
+    stockStatus: true
+  },
+
+  async search(location, product, options = {}) {
+    const { selectLocationOnZepto } = await import('../zepto-location-selector.js');
+    return selectLocationOnZepto(location, product, options);
+  }
+};
@@ -12,1323 +12,77 @@
  */
 
 import { readFileSync, readdirSync, statSync } from 'fs';
-import * as cheerio from 'cheerio';
 import * as path from 'path';
+import { extract, detectStore, detectLocation } from './extraction.js';
 
 /**
  * Detects which site the HTML is from
  */
 function detectSite(html, filename) {
-  const htmlLower = html.toLowerCase();
-  const filenameLower = filename.toLowerCase();
-  
-  if (htmlLower.includes('dmart.in') || filenameLower.includes('dmart')) {
-    return 'dmart';
-  } else if (htmlLower.includes('jiomart.com') || filenameLower.includes('jiomart')) {
-    return 'jiomart';
-  } else if (htmlLower.includes('naturesbasket.co.in') || filenameLower.includes('naturesbasket')) {
-    return 'naturesbasket';
-  } else if (htmlLower.includes('zepto.com') || filenameLower.includes('zepto')) {
-    return 'zepto';
-  } else if (htmlLower.includes('swiggy.com') || htmlLower.includes('instamart') || filenameLower.includes('swiggy')) {
-    return 'swiggy';
-  }
-  return 'unknown';
+  return detectStore(html, filename) || 'unknown';
 }
 
 /**
  * Extracts location from HTML based on site
  */
 function extractLocation($, site, filename, html) {
-  let location = null;
-  
-  // Try to extract location from filename first
-  const filenameMatch = filename.match(/(mumbai|delhi|chennai|bangalore|hyderabad|pune|kolkata|ahmedabad|rt\s*nagar|rtnagar)/i);
-  if (filenameMatch) {
-    location = filenameMatch[1].charAt(0).toUpperCase() + filenameMatch[1].slice(1).toLowerCase();
-    if (location.toLowerCase().includes('rt')) {
-      location = 'RT Nagar';
-    }
-  }
-  
-  switch (site) {
-    case 'dmart':
-      // Try multiple selectors for D-Mart location
-      location = location || $('.header_cityCntr__zUvCm').text().trim();
-      if (!location || location === 'Mumbai') {
-        // Check if there's a pincode that might indicate location
-        const pincode = $('.header_title__h8YkR').text().trim();
-        // Common pincode ranges: Mumbai (400xxx), Delhi (110xxx), Chennai (600xxx), Bangalore (560xxx)
-        if (pincode) {
-          if (pincode.startsWith('600')) location = 'Chennai';
-          else if (pincode.startsWith('560')) location = 'Bangalore';
-          else if (pincode.startsWith('110')) location = 'Delhi';
-          else if (pincode.startsWith('400')) location = 'Mumbai';
-        }
-      }
-      // Also try header_pincode class
-      if (!location) {
-        const pincodeText = $('.header_pincode__KryhE').text().trim();
-        if (pincodeText) {
-          location = pincodeText;
-        }
-      }
-      break;
-      
-    case 'jiomart':
-      // JioMart location is often in the delivery text
-      const deliveryText = $('*').text();
-      const locationMatch = deliveryText.match(/(?:delivery to|location|city)[:\s]+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i);
-      if (locationMatch) {
-        location = locationMatch[1];
-      } else {
-        location = $('[data-testid*="location"]').text().trim() ||
-                   $('.location, [class*="location"], [class*="city"]').first().text().trim() ||
-                   $('span:contains("Location")').next().text().trim();
-      }
-      break;
-      
-    case 'naturesbasket':
-      // Nature's Basket location extraction - avoid picking up "CART" or other UI elements
-      // Try to find location in header or address elements, but exclude common UI text
-      const naturesBasketLocationSelectors = [
-        '[class*="address"]',
-        '[class*="delivery"]',
-        '[class*="location"]',
-        '[class*="city"]'
-      ];
-      
-      for (const selector of naturesBasketLocationSelectors) {
-        const $elem = $(selector);
-        $elem.each((i, el) => {
-          const text = $(el).text().trim();
-          // Filter out common UI elements
-          if (text && text.length > 3 && text.length < 50 &&
-              !text.match(/^(CART|Home|Menu|Search|Sign In|Login|Register|Your cart|Select)$/i) &&
-              !text.includes('Your cart') && !text.includes('Select Location')) {
-            location = text;
-            return false; // break
-          }
-        });
-        if (location) break;
-      }
-      break;
-      
-    case 'zepto':
-      // Zepto location extraction - avoid picking up "Your cart is empty" or other UI elements
-      // Try to find location in header or address elements
-      const zeptoLocationSelectors = [
-        '[class*="address"]',
-        '[class*="delivery"]',
-        '[class*="location"]',
-        '[class*="city"]',
-        '[data-location]'
-      ];
-      
-      for (const selector of zeptoLocationSelectors) {
-        const $elem = $(selector);
-        $elem.each((i, el) => {
-          const text = $(el).text().trim();
-          // Filter out common UI elements
-          if (text && text.length > 3 && text.length < 50 &&
-              !text.match(/^(Your cart is empty|Cart|Home|Menu|Search|Sign In|Login|Register|Select)$/i) &&
-              !text.includes('Your cart is empty') && !text.includes('Select Location')) {
-            location = text;
-            return false; // break
-          }
-        });
-        if (location) break;
-      }
-      break;
-      
-    case 'swiggy':
-      // Swiggy location is stored in JSON state - most reliable method
-      try {
-        const jsonMatch = html.match(/window\.___INITIAL_STATE___\s*=\s*({.+?});/);
-        if (jsonMatch) {
-          const state = JSON.parse(jsonMatch[1]);
-          if (state.userLocation && state.userLocation.address) {
-            location = state.userLocation.address;
-          } else if (state.userLocation && state.userLocation.annotation) {
-            location = state.userLocation.annotation;
-          }
-        }
-        
-        // Also check App.userLocation
-        const appLocationMatch = html.match(/userLocation:\s*({[^}]+})/);
-        if (appLocationMatch && !location) {
-          try {
-            const locationObj = JSON.parse(appLocationMatch[1]);
-            if (locationObj.address) {
-              location = locationObj.address;
-            } else if (locationObj.annotation) {
-              location = locationObj.annotation;
-            }
-          } catch (e) {
-            // Try eval as fallback (less safe but sometimes needed)
-            try {
-              const locationObj = eval('(' + appLocationMatch[1] + ')');
-              if (locationObj.address) {
-                location = locationObj.address;
-              } else if (locationObj.annotation) {
-                location = locationObj.annotation;
-              }
-            } catch (e2) {
-              // Continue to DOM extraction
-            }
-          }
-        }
-      } catch (e) {
-        // JSON extraction failed, try DOM
-      }
-      
-      // Fallback: Try DOM selectors
-      if (!location) {
-        const swiggyLocationSelectors = [
-          '[class*="location"]',
-          '[class*="address"]',
-          '[class*="area"]',
-          '[data-testid*="location"]',
-          '[aria-label*="location"]',
-          '[aria-label*="address"]'
-        ];
-        
-        for (const selector of swiggyLocationSelectors) {
-          const $elem = $(selector).first();
-          if ($elem.length > 0) {
-            const text = $elem.text().trim();
-            if (text && text.length > 3 && text.length < 100 &&
-                !text.match(/^(Search for an area or address|Select Location|Home|Cart|Menu)$/i)) {
-              location = text;
-              break;
-            }
-          }
-        }
-      }
-      break;
-  }
-  
-  return location || 'Unknown';
+  return detectLocation(html ?? $.html(), site, filename) || 'Unknown';
 }
 
 /**
  * Extracts products from D-Mart HTML
  */
 function extractDmartProducts($) {
-  const products = [];
-  
-  $('.vertical-card_card-vertical__Q8seS').each((index, element) => {
-    const $card = $(element);
-    
-    // Extract product name
-    const productName = $card.find('.vertical-card_title__pMGg9').text().trim();
-    if (!productName) return;
-    
-    // Extract prices
-    let mrp = null;
-    let dmartPrice = null;
-    let discount = null;
-    
-    $card.find('.vertical-card_price-container__tPCU9').each((i, priceEl) => {
-      const $priceEl = $(priceEl);
-      const label = $priceEl.find('.vertical-card_label__OOtAc').text().trim();
-      const priceText = $priceEl.find('.vertical-card_amount__80Zwk').text().trim();
-      const priceValue = parseFloat(priceText);
-      
-      if (label === 'MRP' && !isNaN(priceValue)) {
-        mrp = priceValue;
-      } else if (label === 'DMart' && !isNaN(priceValue)) {
-        dmartPrice = priceValue;
-      } else if (label === 'OFF' && !isNaN(priceValue)) {
-        discount = priceValue;
-      }
-    });
-    
-    const isOutOfStock = $card.hasClass('vertical-card_no-stock__3G_E0') || 
-                        $card.find('.vertical-card_info___ZmV_').text().includes('Out of Stock');
-    
-    // Extract image URL - try multiple strategies for D-Mart
-    let imageUrl = null;
-    
-    // Strategy 1: Look for image in product image container (common D-Mart structure)
-    const $imageContainer = $card.find('[class*="image"], [class*="img"], [class*="product-image"], [class*="thumbnail"]').first();
-    if ($imageContainer.length > 0) {
-      const $img = $imageContainer.find('img').first();
-      if ($img.length > 0) {
-        imageUrl = $img.attr('src') || 
-                   $img.attr('data-src') || 
-                   $img.attr('data-lazy-src') || 
-                   $img.attr('data-original') ||
-                   $img.attr('data-image') ||
-                   $img.attr('data-img') ||
-                   $img.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-      }
-    }
-    
-    // Strategy 2: Find img tag anywhere in card (if not found in container)
-    if (!imageUrl) {
-      // Try to find img with actual src first
-      let $img = $card.find('img[src]').not('img[alt*="logo"], img[alt*="icon"], img[src*="logo"], img[src*="icon"], img[src^="data:image/svg"]').first();
-      if ($img.length === 0 || !$img.attr('src') || $img.attr('src').trim() === '') {
-        // Fallback to any img tag
-        $img = $card.find('img').not('img[alt*="logo"], img[alt*="icon"], img[src*="logo"], img[src*="icon"]').first();
-      }
-      if ($img.length > 0) {
-        // Prioritize src over data attributes
-        imageUrl = $img.attr('src') || 
-                   $img.attr('data-src') || 
-                   $img.attr('data-lazy-src') || 
-                   $img.attr('data-original') ||
-                   $img.attr('data-image') ||
-                   $img.attr('data-img') ||
-                   $img.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-      }
-    }
-    
-    // Strategy 3: Look for picture element (Next.js Image component)
-    if (!imageUrl) {
-      const $picture = $card.find('picture').first();
-      if ($picture.length > 0) {
-        const $source = $picture.find('source').first();
-        if ($source.length > 0) {
-          imageUrl = $source.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-        }
-        if (!imageUrl) {
-          const $img = $picture.find('img').first();
-          if ($img.length > 0) {
-            imageUrl = $img.attr('src') || $img.attr('data-src');
-          }
-        }
-      }
-    }
-    
-    // Strategy 4: Look for Next.js optimized images
-    if (!imageUrl) {
-      const $nextImg = $card.find('img[src*="dmart"], img[data-src*="dmart"], img[src*="cdn"], img[data-src*="cdn"], img[src*="vercel"], img[data-src*="vercel"]').first();
-      if ($nextImg.length > 0) {
-        imageUrl = $nextImg.attr('src') || $nextImg.attr('data-src') || $nextImg.attr('data-lazy-src');
-      }
-    }
-    
-    // Strategy 5: Look for background image in style attribute
-    if (!imageUrl) {
-      const bgImageMatch = $card.attr('style')?.match(/url\(['"]?([^'")]+)['"]?\)/);
-      if (bgImageMatch) {
-        imageUrl = bgImageMatch[1];
-      }
-    }
-    
-    // Strategy 6: Look in child elements with background images
-    if (!imageUrl) {
-      $card.find('[style*="background-image"], [style*="backgroundImage"], [class*="image"]').each((i, el) => {
-        const style = $(el).attr('style') || '';
-        const bgMatch = style.match(/url\(['"]?([^'")]+)['"]?\)/);
-        if (bgMatch && !imageUrl) {
-          imageUrl = bgMatch[1];
-          return false; // break
-        }
-      });
-    }
-    
-    // Convert relative URLs to absolute
-    if (imageUrl && !imageUrl.startsWith('http')) {
-      if (imageUrl.startsWith('//')) {
-        imageUrl = 'https:' + imageUrl;
-      } else if (imageUrl.startsWith('/')) {
-        imageUrl = 'https://www.dmart.in' + imageUrl;
-      } else if (!imageUrl.includes('://')) {
-        imageUrl = 'https://www.dmart.in/' + imageUrl;
-      }
-    }
-    
-    // Clean up image URL (remove query params that might break it, but keep important ones)
-    if (imageUrl) {
-      // Remove common tracking params but keep image-specific ones
-      imageUrl = imageUrl.split('?')[0] + (imageUrl.includes('?') ? '?' + imageUrl.split('?')[1].split('&').filter(p => 
-        p.startsWith('w=') || p.startsWith('h=') || p.startsWith('q=') || p.startsWith('fit=')
-      ).join('&') : '');
-    }
-    
-    products.push({
-      name: productName,
-      mrp: mrp,
-      price: dmartPrice,
-      discount: discount,
-      discountAmount: mrp && dmartPrice ? mrp - dmartPrice : null,
-      isOutOfStock: isOutOfStock,
-      imageUrl: imageUrl
-    });
-  });
-  
-  return products;
+  return extract($.html(), 'dmart').products;
 }
 
 /**
  * Extracts products from JioMart HTML
  */
 function extractJioMartProducts($) {
-  const products = [];
-  
-  // Common navigation/menu items to exclude
-  const excludeTexts = ['Home', 'Shop By Category', 'My Orders', 'My List', 'Wishlist', 'Cart', 
-                        'Sign In', 'Register', 'Login', 'Search', 'Menu', 'Categories'];
-  
-  // Try to find product cards - JioMart might use different structures
-  // Look for elements that contain both product name and price
-  $('div, article, section, li').each((index, element) => {
-    const $elem = $(element);
-    const text = $elem.text().trim();
-    
-    // Skip if it's too short or matches excluded navigation items
-    if (text.length < 10 || excludeTexts.some(exclude => text === exclude || text.startsWith(exclude))) {
-      return;
-    }
-    
-    // Look for price indicators (₹ symbol or price patterns)
-    const hasPrice = $elem.find('*').text().match(/₹\s*\d+|\d+\s*₹|price|MRP|Rs\./i);
-    if (!hasPrice) return;
-    
-    // Try to extract product name
-    const productName = $elem.find('h1, h2, h3, h4, h5, h6, [class*="title"], [class*="name"]').first().text().trim() ||
-                        $elem.find('a[href*="/p/"], a[href*="product"]').text().trim() ||
-                        $elem.text().split('\n')[0].trim();
-    
-    if (!productName || productName.length < 3 || excludeTexts.includes(productName)) return;
-    
-    // Extract prices
-    let mrp = null;
-    let price = null;
-    const priceText = $elem.text();
-    const priceMatches = priceText.match(/₹\s*(\d+(?:\.\d+)?)/g);
-    
-    if (priceMatches && priceMatches.length > 0) {
-      const prices = priceMatches.map(m => parseFloat(m.replace(/[₹\s]/g, ''))).filter(p => !isNaN(p) && p > 0);
-      if (prices.length > 0) {
-        // Usually the first price is MRP if there's a strikethrough, otherwise it's the selling price
-        const hasStrike = $elem.find('s, del, [style*="line-through"], [class*="strike"]').length > 0;
-        if (hasStrike && prices.length > 1) {
-          mrp = prices[0];
-          price = prices[1];
-        } else {
-          price = prices[0];
-          if (prices.length > 1) mrp = prices[1];
-        }
-      }
-    }
-    
-    // Calculate discount
-    let discount = null;
-    if (mrp && price) {
-      discount = mrp - price;
-    }
-    
-    // Extract image URL - try multiple strategies for JioMart
-    let imageUrl = null;
-    
-    // Strategy 1: Look for image in product image container (common JioMart structure)
-    const $imageContainer = $elem.find('[class*="image"], [class*="img"], [class*="product-image"], [class*="product-img"], [class*="item-image"], [class*="thumbnail"]').first();
-    if ($imageContainer.length > 0) {
-      const $img = $imageContainer.find('img').not('img[alt*="logo"], img[alt*="icon"]').first();
-      if ($img.length > 0) {
-        imageUrl = $img.attr('src') || 
-                   $img.attr('data-src') || 
-                   $img.attr('data-lazy-src') || 
-                   $img.attr('data-original') ||
-                   $img.attr('data-image') ||
-                   $img.attr('data-img') ||
-                   $img.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-      }
-    }
-    
-    // Strategy 2: Find img tag in element (exclude logos/icons)
-    if (!imageUrl) {
-      const $img = $elem.find('img').not('img[alt*="logo"], img[alt*="icon"], img[src*="logo"], img[src*="icon"], img[width="1"], img[height="1"]').first();
-      if ($img.length > 0) {
-        imageUrl = $img.attr('src') || 
-                   $img.attr('data-src') || 
-                   $img.attr('data-lazy-src') || 
-                   $img.attr('data-original') ||
-                   $img.attr('data-image') ||
-                   $img.attr('data-img') ||
-                   $img.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-      }
-    }
-    
-    // Strategy 3: Look for product image with alt matching product name
-    if (!imageUrl && productName) {
-      const $productImg = $elem.find('img[alt*="' + productName.substring(0, 15) + '"]').first();
-      if ($productImg.length > 0) {
-        imageUrl = $productImg.attr('src') || $productImg.attr('data-src') || $productImg.attr('data-lazy-src');
-      }
-    }
-    
-    // Strategy 4: Look for picture element (Next.js Image component)
-    if (!imageUrl) {
-      const $picture = $elem.find('picture').first();
-      if ($picture.length > 0) {
-        const $source = $picture.find('source').first();
-        if ($source.length > 0) {
-          imageUrl = $source.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-        }
-        if (!imageUrl) {
-          const $img = $picture.find('img').first();
-          if ($img.length > 0) {
-            imageUrl = $img.attr('src') || $img.attr('data-src');
-          }
-        }
-      }
-    }
-    
-    // Strategy 5: Look for Next.js optimized images
-    if (!imageUrl) {
-      const $nextImg = $elem.find('img[src*="jiomart"], img[data-src*="jiomart"], img[src*="cdn"], img[data-src*="cdn"], img[src*="vercel"], img[data-src*="vercel"]').first();
-      if ($nextImg.length > 0) {
-        imageUrl = $nextImg.attr('src') || $nextImg.attr('data-src') || $nextImg.attr('data-lazy-src');
-      }
-    }
-    
-    // Strategy 6: Look for background image
-    if (!imageUrl) {
-      const bgImageMatch = $elem.attr('style')?.match(/url\(['"]?([^'")]+)['"]?\)/);
-      if (bgImageMatch) {
-        imageUrl = bgImageMatch[1];
-      }
-    }
-    
-    // Strategy 7: Look in child elements with background images
-    if (!imageUrl) {
-      $elem.find('[style*="background-image"], [style*="backgroundImage"], [class*="image"]').each((i, el) => {
-        const style = $(el).attr('style') || '';
-        const bgMatch = style.match(/url\(['"]?([^'")]+)['"]?\)/);
-        if (bgMatch && !imageUrl) {
-          imageUrl = bgMatch[1];
-          return false; // break
-        }
-      });
-    }
-    
-    // Convert relative URLs to absolute
-    if (imageUrl && !imageUrl.startsWith('http')) {
-      if (imageUrl.startsWith('//')) {
-        imageUrl = 'https:' + imageUrl;
-      } else if (imageUrl.startsWith('/')) {
-        imageUrl = 'https://www.jiomart.com' + imageUrl;
-      } else if (!imageUrl.includes('://')) {
-        imageUrl = 'https://www.jiomart.com/' + imageUrl;
-      }
-    }
-    
-    // Clean up image URL
-    if (imageUrl) {
-      imageUrl = imageUrl.split('?')[0] + (imageUrl.includes('?') ? '?' + imageUrl.split('?')[1].split('&').filter(p => 
-        p.startsWith('w=') || p.startsWith('h=') || p.startsWith('q=') || p.startsWith('fit=')
-      ).join('&') : '');
-    }
-    
-    // Only add if we have at least a product name and price
-    if (productName && price) {
-      products.push({
-        name: productName,
-        mrp: mrp,
-        price: price,
-        discount: discount,
-        discountAmount: discount,
-        isOutOfStock: $elem.find('[class*="out"], [class*="stock"], [class*="unavailable"]').length > 0,
-        imageUrl: imageUrl
-      });
-    }
-  });
-  
-  // Remove duplicates based on product name
-  const uniqueProducts = [];
-  const seenNames = new Set();
-  for (const product of products) {
-    const normalizedName = product.name.toLowerCase().trim();
-    if (!seenNames.has(normalizedName) && product.name.length > 3) {
-      seenNames.add(normalizedName);
-      uniqueProducts.push(product);
-    }
-  }
-  
-  return uniqueProducts;
+  return extract($.html(), 'jiomart').products;
 }
 
 /**
  * Extracts products from Nature's Basket HTML
  */
 function extractNaturesBasketProducts($) {
-  const products = [];
-  
-  // Nature's Basket uses product links with h3 tags inside
-  // Structure: <a href="/product-detail/..."><h3>Product Name</h3></a>
-  $('a[href*="/product-detail/"]').each((index, element) => {
-    const $link = $(element);
-    
-    // Extract product name from h3 tag inside the link
-    const productName = $link.find('h3').first().text().trim() || 
-                       $link.text().trim();
-    
-    if (!productName || productName.length < 3) return;
-    
-    // Find the parent container that likely contains price information
-    const $container = $link.closest('div, article, section, li');
-    
-    // Extract prices from the container
-    let mrp = null;
-    let price = null;
-    const containerText = $container.text();
-    const priceMatches = containerText.match(/₹\s*(\d+(?:\.\d+)?)/g);
-    
-    if (priceMatches && priceMatches.length > 0) {
-      const prices = priceMatches.map(m => parseFloat(m.replace(/[₹\s]/g, ''))).filter(p => !isNaN(p) && p > 0);
-      if (prices.length > 0) {
-        // Check for strikethrough (MRP) vs regular price
-        const hasStrike = $container.find('s, del, [style*="line-through"], [style*="text-decoration: line-through"], [class*="strike"], [class*="line-through"]').length > 0;
-        if (hasStrike && prices.length > 1) {
-          // First price with strike is MRP, second is selling price
-          mrp = prices[0];
-          price = prices[1];
-        } else if (prices.length > 1) {
-          // If multiple prices, assume first is MRP, second is selling price
-          mrp = prices[0];
-          price = prices[1];
-        } else {
-          // Single price - assume it's the selling price
-          price = prices[0];
-        }
-      }
-    }
-    
-    // Check for out of stock - look for specific indicators, but be more careful
-    // Don't mark as out of stock unless there's clear evidence
-    const containerTextLower = containerText.toLowerCase();
-    const isOutOfStock = $container.find('[class*="out-of-stock"], [class*="out_of_stock"], [class*="unavailable"], [class*="no-stock"]').length > 0 ||
-                        (containerTextLower.match(/out of stock|currently unavailable|not available|sold out/i) !== null &&
-                         !containerTextLower.match(/in stock|available/i));
-    
-    // Extract image URL - try multiple strategies for Nature's Basket
-    let imageUrl = null;
-    
-    // Strategy 1: Find img tag in container or link - prioritize src attribute
-    let $img = $container.find('img[src]').not('img[src^="data:image/svg"]').first();
-    if ($img.length === 0 || !$img.attr('src') || $img.attr('src').trim() === '') {
-      $img = $container.find('img').first();
-    }
-    if ($img.length === 0) {
-      // Try finding in the link itself - prioritize src
-      let $linkImg = $link.find('img[src]').not('img[src^="data:image/svg"]').first();
-      if ($linkImg.length === 0 || !$linkImg.attr('src') || $linkImg.attr('src').trim() === '') {
-        $linkImg = $link.find('img').first();
-      }
-      if ($linkImg.length > 0) {
-        imageUrl = $linkImg.attr('src') || $linkImg.attr('data-src') || $linkImg.attr('data-lazy-src');
-      }
-    } else {
-      // Prioritize src over data attributes
-      imageUrl = $img.attr('src') || 
-                 $img.attr('data-src') || 
-                 $img.attr('data-lazy-src') || 
-                 $img.attr('data-original') ||
-                 $img.attr('data-image') ||
-                 $img.attr('srcset')?.split(',')[0]?.trim().split(' ')[0];
-    }
-    
-    // Strategy 2: Look for product image in link
-    if (!imageUrl) {
-      const $productImg = $link.find('img[src*="product"], img[data-src*="product"]').first();
-      if ($productImg.length > 0) {
-        imageUrl = $productImg.attr('src') || $productImg.attr('data-src');
-      }
-    }
-    
-    // Strategy 3: Look for background image
-    if (!imageUrl) {
-      const bgImageMatch = $container.attr('style')?.match(/url\(['"]?([^'")]+)['"]?\)/);
-      if (bgImageMatch) {
-        imageUrl = bgImageMatch[1];
-      }
-    }
-    
-    // Strategy 4: Look in child elements
-    if (!imageUrl) {
-      $container.find('[style*="background-image"], [class*="image"]').each((i, el) => {
-        const style = $(el).attr('style') || '';
-        const bgMatch = style.match(/url\(['"]?([^'")]+)['"]?\)/);
-        if (bgMatch && !imageUrl) {
-          imageUrl = bgMatch[1];
-          return false;
-        }
-      });
-    }
-    
-    // Convert relative URLs to absolute
-    if (imageUrl && !imageUrl.startsWith('http')) {
-      if (imageUrl.startsWith('//')) {
-        imageUrl = 'https:' + imageUrl;
-      } else if (imageUrl.startsWith('/')) {
-        imageUrl = 'https://www.naturesbasket.co.in' + imageUrl;
-      } else if (!imageUrl.includes('://')) {
-        imageUrl = 'https://www.naturesbasket.co.in/' + imageUrl;
-      }
-    }
-    
-    // Clean up image URL
-    if (imageUrl) {
-      imageUrl = imageUrl.split('?')[0] + (imageUrl.includes('?') ? '?' + imageUrl.split('?')[1].split('&').filter(p => 
-        p.startsWith('w=') || p.startsWith('h=') || p.startsWith('q=')
-      ).join('&') : '');
-    }
-    
-    // Only add if we have a product name and price
-    if (productName && price && productName.length >= 3) {
-      let discount = null;
-      if (mrp && price) {
-        discount = mrp - price;
-      }
-      
-      products.push({
-        name: productName,
-        mrp: mrp,
-        price: price,
-        discount: discount,
-        discountAmount: discount,
-        isOutOfStock: isOutOfStock,
-        imageUrl: imageUrl
-      });
-    }
-  });
-  
-  // Remove duplicates
-  const uniqueProducts = [];
-  const seenNames = new Set();
-  for (const product of products) {
-    const normalizedName = product.name.toLowerCase().trim();
-    if (!seenNames.has(normalizedName) && product.name.length > 3) {
-      seenNames.add(normalizedName);
-      uniqueProducts.push(product);
-    }
-  }
-  
-  return uniqueProducts;
+  return extract($.html(), 'naturesbasket').products;
 }
 
 /**
  * Extracts products from Zepto HTML
  */
 function extractZeptoProducts($) {
-  const products = [];
-  
-  // Zepto uses data-slot-id="ProductName" for product names
-  // Product names are also in img alt/title attributes
-  // Structure: <div data-slot-id="ProductName" class="..."> or <img alt="Product Name" title="Product Name">
-  
-  // Strategy 1: Find products by img alt/title (primary method for Zepto)
-  // Zepto products have product names in img alt/title attributes
-  $('img[alt], img[title]').each((index, element) => {
-    const $img = $(element);
-    let productName = $img.attr('alt')?.trim() || $img.attr('title')?.trim();
-    
-    if (!productName || productName.length < 3) return;
-    
-    // Skip if it's not a product image (check for common non-product alt text)
-    if (productName.match(/^(P3|Ad|logo|icon|button|arrow|close|menu|search|Zepto)$/i) || 
-        productName.match(/\.(png|jpg|jpeg|gif|svg)$/i) || // Skip image filenames
-        productName.length < 5) return;
-    
-    // Find the parent container - look for a div that contains both the img and price
-    let $container = $img.parent();
-    let depth = 0;
-    const maxDepth = 5;
-    
-    // Walk up the DOM tree to find a container with price
-    while (depth < maxDepth && $container.length > 0) {
-      const containerText = $container.text();
-      const hasPrice = containerText.match(/₹\s*\d+/);
-      
-      if (hasPrice) {
-        break; // Found a container with price
-      }
-      
-      $container = $container.parent();
-      depth++;
-    }
-    
-    // If no container with price found, try siblings
-    if (!$container.text().match(/₹\s*\d+/)) {
-      $container = $img.closest('div, article, section');
-    }
-    
-    // Must have price in the container
-    const hasPrice = $container.text().match(/₹\s*\d+/);
-    if (!hasPrice) return;
-    
-    // Extract prices
-    let mrp = null;
-    let price = null;
-    const containerText = $container.text();
-    const priceMatches = containerText.match(/₹\s*(\d+(?:\.\d+)?)/g);
-    
-    if (priceMatches && priceMatches.length > 0) {
-      const prices = priceMatches.map(m => parseFloat(m.replace(/[₹\s]/g, ''))).filter(p => !isNaN(p) && p > 0);
-      if (prices.length > 0) {
-        const hasStrike = $container.find('s, del, [style*="line-through"], [class*="strike"]').length > 0;
-        if (hasStrike && prices.length > 1) {
-          mrp = prices[0];
-          price = prices[1];
-        } else if (prices.length > 1) {
-          mrp = prices[0];
-          price = prices[1];
-        } else {
-          price = prices[0];
-        }
-      }
-    }
-    
-    // Check for out of stock
-    const isOutOfStock = $container.find('[class*="out-of-stock"], [class*="unavailable"]').length > 0 ||
-                        $container.text().match(/out of stock|currently unavailable/i) !== null;
-    
-    // Extract image URL
-    let imageUrl = null;
-    const $productImg = $container.find('img').first();
-    if ($productImg.length > 0) {
-      imageUrl = $productImg.attr('src') || $productImg.attr('data-src') || $productImg.attr('data-lazy-src') || $productImg.attr('data-original');
-      // Convert relative URLs to absolute
-      if (imageUrl && !imageUrl.startsWith('http')) {
-        if (imageUrl.startsWith('//')) {
-          imageUrl = 'https:' + imageUrl;
-        } else if (imageUrl.startsWith('/')) {
-          imageUrl = 'https://www.zepto.com' + imageUrl;
-        }
-      }
-    }
-    
-    if (productName && price && productName.length >= 3) {
-      let discount = null;
-      if (mrp && price) {
-        discount = mrp - price;
-      }
-      
-      products.push({
-        name: productName,
-        mrp: mrp,
-        price: price,
-        discount: discount,
-        discountAmount: discount,
-        isOutOfStock: isOutOfStock,
-        imageUrl: imageUrl
-      });
-    }
-  });
-  
-  // Strategy 2: Fallback - Find product containers using data-slot-id
-  if (products.length === 0) {
-    $('[data-slot-id="ProductName"]').each((index, element) => {
-      const $nameContainer = $(element);
-      const $productCard = $nameContainer.closest('div, article, section, a');
-      
-      // Extract product name from the container or nearby img
-      let productName = $nameContainer.text().trim();
-      
-      if (!productName || productName.length < 3) {
-        productName = $productCard.find('img[alt]').first().attr('alt')?.trim() ||
-                     $productCard.find('img[title]').first().attr('title')?.trim();
-      }
-      
-      if (!productName || productName.length < 3) return;
-      
-      // Extract prices from the product card
-      let mrp = null;
-      let price = null;
-      const cardText = $productCard.text();
-      const priceMatches = cardText.match(/₹\s*(\d+(?:\.\d+)?)/g);
-      
-      if (priceMatches && priceMatches.length > 0) {
-        const prices = priceMatches.map(m => parseFloat(m.replace(/[₹\s]/g, ''))).filter(p => !isNaN(p) && p > 0);
-        if (prices.length > 0) {
-          const hasStrike = $productCard.find('s, del, [style*="line-through"], [class*="strike"]').length > 0;
-          if (hasStrike && prices.length > 1) {
-            mrp = prices[0];
-            price = prices[1];
-          } else if (prices.length > 1) {
-            mrp = prices[0];
-            price = prices[1];
-          } else {
-            price = prices[0];
-          }
-        }
-      }
-      
-      const isOutOfStock = $productCard.find('[class*="out-of-stock"], [class*="unavailable"]').length > 0 ||
-                          $productCard.text().match(/out of stock|currently unavailable/i) !== null;
-      
-      // Extract image URL
-      let imageUrl = null;
-      const $img = $productCard.find('img').first();
-      if ($img.length > 0) {
-        imageUrl = $img.attr('src') || $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('data-original');
-        // Convert relative URLs to absolute
-        if (imageUrl && !imageUrl.startsWith('http')) {
-          if (imageUrl.startsWith('//')) {
-            imageUrl = 'https:' + imageUrl;
-          } else if (imageUrl.startsWith('/')) {
-            imageUrl = 'https://www.zepto.com' + imageUrl;
-          }
-        }
-      }
-      
-      if (productName && price && productName.length >= 3) {
-        let discount = null;
-        if (mrp && price) {
-          discount = mrp - price;
-        }
-        
-        products.push({
-          name: productName,
-          mrp: mrp,
-          price: price,
-          discount: discount,
-          discountAmount: discount,
-          isOutOfStock: isOutOfStock,
-          imageUrl: imageUrl
-        });
-      }
-    });
-  }
-  
-  // Remove duplicates and filter out invalid products
-  const uniqueProducts = [];
-  const seenNames = new Set();
-  for (const product of products) {
-    const normalizedName = product.name.toLowerCase().trim();
-    // Additional validation: product name should not be just numbers or special chars
-    if (!seenNames.has(normalizedName) && 
-        product.name.length >= 3 && 
-        product.name.length < 200 &&
-        !product.name.match(/^[\d\s₹\-]+$/) && // Not just numbers and symbols
-        product.price > 0) {
-      seenNames.add(normalizedName);
-      uniqueProducts.push(product);
-    }
-  }
-  
-  return uniqueProducts;
+  return extract($.html(), 'zepto').products;
 }
 
 /**
  * Extracts products from Swiggy Instamart HTML
  */
 function extractSwiggyProducts($, html) {
-  const products = [];
-  
-  // Exclude navigation and UI elements
-  const excludedTexts = ['Careers', 'Swiggy One', 'Swiggy Instamart', 'Home', 'Cart', 'Search', 'Menu', 
-                         'Login', 'Sign', 'Add', 'Remove', 'Quantity', 'View Cart', 'Checkout', 
-                         'Delivery', 'Pickup', 'Filters', 'Sort', 'Categories', 'View All',
-                         'See All', 'More', 'Less', 'Close', 'Back', 'Next', 'Previous'];
-  
-  // Strategy 1: Extract from JSON state (most reliable for Swiggy)
-  try {
-    let state = null;
-    
-    // Try multiple JSON extraction patterns
-    const jsonMatch1 = html.match(/window\.___INITIAL_STATE___\s*=\s*(\{[\s\S]*?\n\s*\});/);
-    if (jsonMatch1 && jsonMatch1[1]) {
-      try {
-        state = JSON.parse(jsonMatch1[1]);
-      } catch (e) {
-        // Try to extract with balanced braces
-        const startIdx = html.indexOf('window.___INITIAL_STATE___ = {');
-        if (startIdx !== -1) {
-          let braceCount = 0;
-          let inString = false;
-          let escapeNext = false;
-          let jsonStr = '';
-          
-          for (let i = startIdx + 'window.___INITIAL_STATE___ = '.length; i < html.length; i++) {
-            const char = html[i];
-            jsonStr += char;
-            
-            if (escapeNext) {
-              escapeNext = false;
-              continue;
-            }
-            
-            if (char === '\\') {
-              escapeNext = true;
-              continue;
-            }
-            
-            if (char === '"') {
-              inString = !inString;
-              continue;
-            }
-            
-            if (!inString) {
-              if (char === '{') braceCount++;
-              if (char === '}') {
-                braceCount--;
-                if (braceCount === 0) {
-                  try {
-                    state = JSON.parse(jsonStr);
-                    break;
-                  } catch (e2) {
-                    // Continue trying
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    // Pattern 2: Look for __NEXT_DATA__ or other JSON patterns
-    if (!state) {
-      const nextDataMatch = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
-      if (nextDataMatch && nextDataMatch[1]) {
-        try {
-          const nextData = JSON.parse(nextDataMatch[1]);
-          if (nextData.props && nextData.props.pageProps) {
-            state = nextData.props.pageProps;
-          }
-        } catch (e) {
-          // Continue
-        }
-      }
-    }
-    
-    if (state) {
-      
-      // Extract products from search results if available
-      if (state.searchPLV2 && state.searchPLV2.data && state.searchPLV2.data.items) {
-        state.searchPLV2.data.items.forEach(item => {
-          if (item.name && item.price !== undefined) {
-            // Extract image URL from item
-            let imageUrl = item.image || item.imageUrl || item.img || item.photo || item.picture || null;
-            if (imageUrl && !imageUrl.startsWith('http')) {
-              if (imageUrl.startsWith('//')) {
-                imageUrl = 'https:' + imageUrl;
-              } else if (imageUrl.startsWith('/')) {
-                imageUrl = 'https://www.swiggy.com' + imageUrl;
-              }
-            }
-            
-            products.push({
-              name: item.name,
-              price: item.price || item.finalPrice || null,
-              mrp: item.mrp || item.originalPrice || null,
-              discount: (item.mrp && item.price) ? item.mrp - item.price : null,
-              discountAmount: (item.mrp && item.price) ? item.mrp - item.price : null,
-              isOutOfStock: item.isOutOfStock || item.outOfStock || false,
-              imageUrl: imageUrl
-            });
-          }
-        });
-      }
-      
-      // Extract from product listing if available
-      if (state.categoryListingV2 && state.categoryListingV2.data && state.categoryListingV2.data.items) {
-        state.categoryListingV2.data.items.forEach(item => {
-          if (item.name && item.price !== undefined && !products.some(p => p.name === item.name)) {
-            // Extract image URL from item
-            let imageUrl = item.image || item.imageUrl || item.img || item.photo || item.picture || null;
-            if (imageUrl && !imageUrl.startsWith('http')) {
-              if (imageUrl.startsWith('//')) {
-                imageUrl = 'https:' + imageUrl;
-              } else if (imageUrl.startsWith('/')) {
-                imageUrl = 'https://www.swiggy.com' + imageUrl;
-              }
-            }
-            
-            products.push({
-              name: item.name,
-              price: item.price || item.finalPrice || null,
-              mrp: item.mrp || item.originalPrice || null,
-              discount: (item.mrp && item.price) ? item.mrp - item.price : null,
-              discountAmount: (item.mrp && item.price) ? item.mrp - item.price : null,
-              isOutOfStock: item.isOutOfStock || item.outOfStock || false,
-              imageUrl: imageUrl
-            });
-          }
-        });
-      }
-      
-      // Extract from campaign listing if available
-      if (state.campaignListingV2 && state.campaignListingV2.data && state.campaignListingV2.data.items) {
-        state.campaignListingV2.data.items.forEach(item => {
-          if (item && item.name && item.price !== undefined && !products.some(p => p.name === item.name)) {
-            // Extract image URL from item
-            let imageUrl = item.image || item.imageUrl || item.img || item.photo || item.picture || null;
-            if (imageUrl && !imageUrl.startsWith('http')) {
-              if (imageUrl.startsWith('//')) {
-                imageUrl = 'https:' + imageUrl;
-              } else if (imageUrl.startsWith('/')) {
-                imageUrl = 'https://www.swiggy.com' + imageUrl;
-              }
-            }
-            
-            products.push({
-              name: item.name,
-              price: item.price || item.finalPrice || null,
-              mrp: item.mrp || item.originalPrice || null,
-              discount: (item.mrp && item.price) ? item.mrp - item.price : null,
-              discountAmount: (item.mrp && item.price) ? item.mrp - item.price : null,
-              isOutOfStock: item.isOutOfStock || item.outOfStock || false,
-              imageUrl: imageUrl
-            });
-          }
-        });
-      }
-      
-      // Try nested paths - more aggressive search
-      const findProductsInObject = (obj, path = '', depth = 0) => {
-        if (depth > 10 || !obj || typeof obj !== 'object') return; // Limit depth
-        
-        if (Array.isArray(obj)) {
-          obj.forEach((item, idx) => {
-            if (item && typeof item === 'object') {
-              // Check if this looks like a product
-              if (item.name && (item.price !== undefined || item.finalPrice !== undefined || item.sellingPrice !== undefined)) {
-                if (!products.some(p => p.name === item.name)) {
-                  // Extract image URL from item
-                  let imageUrl = item.image || item.imageUrl || item.img || item.photo || item.picture || null;
-                  if (imageUrl && !imageUrl.startsWith('http')) {
-                    if (imageUrl.startsWith('//')) {
-                      imageUrl = 'https:' + imageUrl;
-                    } else if (imageUrl.startsWith('/')) {
-                      imageUrl = 'https://www.swiggy.com' + imageUrl;
-                    }
-                  }
-                  
-                  products.push({
-                    name: item.name,
-                    price: item.price || item.finalPrice || item.sellingPrice || null,
-                    mrp: item.mrp || item.originalPrice || null,
-                    discount: (item.mrp && item.price) ? item.mrp - item.price : null,
-                    discountAmount: (item.mrp && item.price) ? item.mrp - item.price : null,
-                    isOutOfStock: item.isOutOfStock || item.outOfStock || false,
-                    imageUrl: imageUrl
-                  });
-                }
-              } else {
-                findProductsInObject(item, `${path}[${idx}]`, depth + 1);
-              }
-            }
-          });
-        } else {
-          Object.keys(obj).forEach(key => {
-            const keyLower = key.toLowerCase();
-            if (keyLower.includes('product') || keyLower.includes('item') || 
-                keyLower.includes('search') || keyLower.includes('listing') ||
-                keyLower.includes('data') || keyLower.includes('result')) {
-              findProductsInObject(obj[key], `${path}.${key}`, depth + 1);
-            }
-          });
-        }
-      };
-      
-      // Only do deep search if we haven't found products yet
-      if (products.length === 0) {
-        findProductsInObject(state);
-      }
-    }
-  } catch (e) {
-    // JSON extraction failed, continue with DOM extraction
-    console.error(`Error extracting Swiggy JSON state: ${e.message}`);
-  }
-  
-  // Strategy 2: DOM extraction - Look for data-testid attributes related to products
-  if (products.length === 0) {
-    $('[data-testid*="product"], [data-testid*="item-card"], [data-testid*="search-item"]').each((index, element) => {
-      const $el = $(element);
-      const productName = $el.find('[class*="title"], [class*="name"], h2, h3, h4').first().text().trim();
-      
-      // Validate product name
-      if (productName && productName.length > 5 && 
-          !excludedTexts.some(text => productName.includes(text)) &&
-          !productName.match(/^(Home|Cart|Search|Menu|Login|Sign|Add|Remove|View|Checkout|Delivery|Pickup)$/i)) {
-        
-        let price = null;
-        let mrp = null;
-        
-        // Look for price in the element
-        const priceText = $el.text();
-        const priceMatches = priceText.match(/₹\s*(\d+[.,]?\d*)/g);
-        if (priceMatches && priceMatches.length > 0) {
-          const prices = priceMatches.map(m => {
-            const match = m.match(/₹\s*(\d+(?:[.,]\d+)?)/);
-            return match ? parseFloat(match[1].replace(/,/g, '')) : null;
-          }).filter(p => p !== null && p > 0);
-          
-          if (prices.length > 1) {
-            // Usually first is MRP, second is selling price
-            mrp = prices[0];
-            price = prices[1];
-          } else if (prices.length === 1) {
-            price = prices[0];
-          }
-        }
-        
-        // Extract image URL
-        let imageUrl = null;
-        const $img = $el.find('img').first();
-        if ($img.length > 0) {
-          imageUrl = $img.attr('src') || $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('data-original');
-          // Convert relative URLs to absolute
-          if (imageUrl && !imageUrl.startsWith('http')) {
-            if (imageUrl.startsWith('//')) {
-              imageUrl = 'https:' + imageUrl;
-            } else if (imageUrl.startsWith('/')) {
-              imageUrl = 'https://www.swiggy.com' + imageUrl;
-            }
-          }
-        }
-        
-        // Only add if we have a price (products should have prices)
-        if (price !== null && !products.some(p => p.name === productName)) {
-          products.push({
-            name: productName,
-            price: price,
-            mrp: mrp,
-            discount: mrp && price ? mrp - price : null,
-            discountAmount: mrp && price ? mrp - price : null,
-            isOutOfStock: $el.find('[class*="out-of-stock"], [class*="unavailable"]').length > 0 ||
-                         $el.text().match(/out of stock|currently unavailable/i) !== null,
-            imageUrl: imageUrl
-          });
-        }
-      }
-    });
-  }
-  
-  // Strategy 3: Look for elements with price patterns and meaningful text
-  if (products.length === 0) {
-    $('div, section, article').each((index, element) => {
-      const $el = $(element);
-      const text = $el.text().trim();
-      
-      // Check if this element contains a price and meaningful product-like text
-      if (text.match(/₹\s*\d+/) && text.length > 10 && text.length < 200) {
-        // Extract potential product name (text before price)
-        const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-        const priceLineIndex = lines.findIndex(l => l.match(/₹\s*\d+/));
-        
-        if (priceLineIndex > 0) {
-          const productName = lines[priceLineIndex - 1] || lines[0];
-          
-          // Validate it's a product name (not navigation, not too short)
-          if (productName && productName.length > 5 && 
-              !productName.match(/^(Home|Cart|Search|Menu|Login|Sign|Add|Remove|Quantity|View Cart|Checkout)$/i) &&
-              !excludedTexts.some(text => productName.includes(text)) &&
-              !products.some(p => p.name === productName)) {
-            
-            const priceMatches = text.match(/₹\s*(\d+(?:[.,]?\d*)?)/g);
-            let price = null;
-            let mrp = null;
-            
-            if (priceMatches && priceMatches.length > 0) {
-              const prices = priceMatches.map(m => {
-                const match = m.match(/₹\s*(\d+(?:[.,]?\d+)?)/);
-                return match ? parseFloat(match[1].replace(/,/g, '')) : null;
-              }).filter(p => p !== null && p > 0);
-              
-              if (prices.length > 1) {
-                mrp = prices[0];
-                price = prices[1];
-              } else if (prices.length === 1) {
-                price = prices[0];
-              }
-            }
-            
-            // Extract image URL
-            let imageUrl = null;
-            const $img = $el.find('img').first();
-            if ($img.length > 0) {
-              imageUrl = $img.attr('src') || $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('data-original');
-              // Convert relative URLs to absolute
-              if (imageUrl && !imageUrl.startsWith('http')) {
-                if (imageUrl.startsWith('//')) {
-                  imageUrl = 'https:' + imageUrl;
-                } else if (imageUrl.startsWith('/')) {
-                  imageUrl = 'https://www.swiggy.com' + imageUrl;
-                }
-              }
-            }
-            
-            if (price !== null) {
-              products.push({
-                name: productName,
-                price: price,
-                mrp: mrp,
-                discount: mrp && price ? mrp - price : null,
-                discountAmount: mrp && price ? mrp - price : null,
-                isOutOfStock: $el.find('[class*="out-of-stock"], [class*="unavailable"]').length > 0 ||
-                             text.match(/out of stock|currently unavailable/i) !== null,
-                imageUrl: imageUrl
-              });
-            }
-          }
-        }
-      }
-    });
-  }
-  
-  // Remove duplicates
-  const uniqueProducts = [];
-  const seenNames = new Set();
-  for (const product of products) {
-    const normalizedName = product.name.toLowerCase().trim();
-    if (!seenNames.has(normalizedName) && 
-        product.name.length >= 3 && 
-        product.name.length < 200 &&
-        product.price !== null && product.price > 0) {
-      seenNames.add(normalizedName);
-      uniqueProducts.push(product);
-    }
-  }
-  
-  return uniqueProducts;
+  return extract(html ?? $.html(), 'swiggy').products;
 }
 
 /**
- * Main extraction function
+ * Main extraction function (parsing lives in extraction.js)
  */
 function extractProductData(html, filename) {
-  const $ = cheerio.load(html);
   const site = detectSite(html, filename);
-  
-  // Extract location (pass html for Swiggy JSON parsing)
-  const location = extractLocation($, site, filename, html);
-  
-  // Extract products based on site
-  let products = [];
-  switch (site) {
-    case 'dmart':
-      products = extractDmartProducts($);
-      break;
-    case 'jiomart':
-      products = extractJioMartProducts($);
-      break;
-    case 'naturesbasket':
-      products = extractNaturesBasketProducts($);
-      break;
-    case 'zepto':
-      products = extractZeptoProducts($);
-      break;
-    case 'swiggy':
-      products = extractSwiggyProducts($, html);
-      break;
-    default:
-      console.warn(`Unknown site detected, trying generic extraction...`);
-      products = extractJioMartProducts($); // Fallback to generic extraction
+  if (site === 'unknown') {
+    console.warn(`Unknown site detected, trying generic extraction...`);
   }
   
+  // JioMart's loosely matched cards double as the generic extraction
+  const result = extract(html, site === 'unknown' ? 'jiomart' : site, { filename });
+  
   return {
     site: site,
-    location: location,
-    products: products,
-    totalProducts: products.length,
+    location: result.location || 'Unknown',
+    products: result.products,
+    invalidProducts: result.invalidProducts,
+    totalProducts: result.totalProducts,
+    parserVersion: result.parserVersion,
     filename: filename
   };
 }
@@ -1,5 +1,6 @@
 import { chromium } from 'playwright';
 import * as fs from 'fs';
+import { storeUrl } from './store-urls.js';
 
 // Helper to determine if we should run headless
 const isHeadless = process.env.HEADLESS === 'true';
@@ -29,7 +30,7 @@ async function selectLocationOnZepto(locationName, productName = 'Paracetamol ta
 
   try {
     console.log(`[ZEPTO] Navigating to search page...`);
-    await page.goto(`https://www.zepto.com/search?query=${encodeURIComponent(productName)}`, {
+    await page.goto(storeUrl('zepto', `/search?query=${encodeURIComponent(productName)}`), {
       waitUntil: 'load',
       timeout: 60000
     });
@@ -133,7 +134,7 @@ async function selectLocationOnNaturesBasket(locationName, productName = 'potato
 
   try {
     console.log(`[NATURE'S BASKET] Navigating to search page...`);
-    await page.goto(`https://www.naturesbasket.co.in/search?q=${encodeURIComponent(productName)}`, {
+    await page.goto(storeUrl('naturesbasket', `/search?q=${encodeURIComponent(productName)}`), {
       waitUntil: 'load',
       timeout: 60000
     });
@@ -302,7 +303,7 @@ async function selectLocationAndSearchOnDmart(locationName, productName = 'potat
 
   try {
     console.log(`[D-MART] Navigating to search page...`);
-    await page.goto(`https://www.dmart.in/search?searchTerm=${encodeURIComponent(productName)}`, {
+    await page.goto(storeUrl('dmart', `/search?searchTerm=${encodeURIComponent(productName)}`), {
       waitUntil: 'load',
       timeout: 60000
     });
@@ -404,7 +405,7 @@ async function selectLocationOnJioMart(locationName, productName = 'tomoto') {
 
   try {
     console.log(`[JIOMART] Navigating to search page...`);
-    await page.goto(`https://www.jiomart.com/search?q=${encodeURIComponent(productName)}`, {
+    await page.goto(storeUrl('jiomart', `/search?q=${encodeURIComponent(productName)}`), {
       waitUntil: 'load',
       timeout: 60000
     });
@@ -0,0 +1,268 @@
+import assert from 'assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { Scheduler, parseCronField, parseCronExpression, parseScheduleDefinition, nextCronTime } from './scheduler.js';
+import { matchProducts } from './product-matcher.js';
+import { parsePackSize, packFields } from './pack-size.js';
+import { trimPage } from './fixture-runner.js';
+import { extract } from './extraction.js';
+
+/**
+ * Unit Cases
+ *
+ * Focused checks of the logic that is easy to get subtly wrong and that the
+ * parser fixtures (fixture-runner.js) do not reach. Each case is a function
+ * that throws (node's assert) when it fails.
+ *
+ *   node unit-tests.js [filter]        (npm test, after the fixtures)
+ *
+ * Only cases whose name contains `filter` run. Exits 1 when any case fails.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+
+const cases = [];
+
+function test(name, run) {
+  cases.push({ name, run });
+}
+
+/**
+ * Run `fn` with process.env.TZ set to `timeZone` (dates created inside use it)
+ */
+function inTimeZone(timeZone, fn) {
+  const previous = process.env.TZ;
+  process.env.TZ = timeZone;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env.TZ;
+    else process.env.TZ = previous;
+  }
+}
+
+// ---- Scheduler (scheduler.js) ----
+
+const MINUTE = { name: 'minute', min: 0, max: 59 };
+const MONTH = { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 };
+
+const cronOf = expression => {
+  const { cron, error } = parseCronExpression(expression);
+  assert.equal(error, null);
+  return cron;
+};
+const next = (expression, after) => nextCronTime(cronOf(expression), new Date(after));
+
+test('parseCronField reads lists, ranges, steps and names', () => {
+  assert.deepEqual([...parseCronField('1,15', MINUTE)], [1, 15]);
+  assert.deepEqual([...parseCronField('8-18/2', { name: 'hour', min: 0, max: 23 })], [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...parseCronField('*/20', MINUTE)], [0, 20, 40]);
+  assert.deepEqual([...parseCronField('5/20', MINUTE)], [5, 25, 45]);
+  assert.deepEqual([...parseCronField('jan,Mar-may', MONTH)], [1, 3, 4, 5]);
+});
+
+test('parseCronField rejects out-of-range values, reversed ranges and bad steps', () => {
+  assert.throws(() => parseCronField('60', MINUTE), /Invalid minute value "60"/);
+  assert.throws(() => parseCronField('30-10', MINUTE), /Invalid minute range/);
+  assert.throws(() => parseCronField('*/0', MINUTE), /Invalid minute step/);
+  assert.throws(() => parseCronField('1.5', MINUTE), /Invalid minute value/);
+  assert.throws(() => parseCronField('foo', MONTH), /Invalid month value/);
+});
+
+test('parseCronExpression expands macros and rejects impossible expressions', () => {
+  assert.equal(cronOf('@daily').hours.size, 1);
+  assert.ok(cronOf('0 0 * * 7').daysOfWeek.has(0), '7 is Sunday');
+  assert.match(parseCronExpression('0 8 * *').error, /needs 5 fields/);
+  assert.match(parseCronExpression('0 0 31 2 *').error, /never runs/);
+});
+
+test('nextCronTime is strictly after the given time', () => inTimeZone('UTC', () => {
+  assert.equal(next('0 8 * * *', '2026-01-05T08:00:00Z').toISOString(), '2026-01-06T08:00:00.000Z');
+  assert.equal(next('*/10 * * * *', '2026-01-05T08:09:59Z').toISOString(), '2026-01-05T08:10:00.000Z');
+  assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z').toISOString(), '2028-02-29T00:00:00.000Z');
+}));
+
+test('nextCronTime matches either day field when both are restricted', () => inTimeZone('UTC', () => {
+  // 2026-01-02 is a Friday
+  assert.equal(next('0 0 13 * 5', '2026-01-01T00:00:00Z').toISOString(), '2026-01-02T00:00:00.000Z');
+  assert.equal(next('0 0 13 * 5', '2026-01-10T00:00:00Z').toISOString(), '2026-01-13T00:00:00.000Z');
+  // Only one restricted: that one decides
+  assert.equal(next('0 0 13 * *', '2026-01-01T00:00:00Z').toISOString(), '2026-01-13T00:00:00.000Z');
+  assert.equal(next('0 0 * * 5', '2026-01-03T00:00:00Z').toISOString(), '2026-01-09T00:00:00.000Z');
+}));
+
+test('nextCronTime skips the hour clocks go forward past', () => inTimeZone('America/New_York', () => {
+  // 2026-03-08 02:00 EST -> 03:00 EDT
+  assert.equal(next('*/15 * * * *', '2026-03-08T01:50:00-05:00').toISOString(), '2026-03-08T07:00:00.000Z');
+  assert.equal(next('30 2 * * *', '2026-03-08T00:00:00-05:00').toISOString(), '2026-03-09T06:30:00.000Z');
+}));
+
+test('nextCronTime never goes back into the hour clocks repeat', () => inTimeZone('America/New_York', () => {
+  // 2026-11-01 02:00 EDT -> 01:00 EST, so 01:00-01:59 happens twice
+  assert.equal(next('*/30 * * * *', '2026-11-01T01:10:00-05:00').toISOString(), '2026-11-01T06:30:00.000Z');
+  assert.equal(next('*/5 * * * *', '2026-11-01T01:42:00-05:00').toISOString(), '2026-11-01T06:45:00.000Z');
+  // A daily run in the repeated hour runs once
+  assert.equal(next('0 1 * * *', '2026-11-01T01:00:00-04:00').toISOString(), '2026-11-02T06:00:00.000Z');
+  for (let minute = 0; minute < 60; minute += 7) {
+    const after = new Date(Date.UTC(2026, 10, 1, 6, minute));
+    assert.ok(next('*/5 * * * *', after) > after, `*/5 after ${after.toISOString()}`);
+  }
+}));
+
+test('Scheduler caps jitter at half the gap to the following run', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'unit-scheduler-'));
+  const random = Math.random;
+  Math.random = () => 0.999999;
+  try {
+    const scheduler = new Scheduler(join(dir, 'schedules.jsonl'));
+    const plan = (cron, jitterMs) => {
+      const { definition, error } = parseScheduleDefinition({ cron, product: 'milk', location: 'Mumbai', jitterMs });
+      assert.equal(error, null);
+      const schedule = scheduler.create(definition);
+      const after = new Date('2026-01-05T08:03:00Z');
+      scheduler.planNextRun(schedule, after);
+      return new Date(schedule.nextRunAt) - nextCronTime(cronOf(cron), after);
+    };
+    assert.ok(plan('*/10 * * * *', 60 * 60 * 1000) < 5 * 60 * 1000, 'capped at half of 10 minutes');
+    assert.ok(plan('0 * * * *', 60 * 1000) < 60 * 1000, 'within jitterMs when that is smaller');
+    assert.ok(plan('0 * * * *', 60 * 1000) > 59 * 1000, 'uses the jitter it is given');
+    assert.equal(plan('0 * * * *', 0), 0);
+  } finally {
+    Math.random = random;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ---- Cross-store matching (product-matcher.js) ----
+
+const groupNames = groups => groups.map(group => group.listings.map(({ store, product }) => `${store}:${product.name}`));
+
+test('matchProducts groups the same product listed under different names', () => {
+  const groups = matchProducts([
+    { store: 'zepto', products: [{ name: 'Amul Taaza Toned Milk 500 ml', brand: 'Amul' }] },
+    { store: 'jiomart', products: [{ name: 'Amul Taaza Homogenised Toned Milk 500ml Pouch', brand: 'Amul' }] }
+  ]);
+  assert.deepEqual(groupNames(groups), [['zepto:Amul Taaza Toned Milk 500 ml', 'jiomart:Amul Taaza Homogenised Toned Milk 500ml Pouch']]);
+  assert.equal(groups[0].name, 'Amul Taaza Toned Milk 500 ml');
+  assert.deepEqual([groups[0].quantity, groups[0].unit], [0.5, 'l']);
+  assert.ok(groups[0].confidence >= 0.6 && groups[0].confidence <= 1);
+});
+
+test('matchProducts reads "1 L" and "1000 ml" as the same pack', () => {
+  const groups = matchProducts([
+    { store: 'zepto', products: [{ name: 'Amul Taaza Toned Milk 1 L', brand: 'Amul' }] },
+    { store: 'dmart', products: [{ name: 'Amul Taaza Toned Milk 1000 ml' }] }
+  ]);
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].brand, 'Amul');
+});
+
+test('matchProducts never matches different pack sizes or brands', () => {
+  const groups = matchProducts([
+    { store: 'zepto', products: [{ name: 'Amul Butter 500 g', brand: 'Amul' }] },
+    { store: 'jiomart', products: [{ name: 'Amul Butter 100 g', brand: 'Amul' }] },
+    { store: 'dmart', products: [{ name: 'Britannia Butter 500 g', brand: 'Britannia' }] }
+  ]);
+  assert.equal(groups.length, 3);
+  assert.ok(groups.every(group => group.confidence === null));
+});
+
+test('matchProducts keeps one listing per store in a group', () => {
+  const groups = matchProducts([
+    { store: 'zepto', products: [{ name: 'Fresh Tomato 500 g' }, { name: 'Fresh Tomato 500 g' }] },
+    { store: 'dmart', products: [{ name: 'Fresh Tomato 500 g' }] }
+  ]);
+  assert.deepEqual(groupNames(groups), [['zepto:Fresh Tomato 500 g', 'dmart:Fresh Tomato 500 g'], ['zepto:Fresh Tomato 500 g']]);
+});
+
+test('matchProducts gives every group a unique id', () => {
+  const groups = matchProducts([
+    { store: 'zepto', products: [{ name: 'Tomato' }, { name: 'Tomato' }] },
+    { store: 'dmart', products: [{ name: 'Tomato 2' }] }
+  ]);
+  const ids = groups.map(group => group.id);
+  assert.equal(new Set(ids).size, ids.length, `ids: ${ids.join(', ')}`);
+  assert.equal(ids[0], 'tomato');
+});
+
+// ---- Pack sizes (pack-size.js) ----
+
+const packOf = text => {
+  const pack = parsePackSize(text);
+  return pack && [pack.quantity, pack.unit];
+};
+
+test('parsePackSize reads weights, volumes and counts in the product unit', () => {
+  assert.deepEqual(packOf('Amul Butter 500 g'), [0.5, 'kg']);
+  assert.deepEqual(packOf('Aashirvaad Atta 5KG'), [5, 'kg']);
+  assert.deepEqual(packOf('Surf Excel 1.5 L'), [1.5, 'l']);
+  assert.deepEqual(packOf('7up 750ml'), [0.75, 'l']);
+  assert.deepEqual(packOf('Eggs - Pack of 6'), [6, 'pcs']);
+  assert.deepEqual(packOf('Bananas 1 dozen'), [12, 'pcs']);
+  assert.deepEqual(packOf('Half Dozen Eggs'), [6, 'pcs']);
+});
+
+test('parsePackSize multiplies multipacks', () => {
+  assert.deepEqual(packOf('Coke 2 x 750 ml'), [1.5, 'l']);
+  assert.deepEqual(packOf('Lays 52g x 3'), [0.156, 'kg']);
+  assert.deepEqual(packOf('Pepsi 250 ml (Pack of 6)'), [1.5, 'l']);
+});
+
+test('parsePackSize returns null without a usable size', () => {
+  assert.equal(parsePackSize('Maggi Masala Noodles'), null);
+  assert.equal(parsePackSize('Milk 0 ml'), null);
+  assert.equal(parsePackSize(''), null);
+  assert.equal(parsePackSize(null), null);
+});
+
+test('packFields prices per unit and prefers the name over card text', () => {
+  assert.deepEqual(packFields('Tata Salt 1 kg', 28, '500 g'), { quantity: 1, unit: 'kg', unitPrice: 28 });
+  assert.deepEqual(packFields('Tata Salt', 14, '500 g'), { quantity: 0.5, unit: 'kg', unitPrice: 28 });
+  assert.deepEqual(packFields('Onion 500 g', '₹20'), { quantity: 0.5, unit: 'kg', unitPrice: 40 });
+  assert.deepEqual(packFields('Tata Salt', 28), { quantity: null, unit: null, unitPrice: null });
+});
+
+// ---- Fixture capture (fixture-runner.js) ----
+
+test('trimPage keeps the page state and the first product cards only', () => {
+  const card = n => `<div class="vertical-card_card-vertical__Q8seS"><a href="/product/p${n}">` +
+    `<div class="vertical-card_title__pMGg9">Potato Chips ${n} 50 g</div></a>` +
+    `<div class="vertical-card_price-container__tPCU9"><span class="vertical-card_label__OOtAc">DMart</span>` +
+    `<span class="vertical-card_amount__80Zwk">₹ ${10 + n}</span></div></div>`;
+  const saved = `<html><head><style>.a{}</style><script src="/app.js"></script></head><body><!-- ad -->
+    <div class="header_pincode__KryhE">400053Mumbai</div>${[1, 2, 3, 4].map(card).join('')}</body></html>`;
+  const trimmed = trimPage(saved, 'dmart', 2);
+  assert.doesNotMatch(trimmed, /<style|<script|<!--/);
+  const { products, location } = extract(trimmed, 'dmart');
+  assert.deepEqual(products.map(product => product.name), ['Potato Chips 1 50 g', 'Potato Chips 2 50 g']);
+  assert.equal(location, 'Mumbai (400053)');
+
+  const state = { userLocation: { address: 'Koramangala' }, items: [1, 2, 3].map(n => ({ name: `Item ${n}`, price: n })) };
+  const swiggy = trimPage(`<script>window.___INITIAL_STATE___ = ${JSON.stringify(state)};</script>`, 'swiggy', 2);
+  assert.match(swiggy, /"address":"Koramangala"/);
+  assert.match(swiggy, /Item 2/);
+  assert.doesNotMatch(swiggy, /Item 3/);
+});
+
+// CLI: node unit-tests.js [filter]
+if (process.argv[1] === __filename) {
+  const filter = process.argv[2] || '';
+  const selected = cases.filter(({ name }) => name.includes(filter));
+  let failed = 0;
+  for (const { name, run } of selected) {
+    try {
+      await run();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`     ${error.message.split('\n').join('\n     ')}`);
+    }
+  }
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${selected.length - failed}/${selected.length} unit cases pass`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
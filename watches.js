@@ -0,0 +1,280 @@
+/**
+ * Price Watches
+ *
+ * A watch follows one product at one store and location and sends a
+ * notification (see notifiers.js) when:
+ *   - belowPrice:  the in-stock price reaches the threshold or lower (once per crossing)
+ *   - dropPercent: the price falls that many percent below the reference price
+ *                  (the price when the watch was created or last fired)
+ *   - backInStock: the product was out of stock and is available again
+ *
+ * Watches are evaluated against the price observations of every scrape (the
+ * server subscribes `evaluate` to its PriceHistory). A listing matches when
+ * every word of the watch's product appears in its name; when several listings
+ * match, the cheapest in-stock one stands for the product.
+ *
+ * Watch shape:
+ * {
+ *   id, product, store, location,
+ *   belowPrice: number | null, dropPercent: number | null, backInStock: boolean,
+ *   channels: [{ type: 'webhook' | 'email' | 'log', ... }],
+ *   enabled: boolean,
+ *   referencePrice: number | null,
+ *   lastObservation: { name, price, isOutOfStock, productUrl, observedAt } | null,
+ *   triggers: [{ event, message, price, previousPrice, observedAt, deliveries }],
+ *   lastTriggeredAt: string | null,
+ *   createdAt, updatedAt
+ * }
+ *
+ * Configuration (environment):
+ *   WATCH_TRIGGER_LOG_LIMIT - notifications kept per watch (default 20)
+ */
+
+import { JsonlStore } from './jsonl-store.js';
+import { parseLimit } from './job-queue.js';
+import { resolveStore, getDisplayName } from './store-registry.js';
+import { normalizeCacheText } from './result-cache.js';
+import { tokenize } from './price-history.js';
+import { validateChannels, deliverNotification } from './notifiers.js';
+
+const TRIGGER_LOG_LIMIT = parseLimit(process.env.WATCH_TRIGGER_LOG_LIMIT, 20);
+
+const WATCH_EVENTS = {
+  PRICE_BELOW: 'price-below',
+  PRICE_DROP: 'price-drop',
+  BACK_IN_STOCK: 'back-in-stock'
+};
+
+/**
+ * Read a positive number from a request body; null/"" clear the value
+ * @returns {{ value: number|null, error: boolean }}
+ */
+function readPositive(value) {
+  if (value === null || value === '') return { value: null, error: false };
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? { value: number, error: false } : { value: null, error: true };
+}
+
+/**
+ * Read a watch definition from a request body
+ * With `current`, fields missing from the body keep their current value (partial update)
+ * @returns {Promise<{ definition: Object|null, error: string|null, unknownSites: string[] }>}
+ */
+async function parseWatchDefinition(body = {}, current = null) {
+  const has = key => body[key] !== undefined;
+  const fail = (error, unknownSites = []) => ({ definition: null, error, unknownSites });
+  const text = key => (has(key) ? (typeof body[key] === 'string' ? body[key].trim() : '') : current?.[key] || '');
+
+  const product = text('product');
+  if (!product) return fail('"product" is required');
+  const location = text('location');
+  if (!location) return fail('"location" is required');
+
+  let store = current?.store;
+  if (has('store') || !current) {
+    store = resolveStore(body.store)?.id;
+    if (!store) {
+      return body.store ? fail(`Unsupported website(s): ${body.store}`, [String(body.store)]) : fail('"store" is required');
+    }
+  }
+
+  const numbers = {};
+  for (const key of ['belowPrice', 'dropPercent', 'referencePrice']) {
+    if (!has(key)) {
+      numbers[key] = current?.[key] ?? null;
+      continue;
+    }
+    const { value, error } = readPositive(body[key]);
+    if (error) return fail(`"${key}" must be a positive number`);
+    numbers[key] = value;
+  }
+  if (numbers.dropPercent !== null && numbers.dropPercent >= 100) {
+    return fail('"dropPercent" must be below 100');
+  }
+
+  const flag = (key, fallback) => (has(key) ? body[key] === true || body[key] === 'true' : current?.[key] ?? fallback);
+  const backInStock = flag('backInStock', false);
+  if (numbers.belowPrice === null && numbers.dropPercent === null && !backInStock) {
+    return fail('Set at least one of "belowPrice", "dropPercent" or "backInStock"');
+  }
+
+  let channels = current?.channels || [{ type: 'log' }];
+  if (has('channels')) {
+    const validated = await validateChannels(body.channels);
+    if (validated.error) return fail(validated.error);
+    channels = validated.channels;
+  }
+
+  return {
+    definition: {
+      product,
+      store,
+      location,
+      belowPrice: numbers.belowPrice,
+      dropPercent: numbers.dropPercent,
+      backInStock,
+      channels,
+      enabled: flag('enabled', true),
+      referencePrice: numbers.referencePrice
+    },
+    error: null,
+    unknownSites: []
+  };
+}
+
+/**
+ * The listing that stands for a watched product in one scrape
+ */
+function summarizeMatches(matches) {
+  const inStock = matches
+    .filter(observation => !observation.isOutOfStock && observation.price !== null)
+    .sort((a, b) => a.price - b.price);
+  const pick = inStock[0] || matches[0];
+  return {
+    name: pick.name,
+    price: pick.price,
+    isOutOfStock: inStock.length === 0,
+    productUrl: pick.productUrl || null,
+    observedAt: pick.timestamp
+  };
+}
+
+/**
+ * Conditions a new observation fires, compared with the previous one
+ * @returns {Array<{ event, message }>}
+ */
+function checkConditions(watch, current, previous) {
+  const events = [];
+  const where = `${current.name} at ${getDisplayName(watch.store)} (${watch.location})`;
+  const available = !current.isOutOfStock && current.price !== null;
+
+  if (watch.backInStock && previous?.isOutOfStock && !current.isOutOfStock) {
+    events.push({ event: WATCH_EVENTS.BACK_IN_STOCK, message: `${where} is back in stock${available ? ` at ₹${current.price}` : ''}` });
+  }
+
+  // Fire when the price crosses the threshold, not on every scrape while it stays below
+  const wasBelow = previous && !previous.isOutOfStock && previous.price !== null && previous.price <= watch.belowPrice;
+  if (watch.belowPrice !== null && available && current.price <= watch.belowPrice && !wasBelow) {
+    events.push({ event: WATCH_EVENTS.PRICE_BELOW, message: `${where} is now ₹${current.price}, at or below your ₹${watch.belowPrice} target` });
+  }
+
+  const reference = watch.referencePrice;
+  if (watch.dropPercent !== null && available && reference && current.price <= reference * (1 - watch.dropPercent / 100)) {
+    const percent = Math.round(((reference - current.price) / reference) * 1000) / 10;
+    events.push({ event: WATCH_EVENTS.PRICE_DROP, message: `${where} dropped ${percent}% to ₹${current.price} (was ₹${reference})` });
+  }
+  return events;
+}
+
+class WatchStore {
+  /**
+   * @param {string} filePath - JSONL file to persist watches in
+   * @param {Object} options
+   * @param {Function} options.notify - (channels, notification) => Promise of delivery results
+   * @param {number} options.triggerLogLimit - Notifications kept per watch
+   */
+  constructor(filePath, { notify = deliverNotification, triggerLogLimit = TRIGGER_LOG_LIMIT } = {}) {
+    this.watches = new JsonlStore(filePath, { label: 'watch' });
+    this.notify = notify;
+    this.triggerLogLimit = triggerLogLimit;
+    this.counter = 0;
+  }
+
+  list() {
+    return [...this.watches.values()];
+  }
+
+  get(id) {
+    return this.watches.get(id);
+  }
+
+  /**
+   * Add a watch from a parsed definition (see parseWatchDefinition)
+   */
+  create(definition) {
+    const now = new Date().toISOString();
+    const watch = {
+      id: `watch-${Date.now()}-${++this.counter}`,
+      ...definition,
+      lastObservation: null,
+      triggers: [],
+      lastTriggeredAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.watches.set(watch.id, watch);
+    return watch;
+  }
+
+  update(id, definition) {
+    return this.watches.update(id, { ...definition, updatedAt: new Date().toISOString() });
+  }
+
+  delete(id) {
+    return this.watches.delete(id);
+  }
+
+  /**
+   * Check enabled watches against the observations of one scrape and notify
+   * @param {Array} observations - As recorded by PriceHistory
+   * @returns {Promise<Array>} - Triggers sent, with their delivery results
+   */
+  async evaluate(observations) {
+    const sends = [];
+    for (const watch of this.list()) {
+      if (!watch.enabled) continue;
+      const terms = tokenize(watch.product);
+      const matches = observations.filter(observation => observation.store === watch.store
+        && normalizeCacheText(observation.location) === normalizeCacheText(watch.location)
+        && terms.every(term => tokenize(observation.name).includes(term)));
+      if (matches.length === 0) continue;
+
+      const current = summarizeMatches(matches);
+      const previous = watch.lastObservation;
+      const events = checkConditions(watch, current, previous);
+
+      // State is updated before notifying, so overlapping scrapes do not fire twice
+      const changes = { lastObservation: current };
+      // The first in-stock price becomes the reference when none was given
+      const firstPrice = watch.referencePrice === null && !current.isOutOfStock && current.price !== null;
+      if (firstPrice || events.some(({ event }) => event === WATCH_EVENTS.PRICE_DROP)) {
+        changes.referencePrice = current.price;
+      }
+      if (events.length > 0) {
+        changes.lastTriggeredAt = new Date().toISOString();
+      }
+      this.watches.update(watch.id, changes);
+
+      for (const { event, message } of events) {
+        const notification = {
+          event,
+          message,
+          watchId: watch.id,
+          product: watch.product,
+          store: watch.store,
+          storeName: getDisplayName(watch.store),
+          location: watch.location,
+          name: current.name,
+          price: current.price,
+          previousPrice: previous?.price ?? null,
+          belowPrice: watch.belowPrice,
+          dropPercent: watch.dropPercent,
+          isOutOfStock: current.isOutOfStock,
+          productUrl: current.productUrl,
+          observedAt: current.observedAt
+        };
+        console.log(`🔔 Watch ${watch.id}: ${message}`);
+        sends.push(this.notify(watch.channels, notification).then(deliveries => {
+          const trigger = { event, message, price: current.price, previousPrice: notification.previousPrice, observedAt: current.observedAt, deliveries };
+          if (this.watches.has(watch.id)) {
+            this.watches.update(watch.id, { triggers: [trigger, ...watch.triggers].slice(0, this.triggerLogLimit) });
+          }
+          return { watchId: watch.id, ...trigger };
+        }));
+      }
+    }
+    return Promise.all(sends);
+  }
+}
+
+export { WatchStore, WATCH_EVENTS, parseWatchDefinition };